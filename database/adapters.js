@@ -0,0 +1,157 @@
+/**
+ * Thin dialect adapters shared by the repository and the migrator.
+ * Both expose the same promise-based surface over `?` placeholders:
+ *   all(sql, params) -> rows, get(sql, params) -> row | null,
+ *   run(sql, params) -> { changes }, insert(sql, params) -> new row id,
+ *   columnExists(table, column), transaction(fn) where fn receives a
+ *   transaction-bound adapter.
+ * Anything beyond placeholder and driver differences belongs in the repository, not here.
+ */
+
+/**
+ * Adapter over a sqlite3 Database handle.
+ * A single connection cannot nest transactions, so transactions are queued.
+ */
+function createSqliteAdapter(sqliteDb) {
+  let transactionQueue = Promise.resolve();
+
+  const adapter = {
+    dialect: 'sqlite',
+
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        sqliteDb.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+      });
+    },
+
+    get(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        sqliteDb.get(sql, params, (err, row) => (err ? reject(err) : resolve(row || null)));
+      });
+    },
+
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        sqliteDb.run(sql, params, function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        });
+      });
+    },
+
+    insert(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        sqliteDb.run(sql, params, function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        });
+      });
+    },
+
+    async columnExists(table, column) {
+      const rows = await adapter.all(`PRAGMA table_info(${table})`);
+      return rows.some((row) => row.name === column);
+    },
+
+    transaction(fn) {
+      const joined = { ...adapter, transaction: (nested) => nested(joined) };
+      const result = transactionQueue.then(async () => {
+        await adapter.run('BEGIN IMMEDIATE TRANSACTION');
+        try {
+          const value = await fn(joined);
+          await adapter.run('COMMIT');
+          return value;
+        } catch (error) {
+          await adapter.run('ROLLBACK').catch((rollbackErr) => {
+            console.error('Rollback error:', rollbackErr);
+          });
+          throw error;
+        }
+      });
+      transactionQueue = result.catch(() => {});
+      return result;
+    }
+  };
+
+  return adapter;
+}
+
+/**
+ * Adapter over a pg Pool (or a single checked-out client).
+ * Statements are written with ? placeholders and rewritten to $n here.
+ */
+function createPostgresAdapter(queryable) {
+  const toPositional = (sql) => {
+    let index = 0;
+    return sql.replace(/\?/g, () => `$${++index}`);
+  };
+
+  const buildAdapter = (target, transaction) => {
+    const adapter = {
+      dialect: 'postgres',
+
+      async all(sql, params = []) {
+        const result = await target.query(toPositional(sql), params);
+        return result.rows;
+      },
+
+      async get(sql, params = []) {
+        const result = await target.query(toPositional(sql), params);
+        return result.rows[0] || null;
+      },
+
+      async run(sql, params = []) {
+        const result = await target.query(toPositional(sql), params);
+        return { changes: result.rowCount };
+      },
+
+      async insert(sql, params = []) {
+        const result = await target.query(`${toPositional(sql)} RETURNING id`, params);
+        return result.rows[0].id;
+      },
+
+      async columnExists(table, column) {
+        const rows = await adapter.all(
+          `SELECT 1 FROM information_schema.columns
+           WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?`,
+          [table, column]
+        );
+        return rows.length > 0;
+      }
+    };
+    adapter.transaction = transaction || ((nested) => nested(adapter));
+    return adapter;
+  };
+
+  const ownsClient = typeof queryable.release === 'function';
+
+  return buildAdapter(queryable, async (fn) => {
+    const client = ownsClient ? queryable : await queryable.connect();
+    try {
+      await client.query('BEGIN');
+      try {
+        const value = await fn(buildAdapter(client));
+        await client.query('COMMIT');
+        return value;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      if (!ownsClient) {
+        client.release();
+      }
+    }
+  });
+}
+
+module.exports = {
+  createSqliteAdapter,
+  createPostgresAdapter
+};
@@ -0,0 +1,184 @@
+/**
+ * Baseline schema as it stood when versioned migrations were introduced.
+ * Tables are created with IF NOT EXISTS and the columns older databases were
+ * patched with are added only when missing, so existing SQLite and Postgres
+ * databases adopt this version without changes.
+ */
+
+const LEGACY_COLUMNS = [
+  ['user_profiles', 'height_cm', 'real'],
+  ['user_profiles', 'sex', 'text'],
+  ['user_profiles', 'age', 'integer'],
+  ['user_profiles', 'keto_adapted', { type: 'text', default: 'none' }],
+  ['user_profiles', 'tdee_override', 'real'],
+  ['user_profiles', 'time_zone', 'text'],
+  ['fasts', 'start_in_ketosis', { type: 'boolean', default: false }],
+  ['fasts', 'pre_fast_protein_grams', 'real'],
+  ['fasts', 'carb_status', { type: 'text', default: 'normal' }],
+  ['body_log_entries', 'time_zone', 'text']
+];
+
+async function up(schema) {
+  await schema.createTable('user_profiles', {
+    id: 'id',
+    session_id: { type: 'text', unique: true },
+    weight: 'real',
+    weight_unit: 'text',
+    body_fat: 'real',
+    target_body_fat: 'real',
+    activity_level: 'real',
+    goal_date: 'text',
+    forecast_data: 'text',
+    onboarded_at: 'timestamp',
+    hunger_coach_enabled: { type: 'boolean', default: true },
+    custom_mealtimes: 'text',
+    last_hunger_notification: 'timestamp',
+    avg_meal_cost: { type: 'real', default: 10 },
+    avg_meal_duration: { type: 'integer', default: 30 },
+    benefits_enabled: { type: 'boolean', default: true },
+    benefits_onboarded: { type: 'boolean', default: false },
+    height_cm: 'real',
+    sex: 'text',
+    age: 'integer',
+    keto_adapted: { type: 'text', default: 'none' },
+    tdee_override: 'real',
+    time_zone: 'text',
+    created_at: { type: 'timestamp', default: 'now' },
+    updated_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.createTable('fasts', {
+    id: 'id',
+    start_time: { type: 'timestamp', notNull: true },
+    end_time: 'timestamp',
+    duration_hours: 'real',
+    notes: 'text',
+    weight: 'real',
+    photos: 'text',
+    is_manual: { type: 'boolean', default: false },
+    is_active: { type: 'boolean', default: false },
+    user_profile_id: { type: 'integer', references: 'user_profiles (id)' },
+    source: { type: 'text', default: 'manual' },
+    planned_instance_id: 'text',
+    planned_duration_hours: 'real',
+    start_in_ketosis: { type: 'boolean', default: false },
+    pre_fast_protein_grams: 'real',
+    carb_status: { type: 'text', default: 'normal' },
+    created_at: { type: 'timestamp', default: 'now' },
+    updated_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.createTable('milestones', {
+    id: 'id',
+    fast_id: { type: 'integer', notNull: true, references: 'fasts (id)', onDelete: 'CASCADE' },
+    milestone_type: { type: 'VARCHAR(20)', notNull: true },
+    achieved_at: { type: 'timestamp', notNull: true },
+    hours_elapsed: { type: 'real', notNull: true },
+    created_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.createTable('schedules', {
+    id: 'id',
+    user_profile_id: { type: 'integer', notNull: true, references: 'user_profiles (id)' },
+    week_anchor: { type: 'integer', default: 1 },
+    is_paused: { type: 'boolean', default: false },
+    created_at: { type: 'timestamp', default: 'now' },
+    updated_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.createTable('schedule_drafts', {
+    id: 'id',
+    user_profile_id: { type: 'integer', notNull: true, unique: true, references: 'user_profiles (id)', onDelete: 'CASCADE' },
+    payload: { type: 'text', notNull: true },
+    created_at: { type: 'timestamp', default: 'now' },
+    updated_at: { type: 'timestamp', default: 'now' },
+    dismissed_at: 'timestamp'
+  });
+
+  await schema.createTable('fasting_blocks', {
+    id: 'id',
+    schedule_id: { type: 'integer', notNull: true, references: 'schedules (id)', onDelete: 'CASCADE' },
+    name: 'text',
+    start_dow: { type: 'integer', notNull: true },
+    start_time: { type: 'text', notNull: true },
+    end_dow: { type: 'integer', notNull: true },
+    end_time: { type: 'text', notNull: true },
+    tz_mode: { type: 'text', default: 'local' },
+    anchor_tz: 'text',
+    notifications: 'text',
+    is_active: { type: 'boolean', default: true },
+    created_at: { type: 'timestamp', default: 'now' },
+    updated_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.createTable('overrides', {
+    id: 'id',
+    block_id: { type: 'integer', notNull: true, references: 'fasting_blocks (id)', onDelete: 'CASCADE' },
+    occurrence_date: { type: 'text', notNull: true },
+    type: { type: 'text', notNull: true },
+    payload: 'text',
+    reason: 'text',
+    created_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.createTable('planned_instances', {
+    id: 'id',
+    block_id: { type: 'integer', notNull: true, references: 'fasting_blocks (id)', onDelete: 'CASCADE' },
+    start_at_utc: { type: 'timestamp', notNull: true },
+    end_at_utc: { type: 'timestamp', notNull: true },
+    occurrence_date: { type: 'text', notNull: true },
+    status: { type: 'text', default: 'upcoming' },
+    created_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.createTable('body_log_entries', {
+    id: 'id',
+    user_profile_id: { type: 'integer', notNull: true, references: 'user_profiles (id)', onDelete: 'CASCADE' },
+    fast_id: { type: 'integer', references: 'fasts (id)', onDelete: 'SET NULL' },
+    logged_at: { type: 'timestamp', notNull: true },
+    local_date: { type: 'text', notNull: true },
+    timezone_offset_minutes: 'integer',
+    time_zone: 'text',
+    weight: { type: 'real', notNull: true },
+    body_fat: 'real',
+    entry_tag: { type: 'text', default: 'ad_hoc' },
+    source: { type: 'text', default: 'manual' },
+    notes: 'text',
+    is_canonical: { type: 'boolean', default: false },
+    canonical_status: { type: 'text', default: 'auto' },
+    canonical_reason: 'text',
+    canonical_override_at: 'timestamp',
+    created_at: { type: 'timestamp', default: 'now' },
+    updated_at: { type: 'timestamp', default: 'now' }
+  });
+
+  for (const [table, column, spec] of LEGACY_COLUMNS) {
+    await schema.addColumn(table, column, spec);
+  }
+
+  await schema.createIndex('idx_body_log_user_date', 'body_log_entries', ['user_profile_id', 'local_date', 'logged_at DESC']);
+  await schema.createIndex('idx_body_log_fast', 'body_log_entries', ['fast_id']);
+  await schema.createIndex('idx_body_log_canonical_per_day', 'body_log_entries', ['user_profile_id', 'local_date'], {
+    unique: true,
+    where: 'is_canonical = TRUE'
+  });
+}
+
+async function down(schema) {
+  const tables = [
+    'body_log_entries',
+    'planned_instances',
+    'overrides',
+    'fasting_blocks',
+    'schedule_drafts',
+    'schedules',
+    'milestones',
+    'fasts',
+    'user_profiles'
+  ];
+  for (const table of tables) {
+    await schema.dropTable(table);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+/**
+ * Email/password accounts, their login sessions, and the profile link to an account.
+ */
+
+async function up(schema) {
+  await schema.createTable('accounts', {
+    id: 'id',
+    email: { type: 'text', notNull: true, unique: true },
+    password_hash: { type: 'text', notNull: true },
+    created_at: { type: 'timestamp', default: 'now' },
+    updated_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.createTable('auth_sessions', {
+    id: 'id',
+    account_id: { type: 'integer', notNull: true, references: 'accounts (id)', onDelete: 'CASCADE' },
+    token_hash: { type: 'text', notNull: true, unique: true },
+    user_agent: 'text',
+    expires_at: { type: 'timestamp', notNull: true },
+    created_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.addColumn('user_profiles', 'account_id', { type: 'integer', references: 'accounts (id)' });
+}
+
+async function down(schema) {
+  await schema.dropColumn('user_profiles', 'account_id');
+  await schema.dropTable('auth_sessions');
+  await schema.dropTable('accounts');
+}
+
+module.exports = { up, down };
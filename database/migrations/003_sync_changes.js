@@ -0,0 +1,25 @@
+/**
+ * Append-only change feed for multi-device sync.
+ * The row id doubles as the sync version clients pass back as ?since=.
+ */
+
+async function up(schema) {
+  await schema.createTable('sync_changes', {
+    id: 'id',
+    user_profile_id: { type: 'integer', notNull: true, references: 'user_profiles (id)', onDelete: 'CASCADE' },
+    entity_type: { type: 'text', notNull: true },
+    entity_id: 'integer',
+    operation: { type: 'text', notNull: true },
+    fields: 'text',
+    created_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.createIndex('idx_sync_changes_profile', 'sync_changes', ['user_profile_id', 'id']);
+}
+
+async function down(schema) {
+  await schema.dropIndex('idx_sync_changes_profile');
+  await schema.dropTable('sync_changes');
+}
+
+module.exports = { up, down };
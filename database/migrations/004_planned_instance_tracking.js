@@ -0,0 +1,23 @@
+/**
+ * Materialized schedule instances: one row per block occurrence, linked to the
+ * fast that fulfilled it, plus how far ahead each schedule has been rolled.
+ */
+
+async function up(schema) {
+  await schema.addColumn('planned_instances', 'fast_id', { type: 'integer', references: 'fasts (id)' });
+  await schema.addColumn('planned_instances', 'updated_at', 'timestamp');
+  await schema.addColumn('schedules', 'materialized_through', 'timestamp');
+
+  await schema.createIndex('idx_planned_instances_occurrence', 'planned_instances', ['block_id', 'occurrence_date'], { unique: true });
+  await schema.createIndex('idx_planned_instances_start', 'planned_instances', ['block_id', 'start_at_utc']);
+}
+
+async function down(schema) {
+  await schema.dropIndex('idx_planned_instances_start');
+  await schema.dropIndex('idx_planned_instances_occurrence');
+  await schema.dropColumn('schedules', 'materialized_through');
+  await schema.dropColumn('planned_instances', 'updated_at');
+  await schema.dropColumn('planned_instances', 'fast_id');
+}
+
+module.exports = { up, down };
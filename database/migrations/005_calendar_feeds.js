@@ -0,0 +1,20 @@
+/**
+ * Secret-token subscriptions to a profile's schedule as an iCalendar feed.
+ * Only a hash of the token is stored; rotating or revoking replaces the row.
+ */
+
+async function up(schema) {
+  await schema.createTable('calendar_feeds', {
+    id: 'id',
+    user_profile_id: { type: 'integer', notNull: true, unique: true, references: 'user_profiles (id)', onDelete: 'CASCADE' },
+    token_hash: { type: 'text', notNull: true, unique: true },
+    last_accessed_at: 'timestamp',
+    created_at: { type: 'timestamp', default: 'now' }
+  });
+}
+
+async function down(schema) {
+  await schema.dropTable('calendar_feeds');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+/**
+ * Web Push delivery: browser subscriptions per profile, a log of sent
+ * notifications so each reminder goes out once, and the server's VAPID key
+ * pair when it is not supplied through the environment.
+ */
+
+async function up(schema) {
+  await schema.createTable('push_subscriptions', {
+    id: 'id',
+    user_profile_id: { type: 'integer', notNull: true, references: 'user_profiles (id)', onDelete: 'CASCADE' },
+    endpoint: { type: 'text', notNull: true, unique: true },
+    p256dh: { type: 'text', notNull: true },
+    auth: { type: 'text', notNull: true },
+    user_agent: 'text',
+    failure_count: { type: 'integer', default: 0 },
+    last_success_at: 'timestamp',
+    created_at: { type: 'timestamp', default: 'now' },
+    updated_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.createTable('push_deliveries', {
+    id: 'id',
+    user_profile_id: { type: 'integer', notNull: true, references: 'user_profiles (id)', onDelete: 'CASCADE' },
+    dedupe_key: { type: 'text', notNull: true, unique: true },
+    kind: { type: 'text', notNull: true },
+    created_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.createTable('vapid_keys', {
+    id: 'id',
+    public_key: { type: 'text', notNull: true },
+    private_key: { type: 'text', notNull: true },
+    created_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.createIndex('idx_push_subscriptions_profile', 'push_subscriptions', ['user_profile_id']);
+}
+
+async function down(schema) {
+  await schema.dropIndex('idx_push_subscriptions_profile');
+  await schema.dropTable('vapid_keys');
+  await schema.dropTable('push_deliveries');
+  await schema.dropTable('push_subscriptions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+/**
+ * Profile-level quiet hours: JSON list of { start, end, days } windows in the
+ * profile's time zone, honoured by every notification path.
+ */
+
+async function up(schema) {
+  await schema.addColumn('user_profiles', 'quiet_hours', 'text');
+}
+
+async function down(schema) {
+  await schema.dropColumn('user_profiles', 'quiet_hours');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+/**
+ * Idempotency-Key records for retried writes: the first response to each
+ * key is stored so a repeat of the same request gets it back unchanged.
+ */
+
+async function up(schema) {
+  await schema.createTable('idempotency_keys', {
+    id: 'id',
+    user_profile_id: { type: 'integer', notNull: true, references: 'user_profiles (id)', onDelete: 'CASCADE' },
+    idempotency_key: { type: 'text', notNull: true },
+    request_method: { type: 'text', notNull: true },
+    request_path: { type: 'text', notNull: true },
+    request_hash: { type: 'text', notNull: true },
+    response_status: 'integer',
+    response_body: 'text',
+    created_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.createIndex('idx_idempotency_keys_profile_key', 'idempotency_keys', ['user_profile_id', 'idempotency_key'], { unique: true });
+  await schema.createIndex('idx_idempotency_keys_created', 'idempotency_keys', ['created_at']);
+}
+
+async function down(schema) {
+  await schema.dropIndex('idx_idempotency_keys_created');
+  await schema.dropIndex('idx_idempotency_keys_profile_key');
+  await schema.dropTable('idempotency_keys');
+}
+
+module.exports = { up, down };
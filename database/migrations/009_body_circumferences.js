@@ -0,0 +1,20 @@
+/**
+ * Optional tape-measure circumferences on body log entries, in centimetres,
+ * so body fat can be estimated for people without a bioimpedance scale.
+ */
+
+const COLUMNS = ['neck_cm', 'waist_cm', 'hip_cm'];
+
+async function up(schema) {
+  for (const column of COLUMNS) {
+    await schema.addColumn('body_log_entries', column, 'real');
+  }
+}
+
+async function down(schema) {
+  for (const column of COLUMNS) {
+    await schema.dropColumn('body_log_entries', column);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+/**
+ * Chest and upper-arm circumferences alongside the neck, waist and hip
+ * columns, completing the body log's tape measurements (centimetres).
+ */
+
+const COLUMNS = ['chest_cm', 'arm_cm'];
+
+async function up(schema) {
+  for (const column of COLUMNS) {
+    await schema.addColumn('body_log_entries', column, 'real');
+  }
+}
+
+async function down(schema) {
+  for (const column of COLUMNS) {
+    await schema.dropColumn('body_log_entries', column);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+/**
+ * Progress photos. The image files live in photo storage (services/PhotoStorage.js);
+ * rows hold the storage keys and can be attached to a fast or a body log entry.
+ */
+
+async function up(schema) {
+  await schema.createTable('progress_photos', {
+    id: 'id',
+    user_profile_id: { type: 'integer', notNull: true, references: 'user_profiles (id)', onDelete: 'CASCADE' },
+    fast_id: { type: 'integer', references: 'fasts (id)', onDelete: 'SET NULL' },
+    body_log_entry_id: { type: 'integer', references: 'body_log_entries (id)', onDelete: 'SET NULL' },
+    storage_key: { type: 'text', notNull: true },
+    thumbnail_key: { type: 'text', notNull: true },
+    content_type: { type: 'text', notNull: true },
+    width: 'integer',
+    height: 'integer',
+    byte_size: 'integer',
+    caption: 'text',
+    taken_at: { type: 'timestamp', notNull: true },
+    created_at: { type: 'timestamp', default: 'now' },
+    updated_at: { type: 'timestamp', default: 'now' }
+  });
+
+  await schema.createIndex('idx_progress_photos_profile_taken', 'progress_photos', ['user_profile_id', 'taken_at']);
+}
+
+async function down(schema) {
+  await schema.dropIndex('idx_progress_photos_profile_taken');
+  await schema.dropTable('progress_photos');
+}
+
+module.exports = { up, down };
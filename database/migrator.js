@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const SchemaBuilder = require('./schema-builder');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+
+/**
+ * Loads numbered migration files (e.g. 004_add_goal_weight.js) in version order.
+ * Each file exports async up(schema) and down(schema) functions that receive a SchemaBuilder.
+ */
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(directory)
+    .map((file) => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const definition = require(path.join(directory, file));
+      if (typeof definition.up !== 'function' || typeof definition.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+      return {
+        version: Number(match[1]),
+        name: match[2],
+        up: definition.up,
+        down: definition.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Applies and rolls back versioned migrations, recording each applied version in schema_migrations.
+ * Every migration runs in its own transaction together with its schema_migrations row.
+ * Works over either adapter from ./adapters.
+ */
+class Migrator {
+  constructor(adapter, options = {}) {
+    this.adapter = adapter;
+    this.migrations = options.migrations || loadMigrations(options.directory);
+    this.logger = options.logger || console;
+    this.migrationsTableReady = false;
+  }
+
+  async ensureMigrationsTable() {
+    if (this.migrationsTableReady) {
+      return;
+    }
+    const schema = new SchemaBuilder(this.adapter);
+    await schema.createTable('schema_migrations', {
+      version: { type: 'integer', notNull: true, unique: true },
+      name: { type: 'text', notNull: true },
+      applied_at: { type: 'timestamp', default: 'now' }
+    });
+    this.migrationsTableReady = true;
+  }
+
+  async getAppliedVersions() {
+    await this.ensureMigrationsTable();
+    const rows = await this.adapter.all('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map((row) => Number(row.version));
+  }
+
+  async status() {
+    await this.ensureMigrationsTable();
+    const rows = await this.adapter.all('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(rows.map((row) => [Number(row.version), row.applied_at]));
+
+    return this.migrations.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      applied: appliedAt.has(migration.version),
+      appliedAt: appliedAt.get(migration.version) || null
+    }));
+  }
+
+  /**
+   * Applies pending migrations in order, up to and including `to` when given.
+   * Returns the migrations that were applied.
+   */
+  async up(options = {}) {
+    const applied = new Set(await this.getAppliedVersions());
+    const target = options.to === undefined || options.to === null ? Infinity : Number(options.to);
+    const pending = this.migrations.filter((migration) => !applied.has(migration.version) && migration.version <= target);
+
+    for (const migration of pending) {
+      await this.adapter.transaction(async (tx) => {
+        await migration.up(new SchemaBuilder(tx));
+        await tx.run(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      });
+      this.logger.log(`Applied migration ${this.label(migration)}`);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Rolls back the most recent `steps` applied migrations, newest first.
+   */
+  async down(options = {}) {
+    const steps = options.steps === undefined ? 1 : Number(options.steps);
+    const applied = new Set(await this.getAppliedVersions());
+    const targets = this.migrations
+      .filter((migration) => applied.has(migration.version))
+      .reverse()
+      .slice(0, Math.max(0, steps));
+
+    for (const migration of targets) {
+      await this.adapter.transaction(async (tx) => {
+        await migration.down(new SchemaBuilder(tx));
+        await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      });
+      this.logger.log(`Rolled back migration ${this.label(migration)}`);
+    }
+
+    return targets;
+  }
+
+  label(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+  }
+}
+
+module.exports = Migrator;
+module.exports.loadMigrations = loadMigrations;
@@ -0,0 +1,1432 @@
+const Migrator = require('./migrator');
+
+// Stored as 0/1 by SQLite and as booleans by Postgres; reads always return booleans
+const BOOLEAN_COLUMNS = [
+  'is_manual',
+  'is_active',
+  'is_paused',
+  'hunger_coach_enabled',
+  'benefits_enabled',
+  'benefits_onboarded',
+  'start_in_ketosis',
+  'is_canonical'
+];
+
+// Planned instances carry their block's name and schedule so callers need no second lookup
+const PLANNED_INSTANCE_SELECT = `
+  SELECT planned_instances.*, fasting_blocks.name AS block_name, fasting_blocks.schedule_id
+  FROM planned_instances
+  JOIN fasting_blocks ON fasting_blocks.id = planned_instances.block_id
+`;
+
+/**
+ * Backend-agnostic data access. Every query and every piece of business logic
+ * lives here exactly once; database/db.js and database/pg-db.js only open a
+ * connection and hand this class an adapter from ./adapters.
+ * SQL is written with ? placeholders and must run unchanged on SQLite and Postgres.
+ */
+class Repository {
+  constructor(adapter = null) {
+    this.adapter = adapter;
+  }
+
+  createMigrator(options = {}) {
+    return new Migrator(this.adapter, options);
+  }
+
+  /**
+   * Runs fn with a copy of this repository bound to one transaction, so a
+   * multi-step write commits or rolls back as a whole.
+   */
+  async withTransaction(fn) {
+    return this.adapter.transaction((tx) => {
+      const bound = Object.assign(Object.create(Object.getPrototypeOf(this)), this, { adapter: tx });
+      return fn(bound);
+    });
+  }
+
+  /**
+   * Applies pending migrations from database/migrations (see database/migrator.js).
+   */
+  async runMigrations() {
+    const applied = await this.createMigrator().up();
+    console.log(applied.length > 0
+      ? `Applied ${applied.length} migration(s)`
+      : 'Database schema is up to date');
+    console.log('Database initialized successfully');
+  }
+
+  async getFasts(limit = 50, offset = 0) {
+    const query = `
+      SELECT * FROM fasts
+      ORDER BY start_time DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    return this._all(query, [limit, offset]);
+  }
+
+  async getFastsWithWeights() {
+    const query = `
+      SELECT * FROM fasts
+      WHERE user_profile_id IS NOT NULL
+        AND weight IS NOT NULL
+      ORDER BY start_time ASC
+    `;
+
+    return this._all(query);
+  }
+
+  async getOrphanedFasts(limit = 50, offset = 0) {
+    const query = `
+      SELECT * FROM fasts
+      WHERE user_profile_id IS NULL
+      ORDER BY start_time DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    return this._all(query, [limit, offset]);
+  }
+
+  async getFastsByUserProfile(userProfileId, limit = 50, offset = 0) {
+    const query = `
+      SELECT * FROM fasts
+      WHERE user_profile_id = ?
+      ORDER BY start_time DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    return this._all(query, [userProfileId, limit, offset]);
+  }
+
+  async getAllFastsByUserProfile(userProfileId) {
+    const query = `
+      SELECT * FROM fasts
+      WHERE user_profile_id = ?
+      ORDER BY start_time ASC
+    `;
+
+    return this._all(query, [userProfileId]);
+  }
+
+  async getFastsByUserAndDateRange(userProfileId, startIso, endIso) {
+    const query = `
+      SELECT * FROM fasts
+      WHERE user_profile_id = ?
+        AND (
+          (start_time BETWEEN ? AND ?)
+          OR (end_time IS NOT NULL AND end_time BETWEEN ? AND ?)
+          OR (start_time <= ? AND (end_time IS NULL OR end_time >= ?))
+        )
+      ORDER BY start_time ASC
+    `;
+
+    return this._all(query, [userProfileId, startIso, endIso, startIso, endIso, startIso, endIso]);
+  }
+
+  async getFastById(id) {
+    return this._get('SELECT * FROM fasts WHERE id = ?', [id]);
+  }
+
+  async createFast(fastData) {
+    const {
+      start_time,
+      end_time = null,
+      notes = null,
+      weight = null,
+      photos = null,
+      is_manual = false,
+      is_active = false,
+      user_profile_id = null,
+      source = 'manual',
+      planned_instance_id = null,
+      planned_duration_hours = null,
+      start_in_ketosis = false,
+      pre_fast_protein_grams = null,
+      carb_status = 'normal'
+    } = fastData;
+
+    const query = `
+      INSERT INTO fasts (start_time, end_time, notes, weight, photos, is_manual, is_active, user_profile_id, source, planned_instance_id, planned_duration_hours, start_in_ketosis, pre_fast_protein_grams, carb_status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const id = await this.adapter.insert(query, [
+      start_time, end_time, notes, weight, photos, is_manual, is_active,
+      user_profile_id, source, planned_instance_id, planned_duration_hours,
+      start_in_ketosis, pre_fast_protein_grams, carb_status
+    ]);
+    return this.getFastById(id);
+  }
+
+  // Convenience method for server compatibility
+  async createFastEntry(fastData) {
+    return this.createFast(fastData);
+  }
+
+  async updateFast(id, fastData) {
+    return this._update('fasts', 'id', id, fastData);
+  }
+
+  async deleteFast(id) {
+    await this.adapter.run('UPDATE progress_photos SET fast_id = NULL WHERE fast_id = ?', [id]);
+    const { changes } = await this.adapter.run('DELETE FROM fasts WHERE id = ?', [id]);
+    return { deleted: changes > 0 };
+  }
+
+  async endFast(id, endTime) {
+    const fast = await this.getFastById(id);
+    if (!fast) {
+      throw new Error('Fast not found');
+    }
+
+    const startTime = new Date(fast.start_time);
+    const end = new Date(endTime);
+    const durationHours = (end - startTime) / (1000 * 60 * 60);
+
+    await this.updateFast(id, {
+      end_time: endTime,
+      duration_hours: durationHours,
+      is_active: false
+    });
+    return this.getFastById(id);
+  }
+
+  async getFastEndingNearTimestamp(user_profile_id, timestampIso, windowMinutes = 120) {
+    if (!timestampIso) {
+      throw new Error('timestampIso is required to query fast end proximity');
+    }
+
+    const ts = new Date(timestampIso);
+    if (Number.isNaN(ts.getTime())) {
+      throw new Error('Invalid timestampIso provided');
+    }
+
+    const windowStart = new Date(ts.getTime() - windowMinutes * 60 * 1000).toISOString();
+
+    const query = `
+      SELECT * FROM fasts
+      WHERE user_profile_id = ?
+        AND end_time IS NOT NULL
+        AND end_time <= ?
+        AND end_time >= ?
+      ORDER BY end_time DESC
+      LIMIT 1
+    `;
+
+    return this._get(query, [user_profile_id, timestampIso, windowStart]);
+  }
+
+  // Body Log CRUD methods
+  async createBodyLogEntry(entryData) {
+    const {
+      user_profile_id,
+      fast_id = null,
+      logged_at,
+      local_date,
+      timezone_offset_minutes = null,
+      time_zone = null,
+      weight,
+      body_fat = null,
+      neck_cm = null,
+      waist_cm = null,
+      hip_cm = null,
+      chest_cm = null,
+      arm_cm = null,
+      entry_tag = 'ad_hoc',
+      source = 'manual',
+      notes = null,
+      is_canonical = false,
+      canonical_status = 'auto',
+      canonical_reason = null,
+      canonical_override_at = null
+    } = entryData;
+
+    if (!user_profile_id || !logged_at || !local_date || weight === undefined || weight === null) {
+      throw new Error('Missing required fields for body log entry');
+    }
+
+    const overrideTimestamp = is_canonical && canonical_status === 'manual'
+      ? (canonical_override_at || new Date().toISOString())
+      : null;
+
+    const query = `
+      INSERT INTO body_log_entries (
+        user_profile_id,
+        fast_id,
+        logged_at,
+        local_date,
+        timezone_offset_minutes,
+        time_zone,
+        weight,
+        body_fat,
+        neck_cm,
+        waist_cm,
+        hip_cm,
+        chest_cm,
+        arm_cm,
+        entry_tag,
+        source,
+        notes,
+        is_canonical,
+        canonical_status,
+        canonical_reason,
+        canonical_override_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const id = await this.adapter.insert(query, [
+      user_profile_id,
+      fast_id,
+      logged_at,
+      local_date,
+      timezone_offset_minutes,
+      time_zone,
+      weight,
+      body_fat,
+      neck_cm,
+      waist_cm,
+      hip_cm,
+      chest_cm,
+      arm_cm,
+      entry_tag,
+      source,
+      notes,
+      !!is_canonical,
+      canonical_status,
+      canonical_reason,
+      overrideTimestamp
+    ]);
+    return this.getBodyLogEntryById(id);
+  }
+
+  async getBodyLogEntryById(id) {
+    return this._get('SELECT * FROM body_log_entries WHERE id = ?', [id]);
+  }
+
+  async getBodyLogEntriesByUser(user_profile_id, options = {}) {
+    const {
+      startDate,
+      endDate,
+      limit,
+      offset = 0,
+      includeSecondary = true
+    } = options;
+
+    const conditions = ['user_profile_id = ?'];
+    const params = [user_profile_id];
+
+    if (startDate) {
+      conditions.push('local_date >= ?');
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      conditions.push('local_date <= ?');
+      params.push(endDate);
+    }
+
+    if (!includeSecondary) {
+      conditions.push('is_canonical = TRUE');
+    }
+
+    let query = `
+      SELECT * FROM body_log_entries
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY logged_at DESC
+    `;
+
+    if (limit) {
+      query += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+    }
+
+    return this._all(query, params);
+  }
+
+  async getBodyLogUserIds() {
+    const rows = await this.adapter.all('SELECT DISTINCT user_profile_id FROM body_log_entries');
+    return rows.map((row) => Number(row.user_profile_id)).filter((id) => !Number.isNaN(id));
+  }
+
+  async getBodyLogEntriesForDate(user_profile_id, localDate) {
+    const query = `
+      SELECT * FROM body_log_entries
+      WHERE user_profile_id = ? AND local_date = ?
+      ORDER BY logged_at ASC
+    `;
+
+    return this._all(query, [user_profile_id, localDate]);
+  }
+
+  async updateBodyLogEntry(id, updateData) {
+    return this._update('body_log_entries', 'id', id, updateData, {
+      transform: (key, value) => (key === 'is_canonical' ? !!value : value)
+    });
+  }
+
+  async deleteBodyLogEntry(id) {
+    await this.adapter.run('UPDATE progress_photos SET body_log_entry_id = NULL WHERE body_log_entry_id = ?', [id]);
+    const { changes } = await this.adapter.run('DELETE FROM body_log_entries WHERE id = ?', [id]);
+    return { deleted: changes > 0 };
+  }
+
+  async clearCanonicalForDate(user_profile_id, localDate, excludeEntryId = null) {
+    const params = [user_profile_id, localDate];
+    let query = `
+      UPDATE body_log_entries
+      SET is_canonical = FALSE,
+          canonical_reason = NULL,
+          canonical_override_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_profile_id = ? AND local_date = ? AND is_canonical = TRUE
+    `;
+
+    if (excludeEntryId) {
+      query += ' AND id <> ?';
+      params.push(excludeEntryId);
+    }
+
+    const { changes } = await this.adapter.run(query, params);
+    return { changes };
+  }
+
+  async markCanonicalEntry(entryId, options = {}) {
+    const entry = await this.getBodyLogEntryById(entryId);
+    if (!entry) {
+      throw new Error('Body log entry not found');
+    }
+
+    const {
+      canonicalStatus = 'auto',
+      canonicalReason = entry.entry_tag,
+      overrideAt = canonicalStatus === 'manual' ? new Date().toISOString() : null
+    } = options;
+
+    // Clear-then-set in one transaction so the one-canonical-per-day index never sees two
+    await this.adapter.transaction(async (tx) => {
+      await tx.run(
+        `UPDATE body_log_entries
+         SET is_canonical = FALSE,
+             canonical_reason = NULL,
+             canonical_override_at = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE user_profile_id = ? AND local_date = ? AND id <> ?`,
+        [entry.user_profile_id, entry.local_date, entryId]
+      );
+
+      await tx.run(
+        `UPDATE body_log_entries
+         SET is_canonical = TRUE,
+             canonical_status = ?,
+             canonical_reason = ?,
+             canonical_override_at = ?,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [canonicalStatus, canonicalReason, overrideAt, entryId]
+      );
+    });
+
+    return this.getBodyLogEntryById(entryId);
+  }
+
+  async getCanonicalEntryForDate(user_profile_id, localDate) {
+    const query = `
+      SELECT * FROM body_log_entries
+      WHERE user_profile_id = ? AND local_date = ? AND is_canonical = TRUE
+      LIMIT 1
+    `;
+
+    return this._get(query, [user_profile_id, localDate]);
+  }
+
+  async getCanonicalEntriesByRange(user_profile_id, startDate, endDate) {
+    const conditions = ['user_profile_id = ?', 'is_canonical = TRUE'];
+    const params = [user_profile_id];
+
+    if (startDate) {
+      conditions.push('local_date >= ?');
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      conditions.push('local_date <= ?');
+      params.push(endDate);
+    }
+
+    const query = `
+      SELECT * FROM body_log_entries
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY local_date ASC
+    `;
+
+    return this._all(query, params);
+  }
+
+  async getBodyLogEntriesByFastId(fast_id) {
+    const query = `
+      SELECT * FROM body_log_entries
+      WHERE fast_id = ?
+      ORDER BY logged_at ASC
+    `;
+
+    return this._all(query, [fast_id]);
+  }
+
+  async getActiveFast() {
+    return this._get('SELECT * FROM fasts WHERE is_active = TRUE ORDER BY start_time DESC LIMIT 1');
+  }
+
+  async getActiveFastByUserId(userId) {
+    return this._get(
+      'SELECT * FROM fasts WHERE is_active = TRUE AND user_profile_id = ? ORDER BY start_time DESC LIMIT 1',
+      [userId]
+    );
+  }
+
+  async createMilestone(milestoneData) {
+    const { fast_id, milestone_type, achieved_at, hours_elapsed } = milestoneData;
+
+    const query = `
+      INSERT INTO milestones (fast_id, milestone_type, achieved_at, hours_elapsed)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    const id = await this.adapter.insert(query, [fast_id, milestone_type, achieved_at, hours_elapsed]);
+    return this._get('SELECT * FROM milestones WHERE id = ?', [id]);
+  }
+
+  async getFastMilestones(fastId) {
+    return this._all('SELECT * FROM milestones WHERE fast_id = ? ORDER BY hours_elapsed ASC', [fastId]);
+  }
+
+  async createUserProfile(profileData) {
+    const {
+      session_id,
+      weight = null,
+      weight_unit = null,
+      body_fat = null,
+      target_body_fat = null,
+      activity_level = null,
+      goal_date = null,
+      forecast_data = null,
+      time_zone = null,
+      hunger_coach_enabled = true,
+      custom_mealtimes = null,
+      benefits_enabled = true,
+      benefits_onboarded = false,
+      height_cm = null,
+      sex = null,
+      age = null,
+      keto_adapted = 'none',
+      tdee_override = null,
+      avg_meal_cost = 10.00,
+      avg_meal_duration = 30
+    } = profileData;
+
+    const query = `
+      INSERT INTO user_profiles (session_id, weight, weight_unit, body_fat, target_body_fat, activity_level, goal_date, forecast_data, time_zone, hunger_coach_enabled, custom_mealtimes, benefits_enabled, benefits_onboarded, height_cm, sex, age, keto_adapted, tdee_override, avg_meal_cost, avg_meal_duration)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const id = await this.adapter.insert(query, [
+      session_id, weight, weight_unit, body_fat, target_body_fat, activity_level,
+      goal_date, forecast_data, time_zone, hunger_coach_enabled, custom_mealtimes,
+      benefits_enabled, benefits_onboarded, height_cm, sex, age, keto_adapted,
+      tdee_override, avg_meal_cost, avg_meal_duration
+    ]);
+    return this.getUserProfileById(id);
+  }
+
+  async getUserProfileBySessionId(sessionId) {
+    return this._get('SELECT * FROM user_profiles WHERE session_id = ?', [sessionId]);
+  }
+
+  async getUserProfileById(id) {
+    return this._get('SELECT * FROM user_profiles WHERE id = ?', [id]);
+  }
+
+  async listUserProfiles() {
+    return this._all('SELECT id, session_id, created_at, updated_at, onboarded_at FROM user_profiles ORDER BY created_at DESC');
+  }
+
+  async updateUserProfile(sessionId, updateData) {
+    return this._update('user_profiles', 'session_id', sessionId, updateData);
+  }
+
+  async markUserOnboarded(sessionId) {
+    const { changes } = await this.adapter.run(
+      'UPDATE user_profiles SET onboarded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE session_id = ?',
+      [sessionId]
+    );
+    return { session_id: sessionId, changes };
+  }
+
+  async getUserProfileByAccountId(accountId) {
+    return this._get('SELECT * FROM user_profiles WHERE account_id = ? ORDER BY id ASC LIMIT 1', [accountId]);
+  }
+
+  // Only unclaimed profiles can be attached, so one account can never take over another's data
+  async attachUserProfileToAccount(profileId, accountId) {
+    const query = `
+      UPDATE user_profiles
+      SET account_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND account_id IS NULL
+    `;
+
+    const { changes } = await this.adapter.run(query, [accountId, profileId]);
+    return { id: profileId, changes };
+  }
+
+  // Account and auth session methods
+  async createAccount(accountData) {
+    const { email, password_hash } = accountData;
+    const id = await this.adapter.insert('INSERT INTO accounts (email, password_hash) VALUES (?, ?)', [email, password_hash]);
+    return { id, email };
+  }
+
+  async getAccountByEmail(email) {
+    return this._get('SELECT * FROM accounts WHERE email = ?', [email]);
+  }
+
+  async getAccountById(id) {
+    return this._get('SELECT * FROM accounts WHERE id = ?', [id]);
+  }
+
+  async createAuthSession(sessionData) {
+    const { account_id, token_hash, user_agent = null, expires_at } = sessionData;
+    const query = `
+      INSERT INTO auth_sessions (account_id, token_hash, user_agent, expires_at)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    const id = await this.adapter.insert(query, [account_id, token_hash, user_agent, expires_at]);
+    return this._get('SELECT * FROM auth_sessions WHERE id = ?', [id]);
+  }
+
+  async getAuthSessionByTokenHash(tokenHash) {
+    return this._get('SELECT * FROM auth_sessions WHERE token_hash = ?', [tokenHash]);
+  }
+
+  async deleteAuthSession(tokenHash) {
+    const { changes } = await this.adapter.run('DELETE FROM auth_sessions WHERE token_hash = ?', [tokenHash]);
+    return { deleted: changes > 0 };
+  }
+
+  // Calendar feed tokens: one per profile, rotating replaces the stored hash
+  async upsertCalendarFeed(userProfileId, tokenHash) {
+    const query = `
+      INSERT INTO calendar_feeds (user_profile_id, token_hash)
+      VALUES (?, ?)
+      ON CONFLICT (user_profile_id) DO UPDATE SET
+        token_hash = excluded.token_hash,
+        last_accessed_at = NULL,
+        created_at = CURRENT_TIMESTAMP
+    `;
+
+    await this.adapter.run(query, [userProfileId, tokenHash]);
+    return this.getCalendarFeedByUserProfile(userProfileId);
+  }
+
+  async getCalendarFeedByUserProfile(userProfileId) {
+    return this._get('SELECT * FROM calendar_feeds WHERE user_profile_id = ?', [userProfileId]);
+  }
+
+  async getCalendarFeedByTokenHash(tokenHash) {
+    return this._get('SELECT * FROM calendar_feeds WHERE token_hash = ?', [tokenHash]);
+  }
+
+  async markCalendarFeedAccessed(feedId) {
+    const { changes } = await this.adapter.run(
+      'UPDATE calendar_feeds SET last_accessed_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [feedId]
+    );
+    return { id: feedId, changes };
+  }
+
+  async deleteCalendarFeed(userProfileId) {
+    const { changes } = await this.adapter.run('DELETE FROM calendar_feeds WHERE user_profile_id = ?', [userProfileId]);
+    return { deleted: changes > 0 };
+  }
+
+  // Web Push subscriptions: an endpoint belongs to one browser, so re-subscribing moves it to the new profile
+  async upsertPushSubscription({ user_profile_id, endpoint, p256dh, auth, user_agent = null }) {
+    const query = `
+      INSERT INTO push_subscriptions (user_profile_id, endpoint, p256dh, auth, user_agent)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (endpoint) DO UPDATE SET
+        user_profile_id = excluded.user_profile_id,
+        p256dh = excluded.p256dh,
+        auth = excluded.auth,
+        user_agent = excluded.user_agent,
+        failure_count = 0,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    await this.adapter.run(query, [user_profile_id, endpoint, p256dh, auth, user_agent]);
+    return this.getPushSubscriptionByEndpoint(endpoint);
+  }
+
+  async getPushSubscriptionByEndpoint(endpoint) {
+    return this._get('SELECT * FROM push_subscriptions WHERE endpoint = ?', [endpoint]);
+  }
+
+  async getPushSubscriptionsByUserProfile(userProfileId) {
+    return this._all('SELECT * FROM push_subscriptions WHERE user_profile_id = ? ORDER BY id', [userProfileId]);
+  }
+
+  async updatePushSubscription(subscriptionId, data) {
+    return this._update('push_subscriptions', 'id', subscriptionId, data);
+  }
+
+  async deletePushSubscription(endpoint) {
+    const { changes } = await this.adapter.run('DELETE FROM push_subscriptions WHERE endpoint = ?', [endpoint]);
+    return { deleted: changes > 0 };
+  }
+
+  async listPushSubscriberProfiles() {
+    return this._all(
+      'SELECT * FROM user_profiles WHERE id IN (SELECT user_profile_id FROM push_subscriptions) ORDER BY id'
+    );
+  }
+
+  // Returns claimed: false when a notification with this key was already sent.
+  // NOT EXISTS covers the common case (pg-mem miscounts DO NOTHING); ON CONFLICT covers races.
+  async claimPushDelivery({ user_profile_id, dedupe_key, kind }) {
+    const { changes } = await this.adapter.run(
+      `INSERT INTO push_deliveries (user_profile_id, dedupe_key, kind)
+       SELECT CAST(? AS INTEGER), ?, ?
+       WHERE NOT EXISTS (SELECT 1 FROM push_deliveries WHERE dedupe_key = ?)
+       ON CONFLICT (dedupe_key) DO NOTHING`,
+      [user_profile_id, dedupe_key, kind, dedupe_key]
+    );
+    return { claimed: changes > 0 };
+  }
+
+  async deletePushDeliveriesBefore(cutoff) {
+    // Matches the 'YYYY-MM-DD HH:MM:SS' form CURRENT_TIMESTAMP writes in SQLite
+    const value = new Date(cutoff).toISOString().replace('T', ' ').slice(0, 19);
+    const { changes } = await this.adapter.run('DELETE FROM push_deliveries WHERE created_at < ?', [value]);
+    return { deleted: changes };
+  }
+
+  async getVapidKeys() {
+    return this._get('SELECT * FROM vapid_keys ORDER BY id DESC LIMIT 1');
+  }
+
+  async saveVapidKeys({ public_key, private_key }) {
+    const id = await this.adapter.insert(
+      'INSERT INTO vapid_keys (public_key, private_key) VALUES (?, ?)',
+      [public_key, private_key]
+    );
+    return this._get('SELECT * FROM vapid_keys WHERE id = ?', [id]);
+  }
+
+  // Idempotency key methods
+  async claimIdempotencyKey({ user_profile_id, idempotency_key, request_method, request_path, request_hash }) {
+    const { changes } = await this.adapter.run(
+      `INSERT INTO idempotency_keys (user_profile_id, idempotency_key, request_method, request_path, request_hash)
+       SELECT CAST(? AS INTEGER), ?, ?, ?, ?
+       WHERE NOT EXISTS (SELECT 1 FROM idempotency_keys WHERE user_profile_id = ? AND idempotency_key = ?)
+       ON CONFLICT (user_profile_id, idempotency_key) DO NOTHING`,
+      [user_profile_id, idempotency_key, request_method, request_path, request_hash, user_profile_id, idempotency_key]
+    );
+    return { claimed: changes > 0 };
+  }
+
+  async getIdempotencyKey(userProfileId, idempotencyKey) {
+    return this._get(
+      'SELECT * FROM idempotency_keys WHERE user_profile_id = ? AND idempotency_key = ?',
+      [userProfileId, idempotencyKey]
+    );
+  }
+
+  async completeIdempotencyKey(id, { response_status, response_body }) {
+    const { changes } = await this.adapter.run(
+      'UPDATE idempotency_keys SET response_status = ?, response_body = ? WHERE id = ?',
+      [response_status, response_body, id]
+    );
+    return { id, changes };
+  }
+
+  async deleteIdempotencyKey(id) {
+    const { changes } = await this.adapter.run('DELETE FROM idempotency_keys WHERE id = ?', [id]);
+    return { deleted: changes };
+  }
+
+  async deleteIdempotencyKeysBefore(cutoff) {
+    // Matches the 'YYYY-MM-DD HH:MM:SS' form CURRENT_TIMESTAMP writes in SQLite
+    const value = new Date(cutoff).toISOString().replace('T', ' ').slice(0, 19);
+    const { changes } = await this.adapter.run('DELETE FROM idempotency_keys WHERE created_at < ?', [value]);
+    return { deleted: changes };
+  }
+
+  // Progress photo methods
+  async createProgressPhoto(photoData) {
+    const {
+      user_profile_id,
+      fast_id = null,
+      body_log_entry_id = null,
+      storage_key,
+      thumbnail_key,
+      content_type,
+      width = null,
+      height = null,
+      byte_size = null,
+      caption = null,
+      taken_at
+    } = photoData;
+
+    const query = `
+      INSERT INTO progress_photos (
+        user_profile_id, fast_id, body_log_entry_id, storage_key, thumbnail_key,
+        content_type, width, height, byte_size, caption, taken_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const id = await this.adapter.insert(query, [
+      user_profile_id, fast_id, body_log_entry_id, storage_key, thumbnail_key,
+      content_type, width, height, byte_size, caption, taken_at
+    ]);
+    return this.getProgressPhotoById(id);
+  }
+
+  async getProgressPhotoById(id) {
+    return this._get('SELECT * FROM progress_photos WHERE id = ?', [id]);
+  }
+
+  async getProgressPhotosByUser(userProfileId, { fastId = null, bodyLogEntryId = null } = {}) {
+    const conditions = ['user_profile_id = ?'];
+    const params = [userProfileId];
+
+    if (fastId) {
+      conditions.push('fast_id = ?');
+      params.push(fastId);
+    }
+
+    if (bodyLogEntryId) {
+      conditions.push('body_log_entry_id = ?');
+      params.push(bodyLogEntryId);
+    }
+
+    return this._all(
+      `SELECT * FROM progress_photos WHERE ${conditions.join(' AND ')} ORDER BY taken_at ASC, id ASC`,
+      params
+    );
+  }
+
+  async updateProgressPhoto(id, photoData) {
+    return this._update('progress_photos', 'id', id, photoData);
+  }
+
+  async deleteProgressPhoto(id) {
+    const { changes } = await this.adapter.run('DELETE FROM progress_photos WHERE id = ?', [id]);
+    return { deleted: changes > 0 };
+  }
+
+  // Sync change feed methods
+  async createSyncChange({ user_profile_id, entity_type, entity_id = null, operation, fields = [] }) {
+    const id = await this.adapter.insert(
+      `INSERT INTO sync_changes (user_profile_id, entity_type, entity_id, operation, fields)
+       VALUES (?, ?, ?, ?, ?)`,
+      [user_profile_id, entity_type, entity_id, operation, JSON.stringify(fields)]
+    );
+    return { version: Number(id) };
+  }
+
+  async getSyncChanges(userProfileId, sinceVersion = 0, limit = 200) {
+    return this._all(
+      `SELECT * FROM sync_changes
+       WHERE user_profile_id = ? AND id > ?
+       ORDER BY id ASC
+       LIMIT ?`,
+      [userProfileId, sinceVersion, limit]
+    );
+  }
+
+  async getEntitySyncChanges(userProfileId, entityType, entityId, sinceVersion = 0) {
+    return this._all(
+      `SELECT * FROM sync_changes
+       WHERE user_profile_id = ? AND entity_type = ? AND entity_id = ? AND id > ?
+       ORDER BY id ASC`,
+      [userProfileId, entityType, entityId, sinceVersion]
+    );
+  }
+
+  async getLatestSyncVersion(userProfileId) {
+    const row = await this.adapter.get('SELECT MAX(id) AS version FROM sync_changes WHERE user_profile_id = ?', [userProfileId]);
+    return row && row.version ? Number(row.version) : 0;
+  }
+
+  // Removes every fast, body log entry and schedule owned by a profile (the profile row is kept).
+  // Progress photos are kept too, detached from the fasts and entries being removed.
+  async deleteUserData(userProfileId) {
+    const blockIds = `
+      SELECT fasting_blocks.id FROM fasting_blocks
+      JOIN schedules ON schedules.id = fasting_blocks.schedule_id
+      WHERE schedules.user_profile_id = ?
+    `;
+    const statements = [
+      'UPDATE progress_photos SET fast_id = NULL, body_log_entry_id = NULL WHERE user_profile_id = ?',
+      'DELETE FROM body_log_entries WHERE user_profile_id = ?',
+      'DELETE FROM milestones WHERE fast_id IN (SELECT id FROM fasts WHERE user_profile_id = ?)',
+      'DELETE FROM fasts WHERE user_profile_id = ?',
+      `DELETE FROM overrides WHERE block_id IN (${blockIds})`,
+      `DELETE FROM planned_instances WHERE block_id IN (${blockIds})`,
+      'DELETE FROM fasting_blocks WHERE schedule_id IN (SELECT id FROM schedules WHERE user_profile_id = ?)',
+      'DELETE FROM schedules WHERE user_profile_id = ?',
+      'DELETE FROM schedule_drafts WHERE user_profile_id = ?'
+    ];
+
+    await this.adapter.transaction(async (tx) => {
+      for (const statement of statements) {
+        await tx.run(statement, [userProfileId]);
+      }
+    });
+
+    return { user_profile_id: userProfileId, deleted: true };
+  }
+
+  // Schedule CRUD methods
+  async createSchedule(scheduleData) {
+    const { user_profile_id, week_anchor = 1, is_paused = false } = scheduleData;
+
+    const query = `
+      INSERT INTO schedules (user_profile_id, week_anchor, is_paused)
+      VALUES (?, ?, ?)
+    `;
+
+    const id = await this.adapter.insert(query, [user_profile_id, week_anchor, is_paused]);
+    return this.getScheduleById(id);
+  }
+
+  async getScheduleById(scheduleId) {
+    return this._get('SELECT * FROM schedules WHERE id = ?', [scheduleId]);
+  }
+
+  async getScheduleByUserProfile(userProfileId) {
+    return this._get(
+      'SELECT * FROM schedules WHERE user_profile_id = ? AND is_paused = FALSE ORDER BY created_at DESC LIMIT 1',
+      [userProfileId]
+    );
+  }
+
+  async getSchedulesByUserProfile(userProfileId) {
+    return this._all('SELECT * FROM schedules WHERE user_profile_id = ? ORDER BY created_at ASC', [userProfileId]);
+  }
+
+  async listActiveSchedules() {
+    return this._all('SELECT * FROM schedules WHERE is_paused = FALSE ORDER BY id ASC');
+  }
+
+  async deleteSchedulesByUserProfile(userProfileId) {
+    const { changes } = await this.adapter.run('DELETE FROM schedules WHERE user_profile_id = ?', [userProfileId]);
+    return { deleted: changes > 0 };
+  }
+
+  async updateSchedule(scheduleId, updateData) {
+    return this._update('schedules', 'id', scheduleId, updateData);
+  }
+
+  async getScheduleDraftByUserProfile(userProfileId, { includeDismissed = false } = {}) {
+    const query = includeDismissed
+      ? 'SELECT * FROM schedule_drafts WHERE user_profile_id = ?'
+      : 'SELECT * FROM schedule_drafts WHERE user_profile_id = ? AND dismissed_at IS NULL';
+
+    const row = await this._get(query, [userProfileId]);
+    if (!row) {
+      return null;
+    }
+
+    try {
+      return { ...row, payload: JSON.parse(row.payload) };
+    } catch (parseError) {
+      console.error('Error parsing schedule draft payload:', parseError);
+      return { ...row, payload: null, payloadParseError: true };
+    }
+  }
+
+  async upsertScheduleDraft(userProfileId, payload) {
+    const query = `
+      INSERT INTO schedule_drafts (user_profile_id, payload, dismissed_at)
+      VALUES (?, ?, NULL)
+      ON CONFLICT (user_profile_id) DO UPDATE SET
+        payload = excluded.payload,
+        dismissed_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    await this.adapter.run(query, [userProfileId, JSON.stringify(payload)]);
+    return this.getScheduleDraftByUserProfile(userProfileId, { includeDismissed: true });
+  }
+
+  async deleteScheduleDraft(userProfileId) {
+    const { changes } = await this.adapter.run('DELETE FROM schedule_drafts WHERE user_profile_id = ?', [userProfileId]);
+    return { deleted: changes > 0 };
+  }
+
+  async markScheduleDraftDismissed(userProfileId) {
+    const query = `
+      UPDATE schedule_drafts
+      SET dismissed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_profile_id = ?
+    `;
+
+    const { changes } = await this.adapter.run(query, [userProfileId]);
+    return { dismissed: changes > 0 };
+  }
+
+  // Fasting Block CRUD methods
+  async createFastingBlock(blockData) {
+    const {
+      schedule_id,
+      name = null,
+      start_dow,
+      start_time,
+      end_dow,
+      end_time,
+      tz_mode = 'local',
+      anchor_tz = null,
+      notifications,
+      is_active = true
+    } = blockData;
+
+    const notificationsJson = notifications ? JSON.stringify(notifications) : null;
+
+    const query = `
+      INSERT INTO fasting_blocks (schedule_id, name, start_dow, start_time, end_dow, end_time, tz_mode, anchor_tz, notifications, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const id = await this.adapter.insert(query, [
+      schedule_id, name, start_dow, start_time, end_dow, end_time, tz_mode, anchor_tz, notificationsJson, is_active
+    ]);
+    return this.getFastingBlockById(id);
+  }
+
+  async getFastingBlocksBySchedule(scheduleId, { includeInactive = false } = {}) {
+    const query = includeInactive
+      ? 'SELECT * FROM fasting_blocks WHERE schedule_id = ? ORDER BY start_dow, start_time'
+      : 'SELECT * FROM fasting_blocks WHERE schedule_id = ? AND is_active = TRUE ORDER BY start_dow, start_time';
+
+    const rows = await this._all(query, [scheduleId]);
+    return rows.map((row) => this._parseJsonColumn(row, 'notifications'));
+  }
+
+  async getFastingBlockById(blockId) {
+    const row = await this._get('SELECT * FROM fasting_blocks WHERE id = ?', [blockId]);
+    return this._parseJsonColumn(row, 'notifications');
+  }
+
+  async updateFastingBlock(blockId, updateData) {
+    return this._update('fasting_blocks', 'id', blockId, updateData, {
+      transform: (key, value) => (key === 'notifications' && value ? JSON.stringify(value) : value)
+    });
+  }
+
+  async deleteFastingBlock(blockId) {
+    const { changes } = await this.adapter.run(
+      'UPDATE fasting_blocks SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [blockId]
+    );
+    return { deleted: changes > 0 };
+  }
+
+  // Override CRUD methods
+  async createOverride(overrideData) {
+    const { block_id, occurrence_date, type, payload, reason = null } = overrideData;
+    const payloadJson = payload ? JSON.stringify(payload) : null;
+
+    const query = `
+      INSERT INTO overrides (block_id, occurrence_date, type, payload, reason)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    const id = await this.adapter.insert(query, [block_id, occurrence_date, type, payloadJson, reason]);
+    const row = await this._get('SELECT * FROM overrides WHERE id = ?', [id]);
+    return this._parseJsonColumn(row, 'payload');
+  }
+
+  async getOverridesByBlock(blockId) {
+    const rows = await this._all('SELECT * FROM overrides WHERE block_id = ? ORDER BY occurrence_date', [blockId]);
+    return rows.map((row) => this._parseJsonColumn(row, 'payload'));
+  }
+
+  async getOverrideByBlockAndDate(blockId, occurrenceDate) {
+    const row = await this._get('SELECT * FROM overrides WHERE block_id = ? AND occurrence_date = ?', [blockId, occurrenceDate]);
+    return this._parseJsonColumn(row, 'payload');
+  }
+
+  // Planned instance methods (materialized occurrences, see services/PlannedInstanceService.js)
+  async createPlannedInstance(instanceData) {
+    const { block_id, start_at_utc, end_at_utc, occurrence_date, status = 'upcoming', fast_id = null } = instanceData;
+
+    const query = `
+      INSERT INTO planned_instances (block_id, start_at_utc, end_at_utc, occurrence_date, status, fast_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    const id = await this.adapter.insert(query, [block_id, start_at_utc, end_at_utc, occurrence_date, status, fast_id]);
+    return this.getPlannedInstanceById(id);
+  }
+
+  async getPlannedInstanceById(instanceId) {
+    return this._get(`${PLANNED_INSTANCE_SELECT} WHERE planned_instances.id = ?`, [instanceId]);
+  }
+
+  async getPlannedInstancesBySchedule(scheduleId, { from = null, to = null, statuses = null } = {}) {
+    let query = `${PLANNED_INSTANCE_SELECT} WHERE fasting_blocks.schedule_id = ?`;
+    const params = [scheduleId];
+
+    if (from) {
+      query += ' AND planned_instances.start_at_utc >= ?';
+      params.push(from);
+    }
+    if (to) {
+      query += ' AND planned_instances.start_at_utc <= ?';
+      params.push(to);
+    }
+    if (Array.isArray(statuses) && statuses.length > 0) {
+      query += ` AND planned_instances.status IN (${statuses.map(() => '?').join(', ')})`;
+      params.push(...statuses);
+    }
+
+    query += ' ORDER BY planned_instances.start_at_utc ASC, planned_instances.id ASC';
+    return this._all(query, params);
+  }
+
+  // Instances still waiting on an outcome: already started, or claimed early by a fast
+  async getOpenPlannedInstances(scheduleId, asOf) {
+    const query = `${PLANNED_INSTANCE_SELECT}
+      WHERE fasting_blocks.schedule_id = ?
+        AND planned_instances.status IN ('upcoming', 'active')
+        AND (planned_instances.start_at_utc <= ? OR planned_instances.fast_id IS NOT NULL)
+      ORDER BY planned_instances.start_at_utc ASC
+    `;
+    return this._all(query, [scheduleId, asOf]);
+  }
+
+  async updatePlannedInstance(instanceId, updateData) {
+    return this._update('planned_instances', 'id', instanceId, updateData);
+  }
+
+  async deletePlannedInstance(instanceId) {
+    const { changes } = await this.adapter.run('DELETE FROM planned_instances WHERE id = ?', [instanceId]);
+    return { deleted: changes > 0 };
+  }
+
+  // fasts.planned_instance_id is a text column, so ids are matched as strings
+  async getFastsByPlannedInstanceIds(instanceIds) {
+    if (!Array.isArray(instanceIds) || instanceIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = instanceIds.map(() => '?').join(', ');
+    return this._all(
+      `SELECT * FROM fasts WHERE planned_instance_id IN (${placeholders}) ORDER BY start_time ASC`,
+      instanceIds.map(String)
+    );
+  }
+
+  // Instance generation methods
+  async generatePlannedInstances(scheduleId, weeksAhead = 4, options = {}) {
+    const schedule = await this.getScheduleById(scheduleId);
+    if (!schedule) {
+      return [];
+    }
+
+    // Get all active fasting blocks for this schedule
+    const blocks = await this.getFastingBlocksBySchedule(scheduleId);
+    if (blocks.length === 0) {
+      return [];
+    }
+
+    const instances = [];
+    const now = new Date();
+    const endDate = new Date();
+    endDate.setDate(endDate.getDate() + (weeksAhead * 7));
+
+    for (const block of blocks) {
+      const blockInstances = await this.generateInstancesForBlock(block, schedule, now, endDate, options);
+      instances.push(...blockInstances);
+    }
+
+    // Sort instances by start time
+    instances.sort((a, b) => new Date(a.start_at_utc) - new Date(b.start_at_utc));
+
+    return instances;
+  }
+
+  async generateInstancesForBlock(block, schedule, startDate, endDate, options = {}) {
+    const instances = [];
+
+    const resolveTimeZone = () => {
+      if (block && block.tz_mode === 'fixed' && block.anchor_tz) {
+        return block.anchor_tz;
+      }
+      if (block && block.anchor_tz) {
+        return block.anchor_tz;
+      }
+      if (options && typeof options.timeZone === 'string' && options.timeZone.trim()) {
+        return options.timeZone;
+      }
+      return 'UTC';
+    };
+
+    let timeZone = resolveTimeZone();
+
+    const buildDateTimeFormatter = (tz) => new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      // h23 rather than hour12: false, which formats midnight as hour 24 and shifts the date back a day
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+
+    const weekdayNames = {
+      Sunday: 0,
+      Monday: 1,
+      Tuesday: 2,
+      Wednesday: 3,
+      Thursday: 4,
+      Friday: 5,
+      Saturday: 6
+    };
+
+    let dateTimeFormatter;
+    let weekdayFormatter;
+
+    try {
+      dateTimeFormatter = buildDateTimeFormatter(timeZone);
+      weekdayFormatter = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'long' });
+    } catch (error) {
+      console.warn('Invalid timezone provided, falling back to UTC:', timeZone, error);
+      timeZone = 'UTC';
+      dateTimeFormatter = buildDateTimeFormatter(timeZone);
+      weekdayFormatter = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'long' });
+    }
+
+    const getZonedParts = (date) => {
+      const parts = dateTimeFormatter.formatToParts(date);
+      const mapped = {};
+      for (const part of parts) {
+        if (part.type !== 'literal') {
+          mapped[part.type] = part.value;
+        }
+      }
+      return {
+        year: Number(mapped.year),
+        month: Number(mapped.month),
+        day: Number(mapped.day),
+        hour: Number(mapped.hour),
+        minute: Number(mapped.minute),
+        second: Number(mapped.second)
+      };
+    };
+
+    const getWeekdayIndex = (date) => {
+      const name = weekdayFormatter.format(date);
+      return weekdayNames[name] ?? 0;
+    };
+
+    const getTimeZoneOffset = (date) => {
+      const parts = getZonedParts(date);
+      const asUTC = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        parts.second
+      );
+      return asUTC - date.getTime();
+    };
+
+    const createZonedDate = (year, month, day, hour, minute, second = 0) => {
+      const naiveUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+      const candidate = new Date(naiveUtc);
+      const offset = getTimeZoneOffset(candidate);
+      return new Date(naiveUtc - offset);
+    };
+
+    const createZonedDateFromBase = (baseDate, hour, minute, second = 0) => {
+      const parts = getZonedParts(baseDate);
+      return createZonedDate(parts.year, parts.month, parts.day, hour, minute, second);
+    };
+
+    const toLocalMidnight = (date) => createZonedDateFromBase(date, 0, 0, 0);
+
+    const addDays = (date, days) => {
+      const result = new Date(date.getTime());
+      result.setUTCDate(result.getUTCDate() + days);
+      return result;
+    };
+
+    const prepareDayBoundary = (date) => toLocalMidnight(date);
+
+    const [startHour, startMinute] = block.start_time.split(':').map(Number);
+    const [endHour, endMinute] = block.end_time.split(':').map(Number);
+
+    const computeDaysDifference = () => {
+      let diff = (block.end_dow - block.start_dow + 7) % 7;
+      // Same weekday: a same-day window when the end is later, otherwise a full week
+      const endsLaterSameDay = (endHour * 60 + endMinute) > (startHour * 60 + startMinute);
+      if (diff === 0 && !endsLaterSameDay) {
+        diff = 7;
+      }
+      return diff;
+    };
+
+    const daysDifference = computeDaysDifference();
+
+    let current = prepareDayBoundary(startDate);
+    let currentDayOfWeek = getWeekdayIndex(current);
+
+    const targetDayOfWeek = block.start_dow;
+    let daysUntilTarget = (targetDayOfWeek - currentDayOfWeek + 7) % 7;
+
+    const startTimeToday = createZonedDateFromBase(current, startHour, startMinute);
+    if (daysUntilTarget === 0 && startDate > startTimeToday) {
+      daysUntilTarget = 7;
+    }
+
+    if (daysUntilTarget > 0) {
+      current = prepareDayBoundary(addDays(current, daysUntilTarget));
+    }
+
+    while (current <= endDate) {
+      const instanceStartDate = createZonedDateFromBase(current, startHour, startMinute);
+      const endDateBase = addDays(current, daysDifference);
+      const instanceEndDate = createZonedDateFromBase(endDateBase, endHour, endMinute);
+
+      if (instanceStartDate >= startDate) {
+        const occurrenceDate = instanceStartDate.toISOString().split('T')[0];
+
+        // Unsaved blocks (previews, imports) pass their overrides in rather than reading them from the table
+        const override = Array.isArray(options.overrides)
+          ? options.overrides.find((candidate) => candidate.occurrence_date === occurrenceDate) || null
+          : await this.getOverrideByBlockAndDate(block.id, occurrenceDate);
+        let status = 'upcoming';
+
+        if (override) {
+          switch (override.type) {
+            case 'skip':
+              status = 'skipped';
+              break;
+            case 'shift':
+              if (override.payload && override.payload.hours) {
+                instanceStartDate.setHours(instanceStartDate.getHours() + override.payload.hours);
+                instanceEndDate.setHours(instanceEndDate.getHours() + override.payload.hours);
+              }
+              break;
+            case 'extend':
+              if (override.payload && override.payload.hours) {
+                instanceEndDate.setHours(instanceEndDate.getHours() + override.payload.hours);
+              }
+              break;
+            case 'shorten':
+              if (override.payload && override.payload.hours) {
+                instanceEndDate.setHours(instanceEndDate.getHours() - override.payload.hours);
+              }
+              break;
+          }
+        }
+
+        if (status !== 'skipped') {
+          const now = new Date();
+          if (instanceStartDate <= now && now <= instanceEndDate) {
+            status = 'active';
+          } else if (instanceEndDate < now) {
+            status = 'completed';
+          }
+        }
+
+        instances.push({
+          block_id: block.id,
+          block_name: block.name,
+          start_at_utc: instanceStartDate.toISOString(),
+          end_at_utc: instanceEndDate.toISOString(),
+          occurrence_date: occurrenceDate,
+          status: status,
+          duration_hours: (instanceEndDate - instanceStartDate) / (1000 * 60 * 60),
+          override: override || null
+        });
+      }
+
+      const nextWeek = addDays(current, 7);
+      current = prepareDayBoundary(nextWeek);
+      currentDayOfWeek = getWeekdayIndex(current);
+    }
+
+    return instances;
+  }
+
+  async _all(sql, params = []) {
+    const rows = await this.adapter.all(sql, params);
+    return rows.map((row) => this._normalizeRow(row));
+  }
+
+  async _get(sql, params = []) {
+    return this._normalizeRow(await this.adapter.get(sql, params));
+  }
+
+  /**
+   * Shared partial-update path: skips undefined values and the key columns,
+   * bumps updated_at, and reports how many rows matched.
+   */
+  async _update(table, keyColumn, keyValue, data, { transform = (key, value) => value } = {}) {
+    const fields = [];
+    const values = [];
+
+    Object.entries(data).forEach(([key, value]) => {
+      if (value !== undefined && key !== 'id' && key !== keyColumn) {
+        fields.push(`${key} = ?`);
+        values.push(transform(key, value));
+      }
+    });
+
+    if (fields.length === 0) {
+      return { [keyColumn]: keyValue, ...data };
+    }
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(keyValue);
+
+    const { changes } = await this.adapter.run(`UPDATE ${table} SET ${fields.join(', ')} WHERE ${keyColumn} = ?`, values);
+    return { [keyColumn]: keyValue, changes };
+  }
+
+  _normalizeRow(row) {
+    if (!row) {
+      return null;
+    }
+    const normalized = { ...row };
+    BOOLEAN_COLUMNS.forEach((column) => {
+      if (typeof normalized[column] === 'number') {
+        normalized[column] = normalized[column] !== 0;
+      }
+    });
+    return normalized;
+  }
+
+  _parseJsonColumn(row, column) {
+    if (!row || !row[column] || typeof row[column] !== 'string') {
+      return row;
+    }
+    try {
+      return { ...row, [column]: JSON.parse(row[column]) };
+    } catch (error) {
+      console.error(`Error parsing ${column} JSON:`, error);
+      return row;
+    }
+  }
+}
+
+module.exports = Repository;
+module.exports.BOOLEAN_COLUMNS = BOOLEAN_COLUMNS;
@@ -0,0 +1,149 @@
+/**
+ * Dialect-neutral DDL for migrations. Migration files describe tables once with
+ * logical column types and this builder emits the SQLite or Postgres flavour,
+ * so the two backends can no longer drift apart.
+ *
+ * Column specs are either a type name or an object:
+ *   { type, notNull, unique, default, references: 'table (column)', onDelete }
+ * Types: id, text, integer, real, boolean, timestamp, or a literal such as 'VARCHAR(20)'.
+ * Defaults: strings are quoted, booleans become TRUE/FALSE, and 'now' is CURRENT_TIMESTAMP.
+ */
+
+const DIALECTS = ['sqlite', 'postgres'];
+
+const TYPES = {
+  sqlite: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    text: 'TEXT',
+    integer: 'INTEGER',
+    real: 'REAL',
+    boolean: 'BOOLEAN',
+    timestamp: 'DATETIME'
+  },
+  postgres: {
+    id: 'SERIAL PRIMARY KEY',
+    text: 'TEXT',
+    integer: 'INTEGER',
+    real: 'REAL',
+    boolean: 'BOOLEAN',
+    timestamp: 'TIMESTAMP WITH TIME ZONE'
+  }
+};
+
+class SchemaBuilder {
+  constructor(adapter) {
+    if (!DIALECTS.includes(adapter.dialect)) {
+      throw new Error(`Unsupported migration dialect: ${adapter.dialect}`);
+    }
+    this.adapter = adapter;
+    this.dialect = adapter.dialect;
+  }
+
+  async createTable(name, columns) {
+    const definitions = Object.entries(columns)
+      .map(([column, spec]) => `  ${column} ${this.columnDefinition(spec)}`)
+      .join(',\n');
+    await this.adapter.run(`CREATE TABLE IF NOT EXISTS ${name} (\n${definitions}\n)`);
+  }
+
+  async dropTable(name) {
+    await this.adapter.run(`DROP TABLE IF EXISTS ${name}`);
+  }
+
+  /**
+   * Adds a column when it is missing, so a migration can also bring databases
+   * created by older inline schema code up to date.
+   * SQLite cannot drop a column that carries a foreign key, so references are
+   * only declared on Postgres for added columns (SQLite does not enforce them here anyway).
+   */
+  async addColumn(table, column, spec) {
+    if (await this.adapter.columnExists(table, column)) {
+      return false;
+    }
+    const normalized = this.normalizeSpec(spec);
+    const definition = this.dialect === 'sqlite'
+      ? this.columnDefinition({ ...normalized, references: null })
+      : this.columnDefinition(normalized);
+    await this.adapter.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  }
+
+  async dropColumn(table, column) {
+    if (!(await this.adapter.columnExists(table, column))) {
+      return false;
+    }
+    await this.adapter.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    return true;
+  }
+
+  async createIndex(name, table, columns, options = {}) {
+    const unique = options.unique ? 'UNIQUE ' : '';
+    const where = options.where ? ` WHERE ${options.where}` : '';
+    await this.adapter.run(
+      `CREATE ${unique}INDEX IF NOT EXISTS ${name} ON ${table} (${columns.join(', ')})${where}`
+    );
+  }
+
+  async dropIndex(name) {
+    await this.adapter.run(`DROP INDEX IF EXISTS ${name}`);
+  }
+
+  /**
+   * Escape hatch for statements the builder does not model.
+   * Pass a string for portable SQL or { sqlite, postgres } when the dialects differ.
+   */
+  async raw(statement) {
+    const sql = typeof statement === 'string' ? statement : statement[this.dialect];
+    if (!sql) {
+      throw new Error(`Raw migration statement has no ${this.dialect} variant`);
+    }
+    await this.adapter.run(sql);
+  }
+
+  normalizeSpec(spec) {
+    return typeof spec === 'string' ? { type: spec } : { ...spec };
+  }
+
+  columnDefinition(spec) {
+    const normalized = this.normalizeSpec(spec);
+    const { type, notNull, unique, references, onDelete } = normalized;
+    const parts = [TYPES[this.dialect][type] || type];
+
+    if (notNull) {
+      parts.push('NOT NULL');
+    }
+    if (unique) {
+      parts.push('UNIQUE');
+    }
+    if (Object.prototype.hasOwnProperty.call(normalized, 'default')) {
+      parts.push(`DEFAULT ${this.formatDefault(normalized.default)}`);
+    }
+    if (references) {
+      parts.push(`REFERENCES ${references}`);
+      if (onDelete) {
+        parts.push(`ON DELETE ${onDelete}`);
+      }
+    }
+
+    return parts.join(' ');
+  }
+
+  formatDefault(value) {
+    if (value === 'now') {
+      return 'CURRENT_TIMESTAMP';
+    }
+    if (value === null) {
+      return 'NULL';
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'TRUE' : 'FALSE';
+    }
+    if (typeof value === 'number') {
+      return String(value);
+    }
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+}
+
+module.exports = SchemaBuilder;
+module.exports.DIALECTS = DIALECTS;
@@ -489,6 +489,18 @@ class FastEffectivenessCard {
             });
         }
 
+        const bodyFatBasis = effectiveness.bodyFatBasis;
+        if (bodyFatBasis && Number.isFinite(Number(bodyFatBasis.bodyFat))) {
+            contextRows.push({
+                label: 'Starting body fat',
+                value: `${Number(bodyFatBasis.bodyFat).toFixed(1)}%`,
+                impact: {
+                    text: this.formatBodyFatBasis(bodyFatBasis),
+                    className: 'is-neutral'
+                }
+            });
+        }
+
         contextRows.push(
             {
                 label: 'Ketosis at start',
@@ -761,6 +773,17 @@ class FastEffectivenessCard {
         return `${sign}${numeric.toFixed(1)} lb`;
     }
 
+    formatBodyFatBasis(basis) {
+        const confidenceLabels = {
+            high: 'high confidence',
+            medium: 'medium confidence',
+            low: 'low confidence',
+            none: 'no reading or measurements yet'
+        };
+        const parts = [basis.label, confidenceLabels[basis.confidence]].filter(Boolean);
+        return parts.length > 0 ? parts.join(' • ') : 'Estimated';
+    }
+
     formatPercentDelta(value) {
         if (value === null || value === undefined || Number.isNaN(Number(value))) {
             return '—';
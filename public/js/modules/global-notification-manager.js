@@ -9,6 +9,8 @@ class GlobalNotificationManager {
         this.hungerCoach = null;
         this.scheduledNotifications = new Map();
         this.isInitialized = false;
+        // When the server delivers Web Push, hunger tips are not also scheduled in the page
+        this.pushEnabled = false;
 
         // Storage keys
         this.STORAGE_KEYS = {
@@ -29,6 +31,9 @@ class GlobalNotificationManager {
             // Register service worker
             await this.registerServiceWorker();
 
+            // Hand reminders to the server so they arrive with the app closed
+            await this.subscribeToPush();
+
             // Initialize hunger coach
             await this.initializeHungerCoach();
 
@@ -41,6 +46,9 @@ class GlobalNotificationManager {
             // Listen for storage changes (other tabs)
             this.setupStorageListeners();
 
+            // Listen for fasts started or ended on other devices
+            this.setupSyncListeners();
+
             this.isInitialized = true;
             console.log('🔔 Global Notification Manager initialized');
 
@@ -63,6 +71,49 @@ class GlobalNotificationManager {
         }
     }
 
+    /**
+     * Subscribe this browser to server-sent Web Push notifications
+     */
+    async subscribeToPush() {
+        if (!this.serviceWorkerRegistration || !('PushManager' in window) || !this.isNotificationAvailable()) {
+            return false;
+        }
+
+        const sessionId = window.getSessionId ? window.getSessionId() : localStorage.getItem('fastingForecast_sessionId');
+        if (!sessionId) return false;
+
+        try {
+            let subscription = await this.serviceWorkerRegistration.pushManager.getSubscription();
+            if (!subscription) {
+                const keyResponse = await fetch('/api/push/vapid-public-key');
+                if (!keyResponse.ok) return false;
+                const { publicKey } = await keyResponse.json();
+
+                subscription = await this.serviceWorkerRegistration.pushManager.subscribe({
+                    userVisibleOnly: true,
+                    applicationServerKey: this.urlBase64ToUint8Array(publicKey)
+                });
+            }
+
+            const response = await fetch('/api/push/subscribe', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-session-id': sessionId },
+                body: JSON.stringify({ subscription: subscription.toJSON() })
+            });
+            this.pushEnabled = response.ok;
+        } catch (error) {
+            console.error('Push subscription failed:', error);
+            this.pushEnabled = false;
+        }
+
+        return this.pushEnabled;
+    }
+
+    urlBase64ToUint8Array(value) {
+        const padded = (value + '='.repeat((4 - (value.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+    }
+
     /**
      * Initialize hunger coach instance
      */
@@ -115,7 +166,7 @@ class GlobalNotificationManager {
         ];
 
         // Schedule notifications for upcoming mealtimes
-        this.scheduleHungerNotifications(mealtimes);
+        this.scheduleHungerNotifications(mealtimes, userSettings);
 
         console.log('🔔 Notifications started for fast');
     }
@@ -141,11 +192,17 @@ class GlobalNotificationManager {
     }
 
     /**
-     * Schedule hunger notifications around meal times
+     * Schedule hunger notifications around meal times, leaving out any that
+     * fall inside the user's quiet hours
      */
-    scheduleHungerNotifications(mealtimes) {
+    scheduleHungerNotifications(mealtimes, userSettings = null) {
         this.cancelAllScheduledNotifications();
 
+        if (this.pushEnabled) {
+            console.log('🔔 Hunger tips are delivered by server push');
+            return;
+        }
+
         const now = new Date();
         const lastNotification = this.getLastNotificationTime();
         const isDevelopment = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
@@ -170,7 +227,9 @@ class GlobalNotificationManager {
 
                 console.log(`⏱️ ${meal.name}: ${delayMinutes} minutes away, cooldown check: ${shouldSchedule}`);
 
-                if (shouldSchedule) {
+                if (this.isQuietTime(mealTime, userSettings)) {
+                    console.log(`🤫 Skipped ${meal.name} - inside quiet hours`);
+                } else if (shouldSchedule) {
                     this.scheduleNotification(meal, delay, mealTime);
                 } else {
                     console.log(`🚫 Skipped ${meal.name} due to cooldown period`);
@@ -190,6 +249,10 @@ class GlobalNotificationManager {
             const delayHours = Math.round(delay / (1000 * 60 * 60));
             console.log(`🌙 Tomorrow's ${meal.name}: ${delayHours} hours away`);
 
+            if (this.isQuietTime(tomorrowMealTime, userSettings)) {
+                console.log(`🤫 Skipped tomorrow's ${meal.name} - inside quiet hours`);
+                return;
+            }
             this.scheduleNotification(meal, delay, tomorrowMealTime);
         });
     }
@@ -251,6 +314,11 @@ class GlobalNotificationManager {
                 console.log('❌ User has disabled hunger coach notifications');
                 return;
             }
+            // Rescheduled timers repeat daily, so quiet hours are checked again when one fires
+            if (this.isQuietTime(new Date(), userSettings)) {
+                console.log('🤫 Inside quiet hours, skipping notification');
+                return;
+            }
             console.log('✅ User has notifications enabled');
 
             // Get hunger tip
@@ -339,6 +407,9 @@ class GlobalNotificationManager {
     async requestNotificationPermission() {
         if ('Notification' in window) {
             const permission = await Notification.requestPermission();
+            if (permission === 'granted') {
+                await this.subscribeToPush();
+            }
             return permission === 'granted';
         }
         return false;
@@ -389,6 +460,13 @@ class GlobalNotificationManager {
         localStorage.setItem(this.STORAGE_KEYS.LAST_NOTIFICATION, timestamp);
     }
 
+    isQuietTime(instant, userSettings) {
+        if (!userSettings?.quiet_hours || typeof QuietHours === 'undefined') {
+            return false;
+        }
+        return QuietHours.isQuiet(instant, userSettings.quiet_hours, userSettings.time_zone);
+    }
+
     async getUserSettings() {
         const sessionId = window.getSessionId ? window.getSessionId() : localStorage.getItem('fastingForecast_sessionId');
         if (!sessionId) return null;
@@ -436,7 +514,47 @@ class GlobalNotificationManager {
         });
     }
 
+    setupSyncListeners() {
+        window.addEventListener('fastingForecast:sync', event => {
+            const { fasts, reset } = event.detail || {};
+            if (reset || (fasts && fasts.length > 0)) {
+                this.reconcileActiveFast();
+            }
+        });
+    }
+
+    /**
+     * Brings the localStorage fast state in line with the server after a remote change
+     */
+    async reconcileActiveFast() {
+        const sessionId = window.getSessionId ? window.getSessionId() : localStorage.getItem('fastingForecast_sessionId');
+        if (!sessionId) return;
+
+        try {
+            const response = await fetch(`/api/fasts/active?sessionId=${encodeURIComponent(sessionId)}`);
+            if (!response.ok) return;
+
+            // No active fast comes back as an empty body
+            const body = await response.text();
+            const activeFast = body ? JSON.parse(body) : null;
+            if (activeFast && activeFast.id && !this.hasActiveFast()) {
+                console.log('🔄 Fast started on another device - resuming notifications');
+                await this.startNotificationsForFast(
+                    activeFast.start_time,
+                    activeFast.duration_hours || activeFast.planned_duration_hours || 24
+                );
+            } else if (!(activeFast && activeFast.id) && this.hasActiveFast()) {
+                console.log('🔄 Fast ended on another device - stopping notifications');
+                this.stopNotificationsForFast();
+            }
+        } catch (error) {
+            console.error('Error reconciling active fast:', error);
+        }
+    }
+
     async checkAndSendPendingNotifications() {
+        if (this.pushEnabled) return;
+
         const activeFast = this.getActiveFastState();
         if (!activeFast || !activeFast.isActive) return;
 
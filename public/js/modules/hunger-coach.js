@@ -181,12 +181,17 @@ class HungerCoach {
     }
 
     /**
-     * Check if it's an appropriate time to show hunger coach notifications
+     * Check if it's an appropriate time to show hunger coach notifications.
+     * Nothing is shown inside the user's quiet hours (read in their time zone).
      */
-    shouldShowNotification(userMealtimes, lastNotificationTime = null) {
+    shouldShowNotification(userMealtimes, lastNotificationTime = null, quietHours = null, timeZone = null) {
         if (!userMealtimes) return false;
 
         const now = new Date();
+
+        if (quietHours && typeof QuietHours !== 'undefined' && QuietHours.isQuiet(now, quietHours, timeZone)) {
+            return false;
+        }
         const currentMinutes = now.getHours() * 60 + now.getMinutes();
 
         // Don't show notifications more than once per hour
@@ -10,6 +10,16 @@ class NotificationService {
         this.lastNotificationTime = null;
         this.notificationInterval = null;
         this.isActive = false;
+        this.quietHours = null;
+        this.timeZone = null;
+    }
+
+    /**
+     * Use the profile's quiet hours (and the time zone they are read in)
+     */
+    setQuietHours(quietHours, timeZone = null) {
+        this.quietHours = quietHours || null;
+        this.timeZone = timeZone;
     }
 
     /**
@@ -147,7 +157,7 @@ class NotificationService {
             dinner: '18:00'
         };
 
-        const shouldShow = hungerCoach.shouldShowNotification(mealtimes, this.lastNotificationTime);
+        const shouldShow = hungerCoach.shouldShowNotification(mealtimes, this.lastNotificationTime, this.quietHours, this.timeZone);
 
         if (shouldShow && shouldShow.shouldShow) {
             const message = hungerCoach.getNotificationMessage(shouldShow.mealType, fastStartTime);
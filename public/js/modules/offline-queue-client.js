@@ -0,0 +1,114 @@
+/**
+ * OfflineQueueClient - Page side of the service worker's offline write queue
+ * Shows a banner while changes are waiting, asks the worker to replay them when
+ * the browser comes back online (for browsers without Background Sync) and
+ * re-broadcasts worker updates as `fastingForecast:offlineQueue` window events.
+ */
+class OfflineQueueClient {
+    constructor(options = {}) {
+        this.bannerHideMs = options.bannerHideMs || 4000;
+        this.banner = null;
+        this.hideTimer = null;
+        this.started = false;
+    }
+
+    start() {
+        if (this.started || !('serviceWorker' in navigator)) {
+            return;
+        }
+        this.started = true;
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            const { type, data } = event.data || {};
+            if (type === 'OFFLINE_REQUEST_QUEUED') {
+                this.handleQueued(data);
+            } else if (type === 'OFFLINE_QUEUE_SYNCED') {
+                this.handleSynced(data);
+            }
+        });
+
+        window.addEventListener('online', () => this.requestReplay());
+        if (navigator.onLine) {
+            this.requestReplay();
+        }
+    }
+
+    async requestReplay() {
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            const worker = navigator.serviceWorker.controller || registration.active;
+            if (worker) {
+                worker.postMessage({ type: 'REPLAY_OFFLINE_QUEUE' });
+            }
+        } catch (error) {
+            console.warn('OfflineQueueClient: could not reach the service worker', error);
+        }
+    }
+
+    handleQueued(data) {
+        const count = data.pending === 1 ? '1 change' : `${data.pending} changes`;
+        this.showBanner(`You're offline. ${count} saved on this device will sync when you reconnect.`, 'pending');
+        window.dispatchEvent(new CustomEvent('fastingForecast:offlineQueue', { detail: { type: 'queued', ...data } }));
+    }
+
+    handleSynced(data) {
+        if (data.rejected.length > 0) {
+            const reason = data.rejected[0].error ? `: ${data.rejected[0].error}` : '';
+            const count = data.rejected.length === 1 ? '1 offline change' : `${data.rejected.length} offline changes`;
+            this.showBanner(`${count} could not be saved${reason}`, 'error');
+        } else if (data.pending > 0) {
+            this.showBanner(`Synced ${data.synced}, ${data.pending} still waiting for the connection.`, 'pending');
+        } else {
+            this.showBanner('Offline changes synced.', 'success', this.bannerHideMs);
+        }
+        window.dispatchEvent(new CustomEvent('fastingForecast:offlineQueue', { detail: { type: 'synced', ...data } }));
+    }
+
+    showBanner(text, tone, hideAfterMs = null) {
+        if (!this.banner) {
+            this.banner = document.createElement('div');
+            this.banner.setAttribute('role', 'status');
+            this.banner.style.cssText = [
+                'position: fixed', 'left: 50%', 'bottom: 88px', 'transform: translateX(-50%)',
+                'max-width: 90%', 'padding: 10px 16px', 'border-radius: 12px', 'font-size: 14px',
+                'color: white', 'box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2)', 'z-index: 10000', 'cursor: pointer'
+            ].join(';');
+            this.banner.addEventListener('click', () => this.hideBanner());
+            document.body.appendChild(this.banner);
+        }
+
+        const colors = { pending: '#475569', error: '#dc2626', success: '#059669' };
+        this.banner.style.background = colors[tone] || colors.pending;
+        this.banner.textContent = text;
+        this.banner.style.display = 'block';
+
+        clearTimeout(this.hideTimer);
+        if (hideAfterMs) {
+            this.hideTimer = setTimeout(() => this.hideBanner(), hideAfterMs);
+        }
+    }
+
+    hideBanner() {
+        if (this.banner) {
+            this.banner.style.display = 'none';
+        }
+    }
+}
+
+window.FastingForecastOfflineQueueClient = OfflineQueueClient;
+
+(function startOfflineQueueClient() {
+    const start = () => {
+        if (window.offlineQueueClient) {
+            return;
+        }
+        window.offlineQueueClient = new OfflineQueueClient();
+        window.offlineQueueClient.start();
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        start();
+    }
+})();
@@ -9,6 +9,7 @@ class PageSessionGuard {
         this.isReady = false;
         this.readyPromise = this.initialize();
         this.redirectingToOnboarding = false;
+        this.redirectingToLogin = false;
     }
 
     /**
@@ -19,6 +20,9 @@ class PageSessionGuard {
             // Create session manager instance
             this.sessionManager = new window.FastingForecastSessionManager();
 
+            // Signed-in accounts own the session ID; adopt it before any page requests go out
+            await this.sessionManager.syncWithAccount();
+
             // Validate session on page load
             const isValid = await this.validatePageAccess();
 
@@ -175,6 +179,11 @@ class PageSessionGuard {
         try {
             const errorData = await response.clone().json();
 
+            if (errorData.code === 'ACCOUNT_REQUIRED') {
+                this.redirectToLogin();
+                return;
+            }
+
             if (errorData.code === 'MISSING_SESSION' ||
                 errorData.code === 'INVALID_SESSION_FORMAT' ||
                 errorData.code === 'SESSION_NOT_FOUND') {
@@ -246,6 +255,24 @@ class PageSessionGuard {
         window.location.replace('/forecaster');
     }
 
+    /**
+     * Sends the user to sign in when their profile has been claimed by an account
+     */
+    redirectToLogin() {
+        if (this.redirectingToLogin) {
+            return;
+        }
+
+        const path = (window.location.pathname || '').toLowerCase();
+        if (path === '/login' || path === '/login.html') {
+            return;
+        }
+
+        this.redirectingToLogin = true;
+        const next = encodeURIComponent(window.location.pathname + window.location.search);
+        window.location.replace(`/login?next=${next}`);
+    }
+
     /**
      * Creates an enhanced session-aware fetch function
      */
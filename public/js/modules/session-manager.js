@@ -127,6 +127,63 @@ class SessionManager {
         }
     }
 
+    /**
+     * Syncs with the signed-in account (httpOnly cookie) and adopts its session ID.
+     * The server is the source of truth once an account exists; localStorage only caches it.
+     * Returns the account, or null when signed out or offline.
+     */
+    async syncWithAccount() {
+        try {
+            const response = await fetch('/api/auth/me', { credentials: 'same-origin' });
+            if (!response.ok) {
+                return null;
+            }
+
+            const data = await response.json();
+            if (!data.authenticated) {
+                this.account = null;
+                return null;
+            }
+
+            this.account = data.account;
+
+            if (data.sessionId && data.sessionId !== this.getSessionId()) {
+                localStorage.setItem(this.SESSION_KEY, data.sessionId);
+                console.log('Adopted account sessionId:', data.sessionId);
+                this.dispatchSessionChangeEvent(data.sessionId, false);
+            }
+
+            if (data.hasProfile) {
+                localStorage.setItem('fastingForecast_profileSaved', 'true');
+            }
+
+            return data.account;
+        } catch (error) {
+            console.warn('Account sync failed (offline?):', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Returns the signed-in account from the last sync, if any
+     */
+    getAccount() {
+        return this.account || null;
+    }
+
+    /**
+     * Signs out of the account and forgets the cached session ID on this device
+     */
+    async signOut() {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' });
+        } finally {
+            this.account = null;
+            localStorage.removeItem(this.SESSION_KEY);
+            localStorage.removeItem('fastingForecast_profileSaved');
+        }
+    }
+
     /**
      * Conservative session validation - only checks format, never regenerates for backend issues
      */
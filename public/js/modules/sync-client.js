@@ -0,0 +1,159 @@
+/**
+ * SyncClient - Keeps this device in step with writes made on other devices
+ * Polls the server change feed (/api/changes?since=) and re-broadcasts each batch
+ * as a `fastingForecast:sync` window event that pages and managers react to.
+ * Same-browser tabs are still covered by localStorage events; this handles phone <-> laptop.
+ */
+class SyncClient {
+    constructor(options = {}) {
+        this.pollIntervalMs = options.pollIntervalMs || 30000;
+        this.version = null;
+        this.timer = null;
+        this.isPolling = false;
+        this.started = false;
+    }
+
+    /**
+     * Starts polling. The first request only fetches the current version, because the
+     * page has just loaded fresh data and there is nothing to catch up on yet.
+     */
+    async start() {
+        if (this.started) {
+            return;
+        }
+        this.started = true;
+
+        await this.poll();
+        this.scheduleNextPoll();
+
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.pollNow();
+            }
+        });
+        window.addEventListener('online', () => this.pollNow());
+        window.addEventListener('sessionChange', () => {
+            // A different profile was adopted; its versions are unrelated to ours
+            this.version = null;
+            this.pollNow();
+        });
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.started = false;
+    }
+
+    scheduleNextPoll() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(async () => {
+            if (!document.hidden) {
+                await this.poll();
+            }
+            this.scheduleNextPoll();
+        }, this.pollIntervalMs);
+    }
+
+    async pollNow() {
+        await this.poll();
+        this.scheduleNextPoll();
+    }
+
+    async poll() {
+        if (this.isPolling) {
+            return;
+        }
+
+        const sessionId = typeof window.getSessionId === 'function' ? window.getSessionId() : null;
+        if (!sessionId) {
+            return;
+        }
+
+        this.isPolling = true;
+        try {
+            let hasMore = true;
+            const changes = [];
+
+            while (hasMore) {
+                const query = this.version === null ? '' : `?since=${this.version}`;
+                const response = await fetch(`/api/changes${query}`, {
+                    headers: { 'X-Session-Id': sessionId },
+                    credentials: 'same-origin'
+                });
+
+                if (!response.ok) {
+                    return;
+                }
+
+                const feed = await response.json();
+                if (typeof feed.version !== 'number') {
+                    // Profile recovery responses and the like carry no feed
+                    return;
+                }
+
+                const isBootstrap = this.version === null;
+                this.version = feed.version;
+                hasMore = !!feed.hasMore;
+
+                if (!isBootstrap) {
+                    changes.push(...(feed.changes || []));
+                }
+            }
+
+            if (changes.length > 0) {
+                this.dispatchChanges(changes);
+            }
+        } catch (error) {
+            console.warn('SyncClient: change feed request failed (offline?):', error.message);
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    dispatchChanges(changes) {
+        const byType = (type) => changes.filter((change) => change.entityType === type);
+        const detail = {
+            version: this.version,
+            changes,
+            fasts: byType('fast'),
+            bodyLog: byType('body_log'),
+            // A restore replaced everything; listeners should reload rather than patch
+            reset: changes.some((change) => change.operation === 'reset')
+        };
+
+        console.log(`🔄 Applying ${changes.length} change(s) from other devices`);
+        window.dispatchEvent(new CustomEvent('fastingForecast:sync', { detail }));
+    }
+
+    /**
+     * Version to send as baseVersion with updates, so the server can spot concurrent edits
+     */
+    getVersion() {
+        return this.version;
+    }
+}
+
+window.FastingForecastSyncClient = SyncClient;
+
+// Start once the page session guard has settled the session ID
+(function startSyncClient() {
+    const start = () => {
+        if (window.syncClient) {
+            return;
+        }
+        window.syncClient = new SyncClient();
+        const ready = window.pageGuard && typeof window.pageGuard.waitForReady === 'function'
+            ? window.pageGuard.waitForReady()
+            : Promise.resolve();
+        ready.then(() => window.syncClient.start()).catch((error) => {
+            console.warn('SyncClient not started:', error);
+        });
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        start();
+    }
+})();
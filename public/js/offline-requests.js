@@ -0,0 +1,124 @@
+(function(global) {
+    // Which writes the service worker may queue while offline, and how queued ones are replayed
+
+    const PLACEHOLDER_PREFIX = 'offline-';
+    const PLACEHOLDER_PATTERN = /offline-[0-9a-f-]{36}/g;
+
+    /**
+     * Queueable writes. `creates` marks routes whose response carries the new
+     * record's id, which later queued requests may refer to by placeholder.
+     */
+    const QUEUEABLE_ROUTES = [
+        { method: 'POST', pattern: /^\/api\/fasts\/start$/, creates: true },
+        { method: 'POST', pattern: /^\/api\/fasts\/[^/]+\/end$/ },
+        { method: 'PUT', pattern: /^\/api\/fasts\/[^/]+$/ },
+        { method: 'POST', pattern: /^\/api\/body-log$/, creates: true },
+        { method: 'PUT', pattern: /^\/api\/body-log\/[^/]+$/ },
+        { method: 'PUT', pattern: /^\/api\/user\/settings$/ },
+        { method: 'PUT', pattern: /^\/api\/user\/[^/]+\/hunger-settings$/ }
+    ];
+
+    function findRoute(method, pathname) {
+        const upper = String(method || '').toUpperCase();
+        return QUEUEABLE_ROUTES.find(route => route.method === upper && route.pattern.test(pathname)) || null;
+    }
+
+    function isQueueable(method, pathname) {
+        return findRoute(method, pathname) !== null;
+    }
+
+    function createsRecord(method, pathname) {
+        const route = findRoute(method, pathname);
+        return Boolean(route && route.creates);
+    }
+
+    function createPlaceholderId(uuid) {
+        return `${PLACEHOLDER_PREFIX}${uuid}`;
+    }
+
+    function hasPlaceholder(text) {
+        return typeof text === 'string' && text.search(PLACEHOLDER_PATTERN) !== -1;
+    }
+
+    /**
+     * Swaps placeholder ids for the ids the server assigned once the creating
+     * request was replayed. Quoted placeholders in a JSON body become numbers
+     * when the real id is numeric. Unknown placeholders are left alone.
+     */
+    function resolvePlaceholders(text, resolved) {
+        if (typeof text !== 'string' || !resolved) {
+            return text;
+        }
+
+        return text
+            .replace(/"(offline-[0-9a-f-]{36})"/g, (match, placeholder) => {
+                const id = resolved[placeholder];
+                if (id === undefined) return match;
+                return typeof id === 'number' ? String(id) : JSON.stringify(String(id));
+            })
+            .replace(PLACEHOLDER_PATTERN, placeholder =>
+                (resolved[placeholder] === undefined ? placeholder : encodeURIComponent(resolved[placeholder])));
+    }
+
+    /**
+     * What to do with a queued request after replaying it:
+     * 'done' on success, 'rejected' when the server refused it for good
+     * (retrying would only fail again) and 'retry' when it may work later.
+     * retryAfter is the response's Retry-After header, if any.
+     */
+    function replayOutcome(status, retryAfter = null) {
+        if (status >= 200 && status < 300) {
+            return 'done';
+        }
+        if (status === 408 || status === 429 || status >= 500) {
+            return 'retry';
+        }
+        // A 409 with Retry-After is an earlier replay of this request still being processed
+        if (status === 409 && retryAfter) {
+            return 'retry';
+        }
+        // 409 means the change already happened, e.g. the fast was ended on another device
+        return status === 409 ? 'done' : 'rejected';
+    }
+
+    /**
+     * Body of the stand-in response the service worker returns for a queued
+     * request, so callers checking response.ok and reading an id carry on.
+     */
+    function queuedResponseBody(entry) {
+        let submitted = {};
+        try {
+            const parsed = entry.body ? JSON.parse(entry.body) : {};
+            submitted = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+        } catch (error) {
+            submitted = {};
+        }
+
+        return {
+            ...submitted,
+            ...(entry.placeholderId ? { id: entry.placeholderId } : {}),
+            success: true,
+            queued: true,
+            idempotency_key: entry.idempotencyKey
+        };
+    }
+
+    const api = {
+        PLACEHOLDER_PREFIX,
+        isQueueable,
+        createsRecord,
+        createPlaceholderId,
+        hasPlaceholder,
+        resolvePlaceholders,
+        replayOutcome,
+        queuedResponseBody
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+
+    if (global) {
+        global.OfflineRequests = api;
+    }
+})(typeof self !== 'undefined' ? self : global);
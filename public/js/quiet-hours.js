@@ -0,0 +1,179 @@
+(function(global) {
+    // Shared by the browser notification code and the server push scheduler
+
+    const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+    const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+    const MAX_WINDOWS = 7;
+    const MINUTE_MS = 60 * 1000;
+    const DAY_MINUTES = 24 * 60;
+
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    function isValidWindow(window) {
+        return Boolean(window) && typeof window === 'object' &&
+            TIME_PATTERN.test(window.start) && TIME_PATTERN.test(window.end) && window.start !== window.end &&
+            (window.days === undefined || (Array.isArray(window.days) && window.days.length > 0 &&
+                window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)));
+    }
+
+    /**
+     * Checks quiet hours as submitted in settings: a list of
+     * { start: 'HH:MM', end: 'HH:MM', days?: [0-6] } windows, where days are the
+     * weekdays (0 = Sunday) a window begins on and end may be past midnight.
+     * Returns an error message or null.
+     */
+    function validate(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (!Array.isArray(value)) {
+            return 'quiet_hours must be a list of windows';
+        }
+        if (value.length > MAX_WINDOWS) {
+            return `quiet_hours allows at most ${MAX_WINDOWS} windows`;
+        }
+        if (!value.every(isValidWindow)) {
+            return 'Each quiet hours window needs different start and end times in 24-hour HH:MM and optional days from 0 (Sunday) to 6';
+        }
+        return null;
+    }
+
+    /**
+     * Stored value (array or JSON text) to a clean list of windows; anything
+     * unreadable means no quiet hours rather than an error.
+     */
+    function normalize(value) {
+        let windows = value;
+        if (typeof value === 'string') {
+            try {
+                windows = JSON.parse(value);
+            } catch (error) {
+                return [];
+            }
+        }
+        if (!Array.isArray(windows)) {
+            return [];
+        }
+
+        return windows.filter(isValidWindow).map(window => ({
+            start: window.start,
+            end: window.end,
+            days: window.days ? [...new Set(window.days)].sort((a, b) => a - b) : ALL_DAYS.slice()
+        }));
+    }
+
+    // Without a (valid) time zone the runtime's own clock is used
+    function localParts(instant, timeZone) {
+        let parts;
+        try {
+            parts = new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone || undefined,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            }).formatToParts(instant);
+        } catch (error) {
+            return localParts(instant, null);
+        }
+
+        const values = {};
+        parts.forEach(part => {
+            if (part.type !== 'literal') {
+                values[part.type] = Number(part.value);
+            }
+        });
+        const date = Date.UTC(values.year, values.month - 1, values.day);
+        const minute = values.hour * 60 + values.minute;
+        const wholeMinute = Math.floor(instant.getTime() / MINUTE_MS) * MINUTE_MS;
+        return {
+            date,
+            weekday: new Date(date).getUTCDay(),
+            minute,
+            offsetMinutes: Math.round((date + minute * MINUTE_MS - wholeMinute) / MINUTE_MS)
+        };
+    }
+
+    // Instant at which the wall clock in timeZone reads `minute` minutes into the local day `date`
+    function wallClockToInstant(date, minute, timeZone) {
+        const wallClock = date + minute * MINUTE_MS;
+        let instant = wallClock - localParts(new Date(wallClock), timeZone).offsetMinutes * MINUTE_MS;
+        // Re-check once so times near a DST transition use the offset in force at that instant
+        const corrected = localParts(new Date(instant), timeZone).offsetMinutes;
+        instant = wallClock - corrected * MINUTE_MS;
+        return new Date(instant);
+    }
+
+    function containingWindowEnd(instant, windows, timeZone) {
+        const local = localParts(instant, timeZone);
+        const previousWeekday = (local.weekday + 6) % 7;
+        let latest = null;
+
+        windows.forEach(window => {
+            const start = toMinutes(window.start);
+            const end = toMinutes(window.end);
+            let endsAt = null;
+
+            if (start < end) {
+                if (window.days.includes(local.weekday) && local.minute >= start && local.minute < end) {
+                    endsAt = wallClockToInstant(local.date, end, timeZone);
+                }
+            } else if (local.minute >= start && window.days.includes(local.weekday)) {
+                endsAt = wallClockToInstant(local.date + DAY_MINUTES * MINUTE_MS, end, timeZone);
+            } else if (local.minute < end && window.days.includes(previousWeekday)) {
+                endsAt = wallClockToInstant(local.date, end, timeZone);
+            }
+
+            if (endsAt && (!latest || endsAt > latest)) {
+                latest = endsAt;
+            }
+        });
+
+        return latest;
+    }
+
+    /**
+     * When `instant` falls inside quiet hours (wall clock in timeZone), returns
+     * the instant they end, following back-to-back windows; otherwise null.
+     */
+    function endOfQuietHours(instant, value, timeZone) {
+        const windows = normalize(value);
+        let end = null;
+        let cursor = instant instanceof Date ? instant : new Date(instant);
+
+        for (let i = 0; i <= windows.length; i += 1) {
+            const next = containingWindowEnd(cursor, windows, timeZone);
+            if (!next) {
+                break;
+            }
+            end = next;
+            cursor = next;
+        }
+
+        return end;
+    }
+
+    function isQuiet(instant, value, timeZone) {
+        return endOfQuietHours(instant, value, timeZone) !== null;
+    }
+
+    const api = {
+        validate,
+        normalize,
+        isQuiet,
+        endOfQuietHours
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+
+    if (global) {
+        global.QuietHours = api;
+    }
+})(typeof window !== 'undefined' ? window : global);
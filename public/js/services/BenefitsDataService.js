@@ -454,12 +454,19 @@ class BenefitsDataService {
             url += `${separator}sessionId=${sessionId}`;
         }
 
+        // One key for every attempt, so a retry of a write that did reach the server is not applied twice
+        const idempotencyKey = typeof IdempotencyKey !== 'undefined'
+            ? IdempotencyKey.forRequest(options.method, url, options.body)
+            : null;
+        const headers = idempotencyKey ? { ...options.headers, 'Idempotency-Key': idempotencyKey } : options.headers;
+
         let lastError;
 
         for (let attempt = 1; attempt <= this.options.retryAttempts; attempt++) {
             try {
                 const response = await fetch(url, {
                     ...options,
+                    headers,
                     credentials: 'same-origin'
                 });
 
@@ -47,11 +47,17 @@ class BodyLogApi {
         }
 
         const url = this.buildUrl(path, query || {});
+        const payload = body && !(body instanceof FormData) ? JSON.stringify(body) : body;
+
+        const idempotencyKey = typeof IdempotencyKey !== 'undefined' ? IdempotencyKey.forRequest(method, url, payload) : null;
+        if (idempotencyKey && !finalHeaders['Idempotency-Key']) {
+            finalHeaders['Idempotency-Key'] = idempotencyKey;
+        }
 
         const response = await fetch(url, {
             method,
             headers: finalHeaders,
-            body: body && !(body instanceof FormData) ? JSON.stringify(body) : body
+            body: payload
         });
 
         if (!response.ok) {
@@ -95,6 +101,7 @@ class BodyLogApi {
             timeZone: entry.time_zone,
             weight: entry.weight,
             bodyFat: entry.body_fat,
+            measurements: this.normalizeMeasurements(entry),
             entryTag: entry.entry_tag,
             source: entry.source,
             notes: entry.notes,
@@ -107,6 +114,16 @@ class BodyLogApi {
         };
     }
 
+    // Tape measurements in centimetres, keyed like the API fields
+    normalizeMeasurements(entry) {
+        const measurements = {};
+        Object.entries(BodyLogApi.MEASUREMENT_COLUMNS).forEach(([field, column]) => {
+            const value = entry[column];
+            measurements[field] = value !== null && value !== undefined ? Number(value) : null;
+        });
+        return measurements;
+    }
+
     normalizeEntries(entries) {
         if (!Array.isArray(entries)) {
             return [];
@@ -185,6 +202,59 @@ class BodyLogApi {
         return this.normalizeEntry(data);
     }
 
+    async getMeasurements(entryId) {
+        if (!entryId) {
+            throw new Error('getMeasurements requires an entry ID');
+        }
+
+        return await this.request(`/${entryId}/measurements`);
+    }
+
+    async updateMeasurements(entryId, measurements) {
+        if (!entryId) {
+            throw new Error('updateMeasurements requires an entry ID');
+        }
+
+        const data = await this.request(`/${entryId}/measurements`, { method: 'PUT', body: measurements });
+        return this.normalizeEntry(data);
+    }
+
+    async clearMeasurements(entryId) {
+        if (!entryId) {
+            throw new Error('clearMeasurements requires an entry ID');
+        }
+
+        const data = await this.request(`/${entryId}/measurements`, { method: 'DELETE' });
+        return this.normalizeEntry(data);
+    }
+
+    async importScaleFile(file, options = {}) {
+        if (!file || typeof file.text !== 'function') {
+            throw new Error('importScaleFile requires a File');
+        }
+
+        const { vendor, timeZone, dryRun = false } = options;
+        const content = this.extractScaleRecords(await file.text());
+
+        return await this.request('/import', {
+            method: 'POST',
+            body: { content, vendor, timeZone, dryRun }
+        });
+    }
+
+    // Apple Health exports can be hundreds of MB; only the weight and body fat records are uploaded
+    extractScaleRecords(content) {
+        if (typeof content !== 'string' || !content.includes('<HealthData')) {
+            return content;
+        }
+
+        const records = content.match(
+            /<Record\b[^>]*type="HKQuantityTypeIdentifier(?:BodyMass|BodyFatPercentage)"[^>]*>/g
+        ) || [];
+
+        return `<HealthData>\n${records.join('\n')}\n</HealthData>`;
+    }
+
     serializePayload(payload = {}) {
         const serialized = { ...payload };
 
@@ -192,6 +262,15 @@ class BodyLogApi {
             serialized.loggedAt = serialized.loggedAt.toISOString();
         }
 
+        if (serialized.measurements && typeof serialized.measurements === 'object') {
+            Object.keys(BodyLogApi.MEASUREMENT_COLUMNS).forEach((field) => {
+                if (serialized.measurements[field] !== undefined) {
+                    serialized[field] = serialized.measurements[field];
+                }
+            });
+        }
+        delete serialized.measurements;
+
         if (serialized.makeCanonical !== undefined) {
             serialized.makeCanonical = !!serialized.makeCanonical;
         }
@@ -205,4 +284,12 @@ class BodyLogApi {
     }
 }
 
+BodyLogApi.MEASUREMENT_COLUMNS = {
+    neckCm: 'neck_cm',
+    waistCm: 'waist_cm',
+    hipCm: 'hip_cm',
+    chestCm: 'chest_cm',
+    armCm: 'arm_cm'
+};
+
 window.BodyLogApi = BodyLogApi;
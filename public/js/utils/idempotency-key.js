@@ -0,0 +1,54 @@
+(function(global) {
+    // Idempotency-Key values for API writes, so retries and double-taps are applied once
+
+    // An identical write sent again this soon is treated as the same request
+    const REUSE_WINDOW_MS = 10 * 1000;
+    const recent = new Map();
+
+    function randomKey() {
+        if (global.crypto && typeof global.crypto.randomUUID === 'function') {
+            return global.crypto.randomUUID();
+        }
+        const bytes = new Uint8Array(16);
+        global.crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Key for a write request. Reads need none. Repeating the exact same
+     * method, URL and body within a few seconds returns the same key.
+     */
+    function forRequest(method, url, body) {
+        const upper = String(method || 'GET').toUpperCase();
+        if (upper === 'GET' || upper === 'HEAD') {
+            return null;
+        }
+
+        const now = Date.now();
+        recent.forEach((entry, fingerprint) => {
+            if (now - entry.at > REUSE_WINDOW_MS) {
+                recent.delete(fingerprint);
+            }
+        });
+
+        const fingerprint = `${upper} ${url}\n${typeof body === 'string' ? body : ''}`;
+        const existing = recent.get(fingerprint);
+        if (existing) {
+            return existing.key;
+        }
+
+        const key = randomKey();
+        recent.set(fingerprint, { key, at: now });
+        return key;
+    }
+
+    const api = { forRequest };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+
+    if (global) {
+        global.IdempotencyKey = api;
+    }
+})(typeof window !== 'undefined' ? window : global);
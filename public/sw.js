@@ -1,21 +1,80 @@
 /**
  * Service Worker for Fasting Forecast
- * Handles background notifications and offline functionality
+ * Handles background notifications and offline functionality: the app shell
+ * is precached, and fast, body log and settings writes made offline are kept
+ * in IndexedDB and replayed in order when the connection returns.
  */
 
-const CACHE_NAME = 'fasting-forecast-v1';
+importScripts('/js/offline-requests.js');
+
+const CACHE_NAME = 'fasting-forecast-v2';
 const NOTIFICATION_TAG = 'hunger-coach';
+const OFFLINE_SYNC_TAG = 'offline-queue';
+
+const APP_SHELL = [
+    '/',
+    '/timer',
+    '/dashboard',
+    '/schedule',
+    '/settings',
+    '/manifest.json',
+    '/favicon.svg',
+    '/icons/icon-180.png',
+    '/icons/icon-192.png',
+    '/css/navigation.css',
+    '/css/modal.css',
+    '/partials/navigation.html',
+    '/content/hunger-tips.json',
+    '/js/timezone.js',
+    '/js/quiet-hours.js',
+    '/js/offline-requests.js',
+    '/js/utils/navigation.js',
+    '/js/utils/idempotency-key.js',
+    '/js/modules/session-manager.js',
+    '/js/modules/page-session-guard.js',
+    '/js/modules/sync-client.js',
+    '/js/modules/offline-queue-client.js',
+    '/js/modules/hunger-coach.js',
+    '/js/modules/notification-service.js',
+    '/js/modules/global-notification-manager.js',
+    '/js/modules/fast-duration-resolver.js',
+    '/js/modules/timer-onboarding-controller.js',
+    '/js/modules/draft-schedule-api.js',
+    '/js/modules/schedule-draft-controller.js',
+    '/js/services/BodyLogApi.js',
+    '/js/services/BenefitsCalculator.js',
+    '/js/services/BenefitsDataService.js',
+    '/js/services/FastEffectivenessApi.js',
+    '/js/services/MealTimeDetector.js',
+    '/js/managers/CardRotationManager.js',
+    '/js/components/BenefitsCard.js',
+    '/js/components/ContextualCard.js',
+    '/js/components/FastEffectivenessCard.js',
+    '/js/components/FastEffectivenessModal.js',
+    '/js/components/HungerCoachCard.js',
+    '/js/components/PhaseBanner.js'
+];
 
 // Install service worker
 self.addEventListener('install', event => {
     console.log('Service Worker: Installing...');
-    self.skipWaiting();
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
 });
 
 // Activate service worker
 self.addEventListener('activate', event => {
     console.log('Service Worker: Activated');
-    event.waitUntil(self.clients.claim());
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+            // Anything left from a previous session goes out as soon as we can
+            .then(() => replayOfflineQueue().catch(() => {}))
+    );
 });
 
 // Handle background sync (for when connection is restored)
@@ -23,33 +82,248 @@ self.addEventListener('sync', event => {
     if (event.tag === 'hunger-coach-sync') {
         event.waitUntil(checkAndSendHungerNotifications());
     }
+
+    // Rejecting tells the browser to try the sync again later
+    if (event.tag === OFFLINE_SYNC_TAG) {
+        event.waitUntil(replayOfflineQueue());
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (OfflineRequests.isQueueable(request.method, url.pathname)) {
+        event.respondWith(sendOrQueue(request));
+    } else if (request.method === 'GET' && !url.pathname.startsWith('/api/')) {
+        event.respondWith(networkFirst(request));
+    }
 });
 
+// Pages and assets come from the network when it is there, so deploys show up straight away
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok && response.type === 'basic') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        if (request.mode === 'navigate') {
+            return (await cache.match('/timer')) || Response.error();
+        }
+        throw error;
+    }
+}
+
+// === Offline write queue ===
+
+const QUEUE_DB_NAME = 'fasting-forecast-offline';
+const QUEUE_STORE = 'requests';
+const RESOLVED_STORE = 'resolved-ids';
+
+function openQueueDatabase() {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(QUEUE_DB_NAME, 1);
+        open.onupgradeneeded = () => {
+            open.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+            open.result.createObjectStore(RESOLVED_STORE, { keyPath: 'placeholderId' });
+        };
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => reject(open.error);
+    });
+}
+
+async function withStore(storeName, mode, callback) {
+    const database = await openQueueDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        database.close();
+    }
+}
+
+const getQueuedRequests = () => withStore(QUEUE_STORE, 'readonly', store => store.getAll());
+const addQueuedRequest = entry => withStore(QUEUE_STORE, 'readwrite', store => store.add(entry));
+const removeQueuedRequest = id => withStore(QUEUE_STORE, 'readwrite', store => store.delete(id));
+const getResolvedIds = () => withStore(RESOLVED_STORE, 'readonly', store => store.getAll());
+const saveResolvedId = (placeholderId, id) => withStore(RESOLVED_STORE, 'readwrite', store => store.put({ placeholderId, id }));
+
+/**
+ * Sends a write straight through when online. When the network is down, or
+ * the request refers to a record that only exists in the queue so far, it is
+ * stored and a 202 stand-in response is returned instead.
+ */
+async function sendOrQueue(request) {
+    const copy = request.clone();
+    const body = await copy.text();
+
+    if (!OfflineRequests.hasPlaceholder(request.url) && !OfflineRequests.hasPlaceholder(body)) {
+        try {
+            return await fetch(request);
+        } catch (error) {
+            console.log('📴 SERVICE WORKER: Offline, queueing', request.method, request.url);
+        }
+    }
+
+    const url = new URL(request.url);
+    const idempotencyKey = request.headers.get('Idempotency-Key') || self.crypto.randomUUID();
+    const entry = {
+        method: request.method,
+        url: url.pathname + url.search,
+        headers: Object.fromEntries(request.headers.entries()),
+        body,
+        idempotencyKey,
+        placeholderId: OfflineRequests.createsRecord(request.method, url.pathname)
+            ? OfflineRequests.createPlaceholderId(self.crypto.randomUUID())
+            : null,
+        queuedAt: new Date().toISOString()
+    };
+    await addQueuedRequest(entry);
+
+    const pending = (await getQueuedRequests()).length;
+    await notifyClients('OFFLINE_REQUEST_QUEUED', { method: entry.method, url: entry.url, pending });
+    await requestReplay();
+
+    return new Response(JSON.stringify(OfflineRequests.queuedResponseBody(entry)), {
+        status: 202,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+async function requestReplay() {
+    if (self.registration.sync) {
+        try {
+            await self.registration.sync.register(OFFLINE_SYNC_TAG);
+            return;
+        } catch (error) {
+            console.log('Background Sync unavailable, replaying when a page reports it is online');
+        }
+    }
+    // Without Background Sync this returns straight away while offline
+    replayOfflineQueue().catch(() => {});
+}
+
+let replayInProgress = null;
+
+function replayOfflineQueue() {
+    if (!replayInProgress) {
+        replayInProgress = replayQueuedRequests().finally(() => {
+            replayInProgress = null;
+        });
+    }
+    return replayInProgress;
+}
+
+/**
+ * Replays queued writes oldest first, each with the idempotency key it was
+ * queued with so a replay that reached the server before failing is not
+ * applied twice. Stops at the first one that cannot get through yet.
+ */
+async function replayQueuedRequests() {
+    const queue = await getQueuedRequests();
+    if (queue.length === 0) {
+        return;
+    }
+
+    const resolved = {};
+    (await getResolvedIds()).forEach(row => {
+        resolved[row.placeholderId] = row.id;
+    });
+    const result = { synced: 0, rejected: [], resolved: {} };
+    let stoppedEarly = false;
+
+    for (const entry of queue) {
+        let response;
+        try {
+            response = await fetch(OfflineRequests.resolvePlaceholders(entry.url, resolved), {
+                method: entry.method,
+                headers: { ...entry.headers, 'Idempotency-Key': entry.idempotencyKey },
+                body: entry.body ? OfflineRequests.resolvePlaceholders(entry.body, resolved) : undefined
+            });
+        } catch (error) {
+            stoppedEarly = true;
+            break;
+        }
+
+        const outcome = OfflineRequests.replayOutcome(response.status, response.headers.get('Retry-After'));
+        if (outcome === 'retry') {
+            stoppedEarly = true;
+            break;
+        }
+
+        if (outcome === 'done') {
+            result.synced += 1;
+            if (entry.placeholderId && response.status !== 409) {
+                const created = await response.json().catch(() => null);
+                if (created && created.id !== undefined) {
+                    resolved[entry.placeholderId] = created.id;
+                    result.resolved[entry.placeholderId] = created.id;
+                    await saveResolvedId(entry.placeholderId, created.id);
+                }
+            }
+        } else {
+            const payload = await response.json().catch(() => ({}));
+            result.rejected.push({ method: entry.method, url: entry.url, status: response.status, error: payload.error || null });
+        }
+        await removeQueuedRequest(entry.id);
+    }
+
+    const pending = (await getQueuedRequests()).length;
+    if (result.synced > 0 || result.rejected.length > 0) {
+        await notifyClients('OFFLINE_QUEUE_SYNCED', { ...result, pending });
+    }
+    if (stoppedEarly) {
+        throw new Error(`${pending} offline change(s) still waiting for the network`);
+    }
+}
+
+async function notifyClients(type, data) {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    clients.forEach(client => client.postMessage({ type, data }));
+}
+
 // Handle notification click events
 self.addEventListener('notificationclick', event => {
     console.log('Notification clicked:', event.notification.tag);
 
     event.notification.close();
 
+    // Server pushes carry the page to open; local hunger tips go to the timer
+    const targetUrl = (event.notification.data && event.notification.data.url) || '/timer';
+
     // Focus or open the app when notification is clicked
     event.waitUntil(
         self.clients.matchAll({ type: 'window' }).then(clients => {
-            // If app is already open, focus it
+            // If the page is already open, focus it
             for (const client of clients) {
-                if (client.url.includes('timer') && 'focus' in client) {
+                if (new URL(client.url).pathname === targetUrl && 'focus' in client) {
                     return client.focus();
                 }
             }
 
-            // Otherwise open the timer page
+            // Otherwise open it
             if (self.clients.openWindow) {
-                return self.clients.openWindow('/timer');
+                return self.clients.openWindow(targetUrl);
             }
         })
     );
 });
 
-// Handle push notifications (if we add push notifications later)
+// Handle Web Push messages sent by the server (schedule reminders, hunger nudges, milestones)
 self.addEventListener('push', event => {
     if (event.data) {
         const data = event.data.json();
@@ -58,7 +332,7 @@ self.addEventListener('push', event => {
             body: data.body || 'Time for some hunger support',
             icon: '/favicon.svg',
             badge: '/favicon.svg',
-            tag: NOTIFICATION_TAG,
+            tag: data.tag || NOTIFICATION_TAG,
             requireInteraction: false,
             silent: true,
             data: data
@@ -110,6 +384,11 @@ self.addEventListener('message', event => {
             sendHungerTipNotification(data);
             break;
 
+        case 'REPLAY_OFFLINE_QUEUE':
+            console.log('🔁 SERVICE WORKER: Replaying offline changes');
+            event.waitUntil(replayOfflineQueue().catch(error => console.log(error.message)));
+            break;
+
         default:
             console.log('❓ SERVICE WORKER: Unknown message type:', type);
     }
@@ -141,8 +141,8 @@ async function main() {
   try {
     console.log('\n=== Fasting Forecast: SQLite → Neon Migration ===\n');
 
-    // Ensure schema exists (the app's createTables equivalent)
-    // We'll let the app handle schema creation; just verify tables exist.
+    // Ensure schema exists (created by `npm run migrate` or on app start-up)
+    // We'll let the migrations handle schema creation; just verify tables exist.
     const { rows: tables } = await pgClient.query(`
       SELECT tablename FROM pg_tables WHERE schemaname = 'public'
     `);
@@ -154,7 +154,7 @@ async function main() {
     const missing = required.filter((t) => !existing.has(t));
     if (missing.length) {
       console.error(`Missing tables in Neon: ${missing.join(', ')}`);
-      console.error('Deploy the app to Vercel first (or run the server once with DATABASE_URL set) so it creates the schema, then re-run this script.');
+      console.error('Run `DATABASE_URL=... npm run migrate` (or deploy the app once) so the schema exists, then re-run this script.');
       process.exit(1);
     }
 
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Apply or roll back schema migrations (database/migrations/NNN_name.js)
+ *
+ * Usage:
+ *   npm run migrate                     # apply all pending migrations
+ *   npm run migrate -- up --to=2        # apply pending migrations up to version 2
+ *   npm run migrate -- down             # roll back the latest migration
+ *   npm run migrate -- down --steps=2   # roll back the latest two migrations
+ *   npm run migrate -- status           # list applied and pending migrations
+ *
+ * Uses Postgres when DATABASE_URL is set, otherwise the local SQLite database.
+ */
+
+'use strict';
+
+const db = require('../database');
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const options = { command: 'up', to: undefined, steps: 1 };
+
+  argv.forEach((arg) => {
+    if (['up', 'down', 'status'].includes(arg)) {
+      options.command = arg;
+    } else if (arg.startsWith('--to=')) {
+      options.to = Number(arg.split('=')[1]);
+    } else if (arg.startsWith('--steps=')) {
+      options.steps = Number(arg.split('=')[1]);
+    } else {
+      console.warn(`Ignoring unrecognised argument: ${arg}`);
+    }
+  });
+
+  if (options.to !== undefined && !Number.isInteger(options.to)) {
+    throw new Error('--to must be a migration version number');
+  }
+  if (!Number.isInteger(options.steps) || options.steps < 1) {
+    throw new Error('--steps must be a positive whole number');
+  }
+
+  return options;
+}
+
+function printStatus(rows) {
+  if (rows.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+  rows.forEach((row) => {
+    const label = `${String(row.version).padStart(3, '0')}_${row.name}`;
+    const state = row.applied ? `applied ${row.appliedAt}` : 'pending';
+    console.log(`${row.applied ? '✅' : '⏳'} ${label} (${state})`);
+  });
+}
+
+async function main() {
+  const options = parseArgs();
+  await db.initialize({ migrate: false });
+
+  try {
+    const migrator = db.createMigrator();
+    if (options.command === 'status') {
+      printStatus(await migrator.status());
+    } else if (options.command === 'down') {
+      const rolledBack = await migrator.down({ steps: options.steps });
+      console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    } else {
+      const applied = await migrator.up({ to: options.to });
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database schema is up to date');
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -1,21 +1,69 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const multer = require('multer');
 const path = require('path');
 const db = require('./database/index');
 const DraftScheduleService = require('./services/DraftScheduleService');
 const BodyLogService = require('./services/BodyLogService');
 const BodyLogAnalyticsService = require('./services/BodyLogAnalyticsService');
+const DataExportService = require('./services/DataExportService');
+const DataImportService = require('./services/DataImportService');
+const ScaleImportService = require('./services/ScaleImportService');
+const AuthService = require('./services/AuthService');
+const SyncService = require('./services/SyncService');
+const PlannedInstanceService = require('./services/PlannedInstanceService');
+const ScheduleAdherenceService = require('./services/ScheduleAdherenceService');
+const CalendarFeedService = require('./services/CalendarFeedService');
+const ScheduleImportService = require('./services/ScheduleImportService');
+const ScheduleNotificationService = require('./services/ScheduleNotificationService');
+const PushNotificationService = require('./services/PushNotificationService');
+const IdempotencyService = require('./services/IdempotencyService');
+const ProgressPhotoService = require('./services/ProgressPhotoService');
+const ForecastEngine = require('./services/ForecastEngine');
+const ForecastReconciliationService = require('./services/ForecastReconciliationService');
+const ForecastSolverService = require('./services/ForecastSolverService');
+const { validateBlockInput } = require('./services/blockValidation');
+const { validateNotificationRules } = require('./services/notificationRules');
+const QuietHours = require('./public/js/quiet-hours');
+const { SESSION_TTL_MS } = AuthService;
 const draftScheduleService = new DraftScheduleService(db);
 const bodyLogService = new BodyLogService(db);
 const bodyLogAnalyticsService = new BodyLogAnalyticsService(db, bodyLogService);
+const dataExportService = new DataExportService(db);
+const dataImportService = new DataImportService(db, bodyLogService);
+const scaleImportService = new ScaleImportService(db, bodyLogService);
+const authService = new AuthService(db);
+const syncService = new SyncService(db, bodyLogService);
+const plannedInstanceService = new PlannedInstanceService(db);
+const scheduleAdherenceService = new ScheduleAdherenceService(db, plannedInstanceService);
+const calendarFeedService = new CalendarFeedService(db);
+const scheduleImportService = new ScheduleImportService(db);
+const scheduleNotificationService = new ScheduleNotificationService(db, plannedInstanceService);
+const idempotencyService = new IdempotencyService(db);
+const progressPhotoService = new ProgressPhotoService(db);
+const forecastEngine = new ForecastEngine();
+const forecastReconciliationService = new ForecastReconciliationService(db, {
+  analyticsService: bodyLogAnalyticsService,
+  forecastEngine
+});
+const forecastSolverService = new ForecastSolverService({ forecastEngine });
+const pushNotificationService = new PushNotificationService(db, plannedInstanceService, {
+  allowInsecureEndpoints: process.env.PUSH_ALLOW_INSECURE_ENDPOINTS === 'true'
+});
+
+const AUTH_COOKIE_NAME = 'ff_session';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+// Export bundles and scale exports carry months of history, so imports get a larger body limit
+app.use(['/api/import', '/api/body-log/import', '/api/schedule/import'], express.json({ limit: '10mb' }));
 app.use(express.json());
+app.use(cookieParser());
 
 async function ensureProfileTimeZone(userProfile, timeZone) {
   if (!userProfile || !timeZone || typeof timeZone !== 'string' || !timeZone.trim()) {
@@ -50,6 +98,19 @@ async function ensureProfileTimeZone(userProfile, timeZone) {
   }
 }
 
+// Appends to the profile's change feed so other devices pick the write up.
+// A failed log entry must not fail the write itself.
+async function recordSyncChange(res, userProfileId, entityType, entityId, operation, fields = []) {
+  try {
+    const version = await syncService.recordChange(userProfileId, entityType, entityId, operation, fields);
+    res.set('X-Sync-Version', String(version));
+    return version;
+  } catch (error) {
+    console.error('Sync change log error:', error);
+    return null;
+  }
+}
+
 // Session validation middleware
 function validateSessionFormat(sessionId) {
     return sessionId &&
@@ -60,8 +121,20 @@ function validateSessionFormat(sessionId) {
            /^fs_\d+_[a-z0-9]+$/.test(sessionId);
 }
 
-async function validateSessionMiddleware(req, res, next) {
-    const sessionId = req.query.sessionId || req.headers['x-session-id'] || req.body.sessionId;
+function validateSessionMiddleware(req, res, next) {
+    return resolveSession(req, res, next, { requireProfile: true });
+}
+
+// For routes that can create the profile themselves, such as restoring a backup into a new session;
+// req.userProfile is null when the session has none yet
+function resolveSessionMiddleware(req, res, next) {
+    return resolveSession(req, res, next, { requireProfile: false });
+}
+
+async function resolveSession(req, res, next, { requireProfile }) {
+    // Signed-in clients may omit the session ID; the account's profile supplies it
+    const sessionId = req.query.sessionId || req.headers['x-session-id'] || req.body.sessionId ||
+        (req.accountProfile && req.accountProfile.session_id);
 
     if (!sessionId) {
         return res.status(400).json({
@@ -81,7 +154,7 @@ async function validateSessionMiddleware(req, res, next) {
 
     try {
         const profile = await db.getUserProfileBySessionId(sessionId);
-        if (!profile) {
+        if (!profile && requireProfile) {
             // Valid session format but no user profile - this could be due to database reset
             // Return a special code that the frontend can handle for profile recovery
             return res.status(200).json({
@@ -94,7 +167,7 @@ async function validateSessionMiddleware(req, res, next) {
             });
         }
 
-        req.userProfile = profile;
+        req.userProfile = profile || null;
         req.sessionId = sessionId;
         next();
     } catch (error) {
@@ -107,6 +180,161 @@ async function validateSessionMiddleware(req, res, next) {
     }
 }
 
+// Idempotency-Key support for writes that must not be applied twice (double-taps, retries,
+// offline replays). Runs after validateSessionMiddleware; requests without the header pass through.
+async function idempotencyMiddleware(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+
+    let claim;
+    try {
+        claim = await idempotencyService.begin(req.userProfile.id, key, {
+            method: req.method,
+            path: req.baseUrl + req.path,
+            body: req.body
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_IDEMPOTENCY_KEY') {
+            return res.status(400).json({ error: 'Idempotency-Key must be 8-255 letters, digits, dashes, dots, colons or underscores', code: error.code });
+        }
+        if (error.code === 'IDEMPOTENCY_KEY_REUSED') {
+            return res.status(422).json({ error: 'Idempotency-Key was already used for a different request', code: error.code });
+        }
+        if (error.code === 'IDEMPOTENCY_REQUEST_IN_PROGRESS') {
+            // Retry-After tells clients, including the offline replay, to send it again shortly
+            res.set('Retry-After', '1');
+            return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed', code: error.code });
+        }
+        console.error('Idempotency key error:', error);
+        return res.status(500).json({ error: 'Failed to check Idempotency-Key' });
+    }
+
+    if (claim.replay) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.status).json(claim.body);
+    }
+
+    // Store the response before sending it, so a retry arriving right after sees it
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        idempotencyService.complete(claim.record, res.statusCode, body)
+            .catch((error) => console.error('Error storing idempotent response:', error))
+            .finally(() => sendJson(body));
+        return res;
+    };
+    next();
+}
+
+// Multipart photo uploads are held in memory; ProgressPhotoService re-encodes them before storage
+const MAX_PHOTO_UPLOAD_BYTES = 15 * 1024 * 1024;
+const photoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_PHOTO_UPLOAD_BYTES, files: 1 },
+    fileFilter: (req, file, callback) => callback(null, /^image\//.test(file.mimetype))
+}).single('photo');
+
+function photoUploadMiddleware(req, res, next) {
+    photoUpload(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Photos must be ${MAX_PHOTO_UPLOAD_BYTES / (1024 * 1024)} MB or smaller`, code: error.code });
+        }
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+        console.error('Error receiving photo upload:', error);
+        res.status(500).json({ error: 'Failed to receive photo upload' });
+    });
+}
+
+const PHOTO_ERRORS = {
+    INVALID_IMAGE: [400, 'Upload a JPEG, PNG, WebP, HEIF or GIF image in the "photo" field'],
+    INVALID_TAKEN_AT: [400, 'takenAt must be a valid date'],
+    FAST_NOT_FOUND: [404, 'Fast not found'],
+    BODY_LOG_ENTRY_NOT_FOUND: [404, 'Body log entry not found'],
+    PHOTO_NOT_FOUND: [404, 'Photo not found']
+};
+
+const ADHERENCE_ERRORS = {
+    INVALID_DATE_RANGE: 'from and to must be dates or ISO timestamps, with from before to',
+    DATE_RANGE_TOO_LARGE: `The report can cover at most ${ScheduleAdherenceService.MAX_RANGE_DAYS} days`
+};
+
+function sendPhotoError(res, error) {
+    const [status, message] = PHOTO_ERRORS[error.code];
+    return res.status(status).json({ error: message, code: error.code });
+}
+
+// Account sessions: resolve the httpOnly cookie into req.account / req.accountProfile
+async function resolveAccountMiddleware(req, res, next) {
+    const token = req.cookies && req.cookies[AUTH_COOKIE_NAME];
+    if (!token) {
+        return next();
+    }
+
+    try {
+        const resolved = await authService.resolveSession(token);
+        if (resolved) {
+            req.account = resolved.account;
+            req.accountProfile = resolved.profile;
+        } else {
+            res.clearCookie(AUTH_COOKIE_NAME, { path: '/' });
+        }
+        next();
+    } catch (error) {
+        console.error('Account session lookup error:', error);
+        next();
+    }
+}
+
+// A profile claimed by an account is only reachable with that account's cookie;
+// unclaimed profiles keep working with the bare session ID until they are migrated
+async function requireProfileOwnership(req, res, next, sessionId) {
+    if (!validateSessionFormat(sessionId)) {
+        return next();
+    }
+
+    try {
+        const profile = await db.getUserProfileBySessionId(sessionId);
+        if (profile && profile.account_id && (!req.account || req.account.id !== profile.account_id)) {
+            return res.status(401).json({
+                error: 'Sign in required',
+                code: 'ACCOUNT_REQUIRED',
+                message: 'This profile belongs to an account. Sign in to continue.',
+                redirectTo: '/login'
+            });
+        }
+        next();
+    } catch (error) {
+        console.error('Profile ownership check error:', error);
+        return res.status(500).json({
+            error: 'Session validation failed',
+            code: 'VALIDATION_ERROR',
+            message: 'Unable to validate session'
+        });
+    }
+}
+
+function setAuthCookie(res, token) {
+    res.cookie(AUTH_COOKIE_NAME, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_TTL_MS,
+        path: '/'
+    });
+}
+
+app.use('/api', resolveAccountMiddleware, (req, res, next) => {
+    const sessionId = req.query.sessionId || req.headers['x-session-id'] || (req.body && req.body.sessionId);
+    return requireProfileOwnership(req, res, next, sessionId);
+});
+app.param('sessionId', requireProfileOwnership);
+
 // API Routes
 app.get('/api/hello', (req, res) => {
   res.json({ message: 'Hello from the backend!' });
@@ -122,12 +350,7 @@ app.get('/api/time', (req, res) => {
 // TEMPORARY DEBUG: List user profiles (remove after debugging)
 app.get('/api/debug/profiles', async (req, res) => {
   try {
-    const profiles = await new Promise((resolve, reject) => {
-      db.db.all('SELECT id, session_id, created_at, updated_at, onboarded_at FROM user_profiles ORDER BY created_at DESC', (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    const profiles = await db.listUserProfiles();
 
     res.json({
       count: profiles.length,
@@ -154,19 +377,8 @@ app.delete('/api/debug/cleanup-schedule', async (req, res) => {
     }
 
     // Delete schedule and draft to reset to onboarding state
-    await new Promise((resolve, reject) => {
-      db.db.run('DELETE FROM schedules WHERE user_profile_id = ?', [profile.id], (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
-
-    await new Promise((resolve, reject) => {
-      db.db.run('DELETE FROM schedule_drafts WHERE user_profile_id = ?', [profile.id], (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    await db.deleteSchedulesByUserProfile(profile.id);
+    await db.deleteScheduleDraft(profile.id);
 
     res.json({
       deleted: true,
@@ -209,6 +421,84 @@ app.get('/api/session/validate', async (req, res) => {
     }
 });
 
+// Account API Endpoints
+function buildAuthResponse(result) {
+  return {
+    authenticated: true,
+    account: result.account,
+    sessionId: result.profile ? result.profile.session_id : null,
+    hasProfile: !!(result.profile && result.profile.weight),
+    expiresAt: result.expiresAt || null
+  };
+}
+
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    // Only the profile behind the session this request is made with can be attached
+    const sessionId = req.headers['x-session-id'];
+    const userProfile = validateSessionFormat(sessionId) ? await db.getUserProfileBySessionId(sessionId) : null;
+    const result = await authService.register({
+      email,
+      password,
+      userProfile,
+      userAgent: req.headers['user-agent']
+    });
+
+    setAuthCookie(res, result.token);
+    res.status(201).json({ ...buildAuthResponse(result), attachedProfile: result.attachedProfile });
+  } catch (error) {
+    if (error.code === 'INVALID_EMAIL' || error.code === 'WEAK_PASSWORD') {
+      return res.status(400).json({
+        error: error.code === 'INVALID_EMAIL'
+          ? 'A valid email address is required'
+          : `Password must be at least ${AuthService.MIN_PASSWORD_LENGTH} characters`,
+        code: error.code
+      });
+    }
+    if (error.code === 'EMAIL_TAKEN') {
+      return res.status(409).json({ error: 'An account with this email already exists', code: error.code });
+    }
+    console.error('Error registering account:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const result = await authService.login({ email, password, userAgent: req.headers['user-agent'] });
+
+    setAuthCookie(res, result.token);
+    res.json(buildAuthResponse(result));
+  } catch (error) {
+    if (error.code === 'INVALID_CREDENTIALS') {
+      return res.status(401).json({ error: 'Email or password is incorrect', code: error.code });
+    }
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await authService.logout(req.cookies[AUTH_COOKIE_NAME]);
+    res.clearCookie(AUTH_COOKIE_NAME, { path: '/' });
+    res.json({ authenticated: false });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  if (!req.account) {
+    return res.json({ authenticated: false });
+  }
+
+  res.json(buildAuthResponse({ account: req.account, profile: req.accountProfile }));
+});
+
 // Fasting Log API Endpoints
 app.get('/api/fasts', validateSessionMiddleware, async (req, res) => {
   try {
@@ -350,7 +640,7 @@ app.post('/api/fasts', validateSessionMiddleware, async (req, res) => {
 
     if (startWeight !== undefined && startWeight !== null) {
       try {
-        await bodyLogService.recordFastWeight({
+        const startEntry = await bodyLogService.recordFastWeight({
           userProfileId,
           fastId: newFast.id,
           phase: 'start',
@@ -360,6 +650,7 @@ app.post('/api/fasts', validateSessionMiddleware, async (req, res) => {
           timezoneOffsetMinutes,
           timeZone: finalFastTimeZone
         });
+        await recordSyncChange(res, req.userProfile.id, 'body_log', startEntry?.id, 'create');
       } catch (syncError) {
         console.error('Body log sync error (fast create - start):', syncError);
       }
@@ -367,7 +658,7 @@ app.post('/api/fasts', validateSessionMiddleware, async (req, res) => {
 
     if (end_time && endWeight !== undefined && endWeight !== null) {
       try {
-        await bodyLogService.recordFastWeight({
+        const endEntry = await bodyLogService.recordFastWeight({
           userProfileId,
           fastId: newFast.id,
           phase: 'end',
@@ -377,6 +668,7 @@ app.post('/api/fasts', validateSessionMiddleware, async (req, res) => {
           timezoneOffsetMinutes,
           timeZone: finalFastTimeZone
         });
+        await recordSyncChange(res, req.userProfile.id, 'body_log', endEntry?.id, 'create');
       } catch (syncError) {
         console.error('Body log sync error (fast create - end):', syncError);
       }
@@ -386,6 +678,7 @@ app.post('/api/fasts', validateSessionMiddleware, async (req, res) => {
       await ensureProfileTimeZone(req.userProfile, finalFastTimeZone);
     }
 
+    await recordSyncChange(res, req.userProfile.id, 'fast', newFast.id, 'create');
     res.status(201).json(newFast);
   } catch (error) {
     console.error('Error creating fast:', error);
@@ -393,7 +686,7 @@ app.post('/api/fasts', validateSessionMiddleware, async (req, res) => {
   }
 });
 
-app.post('/api/fasts/start', validateSessionMiddleware, async (req, res) => {
+app.post('/api/fasts/start', validateSessionMiddleware, idempotencyMiddleware, async (req, res) => {
   try {
     const {
       start_time,
@@ -438,7 +731,7 @@ app.post('/api/fasts/start', validateSessionMiddleware, async (req, res) => {
       const bodyFat = req.body.body_fat ?? req.body.bodyFat ?? null;
 
       try {
-        await bodyLogService.recordFastWeight({
+        const startEntry = await bodyLogService.recordFastWeight({
           userProfileId,
           fastId: newFast.id,
           phase: 'start',
@@ -448,6 +741,7 @@ app.post('/api/fasts/start', validateSessionMiddleware, async (req, res) => {
           timezoneOffsetMinutes,
           timeZone: finalFastTimeZone
         });
+        await recordSyncChange(res, req.userProfile.id, 'body_log', startEntry?.id, 'create');
       } catch (syncError) {
         console.error('Body log sync error (fast start):', syncError);
       }
@@ -457,6 +751,7 @@ app.post('/api/fasts/start', validateSessionMiddleware, async (req, res) => {
       await ensureProfileTimeZone(req.userProfile, finalFastTimeZone);
     }
 
+    await recordSyncChange(res, req.userProfile.id, 'fast', newFast.id, 'create');
     res.status(201).json(newFast);
   } catch (error) {
     console.error('Error starting fast:', error);
@@ -464,7 +759,7 @@ app.post('/api/fasts/start', validateSessionMiddleware, async (req, res) => {
   }
 });
 
-app.post('/api/fasts/:id/end', validateSessionMiddleware, async (req, res) => {
+app.post('/api/fasts/:id/end', validateSessionMiddleware, idempotencyMiddleware, async (req, res) => {
   try {
     const fastId = parseInt(req.params.id);
     const endTime = req.body.end_time || new Date().toISOString();
@@ -478,7 +773,17 @@ app.post('/api/fasts/:id/end', validateSessionMiddleware, async (req, res) => {
       return res.status(403).json({ error: 'Access denied: You can only end your own fasts' });
     }
 
+    // Ending is first-writer-wins: a second device ending the same fast must not move its end time
+    if (!fast.is_active && fast.end_time) {
+      return res.status(409).json({
+        error: 'This fast has already been ended',
+        code: 'FAST_ALREADY_ENDED',
+        fast
+      });
+    }
+
     const updatedFast = await db.endFast(fastId, endTime);
+    await recordSyncChange(res, req.userProfile.id, 'fast', fastId, 'update', ['end_time', 'is_active', 'duration_hours']);
 
     const weight = req.body.weight ?? req.body.end_weight ?? req.body.endWeight;
     const bodyFat = req.body.body_fat ?? req.body.end_body_fat ?? req.body.bodyFat ?? null;
@@ -490,7 +795,7 @@ app.post('/api/fasts/:id/end', validateSessionMiddleware, async (req, res) => {
     if (weight !== undefined && weight !== null) {
       try {
         const fastRecord = await db.getFastById(fastId);
-        await bodyLogService.recordFastWeight({
+        const endEntry = await bodyLogService.recordFastWeight({
           userProfileId: req.userProfile.id,
           fastId,
           phase: 'end',
@@ -500,6 +805,7 @@ app.post('/api/fasts/:id/end', validateSessionMiddleware, async (req, res) => {
           timezoneOffsetMinutes,
           timeZone: finalFastTimeZone
         });
+        await recordSyncChange(res, req.userProfile.id, 'body_log', endEntry?.id, 'create');
       } catch (syncError) {
         console.error('Body log sync error (fast end):', syncError);
       }
@@ -516,6 +822,23 @@ app.post('/api/fasts/:id/end', validateSessionMiddleware, async (req, res) => {
   }
 });
 
+// Sync API Endpoints
+app.get('/api/changes', validateSessionMiddleware, async (req, res) => {
+  try {
+    const feed = await syncService.getChanges(req.userProfile.id, {
+      since: req.query.since,
+      limit: req.query.limit
+    });
+    res.json(feed);
+  } catch (error) {
+    if (error.code === 'INVALID_SYNC_VERSION') {
+      return res.status(400).json({ error: 'since must be a non-negative integer version' });
+    }
+    console.error('Error fetching changes:', error);
+    res.status(500).json({ error: 'Failed to fetch changes' });
+  }
+});
+
 // Body Log API Endpoints
 app.get('/api/body-log', validateSessionMiddleware, async (req, res) => {
   try {
@@ -557,12 +880,17 @@ app.get('/api/body-log', validateSessionMiddleware, async (req, res) => {
   }
 });
 
-app.post('/api/body-log', validateSessionMiddleware, async (req, res) => {
+app.post('/api/body-log', validateSessionMiddleware, idempotencyMiddleware, async (req, res) => {
   try {
     const {
       loggedAt,
       weight,
       bodyFat,
+      neckCm,
+      waistCm,
+      hipCm,
+      chestCm,
+      armCm,
       timezoneOffsetMinutes,
       fastId,
       source,
@@ -591,6 +919,11 @@ app.post('/api/body-log', validateSessionMiddleware, async (req, res) => {
       loggedAt,
       weight,
       bodyFat,
+      neckCm,
+      waistCm,
+      hipCm,
+      chestCm,
+      armCm,
       timezoneOffsetMinutes: tzOffset,
       timeZone: finalTimeZone,
       fastId,
@@ -604,6 +937,7 @@ app.post('/api/body-log', validateSessionMiddleware, async (req, res) => {
       await ensureProfileTimeZone(req.userProfile, finalTimeZone);
     }
 
+    await recordSyncChange(res, req.userProfile.id, 'body_log', entry.id, 'create');
     res.status(201).json(entry);
   } catch (error) {
     console.error('Error creating body log entry:', error);
@@ -611,6 +945,47 @@ app.post('/api/body-log', validateSessionMiddleware, async (req, res) => {
   }
 });
 
+// Smart-scale import - accepts the raw text of a Withings/Renpho CSV or Apple Health export.xml
+app.post('/api/body-log/import', validateSessionMiddleware, async (req, res) => {
+  try {
+    const { content, vendor, timeZone, dryRun = false } = req.body;
+
+    if (vendor && !ScaleImportService.SCALE_VENDORS.includes(vendor)) {
+      return res.status(400).json({ error: `vendor must be one of: ${ScaleImportService.SCALE_VENDORS.join(', ')}` });
+    }
+
+    const sanitizedTimeZone = typeof timeZone === 'string' && timeZone.trim() ? timeZone.trim() : null;
+
+    const report = await scaleImportService.importReadings(req.userProfile, content, {
+      vendor: vendor || null,
+      timeZone: sanitizedTimeZone,
+      dryRun: dryRun === true || dryRun === 'true'
+    });
+
+    if (sanitizedTimeZone && !report.dryRun) {
+      await ensureProfileTimeZone(req.userProfile, sanitizedTimeZone);
+    }
+
+    // Bulk imports are logged as a single entity-less change; clients reload the whole log
+    if (!report.dryRun && report.imported > 0) {
+      await recordSyncChange(res, req.userProfile.id, 'body_log', null, 'create');
+    }
+
+    res.status(report.dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    if (error.code === 'EMPTY_IMPORT') {
+      return res.status(400).json({ error: 'Import file is empty' });
+    }
+
+    if (error.code === 'UNSUPPORTED_FORMAT') {
+      return res.status(400).json({ error: 'Unrecognized scale export format' });
+    }
+
+    console.error('Error importing scale readings:', error);
+    res.status(500).json({ error: 'Failed to import scale readings' });
+  }
+});
+
 app.put('/api/body-log/:id', validateSessionMiddleware, async (req, res) => {
   try {
     const entryId = parseInt(req.params.id, 10);
@@ -631,6 +1006,11 @@ app.put('/api/body-log/:id', validateSessionMiddleware, async (req, res) => {
     if (req.body.bodyFat !== undefined) {
       updates.body_fat = req.body.bodyFat;
     }
+    Object.entries(BodyLogService.MEASUREMENT_FIELDS).forEach(([column, field]) => {
+      if (req.body[field] !== undefined) {
+        updates[column] = req.body[field];
+      }
+    });
     if (req.body.fastId !== undefined) {
       updates.fast_id = req.body.fastId;
     }
@@ -657,13 +1037,21 @@ app.put('/api/body-log/:id', validateSessionMiddleware, async (req, res) => {
       updates.time_zone = typeof rawTimeZone === 'string' && rawTimeZone.trim() ? rawTimeZone.trim() : null;
     }
 
-    const updatedEntry = await bodyLogService.updateEntry(entryId, updates);
+    const baseVersion = req.body.baseVersion ?? req.headers['x-sync-base-version'];
+    const resolution = await syncService.resolveUpdate(
+      req.userProfile.id, 'body_log', entryId, baseVersion, updates, entry
+    );
+
+    const updatedEntry = Object.keys(resolution.updates).length > 0
+      ? await bodyLogService.updateEntry(entryId, resolution.updates)
+      : entry;
 
-    if (updates.time_zone) {
-      await ensureProfileTimeZone(req.userProfile, updates.time_zone);
+    if (resolution.updates.time_zone) {
+      await ensureProfileTimeZone(req.userProfile, resolution.updates.time_zone);
     }
 
-    res.json(updatedEntry);
+    await recordSyncChange(res, req.userProfile.id, 'body_log', entryId, 'update', Object.keys(resolution.updates));
+    res.json(baseVersion !== undefined ? { ...updatedEntry, conflicts: resolution.conflicts } : updatedEntry);
   } catch (error) {
     console.error('Error updating body log entry:', error);
     res.status(400).json({ error: error.message || 'Failed to update body log entry' });
@@ -680,6 +1068,7 @@ app.delete('/api/body-log/:id', validateSessionMiddleware, async (req, res) => {
     }
 
     const result = await bodyLogService.deleteEntry(entryId);
+    await recordSyncChange(res, req.userProfile.id, 'body_log', entryId, 'delete');
     res.json(result);
   } catch (error) {
     console.error('Error deleting body log entry:', error);
@@ -697,6 +1086,7 @@ app.post('/api/body-log/:id/canonical', validateSessionMiddleware, async (req, r
     }
 
     const updated = await bodyLogService.setManualCanonical(entryId);
+    await recordSyncChange(res, req.userProfile.id, 'body_log', entryId, 'update', ['is_canonical', 'canonical_status']);
     res.json(updated);
   } catch (error) {
     console.error('Error setting canonical body log entry:', error);
@@ -714,6 +1104,7 @@ app.delete('/api/body-log/:id/canonical', validateSessionMiddleware, async (req,
     }
 
     const updated = await bodyLogService.clearManualCanonical(entryId);
+    await recordSyncChange(res, req.userProfile.id, 'body_log', entryId, 'update', ['is_canonical', 'canonical_status']);
     res.json(updated || { success: true });
   } catch (error) {
     console.error('Error clearing canonical body log entry:', error);
@@ -721,6 +1112,73 @@ app.delete('/api/body-log/:id/canonical', validateSessionMiddleware, async (req,
   }
 });
 
+// Tape measurements (centimetres) on a body log entry
+app.get('/api/body-log/:id/measurements', validateSessionMiddleware, async (req, res) => {
+  try {
+    const entryId = parseInt(req.params.id, 10);
+    const entry = await bodyLogService.getEntry(entryId);
+
+    if (!entry || entry.user_profile_id !== req.userProfile.id) {
+      return res.status(404).json({ error: 'Body log entry not found' });
+    }
+
+    res.json({
+      entryId,
+      loggedAt: entry.logged_at,
+      localDate: entry.local_date,
+      measurements: bodyLogService.getMeasurements(entry)
+    });
+  } catch (error) {
+    console.error('Error fetching body measurements:', error);
+    res.status(500).json({ error: 'Failed to fetch body measurements' });
+  }
+});
+
+app.put('/api/body-log/:id/measurements', validateSessionMiddleware, async (req, res) => {
+  try {
+    const entryId = parseInt(req.params.id, 10);
+    const entry = await bodyLogService.getEntry(entryId);
+
+    if (!entry || entry.user_profile_id !== req.userProfile.id) {
+      return res.status(404).json({ error: 'Body log entry not found' });
+    }
+
+    let updated;
+    try {
+      updated = await bodyLogService.updateMeasurements(entryId, req.body);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const fields = Object.entries(BodyLogService.MEASUREMENT_FIELDS)
+      .filter(([, field]) => req.body[field] !== undefined)
+      .map(([column]) => column);
+    await recordSyncChange(res, req.userProfile.id, 'body_log', entryId, 'update', fields);
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating body measurements:', error);
+    res.status(500).json({ error: 'Failed to update body measurements' });
+  }
+});
+
+app.delete('/api/body-log/:id/measurements', validateSessionMiddleware, async (req, res) => {
+  try {
+    const entryId = parseInt(req.params.id, 10);
+    const entry = await bodyLogService.getEntry(entryId);
+
+    if (!entry || entry.user_profile_id !== req.userProfile.id) {
+      return res.status(404).json({ error: 'Body log entry not found' });
+    }
+
+    const updated = await bodyLogService.clearMeasurements(entryId);
+    await recordSyncChange(res, req.userProfile.id, 'body_log', entryId, 'update', Object.keys(BodyLogService.MEASUREMENT_FIELDS));
+    res.json(updated);
+  } catch (error) {
+    console.error('Error clearing body measurements:', error);
+    res.status(500).json({ error: 'Failed to clear body measurements' });
+  }
+});
+
 app.get('/api/body-log/analytics', validateSessionMiddleware, async (req, res) => {
   try {
     const days = req.query.days ? parseInt(req.query.days, 10) : 90;
@@ -781,6 +1239,13 @@ app.put('/api/fasts/:id', validateSessionMiddleware, async (req, res) => {
       return res.status(403).json({ error: 'Access denied: You can only update your own fasts' });
     }
 
+    // Drop or keep fields another device changed since this client's base version
+    const baseVersion = req.body.baseVersion ?? req.headers['x-sync-base-version'];
+    const resolution = await syncService.resolveUpdate(
+      req.userProfile.id, 'fast', fastId, baseVersion, updateData, fast
+    );
+    updateData = resolution.updates;
+
     if (updateData.start_time || updateData.end_time) {
 
       const startTime = updateData.start_time || fast.start_time;
@@ -795,10 +1260,14 @@ app.put('/api/fasts/:id', validateSessionMiddleware, async (req, res) => {
       }
     }
 
-    const result = await db.updateFast(fastId, updateData);
+    if (Object.keys(updateData).length > 0) {
+      const result = await db.updateFast(fastId, updateData);
 
-    if (result.changes === 0) {
-      return res.status(404).json({ error: 'Fast not found' });
+      if (result.changes === 0) {
+        return res.status(404).json({ error: 'Fast not found' });
+      }
+
+      await recordSyncChange(res, req.userProfile.id, 'fast', fastId, 'update', Object.keys(updateData));
     }
 
     // Handle body log updates for start and end weights
@@ -814,7 +1283,7 @@ app.put('/api/fasts/:id', validateSessionMiddleware, async (req, res) => {
     // Update or create start weight body log entry
     if (start_weight !== undefined && start_weight !== null) {
       try {
-        await bodyLogService.recordFastWeight({
+        const startEntry = await bodyLogService.recordFastWeight({
           userProfileId,
           fastId,
           phase: 'start',
@@ -824,6 +1293,7 @@ app.put('/api/fasts/:id', validateSessionMiddleware, async (req, res) => {
           timezoneOffsetMinutes: timezone_offset_minutes,
           timeZone: finalFastTimeZone
         });
+        await recordSyncChange(res, req.userProfile.id, 'body_log', startEntry?.id, 'create');
       } catch (syncError) {
         console.error('Body log sync error (fast update - start):', syncError);
       }
@@ -832,7 +1302,7 @@ app.put('/api/fasts/:id', validateSessionMiddleware, async (req, res) => {
     // Update or create end weight body log entry
     if (finalEndTime && end_weight !== undefined && end_weight !== null) {
       try {
-        await bodyLogService.recordFastWeight({
+        const endEntry = await bodyLogService.recordFastWeight({
           userProfileId,
           fastId,
           phase: 'end',
@@ -842,6 +1312,7 @@ app.put('/api/fasts/:id', validateSessionMiddleware, async (req, res) => {
           timezoneOffsetMinutes: timezone_offset_minutes,
           timeZone: finalFastTimeZone
         });
+        await recordSyncChange(res, req.userProfile.id, 'body_log', endEntry?.id, 'create');
       } catch (syncError) {
         console.error('Body log sync error (fast update - end):', syncError);
       }
@@ -852,7 +1323,7 @@ app.put('/api/fasts/:id', validateSessionMiddleware, async (req, res) => {
     }
 
     const updatedFast = await db.getFastById(fastId);
-    res.json(updatedFast);
+    res.json(baseVersion !== undefined ? { ...updatedFast, conflicts: resolution.conflicts } : updatedFast);
   } catch (error) {
     console.error('Error updating fast:', error);
     res.status(500).json({ error: 'Failed to update fast' });
@@ -877,7 +1348,9 @@ app.delete('/api/fasts/:id', validateSessionMiddleware, async (req, res) => {
     if (!result.deleted) {
       return res.status(404).json({ error: 'Fast not found' });
     }
-    
+
+    await recordSyncChange(res, req.userProfile.id, 'fast', fastId, 'delete');
+
     res.json({ message: 'Fast deleted successfully' });
   } catch (error) {
     console.error('Error deleting fast:', error);
@@ -885,6 +1358,86 @@ app.delete('/api/fasts/:id', validateSessionMiddleware, async (req, res) => {
   }
 });
 
+// Progress Photo API Endpoints
+// Multipart upload: the image in "photo", plus optional fastId, bodyLogEntryId, takenAt and caption fields
+app.post('/api/photos', validateSessionMiddleware, photoUploadMiddleware, async (req, res) => {
+  try {
+    const { fastId, bodyLogEntryId, takenAt, caption } = req.body || {};
+    const photo = await progressPhotoService.upload(req.userProfile.id, req.file, { fastId, bodyLogEntryId, takenAt, caption });
+    res.status(201).json(progressPhotoService.serialize(photo));
+  } catch (error) {
+    if (PHOTO_ERRORS[error.code]) {
+      return sendPhotoError(res, error);
+    }
+    console.error('Error uploading photo:', error);
+    res.status(500).json({ error: 'Failed to upload photo' });
+  }
+});
+
+app.get('/api/photos', validateSessionMiddleware, async (req, res) => {
+  try {
+    const fastId = req.query.fastId ? parseInt(req.query.fastId, 10) : null;
+    const bodyLogEntryId = req.query.bodyLogEntryId ? parseInt(req.query.bodyLogEntryId, 10) : null;
+    const photos = await progressPhotoService.list(req.userProfile.id, { fastId, bodyLogEntryId });
+    res.json(photos.map((photo) => progressPhotoService.serialize(photo)));
+  } catch (error) {
+    if (PHOTO_ERRORS[error.code]) {
+      return sendPhotoError(res, error);
+    }
+    console.error('Error fetching photos:', error);
+    res.status(500).json({ error: 'Failed to fetch photos' });
+  }
+});
+
+// Loaded by <img> tags, so the session may also come as ?sessionId=
+app.get('/api/photos/:id/image', validateSessionMiddleware, async (req, res) => {
+  try {
+    const variant = req.query.variant === 'thumbnail' ? 'thumbnail' : 'full';
+    const image = await progressPhotoService.read(req.userProfile.id, parseInt(req.params.id, 10), variant);
+    res.set('Content-Type', image.contentType);
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.send(image.buffer);
+  } catch (error) {
+    if (PHOTO_ERRORS[error.code]) {
+      return sendPhotoError(res, error);
+    }
+    console.error('Error fetching photo:', error);
+    res.status(500).json({ error: 'Failed to fetch photo' });
+  }
+});
+
+app.put('/api/photos/:id', validateSessionMiddleware, async (req, res) => {
+  try {
+    const { fastId, bodyLogEntryId, takenAt, caption } = req.body;
+    const photo = await progressPhotoService.update(req.userProfile.id, parseInt(req.params.id, 10), {
+      fastId,
+      bodyLogEntryId,
+      takenAt,
+      caption
+    });
+    res.json(progressPhotoService.serialize(photo));
+  } catch (error) {
+    if (PHOTO_ERRORS[error.code]) {
+      return sendPhotoError(res, error);
+    }
+    console.error('Error updating photo:', error);
+    res.status(500).json({ error: 'Failed to update photo' });
+  }
+});
+
+app.delete('/api/photos/:id', validateSessionMiddleware, async (req, res) => {
+  try {
+    const result = await progressPhotoService.delete(req.userProfile.id, parseInt(req.params.id, 10));
+    res.json(result);
+  } catch (error) {
+    if (PHOTO_ERRORS[error.code]) {
+      return sendPhotoError(res, error);
+    }
+    console.error('Error deleting photo:', error);
+    res.status(500).json({ error: 'Failed to delete photo' });
+  }
+});
+
 // User Profile API Endpoints
 app.post('/api/user/profile', async (req, res) => {
   try {
@@ -1028,8 +1581,14 @@ app.get('/api/schedule', validateSessionMiddleware, async (req, res) => {
     // Get fasting blocks for the schedule
     const blocks = await db.getFastingBlocksBySchedule(schedule.id);
 
-    // Generate next instances (4 weeks ahead)
-    const nextInstances = await db.generatePlannedInstances(schedule.id, 4, { timeZone: clientTimeZone });
+    // Next 4 weeks of materialized instances
+    await plannedInstanceService.ensureMaterialized(schedule, { timeZone: clientTimeZone });
+    const now = new Date();
+    const nextInstances = await plannedInstanceService.listInstances(schedule, {
+      from: now,
+      to: new Date(now.getTime() + (28 * 24 * 60 * 60 * 1000)),
+      withOverrides: true
+    });
     
     res.json({
       schedule,
@@ -1061,8 +1620,11 @@ app.get('/api/schedule/draft', validateSessionMiddleware, async (req, res) => {
 
 app.post('/api/schedule/draft/confirm', validateSessionMiddleware, async (req, res) => {
   try {
-    const { blocks, weekAnchor } = req.body || {};
+    const { blocks, weekAnchor, timeZone } = req.body || {};
     const result = await draftScheduleService.confirmDraft(req.sessionId, { blocks, weekAnchor });
+    if (!result.alreadyActive) {
+      await plannedInstanceService.materializeSchedule(result.schedule, { timeZone });
+    }
 
     return res.json(result);
   } catch (error) {
@@ -1133,8 +1695,11 @@ app.post('/api/schedule/blocks', validateSessionMiddleware, async (req, res) =>
   try {
     const { name, start_dow, start_time, end_dow, end_time, tz_mode = 'local', anchor_tz, notifications, timeZone } = req.body;
 
-    if (start_dow === undefined || !start_time || end_dow === undefined || !end_time) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    const validationError = validateBlockInput({
+      start_dow, start_time, end_dow, end_time, tz_mode, anchor_tz: anchor_tz || timeZone, notifications
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
     // Session is guaranteed valid here - use req.userProfile
@@ -1165,6 +1730,7 @@ app.post('/api/schedule/blocks', validateSessionMiddleware, async (req, res) =>
     };
     
     const newBlock = await db.createFastingBlock(blockData);
+    await plannedInstanceService.materializeSchedule(schedule, { timeZone });
     res.status(201).json(newBlock);
   } catch (error) {
     console.error('Error creating fasting block:', error);
@@ -1180,6 +1746,11 @@ app.patch('/api/schedule/blocks/:id', validateSessionMiddleware, async (req, res
     if (!sessionId) {
       return res.status(400).json({ error: 'sessionId is required' });
     }
+
+    const rulesError = validateNotificationRules(notifications);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
     
     // Verify the block exists and belongs to the user
     const block = await db.getFastingBlockById(blockId);
@@ -1210,6 +1781,7 @@ app.patch('/api/schedule/blocks/:id', validateSessionMiddleware, async (req, res
     if (notifications !== undefined) updateData.notifications = notifications;
     
     const result = await db.updateFastingBlock(blockId, updateData);
+    await plannedInstanceService.materializeSchedule(schedule, { timeZone });
     const updatedBlock = await db.getFastingBlockById(blockId);
     res.json(updatedBlock);
   } catch (error) {
@@ -1245,6 +1817,7 @@ app.delete('/api/schedule/blocks/:id', validateSessionMiddleware, async (req, re
     }
     
     const result = await db.deleteFastingBlock(blockId);
+    await plannedInstanceService.materializeSchedule(schedule);
     res.json({ message: 'Fasting block deleted successfully' });
   } catch (error) {
     console.error('Error deleting fasting block:', error);
@@ -1288,6 +1861,7 @@ app.post('/api/schedule/blocks/:id/overrides', validateSessionMiddleware, async
     };
     
     const newOverride = await db.createOverride(overrideData);
+    await plannedInstanceService.materializeSchedule(schedule);
     res.status(201).json(newOverride);
   } catch (error) {
     console.error('Error creating override:', error);
@@ -1329,7 +1903,7 @@ app.post('/api/schedule/preview', validateSessionMiddleware, async (req, res) =>
         ...blocks[i]
       };
       
-      // Generate instances for this preview block
+      // Preview blocks are unsaved, so their instances are generated rather than read from planned_instances
       const blockInstances = await db.generateInstancesForBlock(block, mockSchedule, now, endDate, { timeZone });
       allInstances.push(...blockInstances);
     }
@@ -1348,6 +1922,36 @@ app.post('/api/schedule/preview', validateSessionMiddleware, async (req, res) =>
   }
 });
 
+// Converts an .ics file into blocks and overrides. Returns a preview unless confirm is set.
+app.post('/api/schedule/import', validateSessionMiddleware, async (req, res) => {
+  try {
+    const { content, timeZone, mode = 'merge', confirm = false } = req.body;
+
+    if (confirm !== true && confirm !== 'true') {
+      return res.json(await scheduleImportService.previewImport(req.userProfile, content, { timeZone }));
+    }
+
+    const result = await scheduleImportService.importSchedule(req.userProfile, content, { timeZone, mode });
+    await plannedInstanceService.materializeSchedule(result.schedule, { timeZone });
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.code === 'EMPTY_IMPORT') {
+      return res.status(400).json({ error: 'Import file is empty' });
+    }
+    if (error.code === 'UNSUPPORTED_FORMAT') {
+      return res.status(400).json({ error: 'Not an iCalendar file' });
+    }
+    if (error.code === 'INVALID_IMPORT_MODE') {
+      return res.status(400).json({ error: 'mode must be "merge" or "replace"' });
+    }
+    if (error.code === 'NO_FAST_EVENTS') {
+      return res.status(400).json({ error: 'No recurring fasting events found to import' });
+    }
+    console.error('Error importing schedule:', error);
+    res.status(500).json({ error: 'Failed to import schedule' });
+  }
+});
+
 // Get upcoming scheduled instances for Timer integration
 const calculateBlockDurationHours = (block) => {
   if (!block || !block.start_time || !block.end_time) {
@@ -1461,13 +2065,12 @@ app.get('/api/schedule/upcoming', validateSessionMiddleware, async (req, res) =>
     const endDate = new Date();
     endDate.setDate(endDate.getDate() + 7);
 
-    const allInstances = [];
-    for (const block of blocks) {
-      const instances = await db.generateInstancesForBlock(block, schedule, lookbackStart, endDate, { timeZone: clientTimeZone });
-      allInstances.push(...instances);
-    }
-
-    allInstances.sort((a, b) => new Date(a.start_at_utc) - new Date(b.start_at_utc));
+    await plannedInstanceService.ensureMaterialized(schedule, { timeZone: clientTimeZone });
+    const allInstances = await plannedInstanceService.listInstances(schedule, {
+      from: lookbackStart,
+      to: endDate,
+      statuses: ['upcoming', 'active']
+    });
 
     const upcomingInstance = allInstances.find(instance => new Date(instance.start_at_utc) > now) || null;
 
@@ -1495,6 +2098,143 @@ app.get('/api/schedule/upcoming', validateSessionMiddleware, async (req, res) =>
   }
 });
 
+// Notifications the schedule will produce over the next ?hours= (default 48), after block rules and quiet hours
+app.get('/api/schedule/notifications/upcoming', validateSessionMiddleware, async (req, res) => {
+  try {
+    res.json(await scheduleNotificationService.getUpcoming(req.userProfile, { hours: req.query.hours }));
+  } catch (error) {
+    if (error.code === 'INVALID_WINDOW') {
+      return res.status(400).json({ error: 'hours must be a number between 0 and 336', code: error.code });
+    }
+    console.error('Error building notification timeline:', error);
+    res.status(500).json({ error: 'Failed to build notification timeline' });
+  }
+});
+
+// How closely the user followed their schedule: per block and per week, ?from=&to= (dates or ISO timestamps)
+app.get('/api/schedule/adherence', validateSessionMiddleware, async (req, res) => {
+  try {
+    const report = await scheduleAdherenceService.getReport(req.userProfile.id, {
+      from: req.query.from,
+      to: req.query.to
+    });
+    res.json(report);
+  } catch (error) {
+    if (ADHERENCE_ERRORS[error.code]) {
+      return res.status(400).json({ error: ADHERENCE_ERRORS[error.code], code: error.code });
+    }
+    console.error('Error building schedule adherence report:', error);
+    res.status(500).json({ error: 'Failed to build adherence report' });
+  }
+});
+
+function buildCalendarFeedUrls(req, token) {
+  const protocol = (req.headers['x-forwarded-proto'] || req.protocol).split(',')[0].trim();
+  const url = `${protocol}://${req.get('host')}/api/schedule/calendar.ics?token=${encodeURIComponent(token)}`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+}
+
+app.get('/api/schedule/calendar-feed', validateSessionMiddleware, async (req, res) => {
+  try {
+    res.json(await calendarFeedService.getFeedStatus(req.userProfile.id));
+  } catch (error) {
+    console.error('Error loading calendar feed:', error);
+    res.status(500).json({ error: 'Failed to load calendar feed' });
+  }
+});
+
+// Creates the subscription URL; calling it again rotates the token and the old URL stops working
+app.post('/api/schedule/calendar-feed', validateSessionMiddleware, async (req, res) => {
+  try {
+    const { token, createdAt } = await calendarFeedService.createFeed(req.userProfile.id);
+    res.status(201).json({ ...buildCalendarFeedUrls(req, token), token, createdAt });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+app.delete('/api/schedule/calendar-feed', validateSessionMiddleware, async (req, res) => {
+  try {
+    res.json(await calendarFeedService.revokeFeed(req.userProfile.id));
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    res.status(500).json({ error: 'Failed to revoke calendar feed' });
+  }
+});
+
+// Fetched by calendar apps, which cannot send a session; the feed token is the credential
+app.get('/api/schedule/calendar.ics', async (req, res) => {
+  try {
+    const calendar = await calendarFeedService.renderFeed(req.query.token);
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="fasting-schedule.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=900');
+    res.send(calendar);
+  } catch (error) {
+    if (error.code === 'FEED_NOT_FOUND') {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+    console.error('Error rendering calendar feed:', error);
+    res.status(500).json({ error: 'Failed to render calendar feed' });
+  }
+});
+
+// Web Push: the browser subscribes with the server's VAPID public key
+app.get('/api/push/vapid-public-key', async (req, res) => {
+  try {
+    res.json({ publicKey: await pushNotificationService.getPublicKey() });
+  } catch (error) {
+    console.error('Error loading VAPID public key:', error);
+    res.status(500).json({ error: 'Failed to load push configuration' });
+  }
+});
+
+app.post('/api/push/subscribe', validateSessionMiddleware, async (req, res) => {
+  try {
+    const subscription = await pushNotificationService.subscribe(
+      req.userProfile.id,
+      req.body.subscription,
+      req.headers['user-agent']
+    );
+    res.status(201).json({ subscribed: true, endpoint: subscription.endpoint });
+  } catch (error) {
+    if (error.code === 'INVALID_SUBSCRIPTION') {
+      return res.status(400).json({
+        error: 'Push subscription must have keys and an endpoint on a supported push service',
+        code: error.code
+      });
+    }
+    console.error('Error saving push subscription:', error);
+    res.status(500).json({ error: 'Failed to save push subscription' });
+  }
+});
+
+app.delete('/api/push/subscribe', validateSessionMiddleware, async (req, res) => {
+  try {
+    res.json(await pushNotificationService.unsubscribe(req.userProfile.id, req.body.endpoint));
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({ error: 'Failed to remove push subscription' });
+  }
+});
+
+// Sends a notification to every device of the profile so the user can check delivery
+app.post('/api/push/test', validateSessionMiddleware, async (req, res) => {
+  try {
+    const result = await pushNotificationService.sendToProfile(req.userProfile.id, {
+      title: 'Notifications are on',
+      body: 'Fasting reminders will arrive on this device.',
+      tag: 'push-test',
+      url: '/timer'
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error sending test push notification:', error);
+    res.status(500).json({ error: 'Failed to send test notification' });
+  }
+});
+
 // Start early endpoint for scheduled fasts
 app.post('/api/schedule/start-early', validateSessionMiddleware, async (req, res) => {
   try {
@@ -1516,19 +2256,17 @@ app.post('/api/schedule/start-early', validateSessionMiddleware, async (req, res
       return res.status(404).json({ error: 'Schedule not found' });
     }
     
-    const blocks = await db.getFastingBlocksBySchedule(schedule.id);
     const now = new Date();
     const tomorrow = new Date();
     tomorrow.setHours(tomorrow.getHours() + 24);
     
-    let upcomingInstance = null;
-    for (const block of blocks) {
-      const instances = await db.generateInstancesForBlock(block, schedule, now, tomorrow, { timeZone });
-      upcomingInstance = instances.find(instance => 
-        new Date(instance.start_at_utc) > now && instance.id === upcomingId
-      );
-      if (upcomingInstance) break;
-    }
+    const instance = await plannedInstanceService.getInstance(upcomingId, schedule);
+    const upcomingInstance = instance
+      && instance.status === 'upcoming'
+      && new Date(instance.start_at_utc) > now
+      && new Date(instance.start_at_utc) <= tomorrow
+      ? instance
+      : null;
     
     if (!upcomingInstance) {
       return res.status(404).json({ error: 'Upcoming fast not found' });
@@ -1540,12 +2278,13 @@ app.post('/api/schedule/start-early', validateSessionMiddleware, async (req, res
     try {
       const fastEntry = await db.createFastEntry({
         user_profile_id: profile.id,
-        start_time: now,
+        start_time: now.toISOString(),
         source: 'scheduled_early',
-        planned_instance_id: upcomingId,
+        planned_instance_id: String(upcomingInstance.id),
         planned_duration_hours: plannedDuration,
         is_active: true
       });
+      await plannedInstanceService.claimInstance(upcomingInstance, fastEntry);
       
       res.json({ 
         message: 'Scheduled fast started early',
@@ -1597,7 +2336,9 @@ app.get('/api/user/:sessionId/hunger-settings', async (req, res) => {
     res.json({
       hunger_coach_enabled: profile.hunger_coach_enabled !== false, // Default to true if null
       custom_mealtimes: customMealtimes,
-      last_hunger_notification: profile.last_hunger_notification
+      last_hunger_notification: profile.last_hunger_notification,
+      quiet_hours: QuietHours.normalize(profile.quiet_hours),
+      time_zone: profile.time_zone || null
     });
 
   } catch (error) {
@@ -1796,6 +2537,8 @@ app.get('/api/user/settings', async (req, res) => {
         benefits_onboarded: profile.benefits_onboarded || false,
         custom_mealtimes: customMealtimes,
         hunger_coach_enabled: profile.hunger_coach_enabled !== false,
+        quiet_hours: QuietHours.normalize(profile.quiet_hours),
+        time_zone: profile.time_zone || null,
         height_cm: profile.height_cm || null,
         sex: profile.sex || null,
         age: profile.age || null,
@@ -1825,6 +2568,7 @@ app.put('/api/user/settings', async (req, res) => {
       benefits_onboarded,
       hunger_coach_enabled,
       custom_mealtimes,
+      quiet_hours,
       height_cm,
       sex,
       age,
@@ -1845,6 +2589,11 @@ app.put('/api/user/settings', async (req, res) => {
       }
     }
 
+    const quietHoursError = QuietHours.validate(quiet_hours);
+    if (quietHoursError) {
+      return res.status(400).json({ error: quietHoursError });
+    }
+
     if (height_cm !== undefined && height_cm !== null) {
       if (typeof height_cm !== 'number' || height_cm < 100 || height_cm > 250) {
         return res.status(400).json({ error: 'Height must be between 100 and 250 cm' });
@@ -1887,6 +2636,9 @@ app.put('/api/user/settings', async (req, res) => {
     if (benefits_onboarded !== undefined) updateData.benefits_onboarded = benefits_onboarded;
     if (hunger_coach_enabled !== undefined) updateData.hunger_coach_enabled = hunger_coach_enabled;
     if (custom_mealtimes !== undefined) updateData.custom_mealtimes = JSON.stringify(custom_mealtimes);
+    if (quiet_hours !== undefined) {
+      updateData.quiet_hours = quiet_hours && quiet_hours.length > 0 ? JSON.stringify(QuietHours.normalize(quiet_hours)) : null;
+    }
     if (height_cm !== undefined) updateData.height_cm = height_cm;
     if (sex !== undefined) updateData.sex = sex;
     if (age !== undefined) updateData.age = age;
@@ -2072,378 +2824,178 @@ app.post('/api/benefits/onboarding-complete', async (req, res) => {
   }
 });
 
+// Data export endpoint
+app.get('/api/export', validateSessionMiddleware, async (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be "json" or "csv"' });
+    }
+
+    const exportDocument = await dataExportService.buildExport(req.userProfile.id);
+    const filenameBase = `fasting-forecast-export-${exportDocument.exportedAt.slice(0, 10)}`;
+
+    if (format === 'csv') {
+      const archive = await dataExportService.buildCsvArchive(exportDocument);
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${filenameBase}.zip"`);
+      return res.send(archive);
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filenameBase}.json"`);
+    return res.json(exportDocument);
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+
+    if (error.code === 'PROFILE_NOT_FOUND') {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    return res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+// Data import endpoint - restores an export bundle into the session's profile,
+// creating the profile when the session has none (e.g. after the database was lost)
+app.post('/api/import', resolveSessionMiddleware, async (req, res) => {
+  try {
+    const { bundle, mode = 'merge', dryRun = false } = req.body;
+
+    const report = await dataImportService.importBundle(
+      { sessionId: req.sessionId, userProfile: req.userProfile },
+      bundle,
+      { mode, dryRun: dryRun === true || dryRun === 'true' }
+    );
+
+    if (!report.dryRun) {
+      // A restore can touch every table, so other devices are told to reload everything
+      await recordSyncChange(res, report.userProfileId, 'profile', report.userProfileId, 'reset');
+    }
+
+    res.json(report);
+  } catch (error) {
+    if (error.code === 'INVALID_IMPORT_MODE') {
+      return res.status(400).json({ error: 'mode must be "merge" or "replace"' });
+    }
+
+    if (error.code === 'INVALID_BUNDLE') {
+      return res.status(400).json({ error: 'Invalid import bundle', details: error.details });
+    }
+
+    console.error('Error importing user data:', error);
+    res.status(500).json({ error: 'Failed to import data' });
+  }
+});
+
 // Fasting forecast calculation endpoint
 app.post('/api/calculate', (req, res) => {
   try {
-    const { weight, weightUnit, bodyFat, activityLevel, tdeeOverride, fastingBlocks, ketosisStates, weeks, 
-            insulinSensitivity, fastingExperience, bodyFatPercentage, startDate } = req.body;
-    
+    const { weight, weightUnit, bodyFat, activityLevel, tdeeOverride, fastingBlocks, blockStarts, ketosisStates, eatingIntake,
+            weeks, insulinSensitivity, fastingExperience, bodyFatPercentage, startDate, uncertainty } = req.body;
+
     // Validate inputs
     if (!weight || !bodyFat || !activityLevel || !fastingBlocks || !startDate) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
-    
-    // Parse start date (avoid timezone issues by parsing manually)
-    const [year, month, day] = startDate.split('-').map(Number);
-    const startDateObj = new Date(year, month - 1, day); // month is 0-indexed
-    if (isNaN(startDateObj.getTime())) {
+
+    const forecast = forecastEngine.simulate(
+      { weight, weightUnit, bodyFat, activityLevel, tdeeOverride, insulinSensitivity, fastingExperience, bodyFatPercentage },
+      { fastingBlocks, blockStarts, ketosisStates, eatingIntake },
+      { weeks, startDate, uncertainty }
+    );
+
+    res.json(forecast);
+  } catch (error) {
+    if (error.code === 'INVALID_START_DATE') {
       return res.status(400).json({ error: 'Invalid start date' });
     }
-    
-    // Function to calculate date for each week
-    const getWeekDate = (weekNumber) => {
-      // Parse the date string manually to avoid timezone issues
-      const [year, month, day] = startDate.split('-').map(Number);
-      const weekDate = new Date(year, month - 1, day); // month is 0-indexed
-      weekDate.setDate(weekDate.getDate() + weekNumber * 7);
-      
-      // Format back to YYYY-MM-DD
-      const formattedYear = weekDate.getFullYear();
-      const formattedMonth = String(weekDate.getMonth() + 1).padStart(2, '0');
-      const formattedDay = String(weekDate.getDate()).padStart(2, '0');
-      return `${formattedYear}-${formattedMonth}-${formattedDay}`;
-    };
-    
-    // Individualization factors (with defaults)
-    const insulinSensitivityFactor = insulinSensitivity || 'normal'; // 'low', 'normal', 'high'
-    const fastingExperienceFactor = fastingExperience || 'beginner'; // 'beginner', 'intermediate', 'advanced'
-    const bodyFatFactor = bodyFatPercentage || bodyFat; // Use bodyFat if not specified
-    
-    // Calculate personalized ketosis timing adjustments
-    const getKetosisTimingAdjustment = () => {
-      let adjustment = 0;
-      
-      // Insulin sensitivity adjustments
-      switch(insulinSensitivityFactor) {
-        case 'low': adjustment += 4; break;      // Slower ketosis
-        case 'high': adjustment -= 4; break;     // Faster ketosis
-        default: break;                          // No adjustment
-      }
-      
-      // Fasting experience adjustments
-      switch(fastingExperienceFactor) {
-        case 'beginner': adjustment += 6; break;     // Slower ketosis
-        case 'intermediate': adjustment += 2; break; // Slight delay
-        case 'advanced': adjustment -= 6; break;     // Faster ketosis
-        default: break;
-      }
-      
-      // Body fat adjustments (higher body fat = faster ketosis)
-      if (bodyFatFactor > 25) adjustment -= 2;      // Faster ketosis
-      else if (bodyFatFactor < 15) adjustment += 2; // Slower ketosis
-      
-      return adjustment;
-    };
-    
-    const ketosisAdjustment = getKetosisTimingAdjustment();
-    
-    // Convert weight to kg if needed
-    const weightKg = weightUnit === 'lb' ? weight * 0.453592 : weight;
-    const numWeeks = weeks || 12; // Default to 12 weeks if not specified
-    
-    // Calculate initial values
-    let currentWeight = weightKg;
-    let currentBodyFat = bodyFat;
-    let currentFatMass = currentWeight * (currentBodyFat / 100);
-    let currentFFM = currentWeight - currentFatMass;
-    
-    // Calculate BMR using Katch-McArdle equation
-    const bmr = 370 + (21.6 * currentFFM);
-    
-    // Calculate TDEE
-    const tdee = tdeeOverride || (bmr * activityLevel);
-    const hourlyTDEE = tdee / 24;
-    
-    // Constants
-    const FAT_KCAL_PER_KG = 7700;
-    const FFM_KCAL_PER_KG = 1000;
-    const FAT_OXIDATION_CAP_KCAL_PER_KG_FAT_PER_DAY = 69;
-    
-    // Multi-phase ketosis parameters
-    const GLYCOGEN_DEPLETION_HOURS = 16;      // Hours to deplete liver glycogen
-    const EARLY_KETOSIS_HOURS = 24;           // Hours to reach early ketosis
-    const FULL_KETOSIS_HOURS = 48;            // Hours to reach full ketosis
-    const OPTIMAL_KETOSIS_HOURS = 72;         // Hours to reach optimal ketosis
-    
-    // Protein maintenance rates by phase (kcal/day)
-    const PROTEIN_MAINTENANCE_PHASES = {
-      glycogenDepletion: 160,    // Phase 1: 0-16h
-      earlyKetosis: 120,         // Phase 2: 16-24h
-      fullKetosis: 50,           // Phase 3: 24-48h
-      optimalKetosis: 40         // Phase 4: 48h+
-    };
-    
-    // FFM preservation rates by phase
-    const FFM_PRESERVATION_PHASES = {
-      glycogenDepletion: 0.0,    // Phase 1: 0% preservation
-      earlyKetosis: 0.15,        // Phase 2: 15% preservation
-      fullKetosis: 0.30,         // Phase 3: 30% preservation
-      optimalKetosis: 0.40       // Phase 4: 40% preservation
-    };
-    
-    // Weekly simulation results
-    const weeklyResults = [];
-    
-    // Add Week 0 - Starting stats
-    weeklyResults.push({
-      week: 0,
-      date: getWeekDate(0),
-      weight: currentWeight,
-      bodyFat: currentBodyFat,
-      fatMass: currentFatMass,
-      fatFreeMass: currentFFM,
-      weeklyFatLoss: 0,
-      weeklyFFMLoss: 0,
-      totalWeightLoss: 0,
-      ketosisPhase: 'baseline',
-      proteinMaintenance: 0,
-      ffmPreservation: 0
-    });
-    
-    for (let week = 1; week <= numWeeks; week++) {
-      let weeklyFatLoss = 0;
-      let weeklyFFMLoss = 0;
-      
-              // Track ketosis state for each fasting block
-        let cumulativeFastingHours = 0;
-        let currentFastingBlock = -1;
-        let hoursIntoCurrentBlock = 0;
-        let dominantPhase = 'glycogenDepletion'; // Track the most common phase for the week
-        let phaseHours = {
-          glycogenDepletion: 0,
-          earlyKetosis: 0,
-          fullKetosis: 0,
-          optimalKetosis: 0
-        };
-        
-        // Simulate each hour of the week
-        for (let hour = 0; hour < 168; hour++) { // 168 hours in a week
-          const dayOfWeek = Math.floor(hour / 24);
-          const hourOfDay = hour % 24;
-          
-          // Check if this hour is during a fasting period and which block
-          let isFasting = false;
-          let fastingBlockStart = 0;
-          
-          for (let i = 0; i < fastingBlocks.length; i++) {
-            if (hour >= fastingBlockStart && hour < fastingBlockStart + fastingBlocks[i]) {
-              isFasting = true;
-              
-              // Check if we're starting a new fasting block
-              if (i !== currentFastingBlock) {
-                currentFastingBlock = i;
-                hoursIntoCurrentBlock = 0;
-                // Reset cumulative hours if starting fresh (not already in ketosis)
-                if (!ketosisStates[i]) {
-                  cumulativeFastingHours = 0;
-                }
-              }
-              
-              break;
-            }
-            fastingBlockStart += fastingBlocks[i];
-          }
-          
-          if (isFasting) {
-            hoursIntoCurrentBlock++;
-            
-            // If already in ketosis at start of block, use full ketosis benefits
-            if (ketosisStates[currentFastingBlock] && hoursIntoCurrentBlock === 1) {
-              cumulativeFastingHours = FULL_KETOSIS_HOURS;
-            } else {
-              cumulativeFastingHours++;
-            }
-            
-            // Determine ketosis phase and calculate personalized parameters
-            let currentPhase = 'glycogenDepletion';
-            let proteinMaintenanceKcal = PROTEIN_MAINTENANCE_PHASES.glycogenDepletion;
-            let ffmPreservationFactor = 1.0 - FFM_PRESERVATION_PHASES.glycogenDepletion;
-            
-            // Apply personalized ketosis timing adjustments
-            const adjustedGlycogenHours = Math.max(8, GLYCOGEN_DEPLETION_HOURS + ketosisAdjustment);
-            const adjustedEarlyHours = Math.max(16, EARLY_KETOSIS_HOURS + ketosisAdjustment);
-            const adjustedFullHours = Math.max(32, FULL_KETOSIS_HOURS + ketosisAdjustment);
-            const adjustedOptimalHours = Math.max(56, OPTIMAL_KETOSIS_HOURS + ketosisAdjustment);
-            
-            // Determine ketosis phase based on cumulative fasting hours
-            if (cumulativeFastingHours >= adjustedOptimalHours) {
-              // Phase 4: Optimal Ketosis (48h+ adjusted)
-              currentPhase = 'optimalKetosis';
-              proteinMaintenanceKcal = PROTEIN_MAINTENANCE_PHASES.optimalKetosis;
-              ffmPreservationFactor = 1.0 - FFM_PRESERVATION_PHASES.optimalKetosis;
-            } else if (cumulativeFastingHours >= adjustedFullHours) {
-              // Phase 3: Full Ketosis (24-48h adjusted)
-              currentPhase = 'fullKetosis';
-              proteinMaintenanceKcal = PROTEIN_MAINTENANCE_PHASES.fullKetosis;
-              ffmPreservationFactor = 1.0 - FFM_PRESERVATION_PHASES.fullKetosis;
-            } else if (cumulativeFastingHours >= adjustedEarlyHours) {
-              // Phase 2: Early Ketosis (16-24h adjusted)
-              currentPhase = 'earlyKetosis';
-              proteinMaintenanceKcal = PROTEIN_MAINTENANCE_PHASES.earlyKetosis;
-              ffmPreservationFactor = 1.0 - FFM_PRESERVATION_PHASES.earlyKetosis;
-            } else {
-              // Phase 1: Glycogen Depletion (0-16h adjusted)
-              currentPhase = 'glycogenDepletion';
-              proteinMaintenanceKcal = PROTEIN_MAINTENANCE_PHASES.glycogenDepletion;
-              ffmPreservationFactor = 1.0 - FFM_PRESERVATION_PHASES.glycogenDepletion;
-            }
-            
-            // Calculate smooth transitions between phases
-            const getPhaseProgress = (currentHours, phaseStart, phaseEnd) => {
-              if (currentHours <= phaseStart) return 0;
-              if (currentHours >= phaseEnd) return 1;
-              return (currentHours - phaseStart) / (phaseEnd - phaseStart);
-            };
-            
-            // Apply smooth transitions for protein maintenance and FFM preservation
-            if (currentPhase === 'earlyKetosis') {
-              const progress = getPhaseProgress(cumulativeFastingHours, adjustedGlycogenHours, adjustedEarlyHours);
-              proteinMaintenanceKcal = PROTEIN_MAINTENANCE_PHASES.glycogenDepletion - 
-                ((PROTEIN_MAINTENANCE_PHASES.glycogenDepletion - PROTEIN_MAINTENANCE_PHASES.earlyKetosis) * progress);
-              ffmPreservationFactor = 1.0 - (FFM_PRESERVATION_PHASES.glycogenDepletion + 
-                ((FFM_PRESERVATION_PHASES.earlyKetosis - FFM_PRESERVATION_PHASES.glycogenDepletion) * progress));
-            } else if (currentPhase === 'fullKetosis') {
-              const progress = getPhaseProgress(cumulativeFastingHours, adjustedEarlyHours, adjustedFullHours);
-              proteinMaintenanceKcal = PROTEIN_MAINTENANCE_PHASES.earlyKetosis - 
-                ((PROTEIN_MAINTENANCE_PHASES.earlyKetosis - PROTEIN_MAINTENANCE_PHASES.fullKetosis) * progress);
-              ffmPreservationFactor = 1.0 - (FFM_PRESERVATION_PHASES.earlyKetosis + 
-                ((FFM_PRESERVATION_PHASES.fullKetosis - FFM_PRESERVATION_PHASES.earlyKetosis) * progress));
-            } else if (currentPhase === 'optimalKetosis') {
-              const progress = getPhaseProgress(cumulativeFastingHours, adjustedFullHours, adjustedOptimalHours);
-              proteinMaintenanceKcal = PROTEIN_MAINTENANCE_PHASES.fullKetosis - 
-                ((PROTEIN_MAINTENANCE_PHASES.fullKetosis - PROTEIN_MAINTENANCE_PHASES.optimalKetosis) * progress);
-              ffmPreservationFactor = 1.0 - (FFM_PRESERVATION_PHASES.fullKetosis + 
-                ((FFM_PRESERVATION_PHASES.optimalKetosis - FFM_PRESERVATION_PHASES.fullKetosis) * progress));
-            }
-            
-            // Track hours spent in each phase for weekly summary
-            if (isFasting) {
-              phaseHours[currentPhase]++;
-            }
-            
-            // Calculate fuel partitioning based on ketosis state
-            if (currentBodyFat > 10) {
-              // Default mode (BF% > 10)
-              
-              // Calculate FFM loss based on protein maintenance requirement
-              const hourlyProteinMaintenance = proteinMaintenanceKcal / 24;
-              const ffmKcalBurned = hourlyProteinMaintenance;
-              const ffmBurned = ffmKcalBurned / FFM_KCAL_PER_KG;
-              
-              // Apply ketosis preservation factor to FFM loss
-              const adjustedFFMBurned = ffmBurned * ffmPreservationFactor;
-              weeklyFFMLoss += adjustedFFMBurned;
-              
-              // Calculate fat loss (remainder of TDEE after FFM)
-              const adjustedFFMKcalBurned = adjustedFFMBurned * FFM_KCAL_PER_KG;
-              const remainingKcal = hourlyTDEE - adjustedFFMKcalBurned;
-              
-              if (remainingKcal > 0) {
-                const fatBurned = remainingKcal / FAT_KCAL_PER_KG;
-                weeklyFatLoss += fatBurned;
-              }
-              
-            } else {
-              // Advanced mode (BF% ≤ 10) - fat oxidation cap applies
-              const fatOxidationCap = (FAT_OXIDATION_CAP_KCAL_PER_KG_FAT_PER_DAY / 24) * currentFatMass;
-              
-              // Calculate FFM loss based on protein maintenance requirement
-              const hourlyProteinMaintenance = proteinMaintenanceKcal / 24;
-              const ffmKcalBurned = hourlyProteinMaintenance;
-              const ffmBurned = ffmKcalBurned / FFM_KCAL_PER_KG;
-              
-              // Apply ketosis preservation factor to FFM loss
-              const adjustedFFMBurned = ffmBurned * ffmPreservationFactor;
-              weeklyFFMLoss += adjustedFFMBurned;
-              
-              // Calculate fat loss (capped by oxidation limit)
-              const adjustedFFMKcalBurned = adjustedFFMBurned * FFM_KCAL_PER_KG;
-              const remainingKcal = hourlyTDEE - adjustedFFMKcalBurned;
-              
-              if (remainingKcal > 0) {
-                const fatKcalBurned = Math.min(fatOxidationCap, remainingKcal);
-                const fatBurned = fatKcalBurned / FAT_KCAL_PER_KG;
-                weeklyFatLoss += fatBurned;
-                
-                // If fat oxidation cap reached, additional energy comes from FFM
-                if (fatKcalBurned < remainingKcal) {
-                  const additionalFFMKcal = remainingKcal - fatKcalBurned;
-                  const additionalFFMBurned = additionalFFMKcal / FFM_KCAL_PER_KG;
-                  weeklyFFMLoss += additionalFFMBurned;
-                }
-              }
-            }
-          } else {
-            // Not fasting - reset fasting block tracking
-            currentFastingBlock = -1;
-            hoursIntoCurrentBlock = 0;
-            // Note: cumulativeFastingHours is only reset when starting a new fasting block
-          }
-                }
-        
-        // Determine dominant phase for the week (phase with most hours)
-        const maxPhaseHours = Math.max(...Object.values(phaseHours));
-        for (const [phase, hours] of Object.entries(phaseHours)) {
-          if (hours === maxPhaseHours) {
-            dominantPhase = phase;
-            break;
-          }
-        }
-        
-        // Update body composition for next week
-        currentFatMass -= weeklyFatLoss;
-        currentFFM -= weeklyFFMLoss;
-        currentWeight = currentFatMass + currentFFM;
-        currentBodyFat = (currentFatMass / currentWeight) * 100;
-      
-      // Ensure values don't go below reasonable limits
-      currentFatMass = Math.max(currentFatMass, 0);
-      currentFFM = Math.max(currentFFM, 0);
-      currentWeight = Math.max(currentWeight, 0);
-      currentBodyFat = Math.max(Math.min(currentBodyFat, 100), 0);
-      
-              weeklyResults.push({
-          week,
-          date: getWeekDate(week),
-          weight: currentWeight,
-          bodyFat: currentBodyFat,
-          fatMass: currentFatMass,
-          fatFreeMass: currentFFM,
-          weeklyFatLoss: weeklyFatLoss,
-          weeklyFFMLoss: weeklyFFMLoss,
-          totalWeightLoss: weeklyFatLoss + weeklyFFMLoss,
-          ketosisPhase: dominantPhase,
-          proteinMaintenance: PROTEIN_MAINTENANCE_PHASES[dominantPhase] || 160,
-          ffmPreservation: FFM_PRESERVATION_PHASES[dominantPhase] * 100 || 0
-        });
+    if (error.code === 'INVALID_EATING_INTAKE') {
+      return res.status(400).json({ error: 'Invalid eating intake', details: error.details });
+    }
+    if (error.code === 'INVALID_UNCERTAINTY') {
+      return res.status(400).json({ error: 'Invalid uncertainty options', details: error.details });
+    }
+    if (error.code === 'INVALID_WEEKS') {
+      return res.status(400).json({ error: 'Invalid number of weeks', details: error.details });
+    }
+    if (error.code === 'INVALID_FASTING_BLOCKS') {
+      return res.status(400).json({ error: 'Invalid fasting blocks', details: error.details });
     }
-    
-    res.json({
-      initialStats: {
-        weight: weightKg,
-        bodyFat: bodyFat,
-        fatMass: weightKg * (bodyFat / 100),
-        fatFreeMass: weightKg * (1 - bodyFat / 100),
-        bmr: bmr,
-        dailyTDEE: tdee
-      },
-      weeklyResults: weeklyResults,
-      summary: {
-        totalWeeks: numWeeks,
-        finalWeight: currentWeight,
-        finalBodyFat: currentBodyFat,
-        totalFatLost: weightKg * (bodyFat / 100) - currentFatMass,
-        totalFFMLost: weightKg * (1 - bodyFat / 100) - currentFFM,
-        totalWeightLost: weightKg - currentWeight
-      }
-    });
-    
-  } catch (error) {
     console.error('Calculation error:', error);
     res.status(500).json({ error: 'Calculation failed' });
   }
 });
 
+// Saved forecast vs canonical weigh-ins, with an empirical TDEE estimate
+app.get('/api/forecast/reconciliation', validateSessionMiddleware, async (req, res) => {
+  try {
+    const reconciliation = await forecastReconciliationService.reconcile(req.userProfile);
+    res.json(reconciliation);
+  } catch (error) {
+    console.error('Error reconciling forecast:', error);
+    res.status(500).json({ error: 'Failed to reconcile forecast' });
+  }
+});
+
+// Saves the empirical TDEE (or the given tdeeOverride) and re-runs the saved forecast with it
+app.post('/api/forecast/reconciliation/apply', validateSessionMiddleware, async (req, res) => {
+  try {
+    const reconciliation = await forecastReconciliationService.applyTdeeOverride(req.userProfile, {
+      tdeeOverride: req.body.tdeeOverride
+    });
+    res.json(reconciliation);
+  } catch (error) {
+    if (error.code === 'NO_FORECAST') {
+      return res.status(400).json({ error: 'No saved forecast to update' });
+    }
+    if (error.code === 'NO_TDEE_ESTIMATE') {
+      return res.status(400).json({ error: 'Not enough data to estimate your TDEE yet' });
+    }
+    if (error.code === 'INVALID_TDEE_OVERRIDE') {
+      const { min, max } = ForecastReconciliationService.TDEE_OVERRIDE_RANGE;
+      return res.status(400).json({ error: `TDEE override must be between ${min} and ${max} kcal` });
+    }
+    if (error.code === 'INVALID_WEEKS' || error.code === 'INVALID_FASTING_BLOCKS') {
+      return res.status(400).json({ error: 'The saved forecast cannot be re-run; calculate a new one first' });
+    }
+    console.error('Error applying reconciled TDEE:', error);
+    res.status(500).json({ error: 'Failed to update forecast' });
+  }
+});
+
+// Goal-seeking forecast: the gentlest protocols that reach targetBodyFat by goalDate
+app.post('/api/forecast/solve', (req, res) => {
+  try {
+    const { weight, weightUnit, bodyFat, activityLevel, tdeeOverride, insulinSensitivity, fastingExperience,
+            bodyFatPercentage, targetBodyFat, goalDate, startDate } = req.body;
+
+    if (!weight || !bodyFat || !activityLevel || !targetBodyFat || !goalDate || !startDate) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const solution = forecastSolverService.solve(
+      { weight, weightUnit, bodyFat, activityLevel, tdeeOverride, insulinSensitivity, fastingExperience, bodyFatPercentage },
+      { targetBodyFat, goalDate },
+      { startDate }
+    );
+
+    res.json(solution);
+  } catch (error) {
+    if (error.code === 'INVALID_START_DATE') {
+      return res.status(400).json({ error: 'Invalid start date' });
+    }
+    if (error.code === 'INVALID_GOAL_DATE') {
+      return res.status(400).json({ error: 'Invalid goal date', details: error.details });
+    }
+    if (error.code === 'INVALID_TARGET_BODY_FAT') {
+      return res.status(400).json({ error: 'Invalid target body fat', details: error.details });
+    }
+    console.error('Error solving forecast:', error);
+    res.status(500).json({ error: 'Failed to solve forecast' });
+  }
+});
+
 // Smart routing for root path
 app.get('/', (req, res) => {
   // For now, serve a simple HTML page that does client-side routing
@@ -2509,14 +3061,31 @@ app.get('/settings', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'settings.html'));
 });
 
+// Serve the sign-in / create-account page
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
 // Session restore page — works on any browser/device without a JS console
 // Usage: /restore?sid=fs_xxxx
-app.get('/restore', (req, res) => {
+app.get('/restore', async (req, res) => {
   const sid = req.query.sid || '';
   // Validate format server-side before embedding into the page
   if (sid && !/^fs_\d+_[a-z0-9]+$/.test(sid)) {
     return res.status(400).send('Invalid session ID format.');
   }
+
+  // Profiles attached to an account can no longer be restored from a bare ID
+  if (sid) {
+    try {
+      const profile = await db.getUserProfileBySessionId(sid);
+      if (profile && profile.account_id) {
+        return res.redirect('/login');
+      }
+    } catch (error) {
+      console.error('Error checking restore session:', error);
+    }
+  }
   res.send(`<!DOCTYPE html>
 <html>
 <head>
@@ -2618,6 +3187,30 @@ async function initializeApp() {
     return databaseInitialization;
 }
 
+// Long-running servers roll schedules forward in the background; serverless
+// invocations rely on the read path (plannedInstanceService.ensureMaterialized).
+const PLANNED_INSTANCE_JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+function startPlannedInstanceJob() {
+    const run = () => plannedInstanceService.materializeAll().catch((error) => {
+        console.error('Error materializing planned instances:', error);
+    });
+
+    run();
+    setInterval(run, PLANNED_INSTANCE_JOB_INTERVAL_MS).unref();
+}
+
+// Reminders are sent from the server so they arrive with the app closed
+const PUSH_NOTIFICATION_JOB_INTERVAL_MS = 60 * 1000;
+
+function startPushNotificationJob() {
+    const run = () => pushNotificationService.runDueNotifications().catch((error) => {
+        console.error('Error sending push notifications:', error);
+    });
+
+    setInterval(run, PUSH_NOTIFICATION_JOB_INTERVAL_MS).unref();
+}
+
 async function startServer() {
     try {
         await initializeApp();
@@ -2627,6 +3220,8 @@ async function startServer() {
             console.log(`API available at http://localhost:${PORT}/api/hello`);
             console.log(`Fasting Log API available at http://localhost:${PORT}/api/fasts`);
         });
+        startPlannedInstanceJob();
+        startPushNotificationJob();
     } catch (error) {
         console.error('Failed to initialize database:', error);
         process.exit(1);
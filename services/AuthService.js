@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Email + password accounts with server-issued session tokens.
+ * Only a SHA-256 hash of each token is stored, so a leaked table cannot be replayed.
+ */
+class AuthService {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.now = options.now || (() => Date.now());
+    this.dummyPasswordHash = null;
+  }
+
+  /**
+   * Creates an account and signs it in. userProfile is the caller's own
+   * profile, resolved by the route from the session the request is made
+   * with; when no account has claimed it yet, it (and all of its history) is
+   * attached to the new account.
+   */
+  async register({ email, password, userProfile = null, userAgent = null }) {
+    const normalizedEmail = this.normalizeEmail(email);
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      throw this._createError('INVALID_EMAIL');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw this._createError('WEAK_PASSWORD');
+    }
+
+    const existing = await this.db.getAccountByEmail(normalizedEmail);
+    if (existing) {
+      throw this._createError('EMAIL_TAKEN');
+    }
+
+    const account = await this.db.createAccount({
+      email: normalizedEmail,
+      password_hash: await this.hashPassword(password)
+    });
+
+    let attachedProfile = false;
+    if (userProfile && !userProfile.account_id) {
+      const result = await this.db.attachUserProfileToAccount(userProfile.id, account.id);
+      attachedProfile = result.changes > 0;
+    }
+
+    const profile = await this._ensureProfile(account.id);
+    const session = await this.createSession(account.id, userAgent);
+
+    return { account: this.toPublicAccount(account), profile, attachedProfile, ...session };
+  }
+
+  async login({ email, password, userAgent = null }) {
+    const account = await this.db.getAccountByEmail(this.normalizeEmail(email));
+    // Unknown emails are checked against a throwaway hash, so the response time
+    // does not reveal which accounts exist
+    const storedHash = account ? account.password_hash : await this._getDummyPasswordHash();
+    const matches = await this.verifyPassword(typeof password === 'string' ? password : '', storedHash);
+
+    if (!account || typeof password !== 'string' || !matches) {
+      throw this._createError('INVALID_CREDENTIALS');
+    }
+
+    const profile = await this._ensureProfile(account.id);
+    const session = await this.createSession(account.id, userAgent);
+
+    return { account: this.toPublicAccount(account), profile, ...session };
+  }
+
+  async logout(token) {
+    if (!token) {
+      return { deleted: false };
+    }
+    return this.db.deleteAuthSession(this.hashToken(token));
+  }
+
+  async createSession(accountId, userAgent = null) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(this.now() + SESSION_TTL_MS).toISOString();
+
+    await this.db.createAuthSession({
+      account_id: accountId,
+      token_hash: this.hashToken(token),
+      user_agent: userAgent ? String(userAgent).slice(0, 255) : null,
+      expires_at: expiresAt
+    });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Resolves a session token to { account, profile }, or null when the token
+   * is unknown or expired. Expired sessions are removed on sight.
+   */
+  async resolveSession(token) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    const tokenHash = this.hashToken(token);
+    const session = await this.db.getAuthSessionByTokenHash(tokenHash);
+    if (!session) {
+      return null;
+    }
+
+    if (new Date(session.expires_at).getTime() <= this.now()) {
+      await this.db.deleteAuthSession(tokenHash);
+      return null;
+    }
+
+    const account = await this.db.getAccountById(session.account_id);
+    if (!account) {
+      return null;
+    }
+
+    const profile = await this.db.getUserProfileByAccountId(account.id);
+    return { account: this.toPublicAccount(account), profile };
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const derived = await this._scrypt(password, salt, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+    return ['scrypt', N, r, p, salt.toString('base64'), derived.toString('base64')].join('$');
+  }
+
+  async verifyPassword(password, storedHash) {
+    const parts = typeof storedHash === 'string' ? storedHash.split('$') : [];
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+      return false;
+    }
+
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, 'base64');
+    const derived = await this._scrypt(password, Buffer.from(salt, 'base64'), {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p)
+    });
+
+    return derived.length === expected.length && crypto.timingSafeEqual(derived, expected);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
+  }
+
+  toPublicAccount(account) {
+    return {
+      id: account.id,
+      email: account.email,
+      created_at: account.created_at || null
+    };
+  }
+
+  // Every account owns exactly one profile; new accounts get a server-generated session key
+  async _ensureProfile(accountId) {
+    const existing = await this.db.getUserProfileByAccountId(accountId);
+    if (existing) {
+      return existing;
+    }
+
+    const sessionId = `fs_${this.now()}_${crypto.randomBytes(6).toString('hex')}`;
+    const created = await this.db.createUserProfile({ session_id: sessionId });
+    await this.db.attachUserProfileToAccount(created.id, accountId);
+    return this.db.getUserProfileByAccountId(accountId);
+  }
+
+  async _getDummyPasswordHash() {
+    if (!this.dummyPasswordHash) {
+      this.dummyPasswordHash = await this.hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    return this.dummyPasswordHash;
+  }
+
+  _scrypt(password, salt, { N, r, p }) {
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p }, (err, derived) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(derived);
+        }
+      });
+    });
+  }
+
+  _createError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = AuthService;
+module.exports.SESSION_TTL_MS = SESSION_TTL_MS;
+module.exports.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
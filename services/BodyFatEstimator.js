@@ -0,0 +1,198 @@
+const LBS_PER_KG = 2.2046;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+const MIN_BODY_FAT = 3;
+const MAX_BODY_FAT = 60;
+
+// Share of a weight change assumed to be lean tissue (Forbes' rule of thumb for moderate changes)
+const LEAN_SHARE_OF_CHANGE = 0.25;
+const READING_FRESH_DAYS = 30;
+const READING_STALE_DAYS = 90;
+const READING_MAX_AGE_DAYS = 365;
+// Beyond this the drift assumption is doing most of the work, so trust the reading one level less
+const READING_MAX_WEIGHT_CHANGE = 0.05;
+const CIRCUMFERENCE_MAX_AGE_DAYS = 30;
+
+// Same defaults FastEffectivenessService.estimateTDEE falls back to
+const DEFAULT_AGE = 35;
+
+function isPositive(value) {
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value)) && Number(value) > 0;
+}
+
+function daysBetween(from, to) {
+  const start = new Date(from);
+  if (Number.isNaN(start.getTime())) {
+    return null;
+  }
+  return (to.getTime() - start.getTime()) / MS_PER_DAY;
+}
+
+function lowerConfidence(confidence) {
+  return CONFIDENCE_LEVELS[Math.max(0, CONFIDENCE_LEVELS.indexOf(confidence) - 1)];
+}
+
+/**
+ * US Navy circumference method (Hodgdon & Beckett), metric form. Women need
+ * a hip measurement as well.
+ */
+function navyBodyFat({ sex, heightCm, neckCm, waistCm, hipCm }) {
+  if (!isPositive(heightCm) || !isPositive(neckCm) || !isPositive(waistCm)) {
+    return null;
+  }
+
+  if (sex === 'male') {
+    const girth = Number(waistCm) - Number(neckCm);
+    if (girth <= 0) {
+      return null;
+    }
+    return 495 / (1.0324 - 0.19077 * Math.log10(girth) + 0.15456 * Math.log10(Number(heightCm))) - 450;
+  }
+
+  if (sex === 'female') {
+    if (!isPositive(hipCm)) {
+      return null;
+    }
+    const girth = Number(waistCm) + Number(hipCm) - Number(neckCm);
+    if (girth <= 0) {
+      return null;
+    }
+    return 495 / (1.29579 - 0.35004 * Math.log10(girth) + 0.221 * Math.log10(Number(heightCm))) - 450;
+  }
+
+  return null;
+}
+
+/**
+ * Deurenberg adult BMI equation. Unknown sex uses the midpoint, matching the
+ * TDEE estimate.
+ */
+function deurenbergBodyFat({ weightLbs, heightCm, age, sex }) {
+  if (!isPositive(weightLbs) || !isPositive(heightCm)) {
+    return null;
+  }
+
+  const heightM = Number(heightCm) / 100;
+  const bmi = (Number(weightLbs) / LBS_PER_KG) / (heightM * heightM);
+  const sexFactor = sex === 'male' ? 1 : sex === 'female' ? 0 : 0.5;
+  const ageValue = isPositive(age) ? Number(age) : DEFAULT_AGE;
+  return 1.2 * bmi + 0.23 * ageValue - 10.8 * sexFactor - 5.4;
+}
+
+/**
+ * Carries an earlier body-fat reading forward: lean mass from that reading
+ * moves by a quarter of any weight change since, the rest is fat.
+ */
+function driftedBodyFat({ reading, weightLbs }) {
+  if (!reading || !isPositive(reading.bodyFat) || !isPositive(reading.weightLbs) || !isPositive(weightLbs)) {
+    return null;
+  }
+
+  const readingLean = Number(reading.weightLbs) * (1 - Number(reading.bodyFat) / 100);
+  const lean = readingLean + LEAN_SHARE_OF_CHANGE * (Number(weightLbs) - Number(reading.weightLbs));
+  return (1 - lean / Number(weightLbs)) * 100;
+}
+
+/**
+ * Built-in estimators, in order of preference when confidence ties. Each
+ * returns { bodyFat, confidence } or null when it lacks the inputs.
+ */
+const ESTIMATORS = [
+  {
+    method: 'last_reading',
+    label: 'Last reading with lean-mass drift',
+    estimate({ lastReading, weightLbs, at }) {
+      if (!lastReading) {
+        return null;
+      }
+      const ageDays = daysBetween(lastReading.loggedAt, at);
+      if (ageDays === null || ageDays < 0 || ageDays > READING_MAX_AGE_DAYS) {
+        return null;
+      }
+      const bodyFat = driftedBodyFat({ reading: lastReading, weightLbs });
+      if (bodyFat === null) {
+        return null;
+      }
+
+      let confidence = ageDays <= READING_FRESH_DAYS ? 'high' : ageDays <= READING_STALE_DAYS ? 'medium' : 'low';
+      const weightChange = Math.abs(Number(weightLbs) - Number(lastReading.weightLbs)) / Number(lastReading.weightLbs);
+      if (weightChange > READING_MAX_WEIGHT_CHANGE) {
+        confidence = lowerConfidence(confidence);
+      }
+      return { bodyFat, confidence };
+    }
+  },
+  {
+    method: 'us_navy',
+    label: 'US Navy circumference',
+    estimate({ circumferences, heightCm, sex, at }) {
+      if (!circumferences) {
+        return null;
+      }
+      const ageDays = daysBetween(circumferences.measuredAt, at);
+      if (ageDays === null || ageDays < 0 || ageDays > CIRCUMFERENCE_MAX_AGE_DAYS) {
+        return null;
+      }
+      const bodyFat = navyBodyFat({ sex, heightCm, ...circumferences });
+      return bodyFat === null ? null : { bodyFat, confidence: 'medium' };
+    }
+  },
+  {
+    method: 'deurenberg',
+    label: 'BMI (Deurenberg)',
+    estimate({ weightLbs, heightCm, age, sex }) {
+      const bodyFat = deurenbergBodyFat({ weightLbs, heightCm, age, sex });
+      return bodyFat === null ? null : { bodyFat, confidence: 'low' };
+    }
+  }
+];
+
+/**
+ * Estimates body fat when no reading was logged with the weight. Every
+ * estimator is tried and the most confident answer wins.
+ *
+ * Context: { at, weightLbs, heightCm, age, sex,
+ *   circumferences: { neckCm, waistCm, hipCm, measuredAt },
+ *   lastReading: { bodyFat, weightLbs, loggedAt } }
+ */
+class BodyFatEstimator {
+  constructor({ estimators = ESTIMATORS } = {}) {
+    this.estimators = estimators;
+  }
+
+  /**
+   * Returns { bodyFat, method, label, confidence } or null when no
+   * estimator has enough to go on.
+   */
+  estimate(context = {}) {
+    const at = context.at ? new Date(context.at) : new Date();
+    const input = { ...context, at };
+
+    let best = null;
+    for (const estimator of this.estimators) {
+      const result = estimator.estimate(input);
+      if (!result || !Number.isFinite(result.bodyFat) || !CONFIDENCE_LEVELS.includes(result.confidence)) {
+        continue;
+      }
+      if (best && CONFIDENCE_LEVELS.indexOf(result.confidence) <= CONFIDENCE_LEVELS.indexOf(best.confidence)) {
+        continue;
+      }
+      best = {
+        bodyFat: Math.round(Math.min(MAX_BODY_FAT, Math.max(MIN_BODY_FAT, result.bodyFat)) * 10) / 10,
+        method: estimator.method,
+        label: estimator.label,
+        confidence: result.confidence
+      };
+    }
+
+    return best;
+  }
+}
+
+module.exports = BodyFatEstimator;
+module.exports.ESTIMATORS = ESTIMATORS;
+module.exports.CONFIDENCE_LEVELS = CONFIDENCE_LEVELS;
+module.exports.navyBodyFat = navyBodyFat;
+module.exports.deurenbergBodyFat = deurenbergBodyFat;
+module.exports.driftedBodyFat = driftedBodyFat;
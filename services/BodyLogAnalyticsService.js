@@ -1,15 +1,22 @@
 const BodyLogService = require('./BodyLogService');
 const FastEffectivenessService = require('./FastEffectivenessService');
+const BodyFatEstimator = require('./BodyFatEstimator');
 const { normalizeTimestamp, getLocalContext: buildLocalContext } = require('./timezone');
 
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
 const RETENTION_WINDOW_MS = 48 * 60 * 60 * 1000;
+// Share of the gap between trend and scale closed per day (the Hacker's Diet uses 10%)
+const TREND_SMOOTHING_PER_DAY = 0.1;
+const TREND_RATE_WINDOW_DAYS = 14;
+// A slope over fewer days than this is mostly one fast's water, so no rate is reported
+const TREND_RATE_MIN_SPAN_DAYS = 4;
 
 class BodyLogAnalyticsService {
   constructor(database, bodyLogService = null, options = {}) {
     this.db = database;
     this.bodyLogService = bodyLogService || new BodyLogService(database, options);
     this.fastEffectivenessService = new FastEffectivenessService();
+    this.bodyFatEstimator = options.bodyFatEstimator || new BodyFatEstimator();
     this.useEnhancedEffectiveness = options.useEnhancedEffectiveness ?? true; // Feature flag
   }
 
@@ -34,6 +41,7 @@ class BodyLogAnalyticsService {
       timeZone: entry.time_zone,
       weight: entry.weight !== null && entry.weight !== undefined ? Number(entry.weight) : null,
       bodyFat: entry.body_fat !== null && entry.body_fat !== undefined ? Number(entry.body_fat) : null,
+      measurements: this.bodyLogService.getMeasurements(entry),
       entryTag: entry.entry_tag,
       source: entry.source,
       notes: entry.notes,
@@ -388,16 +396,80 @@ class BodyLogAnalyticsService {
       ? Number(selectedPostEntry.body_fat)
       : null;
 
+    const bodyFatHistory = startBodyFat === null
+      ? this.findBodyFatHistory(allUserEntries, startEntry ? startEntry.logged_at : fast.start_time)
+      : null;
+
     return {
       startEntry,
       postEntry: selectedPostEntry,
       startWeight,
       postWeight,
       startBodyFat,
-      postBodyFat
+      postBodyFat,
+      bodyFatHistory
+    };
+  }
+
+  /**
+   * Latest body-fat reading and latest neck/waist measurement at or before
+   * the given time, for estimating body fat when none was logged.
+   */
+  findBodyFatHistory(entries, at) {
+    const present = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+    const atTime = at ? new Date(at).getTime() : NaN;
+    if (Number.isNaN(atTime) || !Array.isArray(entries)) {
+      return { at: at || null, lastReading: null, circumferences: null };
+    }
+
+    const earlier = entries
+      .filter((entry) => entry && entry.logged_at && new Date(entry.logged_at).getTime() <= atTime)
+      .sort((a, b) => new Date(b.logged_at).getTime() - new Date(a.logged_at).getTime());
+
+    const reading = earlier.find((entry) => present(entry.body_fat) && present(entry.weight));
+    const measured = earlier.find((entry) => present(entry.neck_cm) && present(entry.waist_cm));
+
+    return {
+      at,
+      lastReading: reading
+        ? { bodyFat: Number(reading.body_fat), weightLbs: Number(reading.weight), loggedAt: reading.logged_at }
+        : null,
+      circumferences: measured
+        ? {
+          neckCm: Number(measured.neck_cm),
+          waistCm: Number(measured.waist_cm),
+          hipCm: present(measured.hip_cm) ? Number(measured.hip_cm) : null,
+          measuredAt: measured.logged_at
+        }
+        : null
     };
   }
 
+  /**
+   * Body-fat estimate for a fast whose start weight came without a reading.
+   * The profile's onboarding body fat stands in when the log has none.
+   */
+  estimateStartBodyFat(snapshot, enhancedData) {
+    const history = snapshot.bodyFatHistory;
+    if (!history || !enhancedData) {
+      return null;
+    }
+
+    const profileReading = enhancedData.profileBodyFat != null && enhancedData.profileWeight != null
+      ? { bodyFat: Number(enhancedData.profileBodyFat), weightLbs: Number(enhancedData.profileWeight), loggedAt: enhancedData.profileCreatedAt }
+      : null;
+
+    return this.bodyFatEstimator.estimate({
+      at: history.at,
+      weightLbs: snapshot.startWeight,
+      heightCm: enhancedData.heightCm,
+      age: enhancedData.age,
+      sex: enhancedData.sex,
+      circumferences: history.circumferences,
+      lastReading: history.lastReading || profileReading
+    });
+  }
+
   /**
    * Fetch user profile and fast data for enhanced effectiveness calculation
    */
@@ -414,6 +486,9 @@ class BodyLogAnalyticsService {
         sex: profile?.sex,
         ketoAdapted: profile?.keto_adapted || 'none',
         tdeeOverride: profile?.tdee_override,
+        profileBodyFat: profile?.body_fat ?? null,
+        profileWeight: profile?.weight ?? null,
+        profileCreatedAt: profile?.created_at ?? null,
         startInKetosis: this.normalizeBoolean(fast.start_in_ketosis) ?? false,
         preFastProteinGrams: fast.pre_fast_protein_grams || 0,
         carbStatus: fast.carb_status || 'normal'
@@ -471,6 +546,7 @@ class BodyLogAnalyticsService {
           postWeight,
           startBodyFat,
           postBodyFat,
+          bodyFatEstimate: startBodyFat == null ? this.estimateStartBodyFat(snapshot, enhancedData) : null,
           fastDurationHours: durationHours,
           tdee: enhancedData.tdeeOverride,
           heightCm: enhancedData.heightCm,
@@ -858,7 +934,9 @@ class BodyLogAnalyticsService {
     const fasts = await this.db.getFastsByUserAndDateRange(userProfileId, startIso, endIso);
     const normalizedFasts = fasts.map((fast) => this.normalizeFast(fast));
 
-    const weeklyComposition = this.computeWeeklyComposition(normalizedCanonical);
+    const trendWeight = this.computeTrendWeight(normalizedCanonical);
+    const weeklyComposition = this.computeWeeklyComposition(normalizedCanonical, trendWeight.series);
+    const measurementTrends = this.computeMeasurementTrends(allEntries);
     const retention = await this.computeRetention(userProfileId, fasts, normalizedCanonical);
     const rollingInsights = await this.computeRollingInsights(userProfileId, fasts, normalizedCanonical, { days });
 
@@ -890,17 +968,124 @@ class BodyLogAnalyticsService {
       postFastEntries,
       fasts: normalizedFasts,
       weeklyComposition,
+      trendWeight,
+      measurementTrends,
       retention,
       fastEffectiveness,
       rollingInsights
     };
   }
 
-  computeWeeklyComposition(canonicalEntries) {
+  /**
+   * One series per tape measurement that has been logged in the range: the
+   * day's last value for each local date, oldest first, with the change
+   * from first to latest. Measurements often go on a non-canonical entry,
+   * so every entry counts.
+   */
+  computeMeasurementTrends(entries) {
+    const byField = {};
+
+    (entries || [])
+      .filter((entry) => entry && entry.local_date)
+      .sort((a, b) => new Date(a.logged_at).getTime() - new Date(b.logged_at).getTime())
+      .forEach((entry) => {
+        const measurements = this.bodyLogService.getMeasurements(entry);
+        Object.entries(measurements).forEach(([field, value]) => {
+          if (value === null || Number.isNaN(value)) {
+            return;
+          }
+          if (!byField[field]) {
+            byField[field] = new Map();
+          }
+          byField[field].set(entry.local_date, value);
+        });
+      });
+
+    const trends = {};
+    Object.entries(byField).forEach(([field, days]) => {
+      const series = Array.from(days.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, value]) => ({ date, value: this.round(value) }));
+      const first = series[0];
+      const latest = series[series.length - 1];
+      trends[field] = {
+        series,
+        latest: latest.value,
+        latestDate: latest.date,
+        change: series.length > 1 ? this.round(latest.value - first.value) : null
+      };
+    });
+
+    return trends;
+  }
+
+  /**
+   * Exponentially smoothed trend weight over the canonical weigh-ins, so the
+   * water and glycogen swings around fasts stop hiding the real direction.
+   * A gap between weigh-ins counts as that many days of smoothing, letting the
+   * trend catch up after missed days instead of lagging. weeklyRate is the
+   * trend's least-squares slope over the last two weeks, per 7 days.
+   */
+  computeTrendWeight(canonicalEntries, { smoothing = TREND_SMOOTHING_PER_DAY } = {}) {
+    const points = (canonicalEntries || [])
+      .filter((entry) => entry && this.isFiniteNumber(entry.weight) && (entry.localDate || entry.loggedAt))
+      .map((entry) => {
+        const date = entry.localDate || this.formatDate(new Date(entry.loggedAt));
+        return { date, day: Date.parse(`${date}T00:00:00Z`) / MS_PER_DAY, weight: entry.weight };
+      })
+      .filter((point) => Number.isFinite(point.day))
+      .sort((a, b) => a.day - b.day);
+
+    let trend = null;
+    let previousDay = null;
+    points.forEach((point) => {
+      if (trend === null) {
+        trend = point.weight;
+      } else {
+        const alpha = 1 - (1 - smoothing) ** Math.max(1, point.day - previousDay);
+        trend += alpha * (point.weight - trend);
+      }
+      previousDay = point.day;
+      point.trend = trend;
+    });
+
+    const latest = points[points.length - 1] || null;
+    return {
+      method: 'ewma',
+      smoothing,
+      series: points.map((point) => ({
+        date: point.date,
+        weight: this.round(point.weight),
+        trend: this.round(point.trend)
+      })),
+      latest: latest ? this.round(latest.trend) : null,
+      weeklyRate: latest ? this.computeTrendRate(points.filter((point) => point.day >= latest.day - TREND_RATE_WINDOW_DAYS)) : null
+    };
+  }
+
+  computeTrendRate(points) {
+    if (points.length < 2 || points[points.length - 1].day - points[0].day < TREND_RATE_MIN_SPAN_DAYS) {
+      return null;
+    }
+
+    const meanDay = points.reduce((sum, point) => sum + point.day, 0) / points.length;
+    const meanTrend = points.reduce((sum, point) => sum + point.trend, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+    points.forEach((point) => {
+      covariance += (point.day - meanDay) * (point.trend - meanTrend);
+      variance += (point.day - meanDay) ** 2;
+    });
+
+    return this.round((covariance / variance) * 7, 2);
+  }
+
+  computeWeeklyComposition(canonicalEntries, trendSeries = []) {
     if (!canonicalEntries || canonicalEntries.length === 0) {
       return [];
     }
 
+    const trendByDate = new Map(trendSeries.map((point) => [point.date, point.trend]));
     const weeks = new Map();
 
     canonicalEntries.forEach((entry) => {
@@ -955,13 +1140,21 @@ class BodyLogAnalyticsService {
       const weekStartDate = new Date(weekData.weekStart.getTime());
       const weekEndDate = new Date(weekStartDate.getTime() + 6 * MS_PER_DAY);
 
+      // The trend as of the week's last weigh-in
+      const lastTrendDate = entries
+        .map((entry) => entry.localDate)
+        .filter((date) => trendByDate.has(date))
+        .sort()
+        .pop();
+
       results.push({
         weekStart: key,
         weekEnd: this.formatDate(weekEndDate),
         averageWeight: this.round(avgWeight),
         averageBodyFat: avgBodyFat !== null ? this.round(avgBodyFat) : null,
         averageFatMass: fatMass !== null ? this.round(fatMass) : null,
-        averageLeanMass: leanMass !== null ? this.round(leanMass) : null
+        averageLeanMass: leanMass !== null ? this.round(leanMass) : null,
+        trendWeight: lastTrendDate ? trendByDate.get(lastTrendDate) : null
       });
     });
 
@@ -972,6 +1165,7 @@ class BodyLogAnalyticsService {
         current.deltaWeight = null;
         current.deltaFatMass = null;
         current.deltaLeanMass = null;
+        current.deltaTrendWeight = null;
         continue;
       }
 
@@ -984,6 +1178,9 @@ class BodyLogAnalyticsService {
       current.deltaLeanMass = (current.averageLeanMass !== null && previous.averageLeanMass !== null)
         ? this.round(current.averageLeanMass - previous.averageLeanMass)
         : null;
+      current.deltaTrendWeight = (current.trendWeight !== null && previous.trendWeight !== null)
+        ? this.round(current.trendWeight - previous.trendWeight)
+        : null;
     }
 
     return results;
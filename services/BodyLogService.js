@@ -3,6 +3,15 @@ const { normalizeTimestamp, getLocalContext: buildLocalContext } = require('./ti
 const POST_FAST_WINDOW_MINUTES = 120;
 const MORNING_WINDOW_START_MINUTES = 4 * 60;
 const MORNING_WINDOW_END_MINUTES = 11 * 60 + 59;
+// Tape-measure circumferences, stored in centimetres; column name to API field
+const MEASUREMENT_FIELDS = {
+  neck_cm: 'neckCm',
+  waist_cm: 'waistCm',
+  hip_cm: 'hipCm',
+  chest_cm: 'chestCm',
+  arm_cm: 'armCm'
+};
+const MAX_CIRCUMFERENCE_CM = 300;
 
 class BodyLogService {
   constructor(database, options = {}) {
@@ -161,6 +170,41 @@ class BodyLogService {
     });
   }
 
+  normalizeMeasurement(value, field) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric) || numeric <= 0 || numeric > MAX_CIRCUMFERENCE_CM) {
+      throw new Error(`${field} must be a circumference in centimetres`);
+    }
+    return numeric;
+  }
+
+  /**
+   * Validated measurement columns from API-style input ({ waistCm, ... }).
+   * With partial, fields the input leaves out are left out too.
+   */
+  normalizeMeasurements(input = {}, { partial = false } = {}) {
+    const columns = {};
+    Object.entries(MEASUREMENT_FIELDS).forEach(([column, field]) => {
+      if (partial && input[field] === undefined) {
+        return;
+      }
+      columns[column] = this.normalizeMeasurement(input[field], field);
+    });
+    return columns;
+  }
+
+  getMeasurements(entry) {
+    const measurements = {};
+    Object.entries(MEASUREMENT_FIELDS).forEach(([column, field]) => {
+      const value = entry ? entry[column] : null;
+      measurements[field] = value !== null && value !== undefined ? Number(value) : null;
+    });
+    return measurements;
+  }
+
   async createEntry(entryInput) {
     const {
       userProfileId,
@@ -185,6 +229,7 @@ class BodyLogService {
     if (weight === undefined || weight === null) {
       throw new Error('weight is required');
     }
+    const measurements = this.normalizeMeasurements(entryInput);
 
     const context = this.resolveEntryContext(loggedAt, timezoneOffsetMinutes, timeZone);
     const entryTag = await this.determineEntryTag({
@@ -206,6 +251,7 @@ class BodyLogService {
       time_zone: context.timeZone,
       weight,
       body_fat: bodyFat,
+      ...measurements,
       entry_tag: entryTag,
       source,
       notes,
@@ -240,6 +286,11 @@ class BodyLogService {
     }
 
     const updates = { ...updateInput };
+    Object.entries(MEASUREMENT_FIELDS).forEach(([column, field]) => {
+      if (updates[column] !== undefined) {
+        updates[column] = this.normalizeMeasurement(updates[column], field);
+      }
+    });
 
     const timestampChanged = updates.logged_at !== undefined;
     const offsetChanged = updates.timezone_offset_minutes !== undefined;
@@ -290,6 +341,31 @@ class BodyLogService {
     return this.db.getBodyLogEntryById(entryId);
   }
 
+  // Sets the measurements given and leaves the rest; null clears one
+  async updateMeasurements(entryId, input) {
+    const entry = await this.db.getBodyLogEntryById(entryId);
+    if (!entry) {
+      throw new Error('Body log entry not found');
+    }
+
+    const columns = this.normalizeMeasurements(input, { partial: true });
+    if (Object.keys(columns).length === 0) {
+      throw new Error(`Provide at least one of: ${Object.values(MEASUREMENT_FIELDS).join(', ')}`);
+    }
+
+    await this.db.updateBodyLogEntry(entryId, columns);
+    return this.db.getBodyLogEntryById(entryId);
+  }
+
+  async clearMeasurements(entryId) {
+    const columns = {};
+    Object.keys(MEASUREMENT_FIELDS).forEach((column) => {
+      columns[column] = null;
+    });
+    await this.db.updateBodyLogEntry(entryId, columns);
+    return this.db.getBodyLogEntryById(entryId);
+  }
+
   async deleteEntry(entryId) {
     const entry = await this.db.getBodyLogEntryById(entryId);
     if (!entry) {
@@ -375,3 +451,4 @@ class BodyLogService {
 }
 
 module.exports = BodyLogService;
+module.exports.MEASUREMENT_FIELDS = MEASUREMENT_FIELDS;
@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const { getOffsetFromTimeZone, zonedTimeToInstant, parseDatabaseTimestamp } = require('./timezone');
+
+const PRODUCT_ID = '-//Fasting Forecast//Fasting Schedule//EN';
+const UID_DOMAIN = 'fasting-forecast';
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SHIFTING_OVERRIDES = ['shift', 'extend', 'shorten'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// VTIMEZONE lists explicit transitions; cover this many years past today so clients never extrapolate stale offsets
+const TIMEZONE_YEARS_AHEAD = 2;
+const MAX_LINE_OCTETS = 75;
+const UTC_ZONES = ['UTC', 'Etc/UTC', 'GMT', 'Etc/GMT'];
+
+/**
+ * Publishes a profile's fasting blocks as an iCalendar (RFC 5545) feed that
+ * calendar apps subscribe to by URL, guarded by a secret token.
+ *
+ * Each block becomes a weekly recurring VEVENT. Blocks in 'local' tz_mode use
+ * floating times so the fast follows the device's zone; 'fixed' blocks are
+ * pinned to their anchor_tz with a VTIMEZONE. Skip overrides become EXDATEs;
+ * shift, extend and shorten become RECURRENCE-ID exceptions. Occurrence dates
+ * are matched the same way generateInstancesForBlock assigns them.
+ */
+class CalendarFeedService {
+  constructor(database, { clock = () => new Date() } = {}) {
+    this.db = database;
+    this.clock = clock;
+  }
+
+  /**
+   * Issues a new token, replacing (and so revoking) any earlier one.
+   * The token is only ever returned here; the database keeps its hash.
+   */
+  async createFeed(userProfileId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const feed = await this.db.upsertCalendarFeed(userProfileId, this.hashToken(token));
+    return { token, createdAt: feed.created_at };
+  }
+
+  async getFeedStatus(userProfileId) {
+    const feed = await this.db.getCalendarFeedByUserProfile(userProfileId);
+    return {
+      enabled: Boolean(feed),
+      createdAt: feed ? feed.created_at : null,
+      lastAccessedAt: feed ? feed.last_accessed_at : null
+    };
+  }
+
+  async revokeFeed(userProfileId) {
+    const { deleted } = await this.db.deleteCalendarFeed(userProfileId);
+    return { revoked: deleted };
+  }
+
+  async renderFeed(token) {
+    if (typeof token !== 'string' || !token) {
+      throw this._createError('FEED_NOT_FOUND');
+    }
+
+    const feed = await this.db.getCalendarFeedByTokenHash(this.hashToken(token));
+    if (!feed) {
+      throw this._createError('FEED_NOT_FOUND');
+    }
+    await this.db.markCalendarFeedAccessed(feed.id);
+
+    const profile = await this.db.getUserProfileById(feed.user_profile_id);
+    const schedule = await this.db.getScheduleByUserProfile(feed.user_profile_id);
+    const blocks = schedule ? await this.db.getFastingBlocksBySchedule(schedule.id) : [];
+    const overridesByBlock = new Map();
+    for (const block of blocks) {
+      overridesByBlock.set(block.id, await this.db.getOverridesByBlock(block.id));
+    }
+
+    return this.buildCalendar({ profile, blocks, overridesByBlock });
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  buildCalendar({ profile = null, blocks = [], overridesByBlock = new Map() }) {
+    const now = this.clock();
+    const zones = new Map();
+    const events = [];
+
+    blocks.forEach((block) => {
+      events.push(...this._blockEvents(block, profile, overridesByBlock.get(block.id) || [], now, zones));
+    });
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:Fasting schedule'
+    ];
+    zones.forEach((fromYear, tzid) => {
+      lines.push(...this._timeZoneComponent(tzid, fromYear, now.getUTCFullYear() + TIMEZONE_YEARS_AHEAD));
+    });
+    lines.push(...events, 'END:VCALENDAR');
+
+    return `${lines.map((line) => this._foldLine(line)).join('\r\n')}\r\n`;
+  }
+
+  _blockEvents(block, profile, overrides, now, zones) {
+    const zone = this._resolveTimeZone(block, profile);
+    const tzid = block.tz_mode === 'fixed' ? zone : null;
+    const [startHour, startMinute] = this._parseTime(block.start_time);
+    const [endHour, endMinute] = this._parseTime(block.end_time);
+    const spanDays = this._spanDays(block, startHour * 60 + startMinute, endHour * 60 + endMinute);
+
+    const firstDate = this._firstOccurrenceDate(block, zone, now);
+    const start = { ...firstDate, hour: startHour, minute: startMinute };
+    const end = { ...this._addDays(firstDate, spanDays), hour: endHour, minute: endMinute };
+    const durationHours = Math.round(((this._wallTime(end) - this._wallTime(start)) / (60 * MINUTE_MS)) * 10) / 10;
+
+    if (tzid && !UTC_ZONES.includes(tzid)) {
+      zones.set(tzid, Math.min(zones.get(tzid) || Infinity, firstDate.year));
+    }
+
+    const uid = `fasting-block-${block.id}@${UID_DOMAIN}`;
+    const summary = block.name || 'Scheduled fast';
+    const stamp = `DTSTAMP:${this._formatUtc(now)}`;
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      stamp,
+      this._dateProperty('DTSTART', start, tzid),
+      this._dateProperty('DTEND', end, tzid),
+      `RRULE:FREQ=WEEKLY;BYDAY=${ICS_WEEKDAYS[Number(block.start_dow)]}`,
+      `SUMMARY:${this._escapeText(summary)}`,
+      `DESCRIPTION:${this._escapeText(`${durationHours}-hour fast from your Fasting Forecast schedule`)}`,
+      'TRANSP:TRANSPARENT'
+    ];
+
+    const exceptions = [];
+    const excluded = [];
+    overrides.forEach((override) => {
+      const original = this._occurrenceStart(block, zone, override.occurrence_date, startHour, startMinute);
+      if (!original) {
+        return;
+      }
+
+      if (override.type === 'skip') {
+        excluded.push(original);
+        return;
+      }
+
+      const hours = Number(override.payload && override.payload.hours);
+      if (!SHIFTING_OVERRIDES.includes(override.type) || !Number.isFinite(hours)) {
+        return;
+      }
+
+      const originalEnd = this._addMinutes(original, (this._wallTime(end) - this._wallTime(start)) / MINUTE_MS);
+      const shiftedStart = override.type === 'shift' ? this._addMinutes(original, hours * 60) : original;
+      const endDelta = override.type === 'shorten' ? -hours : hours;
+      const shiftedEnd = this._addMinutes(originalEnd, endDelta * 60);
+
+      exceptions.push(
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        stamp,
+        this._dateProperty('RECURRENCE-ID', original, tzid),
+        this._dateProperty('DTSTART', shiftedStart, tzid),
+        this._dateProperty('DTEND', shiftedEnd, tzid),
+        `SUMMARY:${this._escapeText(summary)}`,
+        ...(override.reason ? [`DESCRIPTION:${this._escapeText(override.reason)}`] : []),
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    });
+
+    if (excluded.length > 0) {
+      lines.push(this._dateProperty('EXDATE', excluded, tzid));
+    }
+    lines.push('END:VEVENT', ...exceptions);
+    return lines;
+  }
+
+  // Same precedence as generateInstancesForBlock, so occurrence dates line up with stored overrides
+  _resolveTimeZone(block, profile) {
+    const candidates = [block.anchor_tz, profile && profile.time_zone];
+    for (const candidate of candidates) {
+      if (typeof candidate === 'string' && candidate.trim() && getOffsetFromTimeZone(new Date(), candidate.trim()) !== null) {
+        return candidate.trim();
+      }
+    }
+    return 'UTC';
+  }
+
+  _spanDays(block, startMinutes, endMinutes) {
+    const diff = (Number(block.end_dow) - Number(block.start_dow) + 7) % 7;
+    return diff === 0 && endMinutes <= startMinutes ? 7 : diff;
+  }
+
+  // The series starts on the block's weekday on or after the day it was created
+  _firstOccurrenceDate(block, zone, now) {
+    const created = parseDatabaseTimestamp(block.created_at) || now;
+    const offset = getOffsetFromTimeZone(created, zone) || 0;
+    const local = new Date(created.getTime() + offset * MINUTE_MS);
+    const daysAhead = (Number(block.start_dow) - local.getUTCDay() + 7) % 7;
+    const first = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + daysAhead));
+    return { year: first.getUTCFullYear(), month: first.getUTCMonth() + 1, day: first.getUTCDate() };
+  }
+
+  /**
+   * Overrides are keyed by the UTC date of the occurrence's start; find the
+   * local start on the block's weekday that lands on that UTC date.
+   */
+  _occurrenceStart(block, zone, occurrenceDate, hour, minute) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(occurrenceDate || '');
+    if (!match) {
+      return null;
+    }
+
+    const [year, month, day] = match.slice(1).map(Number);
+    for (const delta of [0, -1, 1]) {
+      const date = new Date(Date.UTC(year, month - 1, day + delta));
+      if (date.getUTCDay() !== Number(block.start_dow)) {
+        continue;
+      }
+      const wall = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour, minute };
+      if (zonedTimeToInstant(wall, zone).toISOString().slice(0, 10) === occurrenceDate) {
+        return wall;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Lists every UTC offset change between fromYear and toYear as its own
+   * STANDARD/DAYLIGHT observance; zones without changes get a single STANDARD one.
+   */
+  _timeZoneComponent(tzid, fromYear, toYear) {
+    const transitions = this._offsetTransitions(tzid, fromYear, toYear);
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${tzid}`];
+    const initialOffset = getOffsetFromTimeZone(new Date(Date.UTC(fromYear, 0, 1)), tzid) || 0;
+
+    if (transitions.length === 0) {
+      lines.push(...this._observance('STANDARD', new Date(Date.UTC(1970, 0, 1)), initialOffset, initialOffset));
+    } else {
+      const standardOffset = Math.min(initialOffset, ...transitions.map((transition) => transition.to));
+      // Opening observance so times before the first listed change still resolve
+      lines.push(...this._observance(
+        initialOffset > standardOffset ? 'DAYLIGHT' : 'STANDARD',
+        new Date(Date.UTC(fromYear, 0, 1)),
+        initialOffset,
+        initialOffset
+      ));
+      transitions.forEach((transition) => {
+        const kind = transition.to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+        // DTSTART is the wall-clock moment the change happens, read in the offset before it
+        const localStart = new Date(transition.at.getTime() + transition.from * MINUTE_MS);
+        lines.push(...this._observance(kind, localStart, transition.from, transition.to));
+      });
+    }
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+  }
+
+  _observance(kind, localStart, fromOffset, toOffset) {
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${this._formatWall(this._wallFromUtcFields(localStart))}`,
+      `TZOFFSETFROM:${this._formatOffset(fromOffset)}`,
+      `TZOFFSETTO:${this._formatOffset(toOffset)}`,
+      `END:${kind}`
+    ];
+  }
+
+  // Weekly probes are enough: zones never change offset twice within a week
+  _offsetTransitions(tzid, fromYear, toYear) {
+    const transitions = [];
+    const end = Date.UTC(toYear + 1, 0, 1);
+    let cursor = Date.UTC(fromYear, 0, 1);
+    let offset = getOffsetFromTimeZone(new Date(cursor), tzid);
+
+    while (cursor < end) {
+      const next = Math.min(cursor + 7 * DAY_MS, end);
+      const nextOffset = getOffsetFromTimeZone(new Date(next), tzid);
+      if (nextOffset !== offset) {
+        let low = cursor;
+        let high = next;
+        while (high - low > MINUTE_MS) {
+          const mid = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+          if (getOffsetFromTimeZone(new Date(mid), tzid) === offset) {
+            low = mid;
+          } else {
+            high = mid;
+          }
+        }
+        transitions.push({ at: new Date(high), from: offset, to: nextOffset });
+        offset = nextOffset;
+      }
+      cursor = next;
+    }
+
+    return transitions;
+  }
+
+  _dateProperty(name, wall, tzid) {
+    const values = Array.isArray(wall) ? wall : [wall];
+    if (tzid && UTC_ZONES.includes(tzid)) {
+      return `${name}:${values.map((value) => `${this._formatWall(value)}Z`).join(',')}`;
+    }
+    const parameter = tzid ? `;TZID=${tzid}` : '';
+    return `${name}${parameter}:${values.map((value) => this._formatWall(value)).join(',')}`;
+  }
+
+  _formatWall({ year, month, day, hour = 0, minute = 0 }) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(year, 4)}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}00`;
+  }
+
+  _formatUtc(date) {
+    return `${this._formatWall(this._wallFromUtcFields(date))}Z`;
+  }
+
+  _formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+  }
+
+  // Wall-clock values are handled as UTC fields so arithmetic ignores the server's zone
+  _wallTime({ year, month, day, hour = 0, minute = 0 }) {
+    return Date.UTC(year, month - 1, day, hour, minute);
+  }
+
+  _wallFromUtcFields(date) {
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: date.getUTCHours(),
+      minute: date.getUTCMinutes()
+    };
+  }
+
+  _addDays(wall, days) {
+    return this._wallFromUtcFields(new Date(this._wallTime(wall) + days * DAY_MS));
+  }
+
+  _addMinutes(wall, minutes) {
+    return this._wallFromUtcFields(new Date(this._wallTime(wall) + minutes * MINUTE_MS));
+  }
+
+  _parseTime(value) {
+    const [hours, minutes] = String(value || '00:00').split(':').map(Number);
+    return [hours || 0, minutes || 0];
+  }
+
+  _escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // RFC 5545 3.1: lines longer than 75 octets continue on the next line after a single space
+  _foldLine(line) {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+      return line;
+    }
+
+    const parts = [];
+    let current = '';
+    let limit = MAX_LINE_OCTETS;
+    for (const character of line) {
+      if (Buffer.byteLength(current + character) > limit) {
+        parts.push(current);
+        current = '';
+        limit = MAX_LINE_OCTETS - 1;
+      }
+      current += character;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  _createError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = CalendarFeedService;
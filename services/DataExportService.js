@@ -0,0 +1,265 @@
+const JSZip = require('jszip');
+
+const EXPORT_FORMAT = 'fasting-forecast-export';
+const EXPORT_VERSION = 1;
+
+const PROFILE_FIELDS = [
+  'weight',
+  'weight_unit',
+  'body_fat',
+  'target_body_fat',
+  'activity_level',
+  'goal_date',
+  'forecast_data',
+  'time_zone',
+  'onboarded_at',
+  'created_at',
+  'updated_at'
+];
+
+const SETTINGS_FIELDS = [
+  'hunger_coach_enabled',
+  'custom_mealtimes',
+  'quiet_hours',
+  'last_hunger_notification',
+  'avg_meal_cost',
+  'avg_meal_duration',
+  'benefits_enabled',
+  'benefits_onboarded',
+  'height_cm',
+  'sex',
+  'age',
+  'keto_adapted',
+  'tdee_override'
+];
+
+const JSON_TEXT_FIELDS = ['forecast_data', 'custom_mealtimes', 'quiet_hours'];
+
+const BOOLEAN_FIELDS = new Set([
+  'is_manual',
+  'is_active',
+  'is_paused',
+  'is_canonical',
+  'start_in_ketosis',
+  'hunger_coach_enabled',
+  'benefits_enabled',
+  'benefits_onboarded'
+]);
+
+const CSV_COLUMNS = {
+  fasts: [
+    'id', 'start_time', 'end_time', 'duration_hours', 'notes', 'weight', 'photos', 'is_manual', 'is_active',
+    'source', 'planned_instance_id', 'planned_duration_hours', 'start_in_ketosis', 'pre_fast_protein_grams',
+    'carb_status', 'created_at', 'updated_at'
+  ],
+  milestones: ['id', 'fast_id', 'milestone_type', 'achieved_at', 'hours_elapsed', 'created_at'],
+  body_log_entries: [
+    'id', 'fast_id', 'logged_at', 'local_date', 'timezone_offset_minutes', 'time_zone', 'weight', 'body_fat',
+    'neck_cm', 'waist_cm', 'hip_cm', 'chest_cm', 'arm_cm', 'entry_tag', 'source', 'notes', 'is_canonical', 'canonical_status', 'canonical_reason', 'canonical_override_at',
+    'created_at', 'updated_at'
+  ],
+  schedules: ['id', 'week_anchor', 'is_paused', 'created_at', 'updated_at'],
+  fasting_blocks: [
+    'id', 'schedule_id', 'name', 'start_dow', 'start_time', 'end_dow', 'end_time', 'tz_mode', 'anchor_tz',
+    'notifications', 'is_active', 'created_at', 'updated_at'
+  ],
+  overrides: ['id', 'block_id', 'occurrence_date', 'type', 'payload', 'reason', 'created_at'],
+  schedule_drafts: ['payload', 'created_at', 'updated_at', 'dismissed_at']
+};
+
+class DataExportService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  async buildExport(userProfileId) {
+    const profile = await this.db.getUserProfileById(userProfileId);
+    if (!profile) {
+      throw this._createError('PROFILE_NOT_FOUND');
+    }
+
+    const fasts = await this.db.getAllFastsByUserProfile(userProfileId);
+    const fastsWithMilestones = [];
+    for (const fast of fasts) {
+      const milestones = await this.db.getFastMilestones(fast.id);
+      fastsWithMilestones.push({
+        ...this._normalizeRow(fast, ['user_profile_id']),
+        milestones: (milestones || []).map((milestone) => this._normalizeRow(milestone))
+      });
+    }
+
+    const bodyLogEntries = await this.db.getBodyLogEntriesByUser(userProfileId, { includeSecondary: true });
+    const bodyLog = bodyLogEntries
+      .slice()
+      .sort((a, b) => new Date(a.logged_at).getTime() - new Date(b.logged_at).getTime())
+      .map((entry) => this._normalizeRow(entry, ['user_profile_id']));
+
+    const schedules = [];
+    for (const schedule of await this.db.getSchedulesByUserProfile(userProfileId)) {
+      const blocks = await this.db.getFastingBlocksBySchedule(schedule.id, { includeInactive: true });
+      const blocksWithOverrides = [];
+      for (const block of blocks) {
+        const overrides = await this.db.getOverridesByBlock(block.id);
+        blocksWithOverrides.push({
+          ...this._normalizeRow(block),
+          overrides: (overrides || []).map((override) => this._normalizeRow(override))
+        });
+      }
+
+      schedules.push({
+        ...this._normalizeRow(schedule, ['user_profile_id']),
+        blocks: blocksWithOverrides
+      });
+    }
+
+    const draft = await this.db.getScheduleDraftByUserProfile(userProfileId, { includeDismissed: true });
+
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: this._pickFields(profile, PROFILE_FIELDS),
+      settings: this._pickFields(profile, SETTINGS_FIELDS),
+      fasts: fastsWithMilestones,
+      bodyLog,
+      schedules,
+      scheduleDraft: draft && draft.payload
+        ? {
+          payload: draft.payload,
+          created_at: draft.created_at || null,
+          updated_at: draft.updated_at || null,
+          dismissed_at: draft.dismissed_at || null
+        }
+        : null
+    };
+  }
+
+  buildCsvFiles(exportDocument) {
+    const fasts = exportDocument.fasts || [];
+    const schedules = exportDocument.schedules || [];
+    const blocks = schedules.flatMap((schedule) => (schedule.blocks || []).map((block) => ({
+      ...block,
+      schedule_id: schedule.id
+    })));
+
+    const profileRow = { ...exportDocument.profile, ...exportDocument.settings };
+
+    return {
+      'profile.csv': this.toCsv([profileRow], [...PROFILE_FIELDS, ...SETTINGS_FIELDS]),
+      'fasts.csv': this.toCsv(fasts, CSV_COLUMNS.fasts),
+      'milestones.csv': this.toCsv(fasts.flatMap((fast) => fast.milestones || []), CSV_COLUMNS.milestones),
+      'body_log_entries.csv': this.toCsv(exportDocument.bodyLog || [], CSV_COLUMNS.body_log_entries),
+      'schedules.csv': this.toCsv(schedules, CSV_COLUMNS.schedules),
+      'fasting_blocks.csv': this.toCsv(blocks, CSV_COLUMNS.fasting_blocks),
+      'overrides.csv': this.toCsv(blocks.flatMap((block) => block.overrides || []), CSV_COLUMNS.overrides),
+      'schedule_drafts.csv': this.toCsv(
+        exportDocument.scheduleDraft ? [exportDocument.scheduleDraft] : [],
+        CSV_COLUMNS.schedule_drafts
+      )
+    };
+  }
+
+  async buildCsvArchive(exportDocument) {
+    const zip = new JSZip();
+    const files = this.buildCsvFiles(exportDocument);
+
+    zip.file('manifest.json', JSON.stringify({
+      format: exportDocument.format,
+      version: exportDocument.version,
+      exportedAt: exportDocument.exportedAt,
+      files: Object.keys(files)
+    }, null, 2));
+
+    Object.entries(files).forEach(([name, contents]) => {
+      zip.file(name, contents);
+    });
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  toCsv(rows, columns) {
+    const lines = [columns.join(',')];
+
+    rows.forEach((row) => {
+      lines.push(columns.map((column) => this._escapeCsvValue(row ? row[column] : null)).join(','));
+    });
+
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  _escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/[",\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+  }
+
+  _pickFields(row, fields) {
+    const picked = {};
+
+    fields.forEach((field) => {
+      let value = row[field] === undefined ? null : row[field];
+
+      if (JSON_TEXT_FIELDS.includes(field) && typeof value === 'string') {
+        try {
+          value = JSON.parse(value);
+        } catch (error) {
+          console.error(`Failed to parse ${field} for export:`, error);
+        }
+      }
+
+      if (BOOLEAN_FIELDS.has(field) && value !== null) {
+        value = this._toBoolean(value);
+      }
+
+      picked[field] = value;
+    });
+
+    return picked;
+  }
+
+  _normalizeRow(row, omit = []) {
+    const normalized = {};
+
+    Object.entries(row || {}).forEach(([key, value]) => {
+      if (omit.includes(key)) {
+        return;
+      }
+
+      if (value instanceof Date) {
+        normalized[key] = value.toISOString();
+      } else if (BOOLEAN_FIELDS.has(key) && value !== null && value !== undefined) {
+        normalized[key] = this._toBoolean(value);
+      } else {
+        normalized[key] = value;
+      }
+    });
+
+    return normalized;
+  }
+
+  _toBoolean(value) {
+    if (typeof value === 'string') {
+      return value === 'true' || value === '1';
+    }
+    return Boolean(value);
+  }
+
+  _createError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = DataExportService;
+module.exports.EXPORT_FORMAT = EXPORT_FORMAT;
+module.exports.EXPORT_VERSION = EXPORT_VERSION;
+module.exports.PROFILE_FIELDS = PROFILE_FIELDS;
+module.exports.SETTINGS_FIELDS = SETTINGS_FIELDS;
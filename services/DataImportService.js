@@ -0,0 +1,526 @@
+const {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  PROFILE_FIELDS,
+  SETTINGS_FIELDS
+} = require('./DataExportService');
+
+const IMPORT_MODES = ['merge', 'replace'];
+
+// Timestamps are owned by the target database, everything else round-trips
+const IMPORTABLE_PROFILE_FIELDS = [...PROFILE_FIELDS, ...SETTINGS_FIELDS]
+  .filter((field) => !['created_at', 'updated_at'].includes(field));
+
+const JSON_TEXT_FIELDS = ['forecast_data', 'custom_mealtimes', 'quiet_hours'];
+
+// Columns the fast insert does not cover on every backend; applied with updateFast afterwards
+const FAST_DETAIL_FIELDS = ['duration_hours', 'start_in_ketosis', 'pre_fast_protein_grams', 'carb_status'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Restores a bundle produced by DataExportService under a target profile.
+ * In merge mode existing data wins: any imported record that collides with
+ * existing data is skipped and reported as a conflict.
+ */
+class DataImportService {
+  constructor(database, bodyLogService) {
+    this.db = database;
+    this.bodyLogService = bodyLogService;
+  }
+
+  validateBundle(bundle) {
+    const errors = [];
+
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+      return ['Bundle must be a JSON object'];
+    }
+
+    if (bundle.format !== EXPORT_FORMAT) {
+      errors.push(`format must be "${EXPORT_FORMAT}"`);
+    }
+
+    if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > EXPORT_VERSION) {
+      errors.push(`Unsupported export version: ${bundle.version}`);
+    }
+
+    ['profile', 'settings'].forEach((key) => {
+      if (bundle[key] !== undefined && bundle[key] !== null && typeof bundle[key] !== 'object') {
+        errors.push(`${key} must be an object`);
+      }
+    });
+
+    ['fasts', 'bodyLog', 'schedules'].forEach((key) => {
+      if (bundle[key] !== undefined && !Array.isArray(bundle[key])) {
+        errors.push(`${key} must be an array`);
+      }
+    });
+
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    (bundle.fasts || []).forEach((fast, index) => {
+      if (!fast || !this._isValidTimestamp(fast.start_time)) {
+        errors.push(`fasts[${index}].start_time must be a valid timestamp`);
+      } else if (fast.end_time && !this._isValidTimestamp(fast.end_time)) {
+        errors.push(`fasts[${index}].end_time must be a valid timestamp`);
+      }
+
+      (fast && Array.isArray(fast.milestones) ? fast.milestones : []).forEach((milestone, milestoneIndex) => {
+        if (!milestone || !milestone.milestone_type || !this._isValidTimestamp(milestone.achieved_at)) {
+          errors.push(`fasts[${index}].milestones[${milestoneIndex}] requires milestone_type and achieved_at`);
+        }
+      });
+    });
+
+    (bundle.bodyLog || []).forEach((entry, index) => {
+      if (!entry || !this._isValidTimestamp(entry.logged_at)) {
+        errors.push(`bodyLog[${index}].logged_at must be a valid timestamp`);
+      }
+      if (!entry || !Number.isFinite(Number(entry.weight)) || entry.weight === null) {
+        errors.push(`bodyLog[${index}].weight must be a number`);
+      }
+    });
+
+    (bundle.schedules || []).forEach((schedule, index) => {
+      (schedule && Array.isArray(schedule.blocks) ? schedule.blocks : []).forEach((block, blockIndex) => {
+        const path = `schedules[${index}].blocks[${blockIndex}]`;
+        if (!block || !this._isValidDow(block.start_dow) || !this._isValidDow(block.end_dow)) {
+          errors.push(`${path} requires start_dow and end_dow between 0 and 6`);
+        }
+        if (!block || !TIME_PATTERN.test(block.start_time || '') || !TIME_PATTERN.test(block.end_time || '')) {
+          errors.push(`${path} requires start_time and end_time in HH:MM format`);
+        }
+
+        (block && Array.isArray(block.overrides) ? block.overrides : []).forEach((override, overrideIndex) => {
+          if (!override || !DATE_PATTERN.test(override.occurrence_date || '') || !override.type) {
+            errors.push(`${path}.overrides[${overrideIndex}] requires occurrence_date and type`);
+          }
+        });
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Imports a bundle for the profile behind sessionId, creating the profile
+   * when the session has none. With dryRun nothing is written and the
+   * returned report describes what would happen.
+   */
+  async importBundle({ sessionId, userProfile = null }, bundle, { mode = 'merge', dryRun = false } = {}) {
+    if (!IMPORT_MODES.includes(mode)) {
+      throw this._createError('INVALID_IMPORT_MODE');
+    }
+
+    const errors = this.validateBundle(bundle);
+    if (errors.length > 0) {
+      throw this._createError('INVALID_BUNDLE', { details: errors });
+    }
+
+    const existing = await this._loadExisting(userProfile);
+    const plan = this._buildPlan(bundle, existing, userProfile, mode);
+
+    const report = {
+      dryRun,
+      mode,
+      profileCreated: !userProfile,
+      userProfileId: userProfile ? userProfile.id : null,
+      removed: mode === 'replace'
+        ? {
+          fasts: existing.fasts.length,
+          bodyLog: existing.bodyLog.length,
+          schedules: existing.schedules.length,
+          scheduleDraft: existing.draft ? 1 : 0
+        }
+        : null,
+      profileFields: Object.keys(plan.profileUpdates),
+      counts: plan.counts,
+      conflicts: plan.conflicts
+    };
+
+    if (dryRun) {
+      return report;
+    }
+
+    // One transaction, so a failed replace never leaves the profile emptied
+    await this.db.withTransaction(async (db) => {
+      const bodyLogService = Object.assign(
+        Object.create(Object.getPrototypeOf(this.bodyLogService)),
+        this.bodyLogService,
+        { db }
+      );
+
+      const profile = await this._ensureProfile(db, sessionId, userProfile, plan.profileUpdates);
+      report.userProfileId = profile.id;
+
+      if (mode === 'replace' && userProfile) {
+        await db.deleteUserData(profile.id);
+      }
+
+      if (userProfile && Object.keys(plan.profileUpdates).length > 0) {
+        await db.updateUserProfile(sessionId, this._serializeProfileFields(plan.profileUpdates));
+      }
+
+      const fastIdMap = new Map(plan.fastLinks);
+      for (const fast of plan.fasts) {
+        const created = await this._importFast(db, profile.id, fast);
+        fastIdMap.set(String(fast.id), created.id);
+      }
+
+      const bodyLog = plan.bodyLog
+        .slice()
+        .sort((a, b) => new Date(a.logged_at).getTime() - new Date(b.logged_at).getTime());
+      for (const entry of bodyLog) {
+        const linkedFastId = entry.fast_id !== null && entry.fast_id !== undefined
+          ? fastIdMap.get(String(entry.fast_id)) || null
+          : null;
+
+        await bodyLogService.createEntry({
+          userProfileId: profile.id,
+          loggedAt: entry.logged_at,
+          weight: Number(entry.weight),
+          bodyFat: entry.body_fat ?? null,
+          neckCm: entry.neck_cm ?? null,
+          waistCm: entry.waist_cm ?? null,
+          hipCm: entry.hip_cm ?? null,
+          chestCm: entry.chest_cm ?? null,
+          armCm: entry.arm_cm ?? null,
+          timezoneOffsetMinutes: entry.timezone_offset_minutes ?? null,
+          timeZone: entry.time_zone || null,
+          fastId: linkedFastId,
+          source: entry.source || 'manual',
+          notes: entry.notes || null,
+          makeCanonical: this._isManualCanonical(entry)
+        });
+      }
+
+      for (const schedule of plan.schedules) {
+        await this._importSchedule(db, profile.id, schedule);
+      }
+
+      if (plan.scheduleDraft) {
+        await db.upsertScheduleDraft(profile.id, plan.scheduleDraft.payload);
+        if (plan.scheduleDraft.dismissed_at) {
+          await db.markScheduleDraftDismissed(profile.id);
+        }
+      }
+    });
+
+    return report;
+  }
+
+  async _loadExisting(userProfile) {
+    if (!userProfile) {
+      return { fasts: [], bodyLog: [], schedules: [], draft: null };
+    }
+
+    const [fasts, bodyLog, schedules, draft] = await Promise.all([
+      this.db.getAllFastsByUserProfile(userProfile.id),
+      this.db.getBodyLogEntriesByUser(userProfile.id, { includeSecondary: true }),
+      this.db.getSchedulesByUserProfile(userProfile.id),
+      this.db.getScheduleDraftByUserProfile(userProfile.id, { includeDismissed: true })
+    ]);
+
+    return { fasts, bodyLog, schedules, draft };
+  }
+
+  _buildPlan(bundle, existing, userProfile, mode) {
+    const merging = mode === 'merge' && Boolean(userProfile);
+    const conflicts = [];
+    const counts = {
+      fasts: { imported: 0, skipped: 0 },
+      milestones: { imported: 0, skipped: 0 },
+      bodyLog: { imported: 0, skipped: 0 },
+      schedules: { imported: 0, skipped: 0 },
+      blocks: { imported: 0, skipped: 0 },
+      overrides: { imported: 0, skipped: 0 },
+      scheduleDraft: { imported: 0, skipped: 0 }
+    };
+
+    const plan = {
+      profileUpdates: this._planProfileUpdates(bundle, userProfile, merging),
+      fasts: [],
+      fastLinks: [],
+      bodyLog: [],
+      schedules: [],
+      scheduleDraft: null,
+      counts,
+      conflicts
+    };
+
+    const existingFasts = merging ? existing.fasts : [];
+    const existingStarts = new Map(existingFasts.map((fast) => [this._toTime(fast.start_time), fast]));
+    let hasActiveFast = existingFasts.some((fast) => this._toBoolean(fast.is_active));
+
+    (bundle.fasts || []).forEach((fast) => {
+      const milestoneCount = Array.isArray(fast.milestones) ? fast.milestones.length : 0;
+      const duplicate = existingStarts.get(this._toTime(fast.start_time));
+      const overlapping = duplicate ? null : existingFasts.find((existingFast) => this._fastsOverlap(existingFast, fast));
+      const isActive = this._toBoolean(fast.is_active);
+
+      let conflict = null;
+      if (duplicate) {
+        conflict = { type: 'duplicate_fast', sourceId: fast.id, existingId: duplicate.id, message: 'A fast with the same start time already exists' };
+        // Body log entries that pointed at the imported fast follow the existing copy
+        plan.fastLinks.push([String(fast.id), duplicate.id]);
+      } else if (overlapping) {
+        conflict = { type: 'overlapping_fast', sourceId: fast.id, existingId: overlapping.id, message: 'Fast overlaps an existing fast' };
+      } else if (isActive && hasActiveFast) {
+        conflict = { type: 'active_fast', sourceId: fast.id, message: 'An active fast is already in progress' };
+      }
+
+      if (conflict) {
+        conflicts.push(conflict);
+        counts.fasts.skipped += 1;
+        counts.milestones.skipped += milestoneCount;
+        return;
+      }
+
+      hasActiveFast = hasActiveFast || isActive;
+      plan.fasts.push(fast);
+      counts.fasts.imported += 1;
+      counts.milestones.imported += milestoneCount;
+    });
+
+    const existingLoggedAt = new Map((merging ? existing.bodyLog : [])
+      .map((entry) => [this._toTime(entry.logged_at), entry]));
+
+    (bundle.bodyLog || []).forEach((entry) => {
+      const duplicate = existingLoggedAt.get(this._toTime(entry.logged_at));
+      if (duplicate) {
+        conflicts.push({
+          type: 'duplicate_body_log',
+          sourceId: entry.id,
+          existingId: duplicate.id,
+          message: 'A body log entry with the same timestamp already exists'
+        });
+        counts.bodyLog.skipped += 1;
+        return;
+      }
+
+      plan.bodyLog.push(entry);
+      counts.bodyLog.imported += 1;
+    });
+
+    (bundle.schedules || []).forEach((schedule) => {
+      const blocks = Array.isArray(schedule.blocks) ? schedule.blocks : [];
+      const overrideCount = blocks.reduce((total, block) => total + (Array.isArray(block.overrides) ? block.overrides.length : 0), 0);
+
+      if (merging && existing.schedules.length > 0) {
+        conflicts.push({
+          type: 'schedule_exists',
+          sourceId: schedule.id,
+          existingId: existing.schedules[existing.schedules.length - 1].id,
+          message: 'Profile already has a schedule'
+        });
+        counts.schedules.skipped += 1;
+        counts.blocks.skipped += blocks.length;
+        counts.overrides.skipped += overrideCount;
+        return;
+      }
+
+      plan.schedules.push(schedule);
+      counts.schedules.imported += 1;
+      counts.blocks.imported += blocks.length;
+      counts.overrides.imported += overrideCount;
+    });
+
+    if (bundle.scheduleDraft && bundle.scheduleDraft.payload) {
+      if (merging && existing.draft) {
+        conflicts.push({ type: 'schedule_draft_exists', message: 'Profile already has a schedule draft' });
+        counts.scheduleDraft.skipped += 1;
+      } else {
+        plan.scheduleDraft = bundle.scheduleDraft;
+        counts.scheduleDraft.imported += 1;
+      }
+    }
+
+    return plan;
+  }
+
+  _planProfileUpdates(bundle, userProfile, merging) {
+    const source = { ...(bundle.profile || {}), ...(bundle.settings || {}) };
+    const updates = {};
+
+    IMPORTABLE_PROFILE_FIELDS.forEach((field) => {
+      const value = source[field];
+      if (value === undefined || value === null) {
+        return;
+      }
+
+      // Merging only fills gaps so settings chosen on this device are kept
+      if (merging && userProfile[field] !== null && userProfile[field] !== undefined) {
+        return;
+      }
+
+      updates[field] = value;
+    });
+
+    return updates;
+  }
+
+  async _ensureProfile(db, sessionId, userProfile, profileUpdates) {
+    if (userProfile) {
+      return userProfile;
+    }
+
+    const fields = this._serializeProfileFields(profileUpdates);
+    await db.createUserProfile({
+      session_id: sessionId,
+      weight: fields.weight ?? null,
+      weight_unit: fields.weight_unit ?? null,
+      body_fat: fields.body_fat ?? null,
+      target_body_fat: fields.target_body_fat ?? null,
+      activity_level: fields.activity_level ?? null,
+      goal_date: fields.goal_date ?? null,
+      forecast_data: fields.forecast_data ?? null,
+      time_zone: fields.time_zone ?? null
+    });
+    await db.updateUserProfile(sessionId, fields);
+
+    const created = await db.getUserProfileBySessionId(sessionId);
+    if (!created) {
+      throw this._createError('PROFILE_NOT_FOUND');
+    }
+    return created;
+  }
+
+  async _importFast(db, userProfileId, fast) {
+    const created = await db.createFast({
+      user_profile_id: userProfileId,
+      start_time: fast.start_time,
+      end_time: fast.end_time || null,
+      notes: fast.notes ?? null,
+      weight: fast.weight ?? null,
+      photos: fast.photos ?? null,
+      is_manual: this._toBoolean(fast.is_manual),
+      is_active: this._toBoolean(fast.is_active),
+      source: fast.source || 'manual',
+      // Planned instances are not exported; the schedule regenerates them
+      planned_instance_id: null,
+      planned_duration_hours: fast.planned_duration_hours ?? null
+    });
+
+    const details = {};
+    FAST_DETAIL_FIELDS.forEach((field) => {
+      if (fast[field] !== undefined && fast[field] !== null) {
+        details[field] = field === 'start_in_ketosis' ? this._toBoolean(fast[field]) : fast[field];
+      }
+    });
+    if (Object.keys(details).length > 0) {
+      await db.updateFast(created.id, details);
+    }
+
+    for (const milestone of fast.milestones || []) {
+      await db.createMilestone({
+        fast_id: created.id,
+        milestone_type: milestone.milestone_type,
+        achieved_at: milestone.achieved_at,
+        hours_elapsed: milestone.hours_elapsed ?? 0
+      });
+    }
+
+    return created;
+  }
+
+  async _importSchedule(db, userProfileId, schedule) {
+    const createdSchedule = await db.createSchedule({
+      user_profile_id: userProfileId,
+      week_anchor: schedule.week_anchor ?? 1,
+      is_paused: this._toBoolean(schedule.is_paused)
+    });
+
+    for (const block of schedule.blocks || []) {
+      const createdBlock = await db.createFastingBlock({
+        schedule_id: createdSchedule.id,
+        name: block.name ?? null,
+        start_dow: Number(block.start_dow),
+        start_time: block.start_time,
+        end_dow: Number(block.end_dow),
+        end_time: block.end_time,
+        tz_mode: block.tz_mode || 'local',
+        anchor_tz: block.anchor_tz ?? null,
+        notifications: this._parseJson(block.notifications),
+        is_active: block.is_active === undefined || block.is_active === null ? true : this._toBoolean(block.is_active)
+      });
+
+      for (const override of block.overrides || []) {
+        await db.createOverride({
+          block_id: createdBlock.id,
+          occurrence_date: override.occurrence_date,
+          type: override.type,
+          payload: this._parseJson(override.payload),
+          reason: override.reason ?? null
+        });
+      }
+    }
+
+    return createdSchedule;
+  }
+
+  _serializeProfileFields(fields) {
+    const serialized = { ...fields };
+    JSON_TEXT_FIELDS.forEach((field) => {
+      if (serialized[field] !== undefined && serialized[field] !== null && typeof serialized[field] !== 'string') {
+        serialized[field] = JSON.stringify(serialized[field]);
+      }
+    });
+    return serialized;
+  }
+
+  _isManualCanonical(entry) {
+    return this._toBoolean(entry.is_canonical) && entry.canonical_status === 'manual';
+  }
+
+  _fastsOverlap(existingFast, importedFast) {
+    const existingStart = this._toTime(existingFast.start_time);
+    const existingEnd = existingFast.end_time ? this._toTime(existingFast.end_time) : Infinity;
+    const importedStart = this._toTime(importedFast.start_time);
+    const importedEnd = importedFast.end_time ? this._toTime(importedFast.end_time) : Infinity;
+
+    return importedStart < existingEnd && existingStart < importedEnd;
+  }
+
+  _parseJson(value) {
+    if (typeof value !== 'string') {
+      return value ?? null;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _isValidTimestamp(value) {
+    return Boolean(value) && !Number.isNaN(new Date(value).getTime());
+  }
+
+  _isValidDow(value) {
+    return Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) <= 6 && value !== null && value !== '';
+  }
+
+  _toTime(value) {
+    return new Date(value).getTime();
+  }
+
+  _toBoolean(value) {
+    if (typeof value === 'string') {
+      return value === 'true' || value === '1';
+    }
+    return Boolean(value);
+  }
+
+  _createError(code, extra = {}) {
+    const error = new Error(code);
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+  }
+}
+
+module.exports = DataImportService;
+module.exports.IMPORT_MODES = IMPORT_MODES;
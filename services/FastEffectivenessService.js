@@ -310,6 +310,25 @@ class FastEffectivenessService {
     return Math.round(value * factor) / factor;
   }
 
+  /**
+   * Starting body fat the model runs on: the logged reading, else an
+   * estimate from BodyFatEstimator, else the population default.
+   */
+  resolveBodyFatBasis(startBodyFat, bodyFatEstimate = null) {
+    if (startBodyFat != null) {
+      return { bodyFat: startBodyFat, method: 'measured', label: 'Logged reading', confidence: 'high' };
+    }
+    if (bodyFatEstimate && Number.isFinite(bodyFatEstimate.bodyFat)) {
+      return {
+        bodyFat: bodyFatEstimate.bodyFat,
+        method: bodyFatEstimate.method,
+        label: bodyFatEstimate.label,
+        confidence: bodyFatEstimate.confidence
+      };
+    }
+    return { bodyFat: this.DEFAULT_BODY_FAT, method: 'default', label: 'Typical adult default', confidence: 'none' };
+  }
+
   /**
    * Core API: calculate fast effectiveness breakdown.
    */
@@ -319,6 +338,7 @@ class FastEffectivenessService {
       postWeight,
       startBodyFat,
       postBodyFat,
+      bodyFatEstimate = null,
       fastDurationHours,
       tdee,
       heightCm,
@@ -343,7 +363,8 @@ class FastEffectivenessService {
       : ketoAdapted === 'sometimes' ? 0.3
         : 0;
 
-    const bodyFatForModel = startBodyFat ?? this.DEFAULT_BODY_FAT;
+    const bodyFatBasis = this.resolveBodyFatBasis(startBodyFat, bodyFatEstimate);
+    const bodyFatForModel = bodyFatBasis.bodyFat;
     const leanEstimate = this.estimateLeanLossComponents(
       fastDurationHours,
       startWeight,
@@ -438,6 +459,7 @@ class FastEffectivenessService {
         otherFluidTotal: round(otherFluidComponentsTotal)
       },
       breakdownSource,
+      bodyFatBasis: { ...bodyFatBasis, bodyFat: round(bodyFatBasis.bodyFat) },
       waterLoss: round(totalTransientLoss),
       weightDelta: round(postWeight - startWeight),
       raw
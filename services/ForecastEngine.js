@@ -0,0 +1,714 @@
+/**
+ * ForecastEngine.js
+ *
+ * Hour-by-hour body composition forecast behind POST /api/calculate. Each week
+ * of the protocol is simulated one hour at a time: fasting hours move through
+ * four ketosis phases, and each phase sets how much of the hour's energy comes
+ * from fat-free mass (protein maintenance, less the phase's preservation) and
+ * how much from fat. Eating hours are at maintenance unless an eating intake
+ * is given, in which case their deficit burns fat and their surplus stores it.
+ */
+
+const KG_PER_LB = 0.453592;
+const HOURS_PER_WEEK = 168;
+const DEFAULT_WEEKS = 12;
+// Forecasts further out than two years are not worth running
+const MAX_WEEKS = 104;
+// Every simulated hour scans the blocks, so their number is capped; three a day is plenty
+const MAX_FASTING_BLOCKS = 21;
+
+const FAT_KCAL_PER_KG = 7700;
+const FFM_KCAL_PER_KG = 1000;
+// Below 10% body fat, fat can only supply this much energy per kg of fat mass per day
+const FAT_OXIDATION_CAP_KCAL_PER_KG_FAT_PER_DAY = 69;
+const LOW_BODY_FAT_THRESHOLD = 10;
+
+// Bounds for eating-day intake inputs
+const MAX_DAILY_INTAKE_KCAL = 10000;
+const MIN_ADJUSTMENT_PERCENT = -75;
+const MAX_ADJUSTMENT_PERCENT = 100;
+const DAYS_PER_WEEK = 7;
+
+// Monte Carlo spread of the model parameters, as standard deviations
+const UNCERTAINTY_SPREAD = {
+  // Estimated TDEE, as a share of it; a user-supplied TDEE is usually measured, so tighter
+  tdeeFraction: 0.10,
+  tdeeOverrideFraction: 0.05,
+  // Hours by which every phase starts earlier or later than predicted
+  ketosisOnsetHours: 6,
+  // The phase FFM preservation shares, as a share of them
+  ffmPreservationFraction: 0.25
+};
+// Draws are cut off at this many standard deviations so the tails stay plausible
+const UNCERTAINTY_MAX_SD = 2;
+// Each sample is a full re-run, and /api/calculate is open to anyone
+const DEFAULT_UNCERTAINTY_SAMPLES = 100;
+const MIN_UNCERTAINTY_SAMPLES = 20;
+const MAX_UNCERTAINTY_SAMPLES = 200;
+// A fixed default seed keeps the bands from shifting between identical requests
+const DEFAULT_UNCERTAINTY_SEED = 1;
+
+// Parameter values that reproduce the deterministic forecast
+const BASE_PARAMETERS = { tdeeMultiplier: 1, ketosisOffsetHours: 0, ffmPreservationScale: 1 };
+
+// Hours of fasting at which each phase begins, before personal adjustments
+const PHASE_HOURS = {
+  glycogenDepletion: 16,
+  earlyKetosis: 24,
+  fullKetosis: 48,
+  optimalKetosis: 72
+};
+
+// Adjusted phase starts never drop below these
+const MIN_PHASE_HOURS = {
+  glycogenDepletion: 8,
+  earlyKetosis: 16,
+  fullKetosis: 32,
+  optimalKetosis: 56
+};
+
+// Protein maintenance rates by phase (kcal/day)
+const PROTEIN_MAINTENANCE_PHASES = {
+  glycogenDepletion: 160,
+  earlyKetosis: 120,
+  fullKetosis: 50,
+  optimalKetosis: 40
+};
+
+// Share of the protein maintenance spared from fat-free mass, by phase
+const FFM_PRESERVATION_PHASES = {
+  glycogenDepletion: 0.0,
+  earlyKetosis: 0.15,
+  fullKetosis: 0.30,
+  optimalKetosis: 0.40
+};
+
+const PHASES = Object.keys(PROTEIN_MAINTENANCE_PHASES);
+
+class ForecastEngine {
+  /**
+   * profile: { weight, weightUnit ('lb' or kg otherwise), bodyFat, activityLevel,
+   *   tdeeOverride, insulinSensitivity, fastingExperience, bodyFatPercentage }
+   * protocol: { fastingBlocks: hours per block (at most 21 blocks and 168
+   *   hours), laid end to end from the start of each week unless blockStarts
+   *   gives the hour of the week each one starts (so daily windows can have
+   *   eating hours between them), ketosisStates: per block, true when it starts in ketosis,
+   *   eatingIntake: optional, see getDailyIntakes }
+   * options: { weeks (1 to 104, default 12), startDate: 'YYYY-MM-DD' for week 0,
+   *   uncertainty: true or { samples, seed } to add Monte Carlo bands }
+   *
+   * Returns { initialStats, weeklyResults, summary } with masses in kg. With an
+   * eating intake, summary.feedingImpact compares the result to eating at
+   * maintenance; with uncertainty, `uncertainty` holds the weekly bands.
+   */
+  simulate(profile, protocol, options = {}) {
+    const forecast = this.project(profile, protocol, options);
+
+    if (protocol.eatingIntake !== null && protocol.eatingIntake !== undefined) {
+      const { summary: maintenance } = this.project(profile, { ...protocol, eatingIntake: null }, options);
+      const tdee = forecast.initialStats.dailyTDEE;
+      const dailyIntakes = this.getDailyIntakes(protocol.eatingIntake, {
+        tdee,
+        startWeekday: this.parseStartDate(options.startDate).getDay()
+      });
+      // What the model actually eats: nothing on days that are fasting throughout
+      const eatingHours = this.getEatingHoursByDay(protocol.fastingBlocks || [], protocol.blockStarts);
+      const modelledIntakes = dailyIntakes.map((kcal, day) => {
+        if (kcal === null) {
+          return tdee * eatingHours[day] / 24;
+        }
+        return eatingHours[day] > 0 ? kcal : 0;
+      });
+      const { summary } = forecast;
+      summary.feedingImpact = {
+        averageDailyIntakeKcal: modelledIntakes.reduce((sum, kcal) => sum + kcal, 0) / DAYS_PER_WEEK,
+        totalEatingBalanceKcal: forecast.weeklyResults.reduce((sum, week) => sum + week.eatingBalanceKcal, 0),
+        maintenanceFinalWeight: maintenance.finalWeight,
+        maintenanceFinalBodyFat: maintenance.finalBodyFat,
+        // Positive when the eating days add to the loss, negative when they give some back
+        extraWeightLost: summary.totalWeightLost - maintenance.totalWeightLost,
+        extraFatLost: summary.totalFatLost - maintenance.totalFatLost
+      };
+    }
+
+    if (options.uncertainty) {
+      forecast.uncertainty = this.simulateUncertainty(profile, protocol, options);
+    }
+
+    return forecast;
+  }
+
+  /**
+   * One deterministic run. parameters nudges the model (see BASE_PARAMETERS)
+   * for the Monte Carlo samples.
+   */
+  project(profile, protocol, options = {}, parameters = BASE_PARAMETERS) {
+    const { weight, weightUnit, bodyFat, activityLevel, tdeeOverride } = profile;
+    const { ketosisStates = [], eatingIntake = null } = protocol;
+    const { weeks, startDate } = options;
+    const fastingBlocks = this.resolveFastingBlocks(protocol.fastingBlocks);
+    const blockStarts = this.resolveBlockStarts(fastingBlocks, protocol.blockStarts);
+
+    const weekDate = this.createWeekDateFormatter(startDate);
+    const ketosisAdjustment = this.getKetosisTimingAdjustment(profile) + parameters.ketosisOffsetHours;
+
+    const weightKg = weightUnit === 'lb' ? weight * KG_PER_LB : weight;
+    const numWeeks = this.resolveWeeks(weeks);
+
+    let currentWeight = weightKg;
+    let currentBodyFat = bodyFat;
+    let currentFatMass = currentWeight * (currentBodyFat / 100);
+    let currentFFM = currentWeight - currentFatMass;
+
+    // Katch-McArdle
+    const bmr = 370 + (21.6 * currentFFM);
+    const estimatedTDEE = tdeeOverride || (bmr * activityLevel);
+    const tdee = estimatedTDEE * parameters.tdeeMultiplier;
+    const hourlyTDEE = tdee / 24;
+    // Intakes relative to maintenance follow the TDEE the user was shown, not a sampled one:
+    // what they eat does not change with the body's real burn
+    const dailyIntakes = this.getDailyIntakes(eatingIntake, {
+      tdee: estimatedTDEE,
+      startWeekday: this.parseStartDate(startDate).getDay()
+    });
+
+    const weeklyResults = [{
+      week: 0,
+      date: weekDate(0),
+      weight: currentWeight,
+      bodyFat: currentBodyFat,
+      fatMass: currentFatMass,
+      fatFreeMass: currentFFM,
+      weeklyFatLoss: 0,
+      weeklyFFMLoss: 0,
+      totalWeightLoss: 0,
+      eatingBalanceKcal: 0,
+      ketosisPhase: 'baseline',
+      proteinMaintenance: 0,
+      ffmPreservation: 0
+    }];
+
+    for (let week = 1; week <= numWeeks; week++) {
+      const { weeklyFatLoss, weeklyFFMLoss, eatingBalanceKcal, dominantPhase } = this.simulateWeek({
+        fastingBlocks,
+        blockStarts,
+        ketosisStates,
+        ketosisAdjustment,
+        hourlyTDEE,
+        dailyIntakes,
+        ffmPreservationScale: parameters.ffmPreservationScale,
+        bodyFat: currentBodyFat,
+        fatMass: currentFatMass
+      });
+
+      currentFatMass -= weeklyFatLoss;
+      currentFFM -= weeklyFFMLoss;
+      currentWeight = currentFatMass + currentFFM;
+      currentBodyFat = (currentFatMass / currentWeight) * 100;
+
+      // Ensure values don't go below reasonable limits
+      currentFatMass = Math.max(currentFatMass, 0);
+      currentFFM = Math.max(currentFFM, 0);
+      currentWeight = Math.max(currentWeight, 0);
+      currentBodyFat = Math.max(Math.min(currentBodyFat, 100), 0);
+
+      weeklyResults.push({
+        week,
+        date: weekDate(week),
+        weight: currentWeight,
+        bodyFat: currentBodyFat,
+        fatMass: currentFatMass,
+        fatFreeMass: currentFFM,
+        weeklyFatLoss,
+        weeklyFFMLoss,
+        totalWeightLoss: weeklyFatLoss + weeklyFFMLoss,
+        eatingBalanceKcal,
+        ketosisPhase: dominantPhase,
+        proteinMaintenance: PROTEIN_MAINTENANCE_PHASES[dominantPhase] || 160,
+        ffmPreservation: FFM_PRESERVATION_PHASES[dominantPhase] * 100 || 0
+      });
+    }
+
+    const summary = {
+      totalWeeks: numWeeks,
+      finalWeight: currentWeight,
+      finalBodyFat: currentBodyFat,
+      totalFatLost: weightKg * (bodyFat / 100) - currentFatMass,
+      totalFFMLost: weightKg * (1 - bodyFat / 100) - currentFFM,
+      totalWeightLost: weightKg - currentWeight,
+      feedingImpact: null
+    };
+
+    return {
+      initialStats: {
+        weight: weightKg,
+        bodyFat,
+        fatMass: weightKg * (bodyFat / 100),
+        fatFreeMass: weightKg * (1 - bodyFat / 100),
+        bmr,
+        dailyTDEE: tdee
+      },
+      weeklyResults,
+      summary
+    };
+  }
+
+  /**
+   * One week, hour by hour. Ketosis carries over between blocks only when the
+   * next block is marked as starting in ketosis, which jumps it to full ketosis.
+   * dailyIntakes (kcal per day of the week, or null for maintenance) sets what
+   * each eating hour takes in: a day's intake is eaten in that day's eating
+   * hours, and a day that is fasting throughout takes in nothing. A null day
+   * eats at maintenance hour by hour.
+   */
+  simulateWeek({
+    fastingBlocks,
+    blockStarts = null,
+    ketosisStates,
+    ketosisAdjustment,
+    hourlyTDEE,
+    dailyIntakes = null,
+    ffmPreservationScale = 1,
+    bodyFat,
+    fatMass
+  }) {
+    let weeklyFatLoss = 0;
+    let weeklyFFMLoss = 0;
+    let eatingBalanceKcal = 0;
+    let cumulativeFastingHours = 0;
+    let currentFastingBlock = -1;
+    let hoursIntoCurrentBlock = 0;
+    const phaseHours = Object.fromEntries(PHASES.map((phase) => [phase, 0]));
+    const blockByHour = this.getBlockByHour(fastingBlocks, blockStarts);
+    const eatingHours = dailyIntakes ? this.getEatingHoursByDay(fastingBlocks, blockStarts) : null;
+
+    for (let hour = 0; hour < HOURS_PER_WEEK; hour++) {
+      const block = blockByHour[hour];
+
+      if (block === -1) {
+        currentFastingBlock = -1;
+        hoursIntoCurrentBlock = 0;
+        const day = Math.floor(hour / 24);
+        if (dailyIntakes && dailyIntakes[day] !== null) {
+          const balanceKcal = dailyIntakes[day] / eatingHours[day] - hourlyTDEE;
+          const { fatLoss, ffmLoss } = this.partitionEatingHour({ balanceKcal, bodyFat, fatMass });
+          eatingBalanceKcal += balanceKcal;
+          weeklyFatLoss += fatLoss;
+          weeklyFFMLoss += ffmLoss;
+        }
+        continue;
+      }
+
+      if (block !== currentFastingBlock) {
+        currentFastingBlock = block;
+        hoursIntoCurrentBlock = 0;
+        if (!ketosisStates[block]) {
+          cumulativeFastingHours = 0;
+        }
+      }
+
+      hoursIntoCurrentBlock++;
+      if (ketosisStates[currentFastingBlock] && hoursIntoCurrentBlock === 1) {
+        cumulativeFastingHours = PHASE_HOURS.fullKetosis;
+      } else {
+        cumulativeFastingHours++;
+      }
+
+      const { phase, proteinMaintenanceKcal, ffmPreservationFactor } = this.getPhaseParameters(
+        cumulativeFastingHours,
+        ketosisAdjustment,
+        ffmPreservationScale
+      );
+      phaseHours[phase]++;
+
+      const { fatLoss, ffmLoss } = this.partitionFastingHour({
+        hourlyTDEE,
+        proteinMaintenanceKcal,
+        ffmPreservationFactor,
+        bodyFat,
+        fatMass
+      });
+      weeklyFatLoss += fatLoss;
+      weeklyFFMLoss += ffmLoss;
+    }
+
+    // The phase with the most hours; ties go to the earlier phase
+    const maxPhaseHours = Math.max(...Object.values(phaseHours));
+    const dominantPhase = PHASES.find((phase) => phaseHours[phase] === maxPhaseHours);
+
+    return { weeklyFatLoss, weeklyFFMLoss, eatingBalanceKcal, dominantPhase, phaseHours };
+  }
+
+  // Hours outside the fasting blocks on each day of the week
+  getEatingHoursByDay(fastingBlocks, blockStarts = null) {
+    const eatingHours = new Array(DAYS_PER_WEEK).fill(0);
+    this.getBlockByHour(fastingBlocks, blockStarts).forEach((block, hour) => {
+      if (block === -1) {
+        eatingHours[Math.floor(hour / 24)]++;
+      }
+    });
+    return eatingHours;
+  }
+
+  // The block each hour of the week falls in, or -1 for an eating hour
+  getBlockByHour(fastingBlocks, blockStarts = null) {
+    const blockByHour = new Array(HOURS_PER_WEEK).fill(-1);
+    let blockStart = 0;
+    fastingBlocks.forEach((hours, index) => {
+      if (blockStarts) {
+        blockStart = blockStarts[index];
+      }
+      const blockEnd = Math.min(blockStart + hours, HOURS_PER_WEEK);
+      for (let hour = Math.ceil(blockStart); hour < blockEnd; hour++) {
+        blockByHour[hour] = index;
+      }
+      blockStart += hours;
+    });
+    return blockByHour;
+  }
+
+  /**
+   * Hours by which every phase starts later (positive) or earlier (negative)
+   * for this person.
+   */
+  getKetosisTimingAdjustment({ insulinSensitivity, fastingExperience, bodyFatPercentage, bodyFat }) {
+    let adjustment = 0;
+
+    switch (insulinSensitivity || 'normal') {
+      case 'low': adjustment += 4; break;
+      case 'high': adjustment -= 4; break;
+      default: break;
+    }
+
+    switch (fastingExperience || 'beginner') {
+      case 'beginner': adjustment += 6; break;
+      case 'intermediate': adjustment += 2; break;
+      case 'advanced': adjustment -= 6; break;
+      default: break;
+    }
+
+    // Higher body fat reaches ketosis sooner
+    const bodyFatFactor = bodyFatPercentage || bodyFat;
+    if (bodyFatFactor > 25) adjustment -= 2;
+    else if (bodyFatFactor < 15) adjustment += 2;
+
+    return adjustment;
+  }
+
+  getPhaseStartHours(ketosisAdjustment) {
+    return Object.fromEntries(PHASES.map((phase) => [
+      phase,
+      Math.max(MIN_PHASE_HOURS[phase], PHASE_HOURS[phase] + ketosisAdjustment)
+    ]));
+  }
+
+  /**
+   * Phase for a number of hours into a fast, with its protein maintenance
+   * (kcal/day) and the share of that drawn from fat-free mass.
+   * ffmPreservationScale scales the phase's preservation share.
+   */
+  getPhaseParameters(cumulativeFastingHours, ketosisAdjustment = 0, ffmPreservationScale = 1) {
+    const starts = this.getPhaseStartHours(ketosisAdjustment);
+    const progressBetween = (from, to) => {
+      if (cumulativeFastingHours <= from) return 0;
+      if (cumulativeFastingHours >= to) return 1;
+      return (cumulativeFastingHours - from) / (to - from);
+    };
+
+    let phase = 'glycogenDepletion';
+    if (cumulativeFastingHours >= starts.optimalKetosis) {
+      phase = 'optimalKetosis';
+    } else if (cumulativeFastingHours >= starts.fullKetosis) {
+      phase = 'fullKetosis';
+    } else if (cumulativeFastingHours >= starts.earlyKetosis) {
+      phase = 'earlyKetosis';
+    }
+
+    const index = PHASES.indexOf(phase);
+    if (index === 0) {
+      return {
+        phase,
+        proteinMaintenanceKcal: PROTEIN_MAINTENANCE_PHASES.glycogenDepletion,
+        ffmPreservationFactor: 1.0 - FFM_PRESERVATION_PHASES.glycogenDepletion
+      };
+    }
+
+    // Blend from the previous phase's values between the two phase starts
+    const previous = PHASES[index - 1];
+    const progress = progressBetween(starts[previous], starts[phase]);
+    return {
+      phase,
+      proteinMaintenanceKcal: PROTEIN_MAINTENANCE_PHASES[previous] -
+        ((PROTEIN_MAINTENANCE_PHASES[previous] - PROTEIN_MAINTENANCE_PHASES[phase]) * progress),
+      ffmPreservationFactor: 1.0 - (FFM_PRESERVATION_PHASES[previous] +
+        ((FFM_PRESERVATION_PHASES[phase] - FFM_PRESERVATION_PHASES[previous]) * progress)) * ffmPreservationScale
+    };
+  }
+
+  /**
+   * p10/p50/p90 of weight, body fat and fat mass for every week, from
+   * re-running the forecast with TDEE, ketosis onset and FFM preservation
+   * drawn from UNCERTAINTY_SPREAD. Seeded, so the same request gives the
+   * same bands.
+   */
+  simulateUncertainty(profile, protocol, options) {
+    const { samples, seed } = this.resolveUncertaintyOptions(options.uncertainty);
+    const random = this.createRandom(seed);
+    const tdeeFraction = profile.tdeeOverride ? UNCERTAINTY_SPREAD.tdeeOverrideFraction : UNCERTAINTY_SPREAD.tdeeFraction;
+
+    const runs = [];
+    for (let i = 0; i < samples; i++) {
+      const parameters = {
+        tdeeMultiplier: Math.max(0, 1 + this.sampleDeviation(random) * tdeeFraction),
+        ketosisOffsetHours: this.sampleDeviation(random) * UNCERTAINTY_SPREAD.ketosisOnsetHours,
+        ffmPreservationScale: Math.max(0, 1 + this.sampleDeviation(random) * UNCERTAINTY_SPREAD.ffmPreservationFraction)
+      };
+      runs.push(this.project(profile, protocol, options, parameters).weeklyResults);
+    }
+
+    const weeks = runs[0].map(({ week, date }, index) => ({
+      week,
+      date,
+      weight: this.percentiles(runs.map((run) => run[index].weight)),
+      bodyFat: this.percentiles(runs.map((run) => run[index].bodyFat)),
+      fatMass: this.percentiles(runs.map((run) => run[index].fatMass))
+    }));
+
+    return { samples, seed, spread: UNCERTAINTY_SPREAD, weeks };
+  }
+
+  resolveUncertaintyOptions(uncertainty) {
+    const settings = uncertainty === true ? {} : uncertainty;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw this._createError('INVALID_UNCERTAINTY', { details: 'uncertainty must be true or an object' });
+    }
+
+    const { samples = DEFAULT_UNCERTAINTY_SAMPLES, seed = DEFAULT_UNCERTAINTY_SEED } = settings;
+    if (!Number.isInteger(samples) || samples < MIN_UNCERTAINTY_SAMPLES || samples > MAX_UNCERTAINTY_SAMPLES) {
+      throw this._createError('INVALID_UNCERTAINTY', {
+        details: `samples must be a whole number between ${MIN_UNCERTAINTY_SAMPLES} and ${MAX_UNCERTAINTY_SAMPLES}`
+      });
+    }
+    if (!Number.isInteger(seed)) {
+      throw this._createError('INVALID_UNCERTAINTY', { details: 'seed must be a whole number' });
+    }
+    return { samples, seed };
+  }
+
+  // Standard normal draw (Box-Muller), cut off at UNCERTAINTY_MAX_SD
+  sampleDeviation(random) {
+    const u = 1 - random();
+    const v = random();
+    const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    return Math.max(-UNCERTAINTY_MAX_SD, Math.min(UNCERTAINTY_MAX_SD, z));
+  }
+
+  // mulberry32: small, fast and good enough for sampling
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Linear-interpolated 10th, 50th and 90th percentiles
+  percentiles(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const at = (fraction) => {
+      const position = (sorted.length - 1) * fraction;
+      const lower = Math.floor(position);
+      const upper = Math.ceil(position);
+      return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+    return { p10: at(0.1), p50: at(0.5), p90: at(0.9) };
+  }
+
+  /**
+   * Splits one fasting hour's energy between fat-free mass and fat (kg).
+   * At 10% body fat or less, fat oxidation is capped and the shortfall also
+   * comes from fat-free mass.
+   */
+  partitionFastingHour({ hourlyTDEE, proteinMaintenanceKcal, ffmPreservationFactor, bodyFat, fatMass }) {
+    const hourlyProteinMaintenance = proteinMaintenanceKcal / 24;
+    const ffmBurned = hourlyProteinMaintenance / FFM_KCAL_PER_KG;
+    const adjustedFFMBurned = ffmBurned * ffmPreservationFactor;
+
+    const remainingKcal = hourlyTDEE - adjustedFFMBurned * FFM_KCAL_PER_KG;
+    if (remainingKcal <= 0) {
+      return { fatLoss: 0, ffmLoss: adjustedFFMBurned };
+    }
+
+    const deficit = this.partitionDeficit(remainingKcal, { bodyFat, fatMass });
+    return { fatLoss: deficit.fatLoss, ffmLoss: adjustedFFMBurned + deficit.ffmLoss };
+  }
+
+  /**
+   * One eating hour's balance (intake minus expenditure, kcal). Protein comes
+   * from food, so a deficit is covered like a fasting hour's remainder and a
+   * surplus is stored as fat (negative fatLoss).
+   */
+  partitionEatingHour({ balanceKcal, bodyFat, fatMass }) {
+    if (balanceKcal >= 0) {
+      return { fatLoss: -balanceKcal / FAT_KCAL_PER_KG, ffmLoss: 0 };
+    }
+    return this.partitionDeficit(-balanceKcal, { bodyFat, fatMass });
+  }
+
+  // Energy deficit (kcal) drawn from fat, up to the low body fat oxidation cap
+  partitionDeficit(deficitKcal, { bodyFat, fatMass }) {
+    if (bodyFat > LOW_BODY_FAT_THRESHOLD) {
+      return { fatLoss: deficitKcal / FAT_KCAL_PER_KG, ffmLoss: 0 };
+    }
+
+    const fatOxidationCap = (FAT_OXIDATION_CAP_KCAL_PER_KG_FAT_PER_DAY / 24) * fatMass;
+    const fatKcalBurned = Math.min(fatOxidationCap, deficitKcal);
+    return {
+      fatLoss: fatKcalBurned / FAT_KCAL_PER_KG,
+      ffmLoss: (deficitKcal - fatKcalBurned) / FFM_KCAL_PER_KG
+    };
+  }
+
+  /**
+   * Eating-day intake for each day of the simulated week (day 0 is the start
+   * date's weekday), or null to eat at maintenance. eatingIntake takes exactly
+   * one of:
+   *   kcalPerDay: the same intake every day
+   *   kcalByWeekday: seven values, Sunday first; null days (returned as null) eat at maintenance
+   *   adjustmentPercent: surplus (positive) or deficit (negative) against TDEE
+   */
+  getDailyIntakes(eatingIntake, { tdee, startWeekday = 0 }) {
+    if (eatingIntake === null || eatingIntake === undefined) {
+      return null;
+    }
+    if (typeof eatingIntake !== 'object' || Array.isArray(eatingIntake)) {
+      throw this._createError('INVALID_EATING_INTAKE', { details: 'eatingIntake must be an object' });
+    }
+
+    const { kcalPerDay, kcalByWeekday, adjustmentPercent } = eatingIntake;
+    const given = [kcalPerDay, kcalByWeekday, adjustmentPercent].filter((value) => value !== undefined && value !== null);
+    if (given.length !== 1) {
+      throw this._createError('INVALID_EATING_INTAKE', { details: 'Provide one of kcalPerDay, kcalByWeekday or adjustmentPercent' });
+    }
+
+    const isIntake = (value) => typeof value === 'number' && Number.isFinite(value) &&
+      value >= 0 && value <= MAX_DAILY_INTAKE_KCAL;
+
+    if (kcalPerDay !== undefined && kcalPerDay !== null) {
+      if (!isIntake(kcalPerDay)) {
+        throw this._createError('INVALID_EATING_INTAKE', { details: `kcalPerDay must be between 0 and ${MAX_DAILY_INTAKE_KCAL}` });
+      }
+      return new Array(DAYS_PER_WEEK).fill(kcalPerDay);
+    }
+
+    if (kcalByWeekday !== undefined && kcalByWeekday !== null) {
+      if (!Array.isArray(kcalByWeekday) || kcalByWeekday.length !== DAYS_PER_WEEK ||
+          !kcalByWeekday.every((value) => value === null || isIntake(value))) {
+        throw this._createError('INVALID_EATING_INTAKE', { details: `kcalByWeekday must be seven values between 0 and ${MAX_DAILY_INTAKE_KCAL}, Sunday first` });
+      }
+      return Array.from({ length: DAYS_PER_WEEK }, (_, day) => kcalByWeekday[(startWeekday + day) % DAYS_PER_WEEK]);
+    }
+
+    if (typeof adjustmentPercent !== 'number' || !Number.isFinite(adjustmentPercent) ||
+        adjustmentPercent < MIN_ADJUSTMENT_PERCENT || adjustmentPercent > MAX_ADJUSTMENT_PERCENT) {
+      throw this._createError('INVALID_EATING_INTAKE', { details: `adjustmentPercent must be between ${MIN_ADJUSTMENT_PERCENT} and ${MAX_ADJUSTMENT_PERCENT}` });
+    }
+    return new Array(DAYS_PER_WEEK).fill(tdee * (1 + adjustmentPercent / 100));
+  }
+
+  resolveWeeks(weeks) {
+    if (weeks === undefined || weeks === null) {
+      return DEFAULT_WEEKS;
+    }
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_WEEKS) {
+      throw this._createError('INVALID_WEEKS', { details: `weeks must be a whole number between 1 and ${MAX_WEEKS}` });
+    }
+    return weeks;
+  }
+
+  resolveFastingBlocks(fastingBlocks) {
+    if (fastingBlocks === undefined) {
+      return [];
+    }
+    if (!Array.isArray(fastingBlocks) || fastingBlocks.length > MAX_FASTING_BLOCKS ||
+        !fastingBlocks.every((hours) => typeof hours === 'number' && Number.isFinite(hours) && hours >= 0)) {
+      throw this._createError('INVALID_FASTING_BLOCKS', {
+        details: `fastingBlocks must be up to ${MAX_FASTING_BLOCKS} non-negative numbers of hours`
+      });
+    }
+    if (fastingBlocks.reduce((sum, hours) => sum + hours, 0) > HOURS_PER_WEEK) {
+      throw this._createError('INVALID_FASTING_BLOCKS', {
+        details: `fastingBlocks must add up to at most ${HOURS_PER_WEEK} hours a week`
+      });
+    }
+    return fastingBlocks;
+  }
+
+  // Each block has to start after the one before it ends and finish within the week
+  resolveBlockStarts(fastingBlocks, blockStarts) {
+    if (blockStarts === undefined || blockStarts === null) {
+      return null;
+    }
+
+    let previousEnd = 0;
+    const valid = Array.isArray(blockStarts) && blockStarts.length === fastingBlocks.length &&
+      blockStarts.every((start, index) => {
+        const fits = typeof start === 'number' && Number.isFinite(start) && start >= previousEnd &&
+          start + fastingBlocks[index] <= HOURS_PER_WEEK;
+        previousEnd = start + fastingBlocks[index];
+        return fits;
+      });
+    if (!valid) {
+      throw this._createError('INVALID_FASTING_BLOCKS', {
+        details: `blockStarts must give each block's starting hour, in order, with every block ending by hour ${HOURS_PER_WEEK}`
+      });
+    }
+    return blockStarts;
+  }
+
+  // startDate ('YYYY-MM-DD') as a local midnight
+  parseStartDate(startDate) {
+    const [year, month, day] = String(startDate).split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    if (Number.isNaN(date.getTime())) {
+      throw this._createError('INVALID_START_DATE');
+    }
+    return date;
+  }
+
+  // Week N's date, N weeks after startDate, in the same YYYY-MM-DD form
+  createWeekDateFormatter(startDate) {
+    const start = this.parseStartDate(startDate);
+
+    return (weekNumber) => {
+      const weekDate = new Date(start);
+      weekDate.setDate(weekDate.getDate() + weekNumber * 7);
+      const formattedMonth = String(weekDate.getMonth() + 1).padStart(2, '0');
+      const formattedDay = String(weekDate.getDate()).padStart(2, '0');
+      return `${weekDate.getFullYear()}-${formattedMonth}-${formattedDay}`;
+    };
+  }
+
+  _createError(code, extra = {}) {
+    const error = new Error(code);
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+  }
+}
+
+module.exports = ForecastEngine;
+module.exports.PHASES = PHASES;
+module.exports.PHASE_HOURS = PHASE_HOURS;
+module.exports.PROTEIN_MAINTENANCE_PHASES = PROTEIN_MAINTENANCE_PHASES;
+module.exports.FFM_PRESERVATION_PHASES = FFM_PRESERVATION_PHASES;
+module.exports.KG_PER_LB = KG_PER_LB;
+module.exports.FAT_KCAL_PER_KG = FAT_KCAL_PER_KG;
+module.exports.FFM_KCAL_PER_KG = FFM_KCAL_PER_KG;
+module.exports.LOW_BODY_FAT_THRESHOLD = LOW_BODY_FAT_THRESHOLD;
+module.exports.MAX_WEEKS = MAX_WEEKS;
+module.exports.MAX_FASTING_BLOCKS = MAX_FASTING_BLOCKS;
+module.exports.UNCERTAINTY_SPREAD = UNCERTAINTY_SPREAD;
@@ -0,0 +1,313 @@
+const ForecastEngine = require('./ForecastEngine');
+const BodyLogAnalyticsService = require('./BodyLogAnalyticsService');
+
+const { KG_PER_LB, FAT_KCAL_PER_KG, FFM_KCAL_PER_KG } = ForecastEngine;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_HOUR = 60 * 60 * 1000;
+// Weigh-ins this many days either side of a forecast week count toward it
+const WEEK_MATCH_DAYS = 3;
+// The empirical TDEE needs weigh-ins over at least two weeks, a few weigh-ins and a real fast
+const MIN_ESTIMATE_SPAN_DAYS = 14;
+const MIN_ESTIMATE_WEIGH_INS = 4;
+const MIN_ESTIMATE_FASTING_HOURS = 24;
+// Same bounds the settings route accepts for tdee_override
+const TDEE_OVERRIDE_RANGE = { min: 800, max: 5000 };
+// Smaller corrections than this are within the noise of the estimate
+const MIN_TDEE_CORRECTION_KCAL = 50;
+// Trend within this share of the forecast weight counts as on track
+const ON_TRACK_TOLERANCE = 0.01;
+
+/**
+ * Compares the forecast saved on the profile (user_profiles.forecast_data)
+ * with the canonical weigh-ins since its start date, week by week, and
+ * back-solves the TDEE that explains the actual rate of loss.
+ *
+ * The forecast assumes eating hours are at maintenance, so every kcal of
+ * deficit comes from fasting hours: each one burns a full hour of TDEE, a
+ * phase-dependent slice of it from fat-free mass (FFM_KCAL_PER_KG) and the
+ * rest from fat (FAT_KCAL_PER_KG). Inverting that over the hours actually
+ * fasted gives the empirical TDEE; eating above or below maintenance shows
+ * up in it, which is what makes it a useful tdee_override.
+ */
+class ForecastReconciliationService {
+  constructor(database, { analyticsService = null, forecastEngine = new ForecastEngine(), clock = () => new Date() } = {}) {
+    this.db = database;
+    this.analyticsService = analyticsService || new BodyLogAnalyticsService(database);
+    this.forecastEngine = forecastEngine;
+    this.clock = clock;
+  }
+
+  async reconcile(profile) {
+    const forecast = this.parseForecast(profile.forecast_data);
+    if (!forecast) {
+      return {
+        status: 'no-forecast',
+        message: 'Save a forecast from the calculator to compare it with your weigh-ins.'
+      };
+    }
+
+    const unit = profile.weight_unit === 'kg' ? 'kg' : 'lb';
+    const now = this.clock();
+    const today = this.analyticsService.formatDate(now);
+
+    const canonicalEntries = await this.db.getCanonicalEntriesByRange(profile.id, forecast.startDate, today);
+    canonicalEntries.sort((a, b) => new Date(a.logged_at).getTime() - new Date(b.logged_at).getTime());
+    const normalizedCanonical = canonicalEntries.map((entry) => this.analyticsService.normalizeEntry(entry));
+    const trendWeight = this.analyticsService.computeTrendWeight(normalizedCanonical);
+
+    const todayDay = this.toDay(today);
+    const weeks = forecast.results.weeklyResults.map((week) => this.matchWeek(week, trendWeight.series, { unit, todayDay }));
+    const latest = [...weeks].reverse().find((week) => week.trendWeight !== null) || null;
+
+    return {
+      status: 'ok',
+      unit,
+      startDate: forecast.startDate,
+      weeks,
+      latest: latest ? {
+        week: latest.week,
+        date: latest.date,
+        forecastWeight: latest.forecastWeight,
+        trendWeight: latest.trendWeight,
+        difference: latest.difference,
+        status: this.classifyDifference(latest)
+      } : null,
+      tdee: await this.estimateTdee(profile, forecast, normalizedCanonical, { unit, now })
+    };
+  }
+
+  /**
+   * Saves a new tdee_override (the empirical estimate unless one is given)
+   * and re-runs the saved forecast with it from the same start, so the
+   * reconciliation compares against the corrected projection.
+   */
+  async applyTdeeOverride(profile, { tdeeOverride } = {}) {
+    const forecast = this.parseForecast(profile.forecast_data);
+    if (!forecast) {
+      throw this._createError('NO_FORECAST');
+    }
+
+    let kcal = tdeeOverride;
+    if (kcal === undefined || kcal === null) {
+      const { tdee } = await this.reconcile(profile);
+      if (tdee.status !== 'ok' || !tdee.suggestion) {
+        throw this._createError('NO_TDEE_ESTIMATE');
+      }
+      kcal = tdee.suggestion.tdeeOverride;
+    }
+    if (typeof kcal !== 'number' || !Number.isFinite(kcal) || kcal < TDEE_OVERRIDE_RANGE.min || kcal > TDEE_OVERRIDE_RANGE.max) {
+      throw this._createError('INVALID_TDEE_OVERRIDE');
+    }
+
+    const { initialStats } = forecast.results;
+    const results = this.forecastEngine.simulate(
+      {
+        weight: initialStats.weight,
+        weightUnit: 'kg',
+        bodyFat: initialStats.bodyFat,
+        activityLevel: profile.activity_level,
+        tdeeOverride: kcal,
+        insulinSensitivity: forecast.insulinSensitivity,
+        fastingExperience: forecast.fastingExperience
+      },
+      {
+        fastingBlocks: forecast.fastingBlocks,
+        blockStarts: forecast.blockStarts,
+        ketosisStates: forecast.ketosisStates,
+        eatingIntake: forecast.eatingIntake
+      },
+      { weeks: forecast.weeks || forecast.results.summary.totalWeeks, startDate: forecast.startDate }
+    );
+
+    const forecastData = {
+      ...forecast,
+      tdeeOverride: kcal,
+      reconciledAt: this.clock().toISOString(),
+      results
+    };
+    await this.db.updateUserProfile(profile.session_id, {
+      tdee_override: kcal,
+      forecast_data: JSON.stringify(forecastData)
+    });
+
+    return this.reconcile({ ...profile, tdee_override: kcal, forecast_data: forecastData });
+  }
+
+  /**
+   * Empirical TDEE from the weigh-ins since the forecast started and the hours
+   * fasted between the first and last of them. The change is the least-squares
+   * slope over the whole span, so single water-heavy readings at either end
+   * barely move it.
+   */
+  async estimateTdee(profile, forecast, canonicalEntries, { unit, now }) {
+    const modelKcalPerDay = this.round(forecast.results.initialStats.dailyTDEE, 0);
+    const insufficient = (message) => ({ status: 'insufficient-data', modelKcalPerDay, message });
+
+    const points = canonicalEntries
+      .filter((entry) => entry && Number.isFinite(entry.weight) && entry.localDate)
+      .map((entry) => ({ date: entry.localDate, day: this.toDay(entry.localDate), weight: entry.weight }))
+      .sort((a, b) => a.day - b.day);
+    if (points.length < MIN_ESTIMATE_WEIGH_INS) {
+      return insufficient(`Log at least ${MIN_ESTIMATE_WEIGH_INS} weigh-ins since your forecast started.`);
+    }
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const spanDays = last.day - first.day;
+    if (spanDays < MIN_ESTIMATE_SPAN_DAYS) {
+      return insufficient(`Keep weighing in: the estimate needs ${MIN_ESTIMATE_SPAN_DAYS} days of weigh-ins.`);
+    }
+
+    const windowStart = new Date(`${first.date}T00:00:00.000Z`);
+    const windowEnd = new Date(`${last.date}T00:00:00.000Z`);
+    const fasts = await this.db.getFastsByUserAndDateRange(profile.id, windowStart.toISOString(), windowEnd.toISOString());
+    const fastingHours = this.sumFastingHours(fasts, { windowStart, windowEnd, now });
+    if (fastingHours < MIN_ESTIMATE_FASTING_HOURS) {
+      return insufficient('Complete some fasts in the app so the estimate knows your fasting hours.');
+    }
+
+    const weightChange = this.fitSlope(points) * spanDays;
+    const lossKg = -(unit === 'lb' ? weightChange * KG_PER_LB : weightChange);
+    const ffmPerFastingHour = this.getFFMLossPerFastingHour(forecast);
+    const fatPerFastingHour = lossKg / fastingHours - ffmPerFastingHour;
+    const kcalPerDay = 24 * (fatPerFastingHour * FAT_KCAL_PER_KG + ffmPerFastingHour * FFM_KCAL_PER_KG);
+
+    const suggestedOverride = Math.round(kcalPerDay / 10) * 10;
+    const withinRange = suggestedOverride >= TDEE_OVERRIDE_RANGE.min && suggestedOverride <= TDEE_OVERRIDE_RANGE.max;
+    const currentKcalPerDay = profile.tdee_override || modelKcalPerDay;
+
+    return {
+      status: 'ok',
+      kcalPerDay: this.round(kcalPerDay, 0),
+      modelKcalPerDay,
+      difference: this.round(kcalPerDay - currentKcalPerDay, 0),
+      window: { start: first.date, end: last.date, days: spanDays },
+      fastingHours: this.round(fastingHours),
+      weightChange: this.round(weightChange),
+      suggestion: withinRange && Math.abs(suggestedOverride - currentKcalPerDay) >= MIN_TDEE_CORRECTION_KCAL
+        ? { tdeeOverride: suggestedOverride }
+        : null,
+      message: withinRange
+        ? null
+        : 'This estimate is outside the usual range, which often means missed fasts or weigh-ins.'
+    };
+  }
+
+  // Fat-free mass the forecast's own protocol loses per fasting hour, from the first week
+  getFFMLossPerFastingHour(forecast) {
+    const { fastingBlocks = [], blockStarts = null, ketosisStates = [] } = forecast;
+    const protocolHours = fastingBlocks.reduce((sum, hours) => sum + (Number(hours) || 0), 0);
+    if (protocolHours <= 0) {
+      return 0;
+    }
+
+    const { initialStats } = forecast.results;
+    const { weeklyFFMLoss } = this.forecastEngine.simulateWeek({
+      fastingBlocks,
+      blockStarts,
+      ketosisStates,
+      ketosisAdjustment: this.forecastEngine.getKetosisTimingAdjustment({
+        insulinSensitivity: forecast.insulinSensitivity,
+        fastingExperience: forecast.fastingExperience,
+        bodyFat: initialStats.bodyFat
+      }),
+      hourlyTDEE: initialStats.dailyTDEE / 24,
+      bodyFat: initialStats.bodyFat,
+      fatMass: initialStats.fatMass
+    });
+    return weeklyFFMLoss / Math.min(protocolHours, 168);
+  }
+
+  // Least-squares weight change per day
+  fitSlope(points) {
+    const meanDay = points.reduce((sum, point) => sum + point.day, 0) / points.length;
+    const meanWeight = points.reduce((sum, point) => sum + point.weight, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+    points.forEach((point) => {
+      covariance += (point.day - meanDay) * (point.weight - meanWeight);
+      variance += (point.day - meanDay) ** 2;
+    });
+    return covariance / variance;
+  }
+
+  // Hours fasted inside the window; a fast still running counts up to now
+  sumFastingHours(fasts, { windowStart, windowEnd, now }) {
+    return (fasts || []).reduce((sum, fast) => {
+      const start = Math.max(new Date(fast.start_time).getTime(), windowStart.getTime());
+      const end = Math.min(fast.end_time ? new Date(fast.end_time).getTime() : now.getTime(), windowEnd.getTime());
+      return end > start ? sum + (end - start) / MS_PER_HOUR : sum;
+    }, 0);
+  }
+
+  matchWeek(week, trendSeries, { unit, todayDay }) {
+    const weekDay = this.toDay(week.date);
+    const nearby = trendSeries.filter((point) => Math.abs(this.toDay(point.date) - weekDay) <= WEEK_MATCH_DAYS);
+    const closest = nearby.reduce((best, point) => {
+      const distance = Math.abs(this.toDay(point.date) - weekDay);
+      return !best || distance <= best.distance ? { point, distance } : best;
+    }, null);
+
+    const forecastWeight = this.round(unit === 'lb' ? week.weight / KG_PER_LB : week.weight);
+    const actualWeight = nearby.length > 0
+      ? this.round(nearby.reduce((sum, point) => sum + point.weight, 0) / nearby.length)
+      : null;
+    const trendWeight = closest ? closest.point.trend : null;
+
+    return {
+      week: week.week,
+      date: week.date,
+      isFuture: weekDay > todayDay,
+      forecastWeight,
+      actualWeight,
+      trendWeight,
+      weighIns: nearby.length,
+      difference: trendWeight !== null ? this.round(trendWeight - forecastWeight) : null
+    };
+  }
+
+  classifyDifference({ forecastWeight, difference }) {
+    if (Math.abs(difference) <= forecastWeight * ON_TRACK_TOLERANCE) {
+      return 'on-track';
+    }
+    return difference < 0 ? 'ahead' : 'behind';
+  }
+
+  // The saved forecast, or null when it is missing or has no weekly results
+  parseForecast(forecastData) {
+    let forecast = forecastData;
+    if (typeof forecast === 'string') {
+      try {
+        forecast = JSON.parse(forecast);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    if (!forecast || typeof forecast.startDate !== 'string' || !forecast.results ||
+        !forecast.results.initialStats || !Array.isArray(forecast.results.weeklyResults) ||
+        forecast.results.weeklyResults.length === 0) {
+      return null;
+    }
+    return forecast;
+  }
+
+  toDay(dateString) {
+    return Date.parse(`${dateString}T00:00:00Z`) / MS_PER_DAY;
+  }
+
+  round(value, decimals = 1) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+
+  _createError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = ForecastReconciliationService;
+module.exports.TDEE_OVERRIDE_RANGE = TDEE_OVERRIDE_RANGE;
@@ -0,0 +1,272 @@
+const ForecastEngine = require('./ForecastEngine');
+
+const { LOW_BODY_FAT_THRESHOLD, MAX_WEEKS: MAX_SOLVE_WEEKS } = ForecastEngine;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const HOURS_PER_WEEK = 168;
+const DAYS_PER_WEEK = 7;
+const MAX_SUGGESTIONS = 3;
+// Intake on the restricted days of 5:2 and 4:3
+const MODIFIED_FAST_KCAL = 500;
+// Average loss above this share of body weight a week is too fast to sustain.
+// Higher than the usual 0.5-1% guideline because the model counts the early
+// glycogen and water loss.
+const MAX_WEEKLY_LOSS_PERCENT = 1.5;
+// Above this share of the weight lost coming from fat-free mass, muscle is at risk
+const MAX_LEAN_MASS_SHARE = 0.4;
+// Fasts this long or longer need medical supervision
+const SUPERVISED_FAST_HOURS = 72;
+
+const TIME_RESTRICTED_WINDOWS = [16, 18, 20];
+const EXTENDED_FAST_HOURS = [24, 36, 48, 72];
+const EXTENDED_FAST_FREQUENCIES = [1, 2, 3];
+
+/**
+ * Candidate protocols, gentlest first: the shortest longest fast, then the
+ * fewest weekly fasting hours. Restricted-calorie days count as no fasting.
+ */
+function buildCandidateProtocols() {
+  const candidates = [
+    {
+      id: '5:2',
+      label: '5:2 (two 500 kcal days a week)',
+      layout: 'modified-fasting',
+      fastingBlocks: [],
+      // Sunday first: Monday and Thursday
+      eatingIntake: { kcalByWeekday: [null, MODIFIED_FAST_KCAL, null, null, MODIFIED_FAST_KCAL, null, null] }
+    },
+    {
+      id: '4:3',
+      label: '4:3 (three 500 kcal days a week)',
+      layout: 'modified-fasting',
+      fastingBlocks: [],
+      // Monday, Wednesday and Friday
+      eatingIntake: { kcalByWeekday: [null, MODIFIED_FAST_KCAL, null, MODIFIED_FAST_KCAL, null, MODIFIED_FAST_KCAL, null] }
+    }
+  ];
+
+  TIME_RESTRICTED_WINDOWS.forEach((hours) => {
+    candidates.push({
+      id: `${hours}:${24 - hours}`,
+      label: `${hours}:${24 - hours} (daily ${24 - hours}-hour eating window)`,
+      layout: 'time-restricted',
+      fastingBlocks: new Array(DAYS_PER_WEEK).fill(hours),
+      // One fast a day from midnight, with the eating window closing the day
+      blockStarts: Array.from({ length: DAYS_PER_WEEK }, (value, day) => day * 24),
+      eatingIntake: null
+    });
+  });
+
+  EXTENDED_FAST_HOURS.forEach((duration) => {
+    EXTENDED_FAST_FREQUENCIES
+      .filter((frequency) => duration * frequency < HOURS_PER_WEEK)
+      .forEach((frequency) => {
+        candidates.push({
+          id: `${duration}h-x${frequency}`,
+          label: `${duration}-hour fast ${frequency === 1 ? 'once' : `${frequency} times`} a week`,
+          layout: 'extended-fast',
+          fastingBlocks: new Array(frequency).fill(duration),
+          eatingIntake: null,
+          // The forecaster's protocol shape, so a suggestion can be loaded there
+          currentProtocol: { duration, frequency, ketosis: false }
+        });
+      });
+  });
+
+  return candidates.map((candidate) => ({
+    currentProtocol: null,
+    blockStarts: null,
+    ...candidate,
+    ketosisStates: candidate.fastingBlocks.map(() => false),
+    weeklyFastingHours: candidate.fastingBlocks.reduce((sum, hours) => sum + hours, 0),
+    longestFastHours: Math.max(0, ...candidate.fastingBlocks)
+  }));
+}
+
+const CANDIDATE_PROTOCOLS = buildCandidateProtocols();
+
+/**
+ * Runs the forecast backwards: given a target body fat and a goal date,
+ * simulates every candidate protocol and returns the gentlest ones that get
+ * there, each with the warnings that make it unsafe. Eating hours are at
+ * maintenance, as in /api/calculate.
+ */
+class ForecastSolverService {
+  constructor({ forecastEngine = new ForecastEngine() } = {}) {
+    this.forecastEngine = forecastEngine;
+  }
+
+  /**
+   * profile: as for ForecastEngine.simulate
+   * goal: { targetBodyFat: %, goalDate: 'YYYY-MM-DD' }
+   * options: { startDate: 'YYYY-MM-DD' }
+   *
+   * status is 'ok' when a protocol reaches the goal without warnings,
+   * 'caution' when only protocols with warnings reach it, and 'infeasible'
+   * when none do; then protocols holds the ones that get closest.
+   */
+  solve(profile, { targetBodyFat, goalDate }, { startDate }) {
+    const goalWeeks = this.getGoalWeeks(startDate, goalDate);
+
+    if (typeof targetBodyFat !== 'number' || !Number.isFinite(targetBodyFat) ||
+        targetBodyFat <= 0 || targetBodyFat >= profile.bodyFat) {
+      throw this._createError('INVALID_TARGET_BODY_FAT', {
+        details: 'targetBodyFat must be above 0 and below the current body fat'
+      });
+    }
+
+    const evaluated = CANDIDATE_PROTOCOLS.map((candidate) =>
+      this.evaluateCandidate(profile, candidate, { targetBodyFat, goalWeeks, startDate }));
+
+    const warnings = [];
+    if (targetBodyFat < LOW_BODY_FAT_THRESHOLD) {
+      warnings.push({
+        code: 'LOW_TARGET',
+        message: `A target under ${LOW_BODY_FAT_THRESHOLD}% body fat is below what is healthy to maintain for most people.`
+      });
+    }
+
+    const reaching = evaluated.filter((protocol) => protocol.reachesGoal);
+    const safe = reaching.filter((protocol) => protocol.warnings.length === 0);
+
+    let status = 'ok';
+    let protocols = safe;
+    if (safe.length === 0 && reaching.length > 0) {
+      status = 'caution';
+      protocols = reaching;
+      warnings.push({
+        code: 'NO_SAFE_PROTOCOL',
+        message: 'No protocol reaches your goal by this date without risks. Consider a later goal date.'
+      });
+    } else if (reaching.length === 0) {
+      status = 'infeasible';
+      protocols = [...evaluated].sort((a, b) => a.atGoalDate.bodyFat - b.atGoalDate.bodyFat);
+      warnings.push({
+        code: 'GOAL_NOT_REACHABLE',
+        message: 'No protocol reaches your target body fat by this date.'
+      });
+    }
+
+    return {
+      status,
+      goal: { targetBodyFat, goalDate, startDate, weeks: goalWeeks },
+      protocols: protocols.slice(0, MAX_SUGGESTIONS),
+      warnings,
+      // When the date is the problem, the soonest a protocol without warnings gets there
+      earliestSafe: status === 'ok' ? null : this.findEarliestSafe(evaluated)
+    };
+  }
+
+  /**
+   * Simulates a candidate for the longest goal horizon and summarises it at
+   * the goal date. The loss rate and lean mass share are measured up to the
+   * week the target is reached, even after the goal date, or up to the goal
+   * date if it never is.
+   */
+  evaluateCandidate(profile, candidate, { targetBodyFat, goalWeeks, startDate }) {
+    const { weeklyResults } = this.forecastEngine.simulate(
+      profile,
+      {
+        fastingBlocks: candidate.fastingBlocks,
+        blockStarts: candidate.blockStarts,
+        ketosisStates: candidate.ketosisStates,
+        eatingIntake: candidate.eatingIntake
+      },
+      { weeks: MAX_SOLVE_WEEKS, startDate }
+    );
+
+    const reached = weeklyResults.find((week) => week.week > 0 && week.bodyFat <= targetBodyFat) || null;
+    const reachesGoal = Boolean(reached) && reached.week <= goalWeeks;
+    const start = weeklyResults[0];
+    const end = reached || weeklyResults[goalWeeks];
+
+    const weightLost = start.weight - end.weight;
+    const averageWeeklyLossPercent = (weightLost / start.weight / end.week) * 100;
+    const leanMassShare = weightLost > 0 ? (start.fatFreeMass - end.fatFreeMass) / weightLost : 0;
+
+    const { fastingBlocks, blockStarts, ketosisStates, eatingIntake } = candidate;
+    return {
+      id: candidate.id,
+      label: candidate.label,
+      layout: candidate.layout,
+      fastingBlocks,
+      blockStarts,
+      ketosisStates,
+      eatingIntake,
+      currentProtocol: candidate.currentProtocol,
+      weeklyFastingHours: candidate.weeklyFastingHours,
+      longestFastHours: candidate.longestFastHours,
+      reachesGoal,
+      weekReached: reached ? reached.week : null,
+      dateReached: reached ? reached.date : null,
+      atGoalDate: {
+        weight: weeklyResults[goalWeeks].weight,
+        bodyFat: weeklyResults[goalWeeks].bodyFat
+      },
+      averageWeeklyLossPercent,
+      leanMassShare,
+      warnings: this.getProtocolWarnings(candidate, { averageWeeklyLossPercent, leanMassShare })
+    };
+  }
+
+  getProtocolWarnings(candidate, { averageWeeklyLossPercent, leanMassShare }) {
+    const warnings = [];
+    if (averageWeeklyLossPercent > MAX_WEEKLY_LOSS_PERCENT) {
+      warnings.push({
+        code: 'RAPID_LOSS',
+        message: `Loses ${averageWeeklyLossPercent.toFixed(1)}% of body weight a week, faster than is sustainable.`
+      });
+    }
+    if (leanMassShare > MAX_LEAN_MASS_SHARE) {
+      warnings.push({
+        code: 'LEAN_MASS_LOSS',
+        message: `${Math.round(leanMassShare * 100)}% of the weight lost is fat-free mass.`
+      });
+    }
+    if (candidate.longestFastHours >= SUPERVISED_FAST_HOURS) {
+      warnings.push({
+        code: 'SUPERVISION_RECOMMENDED',
+        message: `Fasts of ${SUPERVISED_FAST_HOURS} hours or more should be done under medical supervision.`
+      });
+    }
+    return warnings;
+  }
+
+  findEarliestSafe(evaluated) {
+    const candidates = evaluated.filter((protocol) => protocol.weekReached !== null && protocol.warnings.length === 0);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    // Gentlest first, so ties go to the gentler protocol
+    const earliest = candidates.reduce((best, protocol) => (protocol.weekReached < best.weekReached ? protocol : best));
+    return { id: earliest.id, label: earliest.label, weekReached: earliest.weekReached, dateReached: earliest.dateReached };
+  }
+
+  // Whole weeks from the start date to the goal date
+  getGoalWeeks(startDate, goalDate) {
+    const start = this.forecastEngine.parseStartDate(startDate);
+    if (typeof goalDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(goalDate)) {
+      throw this._createError('INVALID_GOAL_DATE', { details: 'goalDate must be a YYYY-MM-DD date' });
+    }
+
+    const days = Math.round((this.forecastEngine.parseStartDate(goalDate) - start) / MS_PER_DAY);
+    const weeks = Math.floor(days / 7);
+    if (weeks < 1 || weeks > MAX_SOLVE_WEEKS) {
+      throw this._createError('INVALID_GOAL_DATE', {
+        details: `goalDate must be between 1 and ${MAX_SOLVE_WEEKS} weeks after the start date`
+      });
+    }
+    return weeks;
+  }
+
+  _createError(code, extra = {}) {
+    const error = new Error(code);
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+  }
+}
+
+module.exports = ForecastSolverService;
+module.exports.CANDIDATE_PROTOCOLS = CANDIDATE_PROTOCOLS;
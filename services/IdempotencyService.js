@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { parseDatabaseTimestamp } = require('./timezone');
+
+const DEFAULT_WINDOW_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+// Expired keys are cleared at most this often, from whichever request comes along
+const PRUNE_INTERVAL_MS = HOUR_MS;
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{8,255}$/;
+
+/**
+ * Idempotency-Key support for write endpoints. The first request with a key
+ * claims it; its response (anything but a 5xx) is stored, and repeats of the
+ * same request within the window get that response back instead of running
+ * again. Keys are scoped to the profile that sent them.
+ */
+class IdempotencyService {
+  constructor(database, { clock = () => new Date(), windowHours = DEFAULT_WINDOW_HOURS } = {}) {
+    this.db = database;
+    this.clock = clock;
+    this.windowMs = windowHours * HOUR_MS;
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Returns { replay: false, record } when the request should run (call
+   * complete or release afterwards), or { replay: true, status, body } with
+   * the stored response.
+   */
+  async begin(userProfileId, key, { method, path, body }) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      throw this._createError('INVALID_IDEMPOTENCY_KEY');
+    }
+    await this._pruneIfDue();
+
+    const request = {
+      user_profile_id: userProfileId,
+      idempotency_key: key,
+      request_method: method,
+      request_path: path,
+      request_hash: this._hashRequest(method, path, body)
+    };
+
+    let { claimed } = await this.db.claimIdempotencyKey(request);
+    let record = await this.db.getIdempotencyKey(userProfileId, key);
+    if (!claimed && record && this._isExpired(record)) {
+      await this.db.deleteIdempotencyKey(record.id);
+      ({ claimed } = await this.db.claimIdempotencyKey(request));
+      record = await this.db.getIdempotencyKey(userProfileId, key);
+    }
+
+    if (claimed) {
+      return { replay: false, record };
+    }
+    if (!record || record.request_hash !== request.request_hash) {
+      throw this._createError('IDEMPOTENCY_KEY_REUSED');
+    }
+    if (record.response_status === null || record.response_status === undefined) {
+      throw this._createError('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+    }
+
+    return {
+      replay: true,
+      status: Number(record.response_status),
+      body: record.response_body ? JSON.parse(record.response_body) : null
+    };
+  }
+
+  // Server errors are not kept, so the client's retry gets a fresh attempt
+  async complete(record, status, body) {
+    if (status >= 500) {
+      return this.release(record);
+    }
+    return this.db.completeIdempotencyKey(record.id, {
+      response_status: status,
+      response_body: body === undefined ? null : JSON.stringify(body)
+    });
+  }
+
+  async release(record) {
+    return this.db.deleteIdempotencyKey(record.id);
+  }
+
+  async prune() {
+    this.lastPrunedAt = this.clock().getTime();
+    return this.db.deleteIdempotencyKeysBefore(new Date(this.lastPrunedAt - this.windowMs));
+  }
+
+  async _pruneIfDue() {
+    if (this.clock().getTime() - this.lastPrunedAt >= PRUNE_INTERVAL_MS) {
+      await this.prune();
+    }
+  }
+
+  _hashRequest(method, path, body) {
+    return crypto.createHash('sha256')
+      .update(`${method} ${path}\n${JSON.stringify(body === undefined ? null : body)}`)
+      .digest('hex');
+  }
+
+  _isExpired(record) {
+    const createdAt = parseDatabaseTimestamp(record.created_at);
+    return Boolean(createdAt) && this.clock().getTime() - createdAt.getTime() > this.windowMs;
+  }
+
+  _createError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = IdempotencyService;
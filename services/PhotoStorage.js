@@ -0,0 +1,90 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Production keeps photos on the persistent disk next to the database (see database/db.js)
+const PRODUCTION_ROOT = '/data/photos';
+const DEVELOPMENT_ROOT = path.join(__dirname, '..', 'uploads', 'photos');
+const KEY_PATTERN = /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_.-]+)*$/;
+
+/**
+ * Photo storage adapters. Every adapter stores opaque keys ('12/abc.jpg')
+ * and implements:
+ *
+ *   put(key, buffer, { contentType }) -> resolves once stored
+ *   get(key) -> Buffer, or null when the key is unknown
+ *   delete(key) -> { deleted }
+ *
+ * so an S3-compatible bucket can replace the local disk without touching
+ * ProgressPhotoService.
+ */
+function getDefaultRoot() {
+  return process.env.NODE_ENV === 'production' ? PRODUCTION_ROOT : DEVELOPMENT_ROOT;
+}
+
+class LocalPhotoStorage {
+  constructor({ root = getDefaultRoot() } = {}) {
+    this.root = path.resolve(root);
+  }
+
+  async put(key, buffer) {
+    const filePath = this._resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this._resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this._resolve(key));
+      return { deleted: true };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { deleted: false };
+      }
+      throw error;
+    }
+  }
+
+  // Keys are generated by the service, but never let one step outside the root
+  _resolve(key) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.split('/').includes('..')) {
+      throw new Error(`Invalid photo storage key: ${key}`);
+    }
+    return path.join(this.root, ...key.split('/'));
+  }
+}
+
+const DRIVERS = {
+  local: (options) => new LocalPhotoStorage(options)
+};
+
+/**
+ * Builds the configured adapter: PHOTO_STORAGE picks the driver (default
+ * 'local') and PHOTO_STORAGE_DIR moves the local root, which otherwise
+ * follows the database onto /data in production.
+ */
+function createPhotoStorage({
+  driver = process.env.PHOTO_STORAGE || 'local',
+  root = process.env.PHOTO_STORAGE_DIR || getDefaultRoot()
+} = {}) {
+  const create = DRIVERS[driver];
+  if (!create) {
+    throw new Error(`Unsupported photo storage driver: ${driver}`);
+  }
+  return create({ root });
+}
+
+module.exports = createPhotoStorage;
+module.exports.LocalPhotoStorage = LocalPhotoStorage;
+module.exports.DRIVERS = DRIVERS;
+module.exports.getDefaultRoot = getDefaultRoot;
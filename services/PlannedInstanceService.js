@@ -0,0 +1,286 @@
+const DEFAULT_HORIZON_WEEKS = 4;
+// A schedule is rolled forward again once less than this much of its horizon is left
+const REFRESH_MARGIN_DAYS = 7;
+// Occurrences that began this recently are still materialized so a late start can claim them
+const LOOKBACK_HOURS = 6;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const REPLACEABLE_STATUSES = ['upcoming', 'skipped'];
+
+/**
+ * Keeps planned_instances rolled forward from each schedule's blocks and
+ * resolves past occurrences, so schedule reads are table queries rather than
+ * regenerating every block on every request.
+ *
+ * Statuses: upcoming (not started yet), active (window open or its fast is
+ * running), completed (a fast claimed it through fasts.planned_instance_id),
+ * missed (window ended without a fast) and skipped (a skip override).
+ */
+class PlannedInstanceService {
+  constructor(database, { horizonWeeks = DEFAULT_HORIZON_WEEKS, clock = () => new Date() } = {}) {
+    this.db = database;
+    this.horizonWeeks = horizonWeeks;
+    this.clock = clock;
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Job entry point: rolls every active schedule forward and resolves statuses.
+   * A failing schedule is logged and does not stop the others.
+   */
+  async materializeAll() {
+    const schedules = await this.db.listActiveSchedules();
+    const summary = { schedules: schedules.length, created: 0, updated: 0, removed: 0, resolved: 0, failed: 0 };
+
+    for (const schedule of schedules) {
+      try {
+        const result = await this.materializeSchedule(schedule);
+        ['created', 'updated', 'removed', 'resolved'].forEach((key) => {
+          summary[key] += result[key];
+        });
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`Error materializing schedule ${schedule.id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Read path: materializes only when the schedule has never been rolled or is
+   * close to the end of its horizon, otherwise just resolves finished occurrences.
+   */
+  async ensureMaterialized(schedule, options = {}) {
+    const now = this.clock();
+    const refreshBefore = new Date(now.getTime() + ((this.horizonWeeks * 7) - REFRESH_MARGIN_DAYS) * DAY_MS);
+    const through = schedule.materialized_through ? new Date(schedule.materialized_through) : null;
+
+    if (!through || Number.isNaN(through.getTime()) || through < refreshBefore) {
+      return this.materializeSchedule(schedule, options);
+    }
+
+    const resolved = await this.reconcileSchedule(schedule, now);
+    return { created: 0, updated: 0, removed: 0, resolved };
+  }
+
+  /**
+   * Regenerates occurrences from LOOKBACK_HOURS ago to the horizon. Rows that
+   * have not started and are not claimed by a fast follow the current blocks
+   * and overrides; anything already started or claimed is history and kept.
+   * Call after any block or override change. Concurrent calls for one schedule share a run.
+   */
+  async materializeSchedule(schedule, options = {}) {
+    if (this.inFlight.has(schedule.id)) {
+      return this.inFlight.get(schedule.id);
+    }
+
+    const run = this._materialize(schedule, options).finally(() => {
+      this.inFlight.delete(schedule.id);
+    });
+    this.inFlight.set(schedule.id, run);
+    return run;
+  }
+
+  /**
+   * Moves open occurrences to their outcome. Returns how many rows changed.
+   */
+  async reconcileSchedule(schedule, now = this.clock()) {
+    const open = await this.db.getOpenPlannedInstances(schedule.id, now.toISOString());
+    if (open.length === 0) {
+      return 0;
+    }
+
+    // The earliest fast wins when more than one points at the same occurrence
+    const fasts = await this.db.getFastsByPlannedInstanceIds(open.map((row) => row.id));
+    const fastByInstance = new Map();
+    fasts.forEach((fast) => {
+      const key = String(fast.planned_instance_id);
+      if (!fastByInstance.has(key)) {
+        fastByInstance.set(key, fast);
+      }
+    });
+
+    let resolved = 0;
+    for (const row of open) {
+      const next = await this._resolveOutcome(row, fastByInstance.get(String(row.id)) || null, now);
+      if (next.status !== row.status || next.fast_id !== (row.fast_id ?? null)) {
+        await this.db.updatePlannedInstance(row.id, next);
+        resolved += 1;
+      }
+    }
+
+    return resolved;
+  }
+
+  async listInstances(schedule, { from = null, to = null, statuses = null, withOverrides = false } = {}) {
+    const rows = await this.db.getPlannedInstancesBySchedule(schedule.id, {
+      from: from ? new Date(from).toISOString() : null,
+      to: to ? new Date(to).toISOString() : null,
+      statuses
+    });
+
+    const overrides = withOverrides ? await this._loadOverrides(rows) : new Map();
+    return rows.map((row) => this._toInstance(row, overrides.get(this._occurrenceKey(row)) || null));
+  }
+
+  /**
+   * Looks up an occurrence by id, scoped to the caller's schedule.
+   */
+  async getInstance(instanceId, schedule) {
+    const id = Number.parseInt(instanceId, 10);
+    if (!Number.isInteger(id)) {
+      return null;
+    }
+
+    const row = await this.db.getPlannedInstanceById(id);
+    if (!row || row.schedule_id !== schedule.id) {
+      return null;
+    }
+    return this._toInstance(row);
+  }
+
+  /**
+   * Links a fast to the occurrence it fulfils; the fast must carry planned_instance_id as well.
+   */
+  async claimInstance(instance, fast) {
+    await this.db.updatePlannedInstance(instance.id, {
+      fast_id: fast.id,
+      status: fast.is_active ? 'active' : 'completed'
+    });
+  }
+
+  async _materialize(schedule, { timeZone } = {}) {
+    const now = this.clock();
+    const windowStart = new Date(now.getTime() - LOOKBACK_HOURS * HOUR_MS);
+    const horizon = new Date(now.getTime() + this.horizonWeeks * 7 * DAY_MS);
+    const zone = timeZone || await this._profileTimeZone(schedule);
+
+    const blocks = await this.db.getFastingBlocksBySchedule(schedule.id);
+    const generated = [];
+    for (const block of blocks) {
+      const instances = await this.db.generateInstancesForBlock(block, schedule, windowStart, horizon, { timeZone: zone });
+      generated.push(...instances);
+    }
+
+    // Occurrence dates are UTC days and shift overrides move starts by hours,
+    // so match against rows from a couple of days before the window as well
+    const existing = await this.db.getPlannedInstancesBySchedule(schedule.id, {
+      from: new Date(windowStart.getTime() - 2 * DAY_MS).toISOString()
+    });
+    const existingByKey = new Map(existing.map((row) => [this._occurrenceKey(row), row]));
+
+    const result = { created: 0, updated: 0, removed: 0, resolved: 0 };
+    const generatedKeys = new Set();
+
+    for (const instance of generated) {
+      const key = this._occurrenceKey(instance);
+      generatedKeys.add(key);
+      const status = instance.status === 'skipped' ? 'skipped' : 'upcoming';
+      const row = existingByKey.get(key);
+
+      if (!row) {
+        await this.db.createPlannedInstance({
+          block_id: instance.block_id,
+          start_at_utc: instance.start_at_utc,
+          end_at_utc: instance.end_at_utc,
+          occurrence_date: instance.occurrence_date,
+          status
+        });
+        result.created += 1;
+        continue;
+      }
+
+      const changed = this._toIso(row.start_at_utc) !== instance.start_at_utc
+        || this._toIso(row.end_at_utc) !== instance.end_at_utc
+        || row.status !== status;
+      if (changed && this._isReplaceable(row, now)) {
+        await this.db.updatePlannedInstance(row.id, {
+          start_at_utc: instance.start_at_utc,
+          end_at_utc: instance.end_at_utc,
+          status
+        });
+        result.updated += 1;
+      }
+    }
+
+    for (const row of existing) {
+      if (!generatedKeys.has(this._occurrenceKey(row)) && this._isReplaceable(row, now)) {
+        await this.db.deletePlannedInstance(row.id);
+        result.removed += 1;
+      }
+    }
+
+    await this.db.updateSchedule(schedule.id, { materialized_through: horizon.toISOString() });
+    result.resolved = await this.reconcileSchedule(schedule, now);
+    return result;
+  }
+
+  async _resolveOutcome(row, fast, now) {
+    if (fast) {
+      return { status: fast.is_active ? 'active' : 'completed', fast_id: fast.id };
+    }
+
+    const override = await this.db.getOverrideByBlockAndDate(row.block_id, row.occurrence_date);
+    if (override && override.type === 'skip') {
+      return { status: 'skipped', fast_id: null };
+    }
+    if (new Date(row.end_at_utc) < now) {
+      return { status: 'missed', fast_id: null };
+    }
+    if (new Date(row.start_at_utc) <= now) {
+      return { status: 'active', fast_id: null };
+    }
+    return { status: 'upcoming', fast_id: null };
+  }
+
+  _isReplaceable(row, now) {
+    return !row.fast_id
+      && REPLACEABLE_STATUSES.includes(row.status)
+      && new Date(row.start_at_utc) > now;
+  }
+
+  async _loadOverrides(rows) {
+    const overrides = new Map();
+    const blockIds = [...new Set(rows.map((row) => row.block_id))];
+    for (const blockId of blockIds) {
+      const blockOverrides = await this.db.getOverridesByBlock(blockId);
+      blockOverrides.forEach((override) => {
+        overrides.set(this._occurrenceKey(override), override);
+      });
+    }
+    return overrides;
+  }
+
+  async _profileTimeZone(schedule) {
+    const profile = await this.db.getUserProfileById(schedule.user_profile_id);
+    return profile && profile.time_zone ? profile.time_zone : undefined;
+  }
+
+  _toInstance(row, override = null) {
+    const start = this._toIso(row.start_at_utc);
+    const end = this._toIso(row.end_at_utc);
+    return {
+      id: row.id,
+      block_id: row.block_id,
+      block_name: row.block_name,
+      start_at_utc: start,
+      end_at_utc: end,
+      occurrence_date: row.occurrence_date,
+      status: row.status,
+      duration_hours: (new Date(end) - new Date(start)) / HOUR_MS,
+      fast_id: row.fast_id ?? null,
+      override
+    };
+  }
+
+  _occurrenceKey(row) {
+    return `${row.block_id}:${row.occurrence_date}`;
+  }
+
+  _toIso(value) {
+    return value instanceof Date ? value.toISOString() : new Date(value).toISOString();
+  }
+}
+
+module.exports = PlannedInstanceService;
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const defaultSharp = require('sharp');
+const createPhotoStorage = require('./PhotoStorage');
+
+const MAX_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 320;
+const JPEG_QUALITY = 85;
+const THUMBNAIL_QUALITY = 75;
+const MAX_CAPTION_LENGTH = 500;
+// Decoding bombs are refused before sharp allocates the pixels
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+const VARIANTS = ['full', 'thumbnail'];
+
+/**
+ * Progress photos for the timeline. Uploads are re-encoded as JPEG with sharp,
+ * which turns them upright by their EXIF orientation and writes no metadata
+ * back, so camera details and GPS positions never reach storage. Each photo
+ * also gets a square thumbnail for the timeline cards.
+ */
+class ProgressPhotoService {
+  constructor(database, { storage = createPhotoStorage(), sharp = defaultSharp, clock = () => new Date() } = {}) {
+    this.db = database;
+    this.storage = storage;
+    this.sharp = sharp;
+    this.clock = clock;
+  }
+
+  async upload(userProfileId, file, { fastId = null, bodyLogEntryId = null, takenAt = null, caption = null } = {}) {
+    if (!file || !Buffer.isBuffer(file.buffer) || file.buffer.length === 0) {
+      throw this._createError('INVALID_IMAGE');
+    }
+
+    const takenAtValue = this._normalizeTakenAt(takenAt);
+    if (takenAt && !takenAtValue) {
+      throw this._createError('INVALID_TAKEN_AT');
+    }
+    const attachment = await this._resolveAttachment(userProfileId, { fastId, bodyLogEntryId });
+
+    let full;
+    let thumbnail;
+    try {
+      full = await this.sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: JPEG_QUALITY })
+        .toBuffer({ resolveWithObject: true });
+      thumbnail = await this.sharp(full.data)
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover', position: 'attention' })
+        .jpeg({ quality: THUMBNAIL_QUALITY })
+        .toBuffer();
+    } catch (error) {
+      throw this._createError('INVALID_IMAGE');
+    }
+
+    const baseKey = `${userProfileId}/${crypto.randomUUID()}`;
+    const storageKey = `${baseKey}.jpg`;
+    const thumbnailKey = `${baseKey}-thumb.jpg`;
+    await this.storage.put(storageKey, full.data, { contentType: 'image/jpeg' });
+    await this.storage.put(thumbnailKey, thumbnail, { contentType: 'image/jpeg' });
+
+    try {
+      return await this.db.createProgressPhoto({
+        user_profile_id: userProfileId,
+        fast_id: attachment.fast ? attachment.fast.id : null,
+        body_log_entry_id: attachment.entry ? attachment.entry.id : null,
+        storage_key: storageKey,
+        thumbnail_key: thumbnailKey,
+        content_type: 'image/jpeg',
+        width: full.info.width,
+        height: full.info.height,
+        byte_size: full.data.length,
+        caption: this._normalizeCaption(caption),
+        // Photos attached to a weigh-in default to its time so before/after pairs line up
+        taken_at: takenAtValue ||
+          (attachment.entry ? new Date(attachment.entry.logged_at).toISOString() : this.clock().toISOString())
+      });
+    } catch (error) {
+      await this._removeFiles({ storage_key: storageKey, thumbnail_key: thumbnailKey });
+      throw error;
+    }
+  }
+
+  async list(userProfileId, { fastId = null, bodyLogEntryId = null } = {}) {
+    return this.db.getProgressPhotosByUser(userProfileId, { fastId, bodyLogEntryId });
+  }
+
+  async get(userProfileId, photoId) {
+    const photo = await this.db.getProgressPhotoById(photoId);
+    if (!photo || photo.user_profile_id !== userProfileId) {
+      throw this._createError('PHOTO_NOT_FOUND');
+    }
+    return photo;
+  }
+
+  /**
+   * Returns { buffer, contentType } for the full image or its thumbnail.
+   */
+  async read(userProfileId, photoId, variant = 'full') {
+    const photo = await this.get(userProfileId, photoId);
+    const key = variant === 'thumbnail' ? photo.thumbnail_key : photo.storage_key;
+    const buffer = await this.storage.get(key);
+    if (!buffer) {
+      throw this._createError('PHOTO_NOT_FOUND');
+    }
+    return { buffer, contentType: photo.content_type };
+  }
+
+  /**
+   * Moves a photo to another fast or entry (null detaches it), or changes its
+   * caption or date. Fields left undefined are kept.
+   */
+  async update(userProfileId, photoId, { fastId, bodyLogEntryId, takenAt, caption } = {}) {
+    await this.get(userProfileId, photoId);
+    const attachment = await this._resolveAttachment(userProfileId, { fastId, bodyLogEntryId });
+
+    const updates = {
+      fast_id: fastId === undefined ? undefined : attachment.fast ? attachment.fast.id : null,
+      body_log_entry_id: bodyLogEntryId === undefined ? undefined : attachment.entry ? attachment.entry.id : null,
+      caption: caption === undefined ? undefined : this._normalizeCaption(caption)
+    };
+    if (takenAt !== undefined) {
+      updates.taken_at = this._normalizeTakenAt(takenAt);
+      if (!updates.taken_at) {
+        throw this._createError('INVALID_TAKEN_AT');
+      }
+    }
+
+    await this.db.updateProgressPhoto(photoId, updates);
+    return this.db.getProgressPhotoById(photoId);
+  }
+
+  async delete(userProfileId, photoId) {
+    const photo = await this.get(userProfileId, photoId);
+    const result = await this.db.deleteProgressPhoto(photoId);
+    await this._removeFiles(photo);
+    return result;
+  }
+
+  // Response shape: storage keys stay server-side, the image routes serve the files
+  serialize(photo) {
+    const { storage_key: storageKey, thumbnail_key: thumbnailKey, ...rest } = photo;
+    return {
+      ...rest,
+      image_url: `/api/photos/${photo.id}/image`,
+      thumbnail_url: `/api/photos/${photo.id}/image?variant=thumbnail`
+    };
+  }
+
+  async _resolveAttachment(userProfileId, { fastId, bodyLogEntryId }) {
+    const attachment = { fast: null, entry: null };
+
+    if (fastId !== undefined && fastId !== null && fastId !== '') {
+      const fast = await this.db.getFastById(Number(fastId));
+      if (!fast || fast.user_profile_id !== userProfileId) {
+        throw this._createError('FAST_NOT_FOUND');
+      }
+      attachment.fast = fast;
+    }
+
+    if (bodyLogEntryId !== undefined && bodyLogEntryId !== null && bodyLogEntryId !== '') {
+      const entry = await this.db.getBodyLogEntryById(Number(bodyLogEntryId));
+      if (!entry || entry.user_profile_id !== userProfileId) {
+        throw this._createError('BODY_LOG_ENTRY_NOT_FOUND');
+      }
+      attachment.entry = entry;
+    }
+
+    return attachment;
+  }
+
+  async _removeFiles(photo) {
+    for (const key of [photo.storage_key, photo.thumbnail_key]) {
+      try {
+        await this.storage.delete(key);
+      } catch (error) {
+        // A leftover file is harmless; the row is what the app reads
+        console.error('Error removing progress photo file:', error);
+      }
+    }
+  }
+
+  _normalizeTakenAt(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  _normalizeCaption(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    const caption = String(value).trim().slice(0, MAX_CAPTION_LENGTH);
+    return caption || null;
+  }
+
+  _createError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = ProgressPhotoService;
+module.exports.VARIANTS = VARIANTS;
+module.exports.THUMBNAIL_SIZE = THUMBNAIL_SIZE;
+module.exports.MAX_DIMENSION = MAX_DIMENSION;
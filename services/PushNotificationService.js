@@ -0,0 +1,378 @@
+const defaultWebPush = require('web-push');
+const { getOffsetFromTimeZone, formatLocalDate, zonedTimeToInstant } = require('./timezone');
+const { FAST_MILESTONES, normalizeNotificationRules } = require('./notificationRules');
+const ScheduleNotificationService = require('./ScheduleNotificationService');
+const QuietHours = require('../public/js/quiet-hours');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+// The job runs every minute; anything that fell due within this window and was not sent yet still goes out
+const DUE_GRACE_MINUTES = 10;
+// A subscription that keeps failing for reasons other than 404/410 is dropped after this many attempts
+const MAX_FAILURES = 5;
+const DELIVERY_RETENTION_DAYS = 30;
+const PUSH_TTL_SECONDS = 60 * 60;
+const DEFAULT_VAPID_SUBJECT = 'mailto:notifications@fasting-forecast.local';
+const GONE_STATUSES = [404, 410];
+// Browsers only hand out endpoints on these push services (FCM, Mozilla autopush,
+// Apple, WNS). Anything else could point the server at an internal address.
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'android.googleapis.com'];
+const PUSH_SERVICE_HOST_SUFFIXES = ['.push.services.mozilla.com', '.push.apple.com', '.notify.windows.com'];
+
+const DEFAULT_MEALTIMES = [
+  { name: 'Breakfast', time: '08:00' },
+  { name: 'Lunch', time: '12:00' },
+  { name: 'Dinner', time: '18:00' }
+];
+
+/**
+ * Sends Web Push notifications from the server so reminders arrive with the
+ * app closed: the schedule's notification timeline (ScheduleNotificationService),
+ * hunger-coach nudges at the profile's mealtimes while a fast is running, and
+ * milestones of the running fast.
+ *
+ * runDueNotifications() is called by a one-minute job. Every notification has
+ * a dedupe key claimed in push_deliveries before it is sent, so overlapping
+ * runs or several server instances never send it twice.
+ *
+ * Requests are built with web-push (VAPID + aes128gcm payload encryption) and
+ * posted with fetch, which lets tests point subscriptions at a plain HTTP stub.
+ */
+class PushNotificationService {
+  constructor(database, plannedInstanceService = null, {
+    webPush = defaultWebPush,
+    fetch = globalThis.fetch,
+    clock = () => new Date(),
+    env = process.env,
+    // Plain-http endpoints on any host are only for local push-service stubs
+    allowInsecureEndpoints = false
+  } = {}) {
+    this.db = database;
+    this.scheduleNotifications = new ScheduleNotificationService(database, plannedInstanceService, { clock });
+    this.webPush = webPush;
+    this.fetch = fetch;
+    this.clock = clock;
+    this.env = env;
+    this.allowInsecureEndpoints = allowInsecureEndpoints;
+    this.vapidKeys = null;
+  }
+
+  /**
+   * VAPID keys come from VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY when set. Otherwise a
+   * pair is generated once and stored, so existing subscriptions survive restarts.
+   */
+  async getVapidKeys() {
+    if (this.vapidKeys) {
+      return this.vapidKeys;
+    }
+
+    if (this.env.VAPID_PUBLIC_KEY && this.env.VAPID_PRIVATE_KEY) {
+      this.vapidKeys = { publicKey: this.env.VAPID_PUBLIC_KEY, privateKey: this.env.VAPID_PRIVATE_KEY };
+      return this.vapidKeys;
+    }
+
+    let stored = await this.db.getVapidKeys();
+    if (!stored) {
+      const generated = this.webPush.generateVAPIDKeys();
+      stored = await this.db.saveVapidKeys({ public_key: generated.publicKey, private_key: generated.privateKey });
+    }
+
+    this.vapidKeys = { publicKey: stored.public_key, privateKey: stored.private_key };
+    return this.vapidKeys;
+  }
+
+  async getPublicKey() {
+    const { publicKey } = await this.getVapidKeys();
+    return publicKey;
+  }
+
+  /**
+   * Stores a PushSubscription (as serialized by the browser) for the profile.
+   */
+  async subscribe(userProfileId, subscription, userAgent = null) {
+    const { endpoint, keys } = subscription || {};
+    if (!this._isValidEndpoint(endpoint) || !keys || typeof keys.p256dh !== 'string' ||
+        typeof keys.auth !== 'string' || !keys.p256dh || !keys.auth) {
+      throw this._createError('INVALID_SUBSCRIPTION');
+    }
+
+    return this.db.upsertPushSubscription({
+      user_profile_id: userProfileId,
+      endpoint,
+      p256dh: keys.p256dh,
+      auth: keys.auth,
+      user_agent: userAgent ? String(userAgent).slice(0, 500) : null
+    });
+  }
+
+  async unsubscribe(userProfileId, endpoint) {
+    const existing = typeof endpoint === 'string' ? await this.db.getPushSubscriptionByEndpoint(endpoint) : null;
+    if (!existing || existing.user_profile_id !== userProfileId) {
+      return { unsubscribed: false };
+    }
+
+    const { deleted } = await this.db.deletePushSubscription(endpoint);
+    return { unsubscribed: deleted };
+  }
+
+  /**
+   * Delivers one payload to every subscription of the profile. Subscriptions the
+   * push service reports as gone (404/410) are removed immediately.
+   */
+  async sendToProfile(userProfileId, payload) {
+    const subscriptions = await this.db.getPushSubscriptionsByUserProfile(userProfileId);
+    const result = { sent: 0, failed: 0, removed: 0 };
+
+    for (const subscription of subscriptions) {
+      const outcome = await this._deliver(subscription, payload);
+      result[outcome] += 1;
+    }
+
+    return result;
+  }
+
+  /**
+   * Job entry point: sends everything that fell due for every profile with a
+   * subscription. A failing profile is logged and does not stop the others.
+   */
+  async runDueNotifications() {
+    const now = this.clock();
+    const profiles = await this.db.listPushSubscriberProfiles();
+    const summary = { profiles: profiles.length, due: 0, sent: 0, failed: 0, removed: 0, errors: 0 };
+
+    for (const profile of profiles) {
+      try {
+        const due = await this.collectDue(profile, now);
+        for (const notification of due) {
+          const { claimed } = await this.db.claimPushDelivery({
+            user_profile_id: profile.id,
+            dedupe_key: notification.key,
+            kind: notification.kind
+          });
+          if (!claimed) {
+            continue;
+          }
+
+          summary.due += 1;
+          const result = await this.sendToProfile(profile.id, notification.payload);
+          summary.sent += result.sent;
+          summary.failed += result.failed;
+          summary.removed += result.removed;
+        }
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`Error sending push notifications for profile ${profile.id}:`, error);
+      }
+    }
+
+    await this.db.deletePushDeliveriesBefore(new Date(now.getTime() - DELIVERY_RETENTION_DAYS * DAY_MS));
+    return summary;
+  }
+
+  /**
+   * Notifications that fell due in the last DUE_GRACE_MINUTES, each as
+   * { key, kind, at, payload }. Nothing is claimed or sent here.
+   */
+  async collectDue(profile, now = this.clock()) {
+    const windowStart = new Date(now.getTime() - DUE_GRACE_MINUTES * MINUTE_MS);
+    const isDue = (at) => at > windowStart && at <= now;
+
+    // Milestones follow the actual fast below rather than the planned start
+    const scheduleNotifications = (await this.scheduleNotifications.buildTimeline(profile, { from: windowStart, to: now }))
+      .filter((entry) => entry.type !== 'milestone')
+      .map((entry) => ({
+        key: entry.key,
+        kind: `schedule_${entry.type}`,
+        at: entry.at,
+        payload: this._payload(entry.title, entry.body, entry.tag, entry.url)
+      }));
+    const activeFast = await this.db.getActiveFastByUserId(profile.id);
+    // Nudges tied to the clock lose their point later on, so quiet hours drop them rather than defer
+    const fastNotifications = activeFast
+      ? [
+        ...this._collectHungerNudges(profile, activeFast, now, isDue),
+        ...(await this._collectMilestones(activeFast, isDue))
+      ].filter((entry) => !QuietHours.isQuiet(entry.at, profile.quiet_hours, this._timeZone(profile, now)))
+      : [];
+
+    return [...scheduleNotifications, ...fastNotifications].sort((a, b) => a.at - b.at);
+  }
+
+  _collectHungerNudges(profile, fast, now, isDue) {
+    if (profile.hunger_coach_enabled === false) {
+      return [];
+    }
+
+    const timeZone = this._timeZone(profile, now);
+    const fastStart = new Date(fast.start_time);
+    // The grace window can straddle local midnight, so try the meal on both local dates
+    const localDates = new Set([
+      this._localDate(new Date(now.getTime() - DUE_GRACE_MINUTES * MINUTE_MS), timeZone),
+      this._localDate(now, timeZone)
+    ]);
+    const due = [];
+
+    for (const meal of this._parseMealtimes(profile.custom_mealtimes)) {
+      const [hour, minute] = meal.time.split(':').map(Number);
+      for (const localDate of localDates) {
+        const [year, month, day] = localDate.split('-').map(Number);
+        const at = zonedTimeToInstant({ year, month, day, hour, minute }, timeZone);
+        if (at <= fastStart || !isDue(at)) {
+          continue;
+        }
+
+        due.push({
+          key: `hunger:${fast.id}:${meal.name.toLowerCase()}:${localDate}`,
+          kind: 'hunger',
+          at,
+          payload: this._payload('Hunger Coach',
+            `${meal.name} time. Hunger pangs are often habit signals — most waves pass within 15–20 minutes.`,
+            `hunger-coach-${meal.name.toLowerCase()}`, '/timer')
+        });
+      }
+    }
+
+    return due;
+  }
+
+  async _collectMilestones(fast, isDue) {
+    if (fast.planned_instance_id) {
+      const instance = await this.db.getPlannedInstanceById(fast.planned_instance_id);
+      const block = instance ? await this.db.getFastingBlockById(instance.block_id) : null;
+      if (block && !normalizeNotificationRules(block.notifications).milestones) {
+        return [];
+      }
+    }
+
+    const fastStart = new Date(fast.start_time);
+    return FAST_MILESTONES
+      .map((milestone) => ({ ...milestone, at: new Date(fastStart.getTime() + milestone.hours * HOUR_MS) }))
+      .filter((milestone) => isDue(milestone.at))
+      .map((milestone) => ({
+        key: `milestone:${fast.id}:${milestone.hours}`,
+        kind: 'milestone',
+        at: milestone.at,
+        payload: this._payload(`${milestone.icon} ${milestone.title}`,
+          `You've been fasting for ${milestone.hours} hours.`, `milestone-${fast.id}`, '/timer')
+      }));
+  }
+
+  _timeZone(profile, now) {
+    return profile.time_zone && getOffsetFromTimeZone(now, profile.time_zone) !== null
+      ? profile.time_zone
+      : 'UTC';
+  }
+
+  _parseMealtimes(value) {
+    if (value === null || value === undefined) {
+      return DEFAULT_MEALTIMES;
+    }
+
+    let meals = value;
+    if (typeof value === 'string') {
+      try {
+        meals = JSON.parse(value);
+      } catch (error) {
+        console.error('Error parsing custom_mealtimes:', error);
+        return DEFAULT_MEALTIMES;
+      }
+    }
+
+    return Array.isArray(meals)
+      ? meals.filter((meal) => meal && meal.name && /^([01]?\d|2[0-3]):[0-5]\d$/.test(meal.time))
+      : DEFAULT_MEALTIMES;
+  }
+
+  async _deliver(subscription, payload) {
+    // Subscriptions stored before the host check was added are dropped rather than sent
+    if (!this._isValidEndpoint(subscription.endpoint)) {
+      await this.db.deletePushSubscription(subscription.endpoint);
+      return 'removed';
+    }
+
+    const { publicKey, privateKey } = await this.getVapidKeys();
+    const request = this.webPush.generateRequestDetails(
+      { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+      JSON.stringify(payload),
+      {
+        TTL: PUSH_TTL_SECONDS,
+        vapidDetails: { subject: this.env.VAPID_SUBJECT || DEFAULT_VAPID_SUBJECT, publicKey, privateKey }
+      }
+    );
+    // fetch sets Content-Length itself from the body
+    const { 'Content-Length': contentLength, ...headers } = request.headers;
+
+    let status = null;
+    try {
+      // A redirect could lead anywhere, so it counts as a failure
+      const response = await this.fetch(request.endpoint, {
+        method: request.method,
+        headers,
+        body: request.body,
+        redirect: 'error'
+      });
+      status = response.status;
+    } catch (error) {
+      console.error('Error delivering push notification:', error);
+    }
+
+    if (status !== null && status >= 200 && status < 300) {
+      await this.db.updatePushSubscription(subscription.id, {
+        failure_count: 0,
+        last_success_at: this.clock().toISOString()
+      });
+      return 'sent';
+    }
+
+    const failures = (subscription.failure_count || 0) + 1;
+    if (GONE_STATUSES.includes(status) || failures >= MAX_FAILURES) {
+      await this.db.deletePushSubscription(subscription.endpoint);
+      return 'removed';
+    }
+
+    await this.db.updatePushSubscription(subscription.id, { failure_count: failures });
+    return 'failed';
+  }
+
+  _payload(title, body, tag, url) {
+    return { title, body, tag, url };
+  }
+
+  _localDate(instant, timeZone) {
+    return formatLocalDate(instant, getOffsetFromTimeZone(instant, timeZone) || 0);
+  }
+
+  _isValidEndpoint(endpoint) {
+    if (typeof endpoint !== 'string' || endpoint.length > 2000) {
+      return false;
+    }
+
+    let url;
+    try {
+      url = new URL(endpoint);
+    } catch (error) {
+      return false;
+    }
+
+    if (this.allowInsecureEndpoints) {
+      return url.protocol === 'https:' || url.protocol === 'http:';
+    }
+
+    // An explicit port or credentials never appear in a real push endpoint
+    if (url.protocol !== 'https:' || url.port !== '' || url.username || url.password) {
+      return false;
+    }
+    const host = url.hostname.toLowerCase();
+    return PUSH_SERVICE_HOSTS.includes(host) ||
+      PUSH_SERVICE_HOST_SUFFIXES.some((suffix) => host.endsWith(suffix));
+  }
+
+  _createError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = PushNotificationService;
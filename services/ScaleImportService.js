@@ -0,0 +1,412 @@
+const { zonedTimeToInstant } = require('./timezone');
+
+const SCALE_VENDORS = ['withings', 'renpho', 'apple_health'];
+
+const KG_PER_LB = 0.45359237;
+
+// Readings this close to an existing entry are treated as the same weigh-in
+const DUPLICATE_WINDOW_MS = 60 * 1000;
+const DUPLICATE_WEIGHT_TOLERANCE = 0.05;
+
+// Readings outside this range are misread exports, not weigh-ins
+const MIN_PLAUSIBLE_WEIGHT_KG = 20;
+const MAX_PLAUSIBLE_WEIGHT_KG = 400;
+
+const APPLE_BODY_MASS = 'HKQuantityTypeIdentifierBodyMass';
+const APPLE_BODY_FAT = 'HKQuantityTypeIdentifierBodyFatPercentage';
+
+/**
+ * Parses smart-scale and health-app exports into body log entries.
+ * Entries are created through BodyLogService.createEntry so tagging and
+ * canonical selection match manually logged weigh-ins.
+ */
+class ScaleImportService {
+  constructor(database, bodyLogService) {
+    this.db = database;
+    this.bodyLogService = bodyLogService;
+  }
+
+  detectVendor(content) {
+    if (typeof content !== 'string') {
+      return null;
+    }
+
+    const text = content.replace(/^\uFEFF/, '').trimStart();
+    if (text.startsWith('<?xml') || text.includes('<HealthData') || text.includes(`type="${APPLE_BODY_MASS}"`)) {
+      return 'apple_health';
+    }
+
+    const header = (text.split(/\r?\n/, 1)[0] || '').toLowerCase();
+    if (header.includes('fat mass') || header.includes('fat ratio')) {
+      return 'withings';
+    }
+    if (header.includes('time of measurement') || header.includes('body fat(%)') || header.includes('bmi')) {
+      return 'renpho';
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns { vendor, readings, errors }. Readings carry the weight in the unit
+   * of the export; CSV timestamps without an offset are read in timeZone.
+   */
+  parse(content, { vendor = null, timeZone = null } = {}) {
+    if (typeof content !== 'string' || !content.trim()) {
+      throw this._createError('EMPTY_IMPORT');
+    }
+
+    const resolvedVendor = vendor || this.detectVendor(content);
+    if (!resolvedVendor) {
+      throw this._createError('UNSUPPORTED_FORMAT');
+    }
+    if (!SCALE_VENDORS.includes(resolvedVendor)) {
+      throw this._createError('INVALID_VENDOR');
+    }
+
+    const parsed = resolvedVendor === 'apple_health'
+      ? this._parseAppleHealth(content)
+      : this._parseScaleCsv(content, resolvedVendor, timeZone);
+
+    return { vendor: resolvedVendor, ...parsed };
+  }
+
+  async importReadings(userProfile, content, { vendor = null, timeZone = null, dryRun = false } = {}) {
+    const resolvedTimeZone = timeZone || userProfile.time_zone || null;
+    const { vendor: resolvedVendor, readings, errors } = this.parse(content, { vendor, timeZone: resolvedTimeZone });
+    const targetUnit = userProfile.weight_unit === 'kg' ? 'kg' : 'lb';
+
+    const existing = await this.db.getBodyLogEntriesByUser(userProfile.id, { includeSecondary: true });
+    const seen = existing.map((entry) => ({
+      time: new Date(entry.logged_at).getTime(),
+      weight: Number(entry.weight)
+    }));
+
+    const candidates = readings
+      .map((reading) => ({ ...reading, weight: this._convertWeight(reading.weight, reading.unit, targetUnit) }))
+      .sort((a, b) => new Date(a.loggedAt).getTime() - new Date(b.loggedAt).getTime());
+
+    const toCreate = [];
+    let duplicates = 0;
+
+    candidates.forEach((reading) => {
+      const time = new Date(reading.loggedAt).getTime();
+      const isDuplicate = seen.some((item) => Math.abs(item.time - time) <= DUPLICATE_WINDOW_MS
+        && Math.abs(item.weight - reading.weight) <= DUPLICATE_WEIGHT_TOLERANCE);
+
+      if (isDuplicate) {
+        duplicates += 1;
+        return;
+      }
+
+      seen.push({ time, weight: reading.weight });
+      toCreate.push(reading);
+    });
+
+    const report = {
+      vendor: resolvedVendor,
+      dryRun,
+      weightUnit: targetUnit,
+      parsed: readings.length,
+      imported: toCreate.length,
+      duplicates,
+      errors,
+      range: toCreate.length > 0
+        ? { from: toCreate[0].loggedAt, to: toCreate[toCreate.length - 1].loggedAt }
+        : null
+    };
+
+    if (dryRun) {
+      return report;
+    }
+
+    for (const reading of toCreate) {
+      await this.bodyLogService.createEntry({
+        userProfileId: userProfile.id,
+        loggedAt: reading.loggedAt,
+        weight: reading.weight,
+        bodyFat: reading.bodyFat,
+        timezoneOffsetMinutes: reading.timezoneOffsetMinutes,
+        // An offset recorded by the device wins over the profile's zone
+        timeZone: reading.timezoneOffsetMinutes === null ? resolvedTimeZone : null,
+        source: resolvedVendor
+      });
+    }
+
+    return report;
+  }
+
+  _parseScaleCsv(content, vendor, timeZone) {
+    const rows = this._parseCsv(content);
+    const readings = [];
+    const errors = [];
+
+    if (rows.length === 0) {
+      return { readings, errors };
+    }
+
+    const header = rows[0].map((column) => column.trim().toLowerCase());
+    const dateIndex = header.findIndex((column) => column === 'date' || column === 'time of measurement');
+    const timeIndex = header.findIndex((column) => column === 'time');
+    const weightIndex = header.findIndex((column) => column.startsWith('weight'));
+    const bodyFatIndex = header.findIndex((column) => column.startsWith('body fat') || column.startsWith('fat ratio'));
+    const fatMassIndex = header.findIndex((column) => column.startsWith('fat mass'));
+
+    if (dateIndex === -1 || weightIndex === -1) {
+      throw this._createError('UNSUPPORTED_FORMAT');
+    }
+
+    const unit = this._unitFromHeader(header[weightIndex]);
+
+    rows.slice(1).forEach((row, index) => {
+      const line = index + 2;
+      if (row.every((value) => !value || !value.trim())) {
+        return;
+      }
+
+      const dateText = timeIndex !== -1 ? `${row[dateIndex]} ${row[timeIndex]}` : row[dateIndex];
+      const loggedAt = this._parseLocalDateTime(dateText, timeZone);
+      const weight = this._parseNumber(row[weightIndex]);
+
+      if (!loggedAt) {
+        errors.push({ line, message: `Unrecognized date "${dateText}"` });
+        return;
+      }
+      if (weight === null || weight <= 0) {
+        errors.push({ line, message: 'Missing weight' });
+        return;
+      }
+      if (!this._isPlausibleWeight(weight, unit)) {
+        errors.push({ line, message: `Implausible weight "${row[weightIndex].trim()}"` });
+        return;
+      }
+
+      let bodyFat = bodyFatIndex !== -1 ? this._parseNumber(row[bodyFatIndex]) : null;
+      if (bodyFat === null && fatMassIndex !== -1) {
+        const fatMass = this._parseNumber(row[fatMassIndex]);
+        bodyFat = fatMass !== null ? (fatMass / weight) * 100 : null;
+      }
+
+      readings.push({
+        loggedAt,
+        timezoneOffsetMinutes: null,
+        weight,
+        unit,
+        bodyFat: this._roundBodyFat(bodyFat),
+        vendor
+      });
+    });
+
+    return { readings, errors };
+  }
+
+  _parseAppleHealth(content) {
+    const masses = [];
+    const bodyFatByStart = new Map();
+    const errors = [];
+    const recordPattern = /<Record\b([^>]*)>/g;
+
+    let match = recordPattern.exec(content);
+    while (match) {
+      const attributes = this._parseXmlAttributes(match[1]);
+
+      if (attributes.type === APPLE_BODY_MASS) {
+        masses.push(attributes);
+      } else if (attributes.type === APPLE_BODY_FAT) {
+        const value = this._parseNumber(attributes.value);
+        if (value !== null) {
+          // HealthKit stores body fat as a fraction
+          bodyFatByStart.set(attributes.startDate, value <= 1 ? value * 100 : value);
+        }
+      }
+
+      match = recordPattern.exec(content);
+    }
+
+    const readings = [];
+    masses.forEach((attributes) => {
+      const parsedDate = this._parseAppleDate(attributes.startDate);
+      const value = this._parseNumber(attributes.value);
+      const unit = (attributes.unit || '').toLowerCase();
+      const weight = value !== null && unit === 'g' ? value / 1000 : value;
+      const weightUnit = unit === 'lb' ? 'lb' : 'kg';
+
+      if (!parsedDate || weight === null || !this._isPlausibleWeight(weight, weightUnit)) {
+        errors.push({ line: null, message: `Skipped body mass record at "${attributes.startDate}"` });
+        return;
+      }
+
+      readings.push({
+        loggedAt: parsedDate.isoString,
+        timezoneOffsetMinutes: parsedDate.offsetMinutes,
+        weight,
+        unit: weightUnit,
+        bodyFat: this._roundBodyFat(bodyFatByStart.has(attributes.startDate) ? bodyFatByStart.get(attributes.startDate) : null),
+        vendor: 'apple_health'
+      });
+    });
+
+    return { readings, errors };
+  }
+
+  _parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i += 1) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i += 1;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  // Accepts YYYY-MM-DD, YYYY/MM/DD, YYYY.MM.DD or MM/DD/YYYY with an optional HH:MM[:SS] [AM|PM]
+  _parseLocalDateTime(value, timeZone) {
+    if (!value) {
+      return null;
+    }
+
+    const text = value.replace(',', ' ').trim();
+    const match = text.match(
+      /^(?:(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})|(\d{1,2})\/(\d{1,2})\/(\d{4}))(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?)?$/
+    );
+    if (!match) {
+      return null;
+    }
+
+    const year = Number(match[1] || match[6]);
+    const month = Number(match[2] || match[4]);
+    const day = Number(match[3] || match[5]);
+    let hour = match[7] ? Number(match[7]) : 0;
+    const minute = match[8] ? Number(match[8]) : 0;
+    const second = match[9] ? Number(match[9]) : 0;
+    const meridiem = match[10] ? match[10].toLowerCase() : null;
+
+    if (meridiem === 'pm' && hour < 12) {
+      hour += 12;
+    } else if (meridiem === 'am' && hour === 12) {
+      hour = 0;
+    }
+
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+      return null;
+    }
+
+    return zonedTimeToInstant({ year, month, day, hour, minute, second }, timeZone).toISOString();
+  }
+
+  // Apple Health dates look like "2024-03-01 07:12:45 -0500"
+  _parseAppleDate(value) {
+    const match = typeof value === 'string'
+      ? value.match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-])(\d{2})(\d{2})$/)
+      : null;
+    if (!match) {
+      return null;
+    }
+
+    const instant = new Date(`${match[1]}T${match[2]}${match[3]}${match[4]}:${match[5]}`);
+    if (Number.isNaN(instant.getTime())) {
+      return null;
+    }
+
+    const sign = match[3] === '-' ? -1 : 1;
+    return {
+      isoString: instant.toISOString(),
+      offsetMinutes: sign * (Number(match[4]) * 60 + Number(match[5]))
+    };
+  }
+
+  _parseXmlAttributes(source) {
+    const attributes = {};
+    const attributePattern = /([\w:-]+)="([^"]*)"/g;
+    let match = attributePattern.exec(source);
+    while (match) {
+      attributes[match[1]] = match[2];
+      match = attributePattern.exec(source);
+    }
+    return attributes;
+  }
+
+  _parseNumber(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    let cleaned = String(value).replace(/[^0-9.,-]/g, '');
+    // European exports write 72,5; otherwise commas group thousands
+    cleaned = /^[^.,]*,[^.,]*$/.test(cleaned) ? cleaned.replace(',', '.') : cleaned.replace(/,/g, '');
+    if (!cleaned || cleaned === '-' || cleaned === '.') {
+      return null;
+    }
+    const parsed = Number(cleaned);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+
+  _isPlausibleWeight(weight, unit) {
+    const kg = this._convertWeight(weight, unit, 'kg');
+    return kg >= MIN_PLAUSIBLE_WEIGHT_KG && kg <= MAX_PLAUSIBLE_WEIGHT_KG;
+  }
+
+  _unitFromHeader(column) {
+    return /\blbs?\b/.test(column) ? 'lb' : 'kg';
+  }
+
+  _convertWeight(weight, fromUnit, toUnit) {
+    let converted = weight;
+    if (fromUnit === 'kg' && toUnit === 'lb') {
+      converted = weight / KG_PER_LB;
+    } else if (fromUnit === 'lb' && toUnit === 'kg') {
+      converted = weight * KG_PER_LB;
+    }
+    return Math.round(converted * 100) / 100;
+  }
+
+  _roundBodyFat(value) {
+    if (value === null || value === undefined || !Number.isFinite(value) || value <= 0 || value >= 100) {
+      return null;
+    }
+    return Math.round(value * 10) / 10;
+  }
+
+  _createError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = ScaleImportService;
+module.exports.SCALE_VENDORS = SCALE_VENDORS;
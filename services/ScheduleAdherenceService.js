@@ -0,0 +1,333 @@
+const { parseDatabaseTimestamp } = require('./timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_RANGE_DAYS = 28;
+const MAX_RANGE_DAYS = 366;
+const ON_TIME_TOLERANCE_MINUTES = 30;
+const DURATION_TOLERANCE_HOURS = 1;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Compares a schedule's planned instances with the fasts that actually happened.
+ *
+ * A fast fulfils an instance when it carries the instance id in
+ * planned_instance_id, otherwise when it overlaps the planned window; each
+ * fast counts for at most one instance. Instances come from planned_instances;
+ * for stretches before the schedule was first materialized they are generated
+ * from the current blocks instead (and flagged as such).
+ */
+class ScheduleAdherenceService {
+  constructor(database, plannedInstanceService, { clock = () => new Date() } = {}) {
+    this.db = database;
+    this.plannedInstanceService = plannedInstanceService;
+    this.clock = clock;
+  }
+
+  async getReport(userProfileId, { from, to } = {}) {
+    const now = this.clock();
+    const range = this._parseRange(from, to, now);
+    const schedule = await this.db.getScheduleByUserProfile(userProfileId);
+
+    if (!schedule) {
+      return this._buildReport(range, null, []);
+    }
+
+    await this.plannedInstanceService.ensureMaterialized(schedule);
+    const instances = await this._loadInstances(schedule, range);
+    if (instances.length === 0) {
+      return this._buildReport(range, schedule, []);
+    }
+
+    const windowStart = new Date(Math.min(...instances.map((instance) => instance.start.getTime())) - DAY_MS);
+    const windowEnd = new Date(Math.max(...instances.map((instance) => instance.end.getTime())) + DAY_MS);
+    const fasts = await this.db.getFastsByUserAndDateRange(userProfileId, windowStart.toISOString(), windowEnd.toISOString());
+
+    const matches = this._matchFasts(instances, fasts, now);
+    const rows = instances.map((instance) => this._describe(instance, matches.get(instance), schedule, now));
+    return this._buildReport(range, schedule, rows);
+  }
+
+  async _loadInstances(schedule, range) {
+    const persisted = await this.plannedInstanceService.listInstances(schedule, {
+      from: range.from,
+      to: range.to,
+      withOverrides: true
+    });
+    const instances = persisted.map((instance) => this._toPlanned(instance, 'persisted'));
+
+    // Only fill in history from before materialization started; later gaps are real
+    const earlier = await this.db.getPlannedInstancesBySchedule(schedule.id, { to: range.from.toISOString() });
+    if (earlier.length > 0) {
+      return instances;
+    }
+
+    const createdAt = parseDatabaseTimestamp(schedule.created_at);
+    const generateFrom = new Date(Math.max(range.from.getTime(), createdAt ? createdAt.getTime() : 0));
+    const generateTo = persisted.length > 0 ? new Date(persisted[0].start_at_utc) : range.to;
+    if (generateFrom >= generateTo) {
+      return instances;
+    }
+
+    const profile = await this.db.getUserProfileById(schedule.user_profile_id);
+    const blocks = await this.db.getFastingBlocksBySchedule(schedule.id);
+    const generated = [];
+    for (const block of blocks) {
+      const blockInstances = await this.db.generateInstancesForBlock(block, schedule, generateFrom, generateTo, {
+        timeZone: profile ? profile.time_zone : undefined
+      });
+      blockInstances
+        .filter((instance) => new Date(instance.start_at_utc) < generateTo)
+        .forEach((instance) => generated.push(this._toPlanned({ ...instance, id: null }, 'generated')));
+    }
+
+    return [...generated, ...instances].sort((a, b) => a.start - b.start);
+  }
+
+  _toPlanned(instance, source) {
+    return {
+      id: instance.id,
+      blockId: instance.block_id,
+      blockName: instance.block_name,
+      occurrenceDate: instance.occurrence_date,
+      start: new Date(instance.start_at_utc),
+      end: new Date(instance.end_at_utc),
+      skipped: instance.status === 'skipped' || Boolean(instance.override && instance.override.type === 'skip'),
+      source
+    };
+  }
+
+  /**
+   * Explicit links win; the remaining fasts go to the overlapping instance whose
+   * planned start is closest. Fasts linked to an instance outside the report are left alone.
+   */
+  _matchFasts(instances, fasts, now) {
+    const matches = new Map();
+    const claimed = new Set();
+    const byId = new Map(instances.filter((instance) => instance.id !== null).map((instance) => [String(instance.id), instance]));
+
+    fasts.forEach((fast) => {
+      if (fast.planned_instance_id === null || fast.planned_instance_id === undefined) {
+        return;
+      }
+      const instance = byId.get(String(fast.planned_instance_id));
+      if (instance && !matches.has(instance)) {
+        matches.set(instance, fast);
+      }
+      claimed.add(fast.id);
+    });
+
+    instances.forEach((instance) => {
+      if (matches.has(instance)) {
+        return;
+      }
+
+      let best = null;
+      let bestDistance = Infinity;
+      fasts.forEach((fast) => {
+        if (claimed.has(fast.id)) {
+          return;
+        }
+        const start = parseDatabaseTimestamp(fast.start_time);
+        const end = parseDatabaseTimestamp(fast.end_time) || now;
+        if (!start || start >= instance.end || end <= instance.start) {
+          return;
+        }
+        const distance = Math.abs(start - instance.start);
+        if (distance < bestDistance) {
+          best = fast;
+          bestDistance = distance;
+        }
+      });
+
+      if (best) {
+        matches.set(instance, best);
+        claimed.add(best.id);
+      }
+    });
+
+    return matches;
+  }
+
+  _describe(instance, fast, schedule, now) {
+    const plannedDurationHours = (instance.end - instance.start) / HOUR_MS;
+    const row = {
+      instanceId: instance.id,
+      blockId: instance.blockId,
+      blockName: instance.blockName,
+      occurrenceDate: instance.occurrenceDate,
+      weekStart: this._weekStart(instance.occurrenceDate, schedule.week_anchor),
+      source: instance.source,
+      plannedStart: instance.start.toISOString(),
+      plannedEnd: instance.end.toISOString(),
+      plannedDurationHours,
+      outcome: null,
+      fastId: null,
+      actualStart: null,
+      actualEnd: null,
+      actualDurationHours: null,
+      startTiming: null,
+      startOffsetMinutes: null,
+      durationOutcome: null,
+      durationDeltaHours: null
+    };
+
+    if (!fast) {
+      if (instance.skipped) {
+        row.outcome = 'skipped';
+      } else {
+        row.outcome = instance.end < now ? 'missed' : 'pending';
+      }
+      return row;
+    }
+
+    const start = parseDatabaseTimestamp(fast.start_time);
+    const end = parseDatabaseTimestamp(fast.end_time);
+    const offsetMinutes = Math.round((start - instance.start) / 60000);
+
+    row.outcome = 'followed';
+    row.fastId = fast.id;
+    row.actualStart = start.toISOString();
+    row.actualEnd = end ? end.toISOString() : null;
+    row.startOffsetMinutes = offsetMinutes;
+
+    if (fast.source === 'scheduled_early' || offsetMinutes < -ON_TIME_TOLERANCE_MINUTES) {
+      row.startTiming = 'early';
+    } else if (offsetMinutes > ON_TIME_TOLERANCE_MINUTES) {
+      row.startTiming = 'late';
+    } else {
+      row.startTiming = 'on_time';
+    }
+
+    if (fast.is_active || !end) {
+      row.durationOutcome = 'in_progress';
+      return row;
+    }
+
+    const actualHours = fast.duration_hours !== null && fast.duration_hours !== undefined
+      ? Number(fast.duration_hours)
+      : (end - start) / HOUR_MS;
+    const delta = actualHours - plannedDurationHours;
+    row.actualDurationHours = Math.round(actualHours * 100) / 100;
+    row.durationDeltaHours = Math.round(delta * 100) / 100;
+
+    if (delta > DURATION_TOLERANCE_HOURS) {
+      row.durationOutcome = 'extended';
+    } else if (delta < -DURATION_TOLERANCE_HOURS) {
+      row.durationOutcome = 'shortened';
+    } else {
+      row.durationOutcome = 'as_planned';
+    }
+    return row;
+  }
+
+  _buildReport(range, schedule, rows) {
+    const blocks = new Map();
+    const weeks = new Map();
+
+    rows.forEach((row) => {
+      if (!blocks.has(row.blockId)) {
+        blocks.set(row.blockId, { blockId: row.blockId, blockName: row.blockName, rows: [] });
+      }
+      blocks.get(row.blockId).rows.push(row);
+
+      if (!weeks.has(row.weekStart)) {
+        weeks.set(row.weekStart, { weekStart: row.weekStart, rows: [], blocks: new Map() });
+      }
+      const week = weeks.get(row.weekStart);
+      week.rows.push(row);
+      if (!week.blocks.has(row.blockId)) {
+        week.blocks.set(row.blockId, { blockId: row.blockId, blockName: row.blockName, rows: [] });
+      }
+      week.blocks.get(row.blockId).rows.push(row);
+    });
+
+    const summarizeGroup = ({ rows: groupRows, ...rest }) => ({ ...rest, ...this._summarize(groupRows) });
+
+    return {
+      range: { from: range.from.toISOString(), to: range.to.toISOString() },
+      scheduleId: schedule ? schedule.id : null,
+      tolerances: {
+        onTimeMinutes: ON_TIME_TOLERANCE_MINUTES,
+        durationHours: DURATION_TOLERANCE_HOURS
+      },
+      summary: this._summarize(rows),
+      blocks: [...blocks.values()].map(summarizeGroup),
+      weeks: [...weeks.values()]
+        .sort((a, b) => a.weekStart.localeCompare(b.weekStart))
+        .map(({ blocks: weekBlocks, ...week }) => ({
+          ...summarizeGroup(week),
+          blocks: [...weekBlocks.values()].map(summarizeGroup)
+        })),
+      instances: rows
+    };
+  }
+
+  _summarize(rows) {
+    const count = (predicate) => rows.filter(predicate).length;
+    const followed = count((row) => row.outcome === 'followed');
+    const missed = count((row) => row.outcome === 'missed');
+    const onTime = count((row) => row.startTiming === 'on_time');
+
+    return {
+      planned: rows.length,
+      followed,
+      skipped: count((row) => row.outcome === 'skipped'),
+      missed,
+      pending: count((row) => row.outcome === 'pending'),
+      onTime,
+      early: count((row) => row.startTiming === 'early'),
+      late: count((row) => row.startTiming === 'late'),
+      asPlanned: count((row) => row.durationOutcome === 'as_planned'),
+      shortened: count((row) => row.durationOutcome === 'shortened'),
+      extended: count((row) => row.durationOutcome === 'extended'),
+      inProgress: count((row) => row.durationOutcome === 'in_progress'),
+      // Skips are planned absences, so they count for neither side
+      adherenceRate: followed + missed > 0 ? Math.round((followed / (followed + missed)) * 1000) / 1000 : null,
+      onTimeRate: followed > 0 ? Math.round((onTime / followed) * 1000) / 1000 : null
+    };
+  }
+
+  _parseRange(from, to, now) {
+    const end = to ? this._parseBoundary(to, 'end') : now;
+    const start = from ? this._parseBoundary(from, 'start') : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (!start || !end || start > end) {
+      throw this._createError('INVALID_DATE_RANGE');
+    }
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+      throw this._createError('DATE_RANGE_TOO_LARGE');
+    }
+
+    return { from: start, to: end };
+  }
+
+  // Bare dates cover the whole UTC day; anything else must parse as a timestamp
+  _parseBoundary(value, edge) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+    if (DATE_ONLY_PATTERN.test(value)) {
+      const date = new Date(`${value}T${edge === 'start' ? '00:00:00.000' : '23:59:59.999'}Z`);
+      return Number.isNaN(date.getTime()) ? null : date;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  _weekStart(occurrenceDate, weekAnchor) {
+    const anchor = Number.isInteger(Number(weekAnchor)) ? Number(weekAnchor) : 1;
+    const date = new Date(`${occurrenceDate}T00:00:00.000Z`);
+    const back = (date.getUTCDay() - anchor + 7) % 7;
+    return new Date(date.getTime() - back * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  _createError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = ScheduleAdherenceService;
+module.exports.MAX_RANGE_DAYS = MAX_RANGE_DAYS;
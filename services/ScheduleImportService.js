@@ -0,0 +1,500 @@
+const { getOffsetFromTimeZone, zonedTimeToInstant } = require('./timezone');
+const { isValidTimeZone, validateBlockInput } = require('./blockValidation');
+const { IMPORT_MODES } = require('./DataImportService');
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MINUTES = 24 * 60;
+const WEEK_MINUTES = 7 * DAY_MINUTES;
+const PREVIEW_DAYS = 28;
+// Events from our own feed carry this UID domain even when their titles don't mention fasting
+const FEED_UID_SUFFIX = '@fasting-forecast';
+const FAST_PATTERN = /\bfast/i;
+
+/**
+ * Converts recurring events tagged as fasts in an iCalendar file into
+ * fasting blocks and per-date overrides.
+ *
+ * An event counts as a fast when its CATEGORIES or SUMMARY mention fasting,
+ * or it came from our own calendar feed. Weekly and daily RRULEs become one
+ * block per weekday; EXDATEs and cancelled exceptions become skip overrides,
+ * and moved exceptions become shift, extend or shorten overrides. Blocks go
+ * through the same validation as POST /api/schedule/blocks. Changes to
+ * occurrences that have already started are not imported.
+ */
+class ScheduleImportService {
+  constructor(database, { clock = () => new Date() } = {}) {
+    this.db = database;
+    this.clock = clock;
+  }
+
+  /**
+   * Returns the blocks and overrides an import would create together with
+   * four weeks of instances, in the shape POST /api/schedule/preview uses.
+   */
+  async previewImport(userProfile, content, { timeZone = null } = {}) {
+    const resolvedTimeZone = this._resolveTimeZone(userProfile, timeZone);
+    const conversion = this.convert(content, { timeZone: resolvedTimeZone });
+
+    const now = this.clock();
+    const endDate = new Date(now.getTime() + PREVIEW_DAYS * 24 * HOUR_MS);
+    const previewSchedule = { id: 'preview', user_profile_id: userProfile.id, week_anchor: 1, is_paused: false };
+    const nextInstances = [];
+
+    for (let index = 0; index < conversion.blocks.length; index += 1) {
+      const block = { id: `preview-${index}`, ...conversion.blocks[index] };
+      const overrides = conversion.overrides.filter((override) => override.block_index === index);
+      const instances = await this.db.generateInstancesForBlock(block, previewSchedule, now, endDate, {
+        timeZone: resolvedTimeZone,
+        overrides
+      });
+      nextInstances.push(...instances);
+    }
+    nextInstances.sort((a, b) => new Date(a.start_at_utc) - new Date(b.start_at_utc));
+
+    return {
+      preview: true,
+      blocks: conversion.blocks,
+      overrides: conversion.overrides,
+      nextInstances,
+      skipped: conversion.skipped,
+      warnings: conversion.warnings
+    };
+  }
+
+  /**
+   * Saves the converted blocks and overrides. 'merge' adds them next to the
+   * current blocks; 'replace' deactivates the current blocks first.
+   */
+  async importSchedule(userProfile, content, { timeZone = null, mode = 'merge' } = {}) {
+    if (!IMPORT_MODES.includes(mode)) {
+      throw this._createError('INVALID_IMPORT_MODE');
+    }
+
+    const conversion = this.convert(content, { timeZone: this._resolveTimeZone(userProfile, timeZone) });
+    if (conversion.blocks.length === 0) {
+      throw this._createError('NO_FAST_EVENTS');
+    }
+
+    let schedule = await this.db.getScheduleByUserProfile(userProfile.id);
+    if (!schedule) {
+      schedule = await this.db.createSchedule({ user_profile_id: userProfile.id, week_anchor: 1, is_paused: false });
+    }
+
+    if (mode === 'replace') {
+      const existing = await this.db.getFastingBlocksBySchedule(schedule.id);
+      for (const block of existing) {
+        await this.db.deleteFastingBlock(block.id);
+      }
+    }
+
+    const blocks = [];
+    for (const block of conversion.blocks) {
+      blocks.push(await this.db.createFastingBlock({ schedule_id: schedule.id, ...block }));
+    }
+
+    const overrides = [];
+    for (const { block_index: blockIndex, ...override } of conversion.overrides) {
+      overrides.push(await this.db.createOverride({ block_id: blocks[blockIndex].id, ...override }));
+    }
+
+    return {
+      imported: true,
+      mode,
+      schedule,
+      blocks,
+      overrides,
+      skipped: conversion.skipped,
+      warnings: conversion.warnings
+    };
+  }
+
+  /**
+   * Returns { blocks, overrides, skipped, warnings }. Overrides point at their
+   * block through block_index. Floating times are read in timeZone.
+   */
+  convert(content, { timeZone = null } = {}) {
+    const events = this.parse(content);
+    const now = this.clock();
+    const result = { blocks: [], overrides: [], skipped: [], warnings: [] };
+
+    const series = events.filter((event) => !event.recurrenceId);
+    const exceptionsByUid = new Map();
+    events.filter((event) => event.recurrenceId).forEach((event) => {
+      exceptionsByUid.set(event.uid, [...(exceptionsByUid.get(event.uid) || []), event]);
+    });
+
+    series.filter((event) => this._isFastEvent(event)).forEach((event) => {
+      const report = (list, key, message) => list.push({ uid: event.uid, summary: event.summary, [key]: message });
+      const converted = this._convertSeries(event, timeZone, now);
+      if (converted.error) {
+        report(result.skipped, 'reason', converted.error);
+        return;
+      }
+      converted.warnings.forEach((message) => report(result.warnings, 'message', message));
+
+      const firstIndex = result.blocks.length;
+      result.blocks.push(...converted.blocks);
+
+      const changes = [
+        ...event.exdates.map((date) => ({ date, type: 'skip' })),
+        ...(exceptionsByUid.get(event.uid) || []).map((exception) => ({ date: exception.recurrenceId, exception }))
+      ];
+      changes.forEach((change) => {
+        const override = this._convertOverride(event, converted, change, timeZone, now);
+        if (override.error) {
+          report(result.warnings, 'message', override.error);
+        }
+        if (override.warning) {
+          report(result.warnings, 'message', override.warning);
+        }
+        if (override.override) {
+          result.overrides.push({ ...override.override, block_index: firstIndex + override.blockOffset });
+        }
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Splits an iCalendar document into VEVENTs. Dates are kept as wall-clock
+   * readings with the zone they were written in: a TZID, 'UTC' or null (floating).
+   */
+  parse(content) {
+    if (typeof content !== 'string' || !content.trim()) {
+      throw this._createError('EMPTY_IMPORT');
+    }
+
+    const lines = content.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    if ((lines[0] || '').trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+      throw this._createError('UNSUPPORTED_FORMAT');
+    }
+
+    const events = [];
+    const stack = [];
+    let current = null;
+
+    lines.forEach((rawLine) => {
+      const line = this._parseLine(rawLine);
+      if (!line) {
+        return;
+      }
+
+      if (line.name === 'BEGIN') {
+        stack.push(line.value.toUpperCase());
+        if (line.value.toUpperCase() === 'VEVENT' && stack.length === 2) {
+          current = { properties: [] };
+        }
+        return;
+      }
+      if (line.name === 'END') {
+        if (stack.pop() === 'VEVENT' && current && stack.length === 1) {
+          events.push(this._toEvent(current.properties));
+          current = null;
+        }
+        return;
+      }
+      // Properties of nested components such as VALARM are not the event's own
+      if (current && stack.length === 2) {
+        current.properties.push(line);
+      }
+    });
+
+    return events;
+  }
+
+  _toEvent(properties) {
+    const first = (name) => properties.find((property) => property.name === name) || null;
+    const all = (name) => properties.filter((property) => property.name === name);
+    const summary = first('SUMMARY');
+
+    return {
+      uid: first('UID') ? first('UID').value : null,
+      summary: summary ? this._unescapeText(summary.value) : null,
+      categories: all('CATEGORIES').flatMap((property) => this._splitList(property.value)).map((value) => this._unescapeText(value)),
+      status: first('STATUS') ? first('STATUS').value.toUpperCase() : null,
+      start: this._parseDate(first('DTSTART')),
+      end: this._parseDate(first('DTEND')),
+      durationMinutes: first('DURATION') ? this._parseDuration(first('DURATION').value) : null,
+      rrule: first('RRULE') ? this._parseRule(first('RRULE').value) : null,
+      recurrenceId: this._parseDate(first('RECURRENCE-ID')),
+      exdates: all('EXDATE').flatMap((property) => property.value.split(',').map((value) => this._parseDate({ ...property, value })))
+    };
+  }
+
+  _isFastEvent(event) {
+    return event.categories.some((category) => FAST_PATTERN.test(category))
+      || FAST_PATTERN.test(event.summary || '')
+      || Boolean(event.uid && event.uid.endsWith(FEED_UID_SUFFIX));
+  }
+
+  _convertSeries(event, timeZone, now) {
+    if (!event.rrule) {
+      return { error: 'Not a recurring event' };
+    }
+    if (!event.start) {
+      return { error: 'Missing DTSTART' };
+    }
+    if (event.start.allDay) {
+      return { error: 'All-day events have no fasting window' };
+    }
+
+    const rule = event.rrule;
+    if (!['WEEKLY', 'DAILY'].includes(rule.FREQ) || (rule.INTERVAL && rule.INTERVAL !== '1')) {
+      return { error: 'Only events repeating every day or every week can become fasting blocks' };
+    }
+    if (rule.UNTIL) {
+      const until = this._parseDate({ params: {}, value: rule.UNTIL });
+      if (until && this._toInstant(until, event.start.zone || timeZone) < now) {
+        return { error: 'The recurrence has already ended' };
+      }
+    }
+
+    const durationMinutes = this._eventDuration(event, timeZone);
+    if (!Number.isFinite(durationMinutes) || durationMinutes <= 0 || durationMinutes > WEEK_MINUTES) {
+      return { error: 'The fasting window must be longer than zero and at most a week' };
+    }
+
+    const warnings = [];
+    let zone = event.start.zone;
+    if (zone && zone !== 'UTC' && !isValidTimeZone(zone)) {
+      warnings.push(`Unknown time zone ${zone}; times were read as local time`);
+      zone = null;
+    }
+    if (rule.COUNT) {
+      warnings.push('Repeats a fixed number of times; imported as an ongoing block');
+    }
+
+    const startDow = this._weekday(event.start);
+    const days = rule.FREQ === 'DAILY'
+      ? [0, 1, 2, 3, 4, 5, 6]
+      : this._ruleWeekdays(rule.BYDAY, startDow);
+    const startMinutes = event.start.hour * 60 + event.start.minute;
+    const endMinutes = startMinutes + durationMinutes;
+
+    const blocks = [];
+    for (const day of days) {
+      const block = {
+        name: event.summary || 'Imported fast',
+        start_dow: day,
+        start_time: this._formatTime(startMinutes),
+        end_dow: (day + Math.floor(endMinutes / DAY_MINUTES)) % 7,
+        end_time: this._formatTime(endMinutes % DAY_MINUTES),
+        tz_mode: zone ? 'fixed' : 'local',
+        // Matches POST /api/schedule/blocks, which anchors local blocks to the device zone
+        anchor_tz: zone || timeZone || null
+      };
+      const error = validateBlockInput(block);
+      if (error) {
+        return { error };
+      }
+      blocks.push(block);
+    }
+
+    return { blocks, zone, durationMinutes, warnings };
+  }
+
+  /**
+   * Resolves an EXDATE or exception back to the block and UTC occurrence date
+   * generateInstancesForBlock would give that occurrence.
+   */
+  _convertOverride(event, converted, { date, type, exception }, timeZone, now) {
+    const seriesZone = converted.zone || timeZone || 'UTC';
+    const zoneOf = (wall) => (wall.zone === 'UTC' || isValidTimeZone(wall.zone) ? wall.zone : seriesZone);
+    const original = date ? this._toInstant(date, zoneOf(date)) : null;
+    if (!original) {
+      return { error: 'An excluded or changed date could not be read' };
+    }
+    if (original < now) {
+      return {};
+    }
+
+    const offset = getOffsetFromTimeZone(original, seriesZone) || 0;
+    const local = new Date(original.getTime() + offset * MINUTE_MS);
+    const blockOffset = converted.blocks.findIndex((block) => block.start_dow === local.getUTCDay()
+      && block.start_time === this._formatTime(local.getUTCHours() * 60 + local.getUTCMinutes()));
+    const label = local.toISOString().slice(0, 10);
+    if (blockOffset === -1) {
+      return { error: `${label} is not an occurrence of this event` };
+    }
+
+    const occurrenceDate = original.toISOString().slice(0, 10);
+    if (type === 'skip' || exception.status === 'CANCELLED') {
+      return { blockOffset, override: { occurrence_date: occurrenceDate, type: 'skip', payload: null, reason: 'Imported from calendar' } };
+    }
+
+    const start = exception.start ? this._toInstant(exception.start, zoneOf(exception.start)) : original;
+    const duration = this._eventDuration(exception, seriesZone);
+    const end = new Date(start.getTime() + (Number.isFinite(duration) ? duration : converted.durationMinutes) * MINUTE_MS);
+    const originalEnd = new Date(original.getTime() + converted.durationMinutes * MINUTE_MS);
+    const startHours = (start - original) / HOUR_MS;
+    const endHours = (end - originalEnd) / HOUR_MS;
+
+    let change = null;
+    if (startHours !== 0) {
+      change = { type: 'shift', hours: startHours };
+    } else if (endHours !== 0) {
+      change = { type: endHours > 0 ? 'extend' : 'shorten', hours: Math.abs(endHours) };
+    }
+    if (!change) {
+      return {};
+    }
+    // Overrides move whole hours only
+    if (!Number.isInteger(change.hours)) {
+      return { error: `The change on ${label} is not a whole number of hours` };
+    }
+
+    const override = {
+      occurrence_date: occurrenceDate,
+      type: change.type,
+      payload: { hours: change.hours },
+      reason: exception.summary && exception.summary !== event.summary ? exception.summary : 'Imported from calendar'
+    };
+    const warning = change.type === 'shift' && endHours !== startHours
+      ? `Only the new start time was imported for ${label}; the fast keeps its usual length`
+      : null;
+    return { blockOffset, override, warning };
+  }
+
+  _eventDuration(event, timeZone) {
+    if (Number.isFinite(event.durationMinutes)) {
+      return event.durationMinutes;
+    }
+    if (!event.start || !event.end || event.end.allDay) {
+      return NaN;
+    }
+    // Same zone: wall-clock difference, so a fast spanning a DST change keeps its listed hours
+    if (event.start.zone === event.end.zone) {
+      return (this._wallTime(event.end) - this._wallTime(event.start)) / MINUTE_MS;
+    }
+    const zone = timeZone || 'UTC';
+    return (this._toInstant(event.end, event.end.zone || zone) - this._toInstant(event.start, event.start.zone || zone)) / MINUTE_MS;
+  }
+
+  _ruleWeekdays(byDay, fallback) {
+    if (!byDay) {
+      return [fallback];
+    }
+    const days = byDay.split(',')
+      .map((value) => ICS_WEEKDAYS.indexOf(value.trim().toUpperCase().replace(/^[+-]?\d+/, '')))
+      .filter((day) => day !== -1);
+    return days.length > 0 ? [...new Set(days)].sort((a, b) => a - b) : [fallback];
+  }
+
+  _parseLine(line) {
+    if (!line.trim()) {
+      return null;
+    }
+
+    let quoted = false;
+    let separator = -1;
+    for (let index = 0; index < line.length; index += 1) {
+      if (line[index] === '"') {
+        quoted = !quoted;
+      } else if (line[index] === ':' && !quoted) {
+        separator = index;
+        break;
+      }
+    }
+    if (separator === -1) {
+      return null;
+    }
+
+    const [name, ...rawParams] = line.slice(0, separator).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const params = {};
+    rawParams.forEach((param) => {
+      const [key, ...value] = param.split('=');
+      params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+    });
+
+    return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+  }
+
+  _parseRule(value) {
+    return value.split(';').reduce((rule, part) => {
+      const [key, ...rest] = part.split('=');
+      if (key) {
+        rule[key.toUpperCase()] = rest.join('=').toUpperCase();
+      }
+      return rule;
+    }, {});
+  }
+
+  _parseDate(property) {
+    if (!property) {
+      return null;
+    }
+
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(property.value.trim());
+    if (!match) {
+      return null;
+    }
+
+    const [, year, month, day, hour, minute, second, utc] = match;
+    const tzid = property.params.TZID ? property.params.TZID.replace(/^\//, '') : null;
+    return {
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: Number(hour || 0),
+      minute: Number(minute || 0),
+      second: Number(second || 0),
+      allDay: hour === undefined,
+      zone: utc ? 'UTC' : tzid
+    };
+  }
+
+  _parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) {
+      return NaN;
+    }
+    const [, sign, weeks, days, hours, minutes] = match;
+    const total = (Number(weeks || 0) * WEEK_MINUTES) + (Number(days || 0) * DAY_MINUTES)
+      + (Number(hours || 0) * 60) + Number(minutes || 0);
+    return sign === '-' ? -total : total;
+  }
+
+  _toInstant(wall, zone) {
+    return zone && zone !== 'UTC' && isValidTimeZone(zone)
+      ? zonedTimeToInstant(wall, zone)
+      : new Date(this._wallTime(wall));
+  }
+
+  _wallTime({ year, month, day, hour = 0, minute = 0, second = 0 }) {
+    return Date.UTC(year, month - 1, day, hour, minute, second);
+  }
+
+  _weekday(wall) {
+    return new Date(this._wallTime(wall)).getUTCDay();
+  }
+
+  _formatTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  _splitList(value) {
+    return value.split(/(?<!\\),/).map((item) => item.trim()).filter(Boolean);
+  }
+
+  _unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+  }
+
+  _resolveTimeZone(userProfile, timeZone) {
+    if (isValidTimeZone(timeZone)) {
+      return timeZone.trim();
+    }
+    return userProfile && isValidTimeZone(userProfile.time_zone) ? userProfile.time_zone : null;
+  }
+
+  _createError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = ScheduleImportService;
@@ -0,0 +1,87 @@
+const { evaluateInstanceNotifications } = require('./notificationRules');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_WINDOW_HOURS = 48;
+const MAX_WINDOW_HOURS = 14 * 24;
+// Blocks run for at most a week, so an instance still sending notifications started no earlier than this
+const MAX_INSTANCE_DAYS = 7;
+// The longest pre-start lead time notificationRules accepts
+const MAX_LEAD_HOURS = 24;
+
+/**
+ * Builds the notification timeline for a profile's schedule: planned
+ * instances from planned_instances, evaluated against each block's
+ * notifications rules (see notificationRules.js). Clients read it through
+ * GET /api/schedule/notifications/upcoming; PushNotificationService sends from it.
+ */
+class ScheduleNotificationService {
+  constructor(database, plannedInstanceService = null, { clock = () => new Date() } = {}) {
+    this.db = database;
+    this.plannedInstanceService = plannedInstanceService;
+    this.clock = clock;
+  }
+
+  async getUpcoming(profile, { hours } = {}) {
+    const windowHours = hours === undefined || hours === null || hours === '' ? DEFAULT_WINDOW_HOURS : Number(hours);
+    if (!Number.isFinite(windowHours) || windowHours <= 0 || windowHours > MAX_WINDOW_HOURS) {
+      throw this._createError('INVALID_WINDOW');
+    }
+
+    const from = this.clock();
+    const to = new Date(from.getTime() + windowHours * HOUR_MS);
+    const notifications = await this.buildTimeline(profile, { from, to, inclusiveFrom: true });
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      timeZone: this._timeZone(profile),
+      notifications: notifications.map((entry) => ({
+        ...entry,
+        at: entry.at.toISOString(),
+        ...(entry.deferred_from ? { deferred_from: entry.deferred_from.toISOString() } : {})
+      }))
+    };
+  }
+
+  /**
+   * Every notification of the profile's active schedule that falls after
+   * `from` (or at it, with inclusiveFrom) and no later than `to`, in time order.
+   */
+  async buildTimeline(profile, { from, to, inclusiveFrom = false }) {
+    const schedule = await this.db.getScheduleByUserProfile(profile.id);
+    if (!schedule) {
+      return [];
+    }
+
+    if (this.plannedInstanceService) {
+      await this.plannedInstanceService.ensureMaterialized(schedule);
+    }
+
+    const instances = await this.db.getPlannedInstancesBySchedule(schedule.id, {
+      from: new Date(from.getTime() - MAX_INSTANCE_DAYS * DAY_MS).toISOString(),
+      to: new Date(to.getTime() + MAX_LEAD_HOURS * HOUR_MS).toISOString()
+    });
+    const blocks = await this.db.getFastingBlocksBySchedule(schedule.id, { includeInactive: true });
+    const rulesByBlock = new Map(blocks.map((block) => [block.id, block.notifications]));
+    const options = { timeZone: this._timeZone(profile), quietHours: profile.quiet_hours };
+
+    return instances
+      .flatMap((instance) => evaluateInstanceNotifications(instance, rulesByBlock.get(instance.block_id), options))
+      .filter((entry) => (inclusiveFrom ? entry.at >= from : entry.at > from) && entry.at <= to)
+      .sort((a, b) => a.at - b.at);
+  }
+
+  // Quiet hours follow the user's clock, not a fixed block's anchor zone
+  _timeZone(profile) {
+    return profile && profile.time_zone ? profile.time_zone : 'UTC';
+  }
+
+  _createError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = ScheduleNotificationService;
@@ -0,0 +1,197 @@
+const SYNC_ENTITY_TYPES = ['fast', 'body_log', 'profile'];
+const SYNC_OPERATIONS = ['create', 'update', 'delete', 'reset'];
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Per-field rules for concurrent edits. Fields not listed are last-writer-wins:
+ * the incoming write is applied and the overwritten remote edit is reported.
+ * 'server' keeps the stored value when another device changed it after the
+ * writer's base version, so a stale device cannot reopen or re-time a fast
+ * that was ended elsewhere.
+ */
+const FIELD_RULES = {
+  fast: {
+    end_time: 'server',
+    is_active: 'server',
+    duration_hours: 'server'
+  },
+  body_log: {}
+};
+
+/**
+ * Server-side change feed so every device on a profile can converge.
+ * Each recorded change gets a monotonically increasing version; clients keep
+ * the last version they applied and ask for everything after it.
+ */
+class SyncService {
+  constructor(database, bodyLogService) {
+    this.db = database;
+    this.bodyLogService = bodyLogService;
+  }
+
+  async recordChange(userProfileId, entityType, entityId, operation, fields = []) {
+    if (!SYNC_ENTITY_TYPES.includes(entityType)) {
+      throw new Error(`Unknown sync entity type: ${entityType}`);
+    }
+    if (!SYNC_OPERATIONS.includes(operation)) {
+      throw new Error(`Unknown sync operation: ${operation}`);
+    }
+
+    const { version } = await this.db.createSyncChange({
+      user_profile_id: userProfileId,
+      entity_type: entityType,
+      entity_id: entityId === undefined ? null : entityId,
+      operation,
+      fields
+    });
+    return version;
+  }
+
+  /**
+   * Returns changes after `since`, collapsed to the latest change per entity
+   * and carrying the entity's current row (null once deleted).
+   * Without `since` only the current version is returned, for clients that just loaded fresh data.
+   */
+  async getChanges(userProfileId, options = {}) {
+    if (options.since === undefined || options.since === null || options.since === '') {
+      const version = await this.db.getLatestSyncVersion(userProfileId);
+      return { since: null, version, hasMore: false, changes: [] };
+    }
+
+    const since = this.parseVersion(options.since);
+    if (since === null) {
+      throw this._createError('INVALID_SYNC_VERSION');
+    }
+
+    const requestedLimit = Number.parseInt(options.limit, 10);
+    const limit = Number.isInteger(requestedLimit) && requestedLimit > 0
+      ? Math.min(requestedLimit, MAX_PAGE_SIZE)
+      : DEFAULT_PAGE_SIZE;
+
+    const rows = await this.db.getSyncChanges(userProfileId, since, limit + 1);
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    const latestByEntity = new Map();
+    page.forEach((row) => {
+      const key = `${row.entity_type}:${row.entity_id}`;
+      const previous = latestByEntity.get(key);
+      const fields = new Set([...(previous ? previous.fields : []), ...this._parseFields(row.fields)]);
+      latestByEntity.delete(key);
+      latestByEntity.set(key, {
+        version: Number(row.id),
+        entityType: row.entity_type,
+        entityId: row.entity_id,
+        operation: previous && previous.operation === 'create' && row.operation === 'update'
+          ? 'create'
+          : row.operation,
+        fields: Array.from(fields),
+        changedAt: row.created_at
+      });
+    });
+
+    const changes = [];
+    for (const change of latestByEntity.values()) {
+      change.data = change.operation === 'delete' || change.operation === 'reset'
+        ? null
+        : await this._loadEntity(userProfileId, change.entityType, change.entityId);
+      changes.push(change);
+    }
+
+    const version = page.length > 0
+      ? Number(page[page.length - 1].id)
+      : Math.max(since, await this.db.getLatestSyncVersion(userProfileId));
+
+    return { since, version, hasMore, changes };
+  }
+
+  /**
+   * Applies field-level conflict rules to an update made against `baseVersion`.
+   * Returns the updates that should be written and the conflicts that were resolved.
+   * Without a base version the write is treated as current (plain last-writer-wins).
+   */
+  async resolveUpdate(userProfileId, entityType, entityId, baseVersion, updates, current = {}) {
+    const base = this.parseVersion(baseVersion);
+    if (baseVersion === undefined || baseVersion === null || base === null) {
+      return { updates: { ...updates }, conflicts: [] };
+    }
+
+    const remoteChanges = await this.db.getEntitySyncChanges(userProfileId, entityType, entityId, base);
+    const remoteFields = new Set();
+    remoteChanges.forEach((row) => {
+      this._parseFields(row.fields).forEach((field) => remoteFields.add(field));
+    });
+
+    const rules = FIELD_RULES[entityType] || {};
+    const resolved = { ...updates };
+    const conflicts = [];
+
+    Object.keys(updates).forEach((field) => {
+      if (!remoteFields.has(field)) {
+        return;
+      }
+
+      if (rules[field] === 'server') {
+        delete resolved[field];
+        conflicts.push({ field, resolution: 'server', value: current[field] === undefined ? null : current[field] });
+      } else {
+        conflicts.push({ field, resolution: 'client', value: updates[field] });
+      }
+    });
+
+    return { updates: resolved, conflicts };
+  }
+
+  parseVersion(value) {
+    if (value === undefined || value === null || value === '') {
+      return 0;
+    }
+    const parsed = Number(value);
+    return Number.isInteger(parsed) && parsed >= 0 ? parsed : null;
+  }
+
+  async _loadEntity(userProfileId, entityType, entityId) {
+    if (entityId === null || entityId === undefined) {
+      return null;
+    }
+
+    let row = null;
+    if (entityType === 'fast') {
+      row = await this.db.getFastById(entityId);
+    } else if (entityType === 'body_log') {
+      row = await this.bodyLogService.getEntry(entityId);
+    } else if (entityType === 'profile') {
+      row = await this.db.getUserProfileById(entityId);
+      return row ? { id: row.id, updated_at: row.updated_at } : null;
+    }
+
+    // Rows can be reassigned or removed after the change was logged; never leak another profile's data
+    return row && row.user_profile_id === userProfileId ? row : null;
+  }
+
+  _parseFields(fields) {
+    if (Array.isArray(fields)) {
+      return fields;
+    }
+    if (typeof fields !== 'string' || !fields) {
+      return [];
+    }
+    try {
+      const parsed = JSON.parse(fields);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  _createError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = SyncService;
+module.exports.SYNC_ENTITY_TYPES = SYNC_ENTITY_TYPES;
+module.exports.FIELD_RULES = FIELD_RULES;
@@ -0,0 +1,42 @@
+const { getOffsetFromTimeZone } = require('./timezone');
+const { validateNotificationRules } = require('./notificationRules');
+
+const TZ_MODES = ['local', 'fixed'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTimeZone(value) {
+  return typeof value === 'string' && value.trim() !== '' && getOffsetFromTimeZone(new Date(), value) !== null;
+}
+
+function isValidDayOfWeek(value) {
+  return value !== null && value !== '' && Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) <= 6;
+}
+
+/**
+ * Checks a fasting block as submitted to POST /api/schedule/blocks. Returns
+ * the error message to send back, or null when the block can be saved.
+ */
+function validateBlockInput({ start_dow, start_time, end_dow, end_time, tz_mode, anchor_tz, notifications } = {}) {
+  if (start_dow === undefined || !start_time || end_dow === undefined || !end_time) {
+    return 'Missing required fields';
+  }
+  if (!isValidDayOfWeek(start_dow) || !isValidDayOfWeek(end_dow)) {
+    return 'start_dow and end_dow must be whole numbers from 0 (Sunday) to 6 (Saturday)';
+  }
+  if (!TIME_PATTERN.test(start_time) || !TIME_PATTERN.test(end_time)) {
+    return 'start_time and end_time must use 24-hour HH:MM';
+  }
+  if (tz_mode !== undefined && !TZ_MODES.includes(tz_mode)) {
+    return `tz_mode must be one of: ${TZ_MODES.join(', ')}`;
+  }
+  if (anchor_tz && !isValidTimeZone(anchor_tz)) {
+    return 'anchor_tz must be an IANA time zone such as Europe/London';
+  }
+  return validateNotificationRules(notifications);
+}
+
+module.exports = {
+  TZ_MODES,
+  isValidTimeZone,
+  validateBlockInput
+};
@@ -0,0 +1,243 @@
+const QuietHours = require('../public/js/quiet-hours');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const MAX_LEAD_MINUTES = 24 * 60;
+const MAX_GRACE_MINUTES = 24 * 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const LEAD_PATTERN = /^(\d+)\s*([hm])?$/i;
+
+const BOOLEAN_RULES = ['start', 'halfway', 'final_hour', 'end', 'weigh_in', 'milestones'];
+// Drafts created before the rule schema wrote the end reminder as "completion"
+const RULE_ALIASES = { completion: 'end' };
+const KNOWN_RULES = ['pre_start', 'start_grace_mins', 'quiet_hours', ...BOOLEAN_RULES, ...Object.keys(RULE_ALIASES)];
+// Inside quiet hours these move to the end of the window; every other ping is dropped
+const DEFERRABLE_TYPES = ['end', 'weigh_in'];
+
+const DEFAULT_NOTIFICATION_RULES = {
+  pre_start: [],
+  start: true,
+  halfway: false,
+  final_hour: false,
+  end: true,
+  weigh_in: false,
+  milestones: true,
+  start_grace_mins: null,
+  quiet_hours: null
+};
+
+// Same milestones the timer page shows
+const FAST_MILESTONES = [
+  { hours: 12, icon: '⚡', title: 'Glycogen Depletion Begins' },
+  { hours: 18, icon: '🔥', title: 'Ketosis Transition' },
+  { hours: 30, icon: '💪', title: 'Sustained Fat-Burning' },
+  { hours: 48, icon: '✨', title: 'Cellular Renewal (Autophagy)' }
+];
+
+// '3h', '30m' and bare numbers (minutes) are all accepted as lead times
+function parseLeadMinutes(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value : null;
+  }
+
+  const match = typeof value === 'string' ? value.trim().match(LEAD_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+  const amount = parseInt(match[1], 10);
+  return match[2] && match[2].toLowerCase() === 'h' ? amount * 60 : amount;
+}
+
+/**
+ * Checks a block's notifications JSON as submitted by a client. Returns the
+ * error message to send back, or null when the rules can be saved.
+ */
+function validateNotificationRules(rules) {
+  if (rules === null || rules === undefined) {
+    return null;
+  }
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    return 'notifications must be an object';
+  }
+
+  const unknown = Object.keys(rules).find((key) => !KNOWN_RULES.includes(key));
+  if (unknown) {
+    return `Unknown notification rule: ${unknown}`;
+  }
+
+  if (rules.pre_start !== undefined) {
+    const leads = Array.isArray(rules.pre_start) ? rules.pre_start.map(parseLeadMinutes) : [null];
+    if (leads.some((minutes) => minutes === null || minutes <= 0 || minutes > MAX_LEAD_MINUTES)) {
+      return "pre_start must list lead times such as '3h', '30m' or minutes, each up to 24 hours";
+    }
+  }
+
+  const flag = [...BOOLEAN_RULES, ...Object.keys(RULE_ALIASES)]
+    .find((key) => rules[key] !== undefined && typeof rules[key] !== 'boolean');
+  if (flag) {
+    return `${flag} must be true or false`;
+  }
+
+  const grace = rules.start_grace_mins;
+  if (grace !== undefined && grace !== null && (!Number.isInteger(grace) || grace < 0 || grace > MAX_GRACE_MINUTES)) {
+    return 'start_grace_mins must be a whole number of minutes up to 1440';
+  }
+
+  const quiet = rules.quiet_hours;
+  if (quiet !== undefined && quiet !== null &&
+      (typeof quiet !== 'object' || !TIME_PATTERN.test(quiet.start) || !TIME_PATTERN.test(quiet.end) || quiet.start === quiet.end)) {
+    return 'quiet_hours must have different start and end times in 24-hour HH:MM';
+  }
+
+  return null;
+}
+
+/**
+ * Fills in defaults for stored rules. Tolerates anything stored before
+ * validation existed: invalid entries fall back to the default.
+ */
+function normalizeNotificationRules(rules) {
+  const source = rules && typeof rules === 'object' && !Array.isArray(rules) ? rules : {};
+  const normalized = { ...DEFAULT_NOTIFICATION_RULES };
+
+  if (Array.isArray(source.pre_start)) {
+    const leads = source.pre_start
+      .map(parseLeadMinutes)
+      .filter((minutes) => minutes !== null && minutes > 0 && minutes <= MAX_LEAD_MINUTES);
+    normalized.pre_start = [...new Set(leads)].sort((a, b) => b - a);
+  }
+
+  Object.entries(RULE_ALIASES).forEach(([alias, key]) => {
+    if (typeof source[alias] === 'boolean' && source[key] === undefined) {
+      normalized[key] = source[alias];
+    }
+  });
+  BOOLEAN_RULES.forEach((key) => {
+    if (typeof source[key] === 'boolean') {
+      normalized[key] = source[key];
+    }
+  });
+
+  if (Number.isInteger(source.start_grace_mins) && source.start_grace_mins >= 0) {
+    normalized.start_grace_mins = source.start_grace_mins;
+  }
+  if (source.quiet_hours && TIME_PATTERN.test(source.quiet_hours.start) &&
+      TIME_PATTERN.test(source.quiet_hours.end) && source.quiet_hours.start !== source.quiet_hours.end) {
+    normalized.quiet_hours = { start: source.quiet_hours.start, end: source.quiet_hours.end };
+  }
+
+  return normalized;
+}
+
+function formatLead(minutes) {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minutes`;
+}
+
+/**
+ * Turns one planned instance and its block's rules into concrete
+ * notifications: { key, type, instance_id, block_id, at, title, body, tag, url }.
+ * Keys are stable per instance so senders can use them to deliver each once.
+ * Skipped instances produce nothing; missed ones only what precedes the start.
+ * The block's quiet_hours apply every day, alongside the profile's own
+ * quietHours windows (see public/js/quiet-hours.js).
+ */
+function evaluateInstanceNotifications(instance, rules, { timeZone = 'UTC', quietHours = null } = {}) {
+  if (!instance || instance.status === 'skipped') {
+    return [];
+  }
+
+  const settings = normalizeNotificationRules(rules);
+  const start = new Date(instance.start_at_utc);
+  const end = new Date(instance.end_at_utc);
+  const durationMs = end - start;
+  const name = instance.block_name || 'Your scheduled fast';
+  const tag = `schedule-${instance.id}`;
+  const entries = [];
+  const add = (type, at, title, body, { suffix = '', url = '/timer', ...extra } = {}) => {
+    entries.push({
+      key: `schedule:${type}:${instance.id}${suffix}`,
+      type,
+      instance_id: instance.id,
+      block_id: instance.block_id,
+      block_name: instance.block_name || null,
+      at,
+      title,
+      body,
+      tag,
+      url,
+      ...extra
+    });
+  };
+
+  settings.pre_start.forEach((minutes) => {
+    add('pre_start', new Date(start.getTime() - minutes * MINUTE_MS),
+      `${name} starts in ${formatLead(minutes)}`, 'Time for your last meal before the fast.',
+      { suffix: `:${minutes}`, url: '/schedule', minutes_before: minutes });
+  });
+
+  if (settings.start) {
+    add('start', start, 'Time to start fasting', `${name} begins now.`);
+  }
+
+  if (settings.milestones) {
+    FAST_MILESTONES
+      .filter((milestone) => milestone.hours * HOUR_MS < durationMs)
+      .forEach((milestone) => {
+        add('milestone', new Date(start.getTime() + milestone.hours * HOUR_MS),
+          `${milestone.icon} ${milestone.title}`, `You've been fasting for ${milestone.hours} hours.`,
+          { suffix: `:${milestone.hours}`, hours: milestone.hours });
+      });
+  }
+
+  if (settings.halfway) {
+    add('halfway', new Date(start.getTime() + durationMs / 2), 'Halfway there',
+      `${name} is half done. Keep going!`);
+  }
+
+  // A fast of an hour or less is all final hour, so there is nothing separate to announce
+  if (settings.final_hour && durationMs > HOUR_MS) {
+    add('final_hour', new Date(end.getTime() - HOUR_MS), 'One hour to go',
+      `${name} ends in an hour.`);
+  }
+
+  if (settings.end) {
+    add('end', end, 'Fast complete', `${name} is over. Time to break your fast.`);
+  }
+
+  if (settings.weigh_in) {
+    add('weigh_in', end, 'Time to weigh in', 'Log your weight now to see how this fast moved the needle.');
+  }
+
+  const quietWindows = [
+    ...QuietHours.normalize(quietHours),
+    ...(settings.quiet_hours ? QuietHours.normalize([settings.quiet_hours]) : [])
+  ];
+  const timeline = [];
+  for (const entry of entries) {
+    if (instance.status === 'missed' && entry.at >= start) {
+      continue;
+    }
+
+    const deferTo = quietWindows.length > 0 ? QuietHours.endOfQuietHours(entry.at, quietWindows, timeZone) : null;
+    if (!deferTo) {
+      timeline.push(entry);
+    } else if (DEFERRABLE_TYPES.includes(entry.type)) {
+      timeline.push({ ...entry, at: deferTo, deferred_from: entry.at });
+    }
+  }
+
+  return timeline.sort((a, b) => a.at - b.at);
+}
+
+module.exports = {
+  DEFAULT_NOTIFICATION_RULES,
+  FAST_MILESTONES,
+  parseLeadMinutes,
+  validateNotificationRules,
+  normalizeNotificationRules,
+  evaluateInstanceNotifications
+};
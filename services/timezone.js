@@ -71,7 +71,8 @@ function getOffsetFromTimeZone(instant, timeZone) {
       hour: '2-digit',
       minute: '2-digit',
       second: '2-digit',
-      hour12: false
+      // hour12: false would format midnight as hour 24
+      hourCycle: 'h23'
     });
 
     const parts = dtf.formatToParts(instant).reduce((acc, part) => {
@@ -127,6 +128,24 @@ function getLocalTime(instant, offsetMinutes) {
   return new Date(instant.getTime() + offsetMinutes * 60000);
 }
 
+// Resolves a wall-clock reading (e.g. from a CSV without offsets) to the instant it names in timeZone
+function zonedTimeToInstant({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const initialOffset = getOffsetFromTimeZone(new Date(wallClock), timeZone);
+  if (initialOffset === null) {
+    return new Date(wallClock);
+  }
+
+  let instant = wallClock - initialOffset * 60000;
+  // Re-check once so readings near a DST transition use the offset in force at that instant
+  const correctedOffset = getOffsetFromTimeZone(new Date(instant), timeZone);
+  if (correctedOffset !== null && correctedOffset !== initialOffset) {
+    instant = wallClock - correctedOffset * 60000;
+  }
+
+  return new Date(instant);
+}
+
 function normalizeTimestamp({ loggedAt, timezoneOffsetMinutes, timeZone } = {}) {
   if (!loggedAt) {
     throw new Error('normalizeTimestamp requires a loggedAt value');
@@ -167,11 +186,32 @@ function getLocalContext({ instant, offsetMinutes, timeZone } = {}) {
   };
 }
 
+/**
+ * A timestamp column as a Date, or null when it is empty or unparseable.
+ * SQLite's CURRENT_TIMESTAMP text ('YYYY-MM-DD HH:MM:SS') is UTC; Postgres
+ * returns Date objects.
+ */
+function parseDatabaseTimestamp(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  const text = typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+    ? `${value.replace(' ', 'T')}Z`
+    : value;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
 module.exports = {
   parseOffsetFromIso,
   getOffsetFromTimeZone,
   normalizeTimestamp,
   getLocalContext,
+  zonedTimeToInstant,
   formatLocalDate,
-  getLocalTime
+  getLocalTime,
+  parseDatabaseTimestamp
 };
@@ -0,0 +1,183 @@
+const assert = require('assert');
+const AuthService = require('../services/AuthService');
+const InMemoryBodyLogDatabase = require('./helpers/InMemoryBodyLogDatabase');
+
+const { SESSION_TTL_MS } = AuthService;
+const DEVICE_SESSION = 'fs_1700000000000_device';
+const PASSWORD = 'correct horse battery';
+
+function createService() {
+  const db = new InMemoryBodyLogDatabase();
+  let now = Date.parse('2024-05-01T12:00:00.000Z');
+  const service = new AuthService(db, { now: () => now });
+  return {
+    db,
+    service,
+    advance: (ms) => {
+      now += ms;
+    }
+  };
+}
+
+async function runAuthTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('register attaches the device profile and issues a session token', async () => {
+    const { db, service } = createService();
+    db.addUserProfile({ id: 5, session_id: DEVICE_SESSION, weight: 200 });
+    const userProfile = await db.getUserProfileBySessionId(DEVICE_SESSION);
+
+    const result = await service.register({ email: ' Pat@Example.com ', password: PASSWORD, userProfile });
+
+    assert.strictEqual(result.account.email, 'pat@example.com');
+    assert.strictEqual(result.attachedProfile, true);
+    assert.strictEqual(result.profile.id, 5);
+    assert.strictEqual(result.profile.session_id, DEVICE_SESSION);
+    assert.ok(result.token.length >= 40, 'Token should carry 32 random bytes');
+    assert.ok(!db.authSessions.has(result.token), 'Only the token hash is stored');
+    assert.ok(!result.account.password_hash, 'Password hash never leaves the service');
+
+    const stored = await db.getAccountByEmail('pat@example.com');
+    assert.ok(stored.password_hash.startsWith('scrypt$'));
+    assert.ok(!stored.password_hash.includes(PASSWORD));
+  });
+
+  await record('register creates a fresh profile when there is nothing to migrate', async () => {
+    const { db, service } = createService();
+
+    const result = await service.register({ email: 'new@example.com', password: PASSWORD });
+
+    assert.strictEqual(result.attachedProfile, false);
+    assert.match(result.profile.session_id, /^fs_\d+_[a-z0-9]+$/);
+    assert.strictEqual(result.profile.account_id, result.account.id);
+    assert.strictEqual(db.userProfiles.size, 1);
+  });
+
+  await record('register never takes over a profile claimed by another account', async () => {
+    const { db, service } = createService();
+    db.addUserProfile({ id: 5, session_id: DEVICE_SESSION });
+    const first = await service.register({
+      email: 'first@example.com',
+      password: PASSWORD,
+      userProfile: await db.getUserProfileBySessionId(DEVICE_SESSION)
+    });
+
+    const second = await service.register({
+      email: 'second@example.com',
+      password: PASSWORD,
+      userProfile: await db.getUserProfileBySessionId(DEVICE_SESSION)
+    });
+
+    assert.strictEqual(second.attachedProfile, false);
+    assert.notStrictEqual(second.profile.id, 5);
+    assert.strictEqual((await db.getUserProfileById(5)).account_id, first.account.id);
+  });
+
+  await record('register validates email, password strength and uniqueness', async () => {
+    const { service } = createService();
+
+    await assert.rejects(
+      () => service.register({ email: 'not-an-email', password: PASSWORD }),
+      (error) => error.code === 'INVALID_EMAIL'
+    );
+    await assert.rejects(
+      () => service.register({ email: 'pat@example.com', password: 'short' }),
+      (error) => error.code === 'WEAK_PASSWORD'
+    );
+
+    await service.register({ email: 'pat@example.com', password: PASSWORD });
+    await assert.rejects(
+      () => service.register({ email: 'PAT@example.com', password: PASSWORD }),
+      (error) => error.code === 'EMAIL_TAKEN'
+    );
+  });
+
+  await record('login checks the password and resolves to the account profile', async () => {
+    const { db, service } = createService();
+    db.addUserProfile({ id: 5, session_id: DEVICE_SESSION });
+    await service.register({ email: 'pat@example.com', password: PASSWORD, userProfile: await db.getUserProfileBySessionId(DEVICE_SESSION) });
+
+    await assert.rejects(
+      () => service.login({ email: 'pat@example.com', password: 'wrong password' }),
+      (error) => error.code === 'INVALID_CREDENTIALS'
+    );
+
+    const scrypt = service._scrypt.bind(service);
+    let scryptRuns = 0;
+    service._scrypt = (...args) => {
+      scryptRuns += 1;
+      return scrypt(...args);
+    };
+    await service._getDummyPasswordHash();
+    scryptRuns = 0;
+    await assert.rejects(
+      () => service.login({ email: 'nobody@example.com', password: PASSWORD }),
+      (error) => error.code === 'INVALID_CREDENTIALS'
+    );
+    assert.strictEqual(scryptRuns, 1, 'Unknown emails cost the same scrypt run as a wrong password');
+    await assert.rejects(
+      () => service.login({ email: 'pat@example.com', password: null }),
+      (error) => error.code === 'INVALID_CREDENTIALS'
+    );
+    assert.strictEqual(scryptRuns, 2);
+
+    const { token } = await service.login({ email: 'Pat@example.com', password: PASSWORD });
+    const resolved = await service.resolveSession(token);
+    assert.strictEqual(resolved.account.email, 'pat@example.com');
+    assert.strictEqual(resolved.profile.session_id, DEVICE_SESSION);
+  });
+
+  await record('expired and signed-out sessions no longer resolve', async () => {
+    const { db, service, advance } = createService();
+    const { token } = await service.register({ email: 'pat@example.com', password: PASSWORD });
+    const second = await service.login({ email: 'pat@example.com', password: PASSWORD });
+
+    await service.logout(second.token);
+    assert.strictEqual(await service.resolveSession(second.token), null);
+    assert.ok(await service.resolveSession(token), 'Other sessions stay signed in');
+
+    advance(SESSION_TTL_MS + 1000);
+    assert.strictEqual(await service.resolveSession(token), null);
+    assert.strictEqual(db.authSessions.size, 0, 'Expired session is removed');
+    assert.strictEqual(await service.resolveSession('made-up-token'), null);
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runAuthTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Auth tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Auth tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Auth test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runAuthTests;
@@ -0,0 +1,189 @@
+const assert = require('assert');
+const BodyFatEstimator = require('../services/BodyFatEstimator');
+const BodyLogService = require('../services/BodyLogService');
+const BodyLogAnalyticsService = require('../services/BodyLogAnalyticsService');
+const FastEffectivenessService = require('../services/FastEffectivenessService');
+const createMigratedRepository = require('./helpers/createMigratedRepository');
+
+const silentLogger = { log: () => {} };
+const AT = '2024-06-11T07:00:00.000Z';
+const MALE_TAPE = { neckCm: 38, waistCm: 86, hipCm: null, measuredAt: '2024-06-05T07:00:00.000Z' };
+
+async function createFixture() {
+  const { repository, close } = await createMigratedRepository();
+
+  return {
+    repository,
+    bodyLogService: new BodyLogService(repository, { logger: silentLogger }),
+    close
+  };
+}
+
+async function runBodyFatEstimatorTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  const near = (actual, expected, message) => {
+    assert.ok(Math.abs(actual - expected) < 0.3, `${message}: expected about ${expected}, got ${actual}`);
+  };
+
+  await record('implements the US Navy, Deurenberg and lean-drift formulas', async () => {
+    near(BodyFatEstimator.navyBodyFat({ sex: 'male', heightCm: 178, neckCm: 38, waistCm: 86 }), 17.2, 'Navy, male');
+    near(BodyFatEstimator.navyBodyFat({ sex: 'female', heightCm: 165, neckCm: 33, waistCm: 75, hipCm: 100 }), 29.4, 'Navy, female');
+    assert.strictEqual(BodyFatEstimator.navyBodyFat({ sex: 'female', heightCm: 165, neckCm: 33, waistCm: 75 }), null, 'Women need hips');
+    assert.strictEqual(BodyFatEstimator.navyBodyFat({ sex: null, heightCm: 178, neckCm: 38, waistCm: 86 }), null);
+    assert.strictEqual(BodyFatEstimator.navyBodyFat({ sex: 'male', heightCm: 178, neckCm: 40, waistCm: 38 }), null);
+
+    near(BodyFatEstimator.deurenbergBodyFat({ weightLbs: 180, heightCm: 178, age: 35, sex: 'male' }), 22.8, 'Deurenberg, male');
+    assert.strictEqual(BodyFatEstimator.deurenbergBodyFat({ weightLbs: 180, heightCm: null }), null);
+
+    // 200 lb at 25% is 150 lb lean; losing 10 lb takes a quarter of it from lean
+    near(BodyFatEstimator.driftedBodyFat({ reading: { bodyFat: 25, weightLbs: 200 }, weightLbs: 190 }), 22.4, 'Drift');
+  });
+
+  await record('picks the most confident estimate the inputs allow', async () => {
+    const estimator = new BodyFatEstimator();
+    const base = { at: AT, weightLbs: 180, heightCm: 178, age: 35, sex: 'male' };
+
+    const fresh = estimator.estimate({ ...base, circumferences: MALE_TAPE, lastReading: { bodyFat: 20, weightLbs: 181, loggedAt: '2024-06-01T07:00:00.000Z' } });
+    assert.deepStrictEqual(
+      { method: fresh.method, confidence: fresh.confidence },
+      { method: 'last_reading', confidence: 'high' }
+    );
+
+    const stale = estimator.estimate({ ...base, circumferences: MALE_TAPE, lastReading: { bodyFat: 20, weightLbs: 181, loggedAt: '2024-01-01T07:00:00.000Z' } });
+    assert.strictEqual(stale.method, 'us_navy', 'Tape beats a reading from months ago');
+    assert.strictEqual(stale.confidence, 'medium');
+    assert.strictEqual(stale.bodyFat, 17.2);
+
+    const drifted = estimator.estimate({ ...base, weightLbs: 170, lastReading: { bodyFat: 20, weightLbs: 185, loggedAt: '2024-06-01T07:00:00.000Z' } });
+    assert.strictEqual(drifted.confidence, 'medium', 'A large weight change since the reading lowers confidence');
+
+    const oldTape = estimator.estimate({ ...base, circumferences: { ...MALE_TAPE, measuredAt: '2024-03-01T07:00:00.000Z' } });
+    assert.deepStrictEqual({ method: oldTape.method, confidence: oldTape.confidence }, { method: 'deurenberg', confidence: 'low' });
+
+    const future = estimator.estimate({ ...base, heightCm: null, lastReading: { bodyFat: 20, weightLbs: 181, loggedAt: '2024-07-01T07:00:00.000Z' } });
+    assert.strictEqual(future, null, 'Readings after the moment being estimated are ignored');
+
+    const custom = new BodyFatEstimator({
+      estimators: [
+        ...BodyFatEstimator.ESTIMATORS,
+        { method: 'smart_mirror', label: 'Smart mirror', estimate: () => ({ bodyFat: 80, confidence: 'high' }) }
+      ]
+    });
+    assert.deepStrictEqual(custom.estimate(base), { bodyFat: 60, method: 'smart_mirror', label: 'Smart mirror', confidence: 'high' });
+  });
+
+  await record('runs the effectiveness model on the estimate and reports its basis', async () => {
+    const service = new FastEffectivenessService();
+    const params = { startWeight: 200, postWeight: 197, fastDurationHours: 36, heightCm: 178, age: 35, sex: 'male' };
+
+    const fallback = service.calculateFastEffectiveness(params);
+    assert.deepStrictEqual(
+      { bodyFat: fallback.bodyFatBasis.bodyFat, method: fallback.bodyFatBasis.method, confidence: fallback.bodyFatBasis.confidence },
+      { bodyFat: service.DEFAULT_BODY_FAT, method: 'default', confidence: 'none' }
+    );
+
+    const estimated = service.calculateFastEffectiveness({
+      ...params,
+      bodyFatEstimate: { bodyFat: 32, method: 'us_navy', label: 'US Navy circumference', confidence: 'medium' }
+    });
+    assert.strictEqual(estimated.bodyFatBasis.method, 'us_navy');
+    assert.strictEqual(estimated.breakdownSource, 'estimated');
+    assert.ok(estimated.raw.muscleLoss < fallback.raw.muscleLoss, 'More fat to draw on means less lean loss');
+
+    const measured = service.calculateFastEffectiveness({ ...params, startBodyFat: 18, bodyFatEstimate: { bodyFat: 32, confidence: 'medium' } });
+    assert.strictEqual(measured.bodyFatBasis.method, 'measured');
+    assert.strictEqual(measured.bodyFatBasis.bodyFat, 18);
+  });
+
+  await record('estimates a fast\'s starting body fat from logged tape measurements', async () => {
+    const fixture = await createFixture();
+    try {
+      const { repository, bodyLogService } = fixture;
+      const profile = await repository.createUserProfile({ session_id: 'fs_1700000000000_tape', weight: 185, body_fat: 24 });
+      await repository.updateUserProfile(profile.session_id, { height_cm: 178, age: 35, sex: 'male' });
+
+      await assert.rejects(
+        () => bodyLogService.createEntry({ userProfileId: profile.id, loggedAt: '2024-06-09T07:00:00.000Z', weight: 181, waistCm: -4 }),
+        /waistCm/
+      );
+
+      await bodyLogService.createEntry({
+        userProfileId: profile.id,
+        loggedAt: '2024-06-09T07:00:00.000Z',
+        timeZone: 'UTC',
+        weight: 181,
+        neckCm: 38,
+        waistCm: 86
+      });
+      const fast = await repository.createFast({
+        user_profile_id: profile.id,
+        start_time: '2024-06-10T20:00:00.000Z',
+        end_time: '2024-06-12T08:00:00.000Z',
+        duration_hours: 36
+      });
+      await bodyLogService.createEntry({
+        userProfileId: profile.id, loggedAt: '2024-06-10T19:30:00.000Z', timeZone: 'UTC', weight: 180, fastId: fast.id, tagHint: 'fast_start'
+      });
+      await bodyLogService.createEntry({
+        userProfileId: profile.id, loggedAt: '2024-06-12T08:30:00.000Z', timeZone: 'UTC', weight: 176.5, fastId: fast.id, tagHint: 'post_fast'
+      });
+
+      const analytics = new BodyLogAnalyticsService(repository, bodyLogService);
+      const effectiveness = await analytics.getFastEffectiveness(profile.id, fast.id);
+      assert.strictEqual(effectiveness.status, 'ok');
+      assert.strictEqual(effectiveness.bodyFatBasis.method, 'us_navy');
+      assert.strictEqual(effectiveness.bodyFatBasis.confidence, 'medium');
+
+      // Without the tape only the BMI equation is left; the onboarding reading was taken after this fast
+      await repository.updateBodyLogEntry((await repository.getBodyLogEntriesByUser(profile.id)).find((entry) => entry.waist_cm).id, {
+        neck_cm: null,
+        waist_cm: null
+      });
+      const fromProfile = await analytics.getFastEffectiveness(profile.id, fast.id);
+      assert.strictEqual(fromProfile.bodyFatBasis.method, 'deurenberg');
+      assert.strictEqual(fromProfile.bodyFatBasis.confidence, 'low');
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runBodyFatEstimatorTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Body fat estimator tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Body fat estimator tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Body fat estimator test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runBodyFatEstimatorTests;
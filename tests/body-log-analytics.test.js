@@ -337,6 +337,74 @@ async function runBodyLogAnalyticsTests() {
         assert.ok(analyticsSummary.weeklyComposition.length >= 1);
     });
 
+    await record('Analytics reports tape measurement trends from every entry', async () => {
+        const { db, bodyLogService, analytics } = createAnalyticsFixture();
+        const userId = 84;
+        db.addUserProfile({ id: userId });
+
+        const daysAgo = (days, hour) => {
+            const date = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+            date.setUTCHours(hour, 0, 0, 0);
+            return date.toISOString();
+        };
+
+        await bodyLogService.createEntry({ userProfileId: userId, loggedAt: daysAgo(20, 7), timeZone: 'UTC', weight: 190, waistCm: 96, chestCm: 108 });
+        await bodyLogService.createEntry({ userProfileId: userId, loggedAt: daysAgo(10, 7), timeZone: 'UTC', weight: 187, waistCm: 94.4 });
+        // A second entry the same day wins for that date, canonical or not
+        await bodyLogService.createEntry({ userProfileId: userId, loggedAt: daysAgo(10, 18), timeZone: 'UTC', weight: 188.5, waistCm: 94 });
+        await bodyLogService.createEntry({ userProfileId: userId, loggedAt: daysAgo(2, 7), timeZone: 'UTC', weight: 188 });
+
+        const summary = await analytics.getAnalytics(userId, { days: 30 });
+        const { measurementTrends } = summary;
+
+        assert.deepStrictEqual(Object.keys(measurementTrends).sort(), ['chestCm', 'waistCm']);
+        assert.deepStrictEqual(measurementTrends.waistCm.series.map((point) => point.value), [96, 94]);
+        assert.strictEqual(measurementTrends.waistCm.latest, 94);
+        assert.strictEqual(measurementTrends.waistCm.change, -2);
+        assert.strictEqual(measurementTrends.chestCm.change, null, 'One reading has no change yet');
+        assert.strictEqual(summary.canonicalEntries[0].measurements.waistCm, 96);
+    });
+
+    await record('Analytics smooths canonical weights into a trend with a weekly rate', async () => {
+        const { db, analytics } = createAnalyticsFixture();
+        const userId = 85;
+        db.addUserProfile({ id: userId });
+
+        // Losing 0.2 lb a day under ±3 lb of fast-day water swings
+        const start = new Date(Date.now() - 35 * 24 * 60 * 60 * 1000);
+        start.setUTCHours(7, 0, 0, 0);
+        for (let day = 0; day < 35; day += 1) {
+            const loggedAt = new Date(start.getTime() + day * 24 * 60 * 60 * 1000).toISOString();
+            await seedCanonicalEntry(db, userId, loggedAt, 200 - 0.2 * day + (day % 2 === 0 ? 3 : -3));
+        }
+
+        const summary = await analytics.getAnalytics(userId, { days: 60 });
+        const { trendWeight } = summary;
+        assert.strictEqual(trendWeight.method, 'ewma');
+        assert.strictEqual(trendWeight.series.length, 35);
+
+        const swings = (values) => Math.max(...values.slice(1).map((value, index) => Math.abs(value - values[index])));
+        const recent = trendWeight.series.slice(-14);
+        assert.ok(swings(recent.map((point) => point.trend)) < 1, 'Trend moves far less than the scale');
+        assert.ok(swings(recent.map((point) => point.weight)) > 5);
+        assert.ok(trendWeight.weeklyRate < -0.8 && trendWeight.weeklyRate > -2, `Weekly rate near -1.4, got ${trendWeight.weeklyRate}`);
+        assert.strictEqual(trendWeight.latest, recent[recent.length - 1].trend);
+
+        const lastWeek = summary.weeklyComposition[summary.weeklyComposition.length - 1];
+        const previousWeek = summary.weeklyComposition[summary.weeklyComposition.length - 2];
+        assert.strictEqual(typeof lastWeek.trendWeight, 'number');
+        assert.strictEqual(lastWeek.deltaTrendWeight, Math.round((lastWeek.trendWeight - previousWeek.trendWeight) * 10) / 10);
+
+        // A missed week closes most of the gap at once rather than a tenth of it
+        const gap = analytics.computeTrendWeight([
+            { localDate: '2024-06-01', weight: 200 },
+            { localDate: '2024-06-08', weight: 190 }
+        ]);
+        assert.deepStrictEqual(gap.series.map((point) => point.trend), [200, 194.8]);
+        assert.strictEqual(gap.weeklyRate, -5.22);
+        assert.strictEqual(analytics.computeTrendWeight([]).latest, null);
+    });
+
     return {
         passed,
         failed,
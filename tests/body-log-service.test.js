@@ -211,6 +211,38 @@ async function runBodyLogServiceTests() {
     assert.strictEqual(canonical.canonical_reason, 'post_fast');
   });
 
+  await record('updateMeasurements sets, validates and clears tape measurements', async () => {
+    const { service } = createServiceFixture();
+
+    const entry = await service.createEntry({
+      userProfileId: 30,
+      loggedAt: '2024-04-02T07:00:00Z',
+      timezoneOffsetMinutes: 0,
+      weight: 181,
+      waistCm: 88
+    });
+    assert.deepStrictEqual(service.getMeasurements(entry), {
+      neckCm: null, waistCm: 88, hipCm: null, chestCm: null, armCm: null
+    });
+
+    const updated = await service.updateMeasurements(entry.id, { chestCm: '104.5', armCm: 36, sessionId: 'ignored' });
+    assert.deepStrictEqual(service.getMeasurements(updated), {
+      neckCm: null, waistCm: 88, hipCm: null, chestCm: 104.5, armCm: 36
+    });
+
+    await assert.rejects(() => service.updateMeasurements(entry.id, { waistCm: 0 }), /waistCm/);
+    await assert.rejects(() => service.updateMeasurements(entry.id, { notes: 'no tape' }), /at least one/);
+    await assert.rejects(() => service.updateMeasurements(9999, { waistCm: 80 }), /not found/);
+
+    const withoutWaist = await service.updateMeasurements(entry.id, { waistCm: null });
+    assert.strictEqual(withoutWaist.waist_cm, null);
+    assert.strictEqual(withoutWaist.chest_cm, 104.5);
+
+    const cleared = await service.clearMeasurements(entry.id);
+    assert.ok(Object.values(service.getMeasurements(cleared)).every((value) => value === null));
+    assert.strictEqual(cleared.weight, 181);
+  });
+
   return {
     passed,
     failed,
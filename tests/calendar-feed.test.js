@@ -0,0 +1,222 @@
+const assert = require('assert');
+const CalendarFeedService = require('../services/CalendarFeedService');
+const createMigratedRepository = require('./helpers/createMigratedRepository');
+
+/**
+ * A New York profile with blocks created on Wednesday 2024-06-05:
+ *   Monday 16: local, Monday 20:00 -> Tuesday 12:00 in the device zone
+ *   London 16: fixed to Europe/London, Thursday 18:00 -> Friday 10:00
+ *   UTC 24: fixed to UTC, Saturday 00:00 -> Sunday 00:00
+ */
+async function createFixture() {
+  const { adapter, repository, close } = await createMigratedRepository();
+
+  const clock = { now: new Date('2024-06-05T12:00:00.000Z') };
+  const service = new CalendarFeedService(repository, { clock: () => new Date(clock.now) });
+
+  const profile = await repository.createUserProfile({ session_id: 'fs_1700000000000_ical', time_zone: 'America/New_York' });
+  const schedule = await repository.createSchedule({ user_profile_id: profile.id });
+  const local = await repository.createFastingBlock({
+    schedule_id: schedule.id, name: 'Monday 16', start_dow: 1, start_time: '20:00', end_dow: 2, end_time: '12:00'
+  });
+  const london = await repository.createFastingBlock({
+    schedule_id: schedule.id, name: 'London 16', start_dow: 4, start_time: '18:00', end_dow: 5, end_time: '10:00', tz_mode: 'fixed', anchor_tz: 'Europe/London'
+  });
+  const utc = await repository.createFastingBlock({
+    schedule_id: schedule.id, name: 'UTC 24', start_dow: 6, start_time: '00:00', end_dow: 0, end_time: '00:00', tz_mode: 'fixed', anchor_tz: 'UTC'
+  });
+  await adapter.run('UPDATE fasting_blocks SET created_at = ? WHERE schedule_id = ?', ['2024-06-05 08:00:00', schedule.id]);
+
+  return {
+    repository,
+    service,
+    clock,
+    profile,
+    blocks: { local, london, utc },
+    close
+  };
+}
+
+// Unfolds continuation lines and splits the calendar into its VEVENTs
+function parseEvents(calendar) {
+  const lines = calendar.replace(/\r\n /g, '').split('\r\n');
+  const events = [];
+  let current = null;
+  lines.forEach((line) => {
+    if (line === 'BEGIN:VEVENT') {
+      current = [];
+    } else if (line === 'END:VEVENT') {
+      events.push(current);
+      current = null;
+    } else if (current) {
+      current.push(line);
+    }
+  });
+  return { lines, events };
+}
+
+async function runCalendarFeedTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('publishes each block as a weekly event in its time zone mode', async () => {
+    const fixture = await createFixture();
+    try {
+      const { token } = await fixture.service.createFeed(fixture.profile.id);
+      const calendar = await fixture.service.renderFeed(token);
+      assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+      assert.ok(!/[^\r]\n/.test(calendar), 'Every line ends with CRLF');
+
+      const { lines, events } = parseEvents(calendar);
+      assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+      assert.ok(lines.includes('PRODID:-//Fasting Forecast//Fasting Schedule//EN'));
+      assert.strictEqual(events.length, 3);
+
+      const [local, london, utc] = events;
+      assert.ok(local.includes(`UID:fasting-block-${fixture.blocks.local.id}@fasting-forecast`));
+      assert.ok(local.includes('DTSTART:20240610T200000'), 'Local blocks use floating times');
+      assert.ok(local.includes('DTEND:20240611T120000'));
+      assert.ok(local.includes('RRULE:FREQ=WEEKLY;BYDAY=MO'));
+      assert.ok(local.includes('SUMMARY:Monday 16'));
+      assert.ok(local.includes('DTSTAMP:20240605T120000Z'));
+
+      assert.ok(london.includes('DTSTART;TZID=Europe/London:20240606T180000'));
+      assert.ok(london.includes('DTEND;TZID=Europe/London:20240607T100000'));
+      assert.ok(london.includes('RRULE:FREQ=WEEKLY;BYDAY=TH'));
+
+      assert.ok(utc.includes('DTSTART:20240608T000000Z'));
+      assert.ok(utc.includes('DTEND:20240609T000000Z'));
+
+      const zoneIds = lines.filter((line) => line.startsWith('TZID:'));
+      assert.deepStrictEqual(zoneIds, ['TZID:Europe/London'], 'UTC needs no VTIMEZONE');
+      const zone = lines.slice(lines.indexOf('BEGIN:VTIMEZONE'), lines.indexOf('END:VTIMEZONE') + 1).join('\n');
+      assert.ok(zone.includes('BEGIN:STANDARD\nDTSTART:20240101T000000\nTZOFFSETFROM:+0000\nTZOFFSETTO:+0000'));
+      assert.ok(zone.includes('BEGIN:DAYLIGHT\nDTSTART:20240331T010000\nTZOFFSETFROM:+0000\nTZOFFSETTO:+0100'));
+      assert.ok(zone.includes('BEGIN:STANDARD\nDTSTART:20241027T020000\nTZOFFSETFROM:+0100\nTZOFFSETTO:+0000'));
+      assert.ok(zone.includes('DTSTART:20261025T020000'), 'Transitions cover two years ahead');
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('skips become EXDATEs and shifts become RECURRENCE-ID exceptions', async () => {
+    const fixture = await createFixture();
+    try {
+      const { local, london } = fixture.blocks;
+      // 20:00 in New York is already the next UTC day, which is how occurrences are keyed
+      await fixture.repository.createOverride({ block_id: local.id, occurrence_date: '2024-06-18', type: 'skip' });
+      await fixture.repository.createOverride({ block_id: local.id, occurrence_date: '2024-06-25', type: 'extend', payload: { hours: 4 }, reason: 'Long weekend; back Tuesday' });
+      await fixture.repository.createOverride({ block_id: london.id, occurrence_date: '2024-06-13', type: 'shift', payload: { hours: 2 } });
+      await fixture.repository.createOverride({ block_id: london.id, occurrence_date: '2024-06-15', type: 'skip' });
+
+      const { token } = await fixture.service.createFeed(fixture.profile.id);
+      const { events } = parseEvents(await fixture.service.renderFeed(token));
+      assert.strictEqual(events.length, 5);
+
+      const localSeries = events.find((event) => event.includes('SUMMARY:Monday 16') && event.some((line) => line.startsWith('RRULE')));
+      assert.ok(localSeries.includes('EXDATE:20240617T200000'));
+      const extended = events.find((event) => event.includes('RECURRENCE-ID:20240624T200000'));
+      assert.ok(extended.includes(`UID:fasting-block-${local.id}@fasting-forecast`));
+      assert.ok(extended.includes('DTSTART:20240624T200000'));
+      assert.ok(extended.includes('DTEND:20240625T160000'));
+      assert.ok(extended.includes('DESCRIPTION:Long weekend\\; back Tuesday'));
+
+      const londonSeries = events.find((event) => event.includes('SUMMARY:London 16') && event.some((line) => line.startsWith('RRULE')));
+      assert.ok(!londonSeries.some((line) => line.startsWith('EXDATE')), 'A skip on a date the block never starts is ignored');
+      const shifted = events.find((event) => event.includes('RECURRENCE-ID;TZID=Europe/London:20240613T180000'));
+      assert.ok(shifted.includes('DTSTART;TZID=Europe/London:20240613T200000'));
+      assert.ok(shifted.includes('DTEND;TZID=Europe/London:20240614T120000'));
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('tokens are stored hashed, rotate and can be revoked', async () => {
+    const fixture = await createFixture();
+    try {
+      const { profile, service, repository } = fixture;
+      assert.deepStrictEqual(await service.getFeedStatus(profile.id), { enabled: false, createdAt: null, lastAccessedAt: null });
+
+      const first = await service.createFeed(profile.id);
+      assert.ok(/^[A-Za-z0-9_-]{43}$/.test(first.token));
+      const stored = await repository.getCalendarFeedByUserProfile(profile.id);
+      assert.strictEqual(stored.token_hash, service.hashToken(first.token));
+      assert.notStrictEqual(stored.token_hash, first.token);
+
+      await service.renderFeed(first.token);
+      assert.ok((await service.getFeedStatus(profile.id)).lastAccessedAt);
+
+      const second = await service.createFeed(profile.id);
+      await assert.rejects(() => service.renderFeed(first.token), /FEED_NOT_FOUND/);
+      assert.ok(await service.renderFeed(second.token));
+
+      assert.deepStrictEqual(await service.revokeFeed(profile.id), { revoked: true });
+      await assert.rejects(() => service.renderFeed(second.token), /FEED_NOT_FOUND/);
+      await assert.rejects(() => service.renderFeed(undefined), /FEED_NOT_FOUND/);
+      assert.deepStrictEqual(await service.revokeFeed(profile.id), { revoked: false });
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('folds long lines at 75 octets without splitting characters', async () => {
+    const service = new CalendarFeedService(null, { clock: () => new Date('2024-06-05T12:00:00.000Z') });
+    const calendar = service.buildCalendar({
+      blocks: [{
+        id: 7,
+        name: `Fast, ${'🥗 '.repeat(30)}done`,
+        start_dow: 2,
+        start_time: '19:00',
+        end_dow: 3,
+        end_time: '11:00',
+        tz_mode: 'local',
+        created_at: '2024-06-05 08:00:00'
+      }]
+    });
+
+    const physical = calendar.split('\r\n');
+    physical.forEach((line) => assert.ok(Buffer.byteLength(line) <= 75, `Line too long: ${line}`));
+    assert.ok(physical.some((line) => line.startsWith(' ')), 'The summary is folded');
+    const summary = parseEvents(calendar).events[0].find((line) => line.startsWith('SUMMARY:'));
+    assert.strictEqual(summary, `SUMMARY:Fast\\, ${'🥗 '.repeat(30)}done`);
+    assert.ok(parseEvents(calendar).events[0].includes('DTSTART:20240611T190000'));
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runCalendarFeedTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Calendar feed tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Calendar feed tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Calendar feed test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runCalendarFeedTests;
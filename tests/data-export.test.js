@@ -0,0 +1,218 @@
+const assert = require('assert');
+const JSZip = require('jszip');
+const DataExportService = require('../services/DataExportService');
+const InMemoryBodyLogDatabase = require('./helpers/InMemoryBodyLogDatabase');
+
+async function seedProfile(db) {
+  db.addUserProfile({
+    id: 5,
+    session_id: 'fs_1700000000000_export',
+    weight: 200,
+    weight_unit: 'lb',
+    body_fat: 28,
+    target_body_fat: 18,
+    activity_level: 1.4,
+    forecast_data: JSON.stringify({ currentProtocol: { duration: 36, frequency: 2 } }),
+    custom_mealtimes: JSON.stringify([{ name: 'Lunch', time: '12:00' }]),
+    hunger_coach_enabled: 1,
+    benefits_enabled: 0,
+    time_zone: 'America/New_York'
+  });
+
+  const fast = await db.createFast({
+    user_profile_id: 5,
+    start_time: '2024-03-01T20:00:00.000Z',
+    end_time: '2024-03-03T08:00:00.000Z',
+    duration_hours: 36,
+    notes: 'Felt good, "strong" finish',
+    is_active: 0
+  });
+  await db.createMilestone({
+    fast_id: fast.id,
+    milestone_type: 'ketosis',
+    achieved_at: '2024-03-02T14:00:00.000Z',
+    hours_elapsed: 18
+  });
+
+  await db.createBodyLogEntry({
+    user_profile_id: 5,
+    fast_id: fast.id,
+    logged_at: '2024-03-03T09:00:00.000Z',
+    local_date: '2024-03-03',
+    timezone_offset_minutes: -300,
+    weight: 196.4,
+    entry_tag: 'post_fast',
+    source: 'fast_end',
+    is_canonical: true
+  });
+  await db.createBodyLogEntry({
+    user_profile_id: 5,
+    logged_at: '2024-02-28T12:00:00.000Z',
+    local_date: '2024-02-28',
+    timezone_offset_minutes: -300,
+    weight: 199.1,
+    entry_tag: 'morning',
+    source: 'manual',
+    is_canonical: true
+  });
+  await db.createBodyLogEntry({
+    user_profile_id: 6,
+    logged_at: '2024-02-28T12:00:00.000Z',
+    local_date: '2024-02-28',
+    weight: 150,
+    entry_tag: 'morning'
+  });
+
+  const schedule = await db.createSchedule({ user_profile_id: 5, week_anchor: 1 });
+  const block = await db.createFastingBlock({
+    schedule_id: schedule.id,
+    name: 'Monday 36',
+    start_dow: 1,
+    start_time: '20:00',
+    end_dow: 3,
+    end_time: '08:00',
+    notifications: { pre_start: [30] }
+  });
+  await db.createFastingBlock({
+    schedule_id: schedule.id,
+    name: 'Retired block',
+    start_dow: 4,
+    start_time: '20:00',
+    end_dow: 5,
+    end_time: '20:00',
+    is_active: false
+  });
+  await db.createOverride({
+    block_id: block.id,
+    occurrence_date: '2024-03-04',
+    type: 'skip',
+    reason: 'Travel'
+  });
+
+  await db.upsertScheduleDraft(5, { protocol: { durationHours: 36 }, blocks: [] });
+
+  return { fast, schedule, block };
+}
+
+async function runDataExportTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('buildExport returns a versioned document scoped to one profile', async () => {
+    const db = new InMemoryBodyLogDatabase();
+    const { fast, block } = await seedProfile(db);
+    const service = new DataExportService(db);
+
+    const document = await service.buildExport(5);
+
+    assert.strictEqual(document.format, DataExportService.EXPORT_FORMAT);
+    assert.strictEqual(document.version, DataExportService.EXPORT_VERSION);
+    assert.ok(document.exportedAt);
+    assert.strictEqual(document.profile.weight, 200);
+    assert.deepStrictEqual(document.profile.forecast_data, { currentProtocol: { duration: 36, frequency: 2 } });
+    assert.ok(!('session_id' in document.profile), 'session_id must not be exported');
+    assert.deepStrictEqual(document.settings.custom_mealtimes, [{ name: 'Lunch', time: '12:00' }]);
+    assert.strictEqual(document.settings.hunger_coach_enabled, true);
+    assert.strictEqual(document.settings.benefits_enabled, false);
+
+    assert.strictEqual(document.fasts.length, 1);
+    assert.strictEqual(document.fasts[0].id, fast.id);
+    assert.strictEqual(document.fasts[0].is_active, false);
+    assert.strictEqual(document.fasts[0].milestones.length, 1);
+    assert.strictEqual(document.fasts[0].milestones[0].milestone_type, 'ketosis');
+
+    assert.strictEqual(document.bodyLog.length, 2, 'Entries from other profiles are excluded');
+    assert.strictEqual(document.bodyLog[0].local_date, '2024-02-28', 'Body log is ordered oldest first');
+    assert.strictEqual(document.bodyLog[1].fast_id, fast.id);
+
+    assert.strictEqual(document.schedules.length, 1);
+    assert.strictEqual(document.schedules[0].blocks.length, 2, 'Inactive blocks are kept for history');
+    const exportedBlock = document.schedules[0].blocks.find((item) => item.id === block.id);
+    assert.strictEqual(exportedBlock.overrides.length, 1);
+    assert.strictEqual(exportedBlock.overrides[0].type, 'skip');
+
+    assert.ok(document.scheduleDraft);
+    assert.strictEqual(document.scheduleDraft.payload.protocol.durationHours, 36);
+  });
+
+  await record('buildExport rejects unknown profiles', async () => {
+    const service = new DataExportService(new InMemoryBodyLogDatabase());
+    await assert.rejects(() => service.buildExport(404), (error) => error.code === 'PROFILE_NOT_FOUND');
+  });
+
+  await record('toCsv escapes quotes, commas, newlines and nested objects', async () => {
+    const service = new DataExportService(new InMemoryBodyLogDatabase());
+    const csv = service.toCsv([
+      { a: 'plain', b: 'with, comma', c: 'say "hi"' },
+      { a: 'line\nbreak', b: null, c: { nested: true } }
+    ], ['a', 'b', 'c']);
+
+    assert.strictEqual(
+      csv,
+      'a,b,c\r\nplain,"with, comma","say ""hi"""\r\n"line\nbreak",,"{""nested"":true}"\r\n'
+    );
+  });
+
+  await record('buildCsvArchive bundles a manifest and one CSV per table', async () => {
+    const db = new InMemoryBodyLogDatabase();
+    await seedProfile(db);
+    const service = new DataExportService(db);
+
+    const document = await service.buildExport(5);
+    const archive = await service.buildCsvArchive(document);
+    const zip = await JSZip.loadAsync(archive);
+
+    const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+    assert.strictEqual(manifest.version, DataExportService.EXPORT_VERSION);
+    assert.ok(manifest.files.includes('fasts.csv'));
+
+    const fastsCsv = await zip.file('fasts.csv').async('string');
+    const fastLines = fastsCsv.trim().split('\r\n');
+    assert.strictEqual(fastLines.length, 2);
+    assert.ok(fastLines[1].includes('"Felt good, ""strong"" finish"'));
+
+    const blocksCsv = await zip.file('fasting_blocks.csv').async('string');
+    assert.strictEqual(blocksCsv.trim().split('\r\n').length, 3);
+
+    const overridesCsv = await zip.file('overrides.csv').async('string');
+    assert.ok(overridesCsv.includes('Travel'));
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runDataExportTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Data export tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Data export tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Data export test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runDataExportTests;
@@ -0,0 +1,350 @@
+const assert = require('assert');
+const BodyLogService = require('../services/BodyLogService');
+const DataExportService = require('../services/DataExportService');
+const DataImportService = require('../services/DataImportService');
+const InMemoryBodyLogDatabase = require('./helpers/InMemoryBodyLogDatabase');
+const createMigratedRepository = require('./helpers/createMigratedRepository');
+
+const SOURCE_SESSION = 'fs_1700000000000_source';
+const TARGET_SESSION = 'fs_1700000000000_target';
+const silentLogger = { log: () => {} };
+
+async function buildSourceBundle() {
+  const db = new InMemoryBodyLogDatabase();
+  db.addUserProfile({
+    id: 1,
+    session_id: SOURCE_SESSION,
+    weight: 210,
+    weight_unit: 'lb',
+    body_fat: 30,
+    target_body_fat: 20,
+    activity_level: 1.3,
+    forecast_data: JSON.stringify({ currentProtocol: { duration: 48 } }),
+    custom_mealtimes: JSON.stringify([{ name: 'Dinner', time: '18:00' }]),
+    height_cm: 180,
+    time_zone: 'UTC',
+    onboarded_at: '2024-01-01T00:00:00.000Z'
+  });
+
+  const fast = await db.createFast({
+    user_profile_id: 1,
+    start_time: '2024-04-01T18:00:00.000Z',
+    end_time: '2024-04-03T18:00:00.000Z',
+    duration_hours: 48,
+    start_in_ketosis: true,
+    is_active: false
+  });
+  await db.createMilestone({
+    fast_id: fast.id,
+    milestone_type: 'autophagy',
+    achieved_at: '2024-04-02T18:00:00.000Z',
+    hours_elapsed: 24
+  });
+
+  await db.createBodyLogEntry({
+    user_profile_id: 1,
+    fast_id: fast.id,
+    logged_at: '2024-04-03T18:30:00.000Z',
+    local_date: '2024-04-03',
+    timezone_offset_minutes: 0,
+    time_zone: 'UTC',
+    weight: 205.2,
+    entry_tag: 'post_fast',
+    source: 'fast_end',
+    is_canonical: true,
+    canonical_status: 'auto'
+  });
+  await db.createBodyLogEntry({
+    user_profile_id: 1,
+    logged_at: '2024-03-30T07:00:00.000Z',
+    local_date: '2024-03-30',
+    timezone_offset_minutes: 0,
+    time_zone: 'UTC',
+    weight: 208.4,
+    entry_tag: 'morning',
+    source: 'manual',
+    is_canonical: true,
+    canonical_status: 'manual'
+  });
+
+  const schedule = await db.createSchedule({ user_profile_id: 1, week_anchor: 1 });
+  const block = await db.createFastingBlock({
+    schedule_id: schedule.id,
+    name: 'Weekend 48',
+    start_dow: 5,
+    start_time: '18:00',
+    end_dow: 0,
+    end_time: '18:00'
+  });
+  await db.createOverride({ block_id: block.id, occurrence_date: '2024-04-05', type: 'skip', reason: 'Wedding' });
+  await db.upsertScheduleDraft(1, { protocol: { durationHours: 48 } });
+
+  return new DataExportService(db).buildExport(1);
+}
+
+function createTargetDatabase() {
+  const db = new InMemoryBodyLogDatabase();
+  // Unrelated rows push the sequences forward so imported IDs cannot line up by accident
+  db.addUserProfile({ id: 40, session_id: 'fs_1700000000000_other' });
+  db.addFast({ id: 1, user_profile_id: 40, start_time: '2023-01-01T00:00:00.000Z' });
+  db.fastSequence = 90;
+  db.blockSequence = 70;
+  return db;
+}
+
+function createService(db) {
+  return new DataImportService(db, new BodyLogService(db));
+}
+
+async function runDataImportTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('importBundle restores a bundle into a new session and remaps IDs', async () => {
+    const bundle = await buildSourceBundle();
+    bundle.fasts[0].planned_instance_id = 12;
+    const db = createTargetDatabase();
+    const service = createService(db);
+
+    const report = await service.importBundle({ sessionId: TARGET_SESSION, userProfile: null }, bundle);
+
+    assert.strictEqual(report.profileCreated, true);
+    assert.strictEqual(report.conflicts.length, 0);
+    assert.strictEqual(report.counts.fasts.imported, 1);
+    assert.strictEqual(report.counts.bodyLog.imported, 2);
+
+    const profile = await db.getUserProfileBySessionId(TARGET_SESSION);
+    assert.strictEqual(profile.id, report.userProfileId);
+    assert.strictEqual(profile.weight, 210);
+    assert.strictEqual(profile.height_cm, 180);
+    assert.strictEqual(profile.onboarded_at, '2024-01-01T00:00:00.000Z');
+    assert.deepStrictEqual(JSON.parse(profile.custom_mealtimes), [{ name: 'Dinner', time: '18:00' }]);
+
+    const [fast] = await db.getAllFastsByUserProfile(profile.id);
+    assert.notStrictEqual(fast.id, bundle.fasts[0].id, 'Fast receives a new ID');
+    assert.strictEqual(fast.duration_hours, 48);
+    assert.strictEqual(fast.start_in_ketosis, true);
+    assert.strictEqual(fast.planned_instance_id, null, 'Planned instances are not exported, so the link is dropped');
+    const milestones = await db.getFastMilestones(fast.id);
+    assert.strictEqual(milestones.length, 1);
+    assert.strictEqual(milestones[0].milestone_type, 'autophagy');
+
+    const entries = await db.getBodyLogEntriesByUser(profile.id);
+    const postFast = entries.find((entry) => entry.local_date === '2024-04-03');
+    assert.strictEqual(postFast.fast_id, fast.id, 'Body log link follows the remapped fast');
+    assert.strictEqual(postFast.entry_tag, 'post_fast');
+    const manual = entries.find((entry) => entry.local_date === '2024-03-30');
+    assert.strictEqual(manual.is_canonical, true);
+    assert.strictEqual(manual.canonical_status, 'manual', 'Manual canonical choice survives the import');
+
+    const schedule = await db.getScheduleByUserProfile(profile.id);
+    const [block] = await db.getFastingBlocksBySchedule(schedule.id);
+    assert.notStrictEqual(block.id, bundle.schedules[0].blocks[0].id, 'Block receives a new ID');
+    const overrides = await db.getOverridesByBlock(block.id);
+    assert.strictEqual(overrides.length, 1);
+    assert.strictEqual(overrides[0].reason, 'Wedding');
+
+    const draft = await db.getScheduleDraftByUserProfile(profile.id);
+    assert.strictEqual(draft.payload.protocol.durationHours, 48);
+  });
+
+  await record('dry run reports merge conflicts without writing anything', async () => {
+    const bundle = await buildSourceBundle();
+    const db = createTargetDatabase();
+    const service = createService(db);
+    await service.importBundle({ sessionId: TARGET_SESSION, userProfile: null }, bundle);
+    const profile = await db.getUserProfileBySessionId(TARGET_SESSION);
+    const fastCountBefore = db.fasts.size;
+    const entryCountBefore = db.entries.size;
+
+    const report = await service.importBundle({ sessionId: TARGET_SESSION, userProfile: profile }, bundle, { dryRun: true });
+
+    assert.strictEqual(report.dryRun, true);
+    assert.strictEqual(report.counts.fasts.skipped, 1);
+    assert.strictEqual(report.counts.bodyLog.skipped, 2);
+    assert.strictEqual(report.counts.schedules.skipped, 1);
+    const types = report.conflicts.map((conflict) => conflict.type).sort();
+    assert.deepStrictEqual(types, [
+      'duplicate_body_log',
+      'duplicate_body_log',
+      'duplicate_fast',
+      'schedule_draft_exists',
+      'schedule_exists'
+    ]);
+    assert.strictEqual(db.fasts.size, fastCountBefore);
+    assert.strictEqual(db.entries.size, entryCountBefore);
+  });
+
+  await record('merge keeps existing settings and links new entries to existing fasts', async () => {
+    const bundle = await buildSourceBundle();
+    const db = createTargetDatabase();
+    db.addUserProfile({ id: 7, session_id: TARGET_SESSION, weight: 190, weight_unit: 'lb', height_cm: null });
+    const existingFast = await db.createFast({
+      user_profile_id: 7,
+      start_time: bundle.fasts[0].start_time,
+      end_time: bundle.fasts[0].end_time
+    });
+    const service = createService(db);
+    const profile = await db.getUserProfileById(7);
+
+    const report = await service.importBundle({ sessionId: TARGET_SESSION, userProfile: profile }, bundle);
+
+    assert.strictEqual(report.counts.fasts.skipped, 1);
+    assert.strictEqual(report.counts.bodyLog.imported, 2);
+    const updated = await db.getUserProfileById(7);
+    assert.strictEqual(updated.weight, 190, 'Existing values are not overwritten');
+    assert.strictEqual(updated.height_cm, 180, 'Missing values are filled from the bundle');
+
+    const linked = await db.getBodyLogEntriesByFastId(existingFast.id);
+    assert.strictEqual(linked.length, 1);
+  });
+
+  await record('replace mode clears existing data before importing', async () => {
+    const bundle = await buildSourceBundle();
+    const db = createTargetDatabase();
+    db.addUserProfile({ id: 7, session_id: TARGET_SESSION, weight: 190 });
+    await db.createFast({ user_profile_id: 7, start_time: '2024-02-01T00:00:00.000Z', end_time: '2024-02-02T00:00:00.000Z' });
+    await db.createBodyLogEntry({ user_profile_id: 7, logged_at: '2024-02-01T00:00:00.000Z', local_date: '2024-02-01', weight: 191 });
+    const service = createService(db);
+    const profile = await db.getUserProfileById(7);
+
+    const report = await service.importBundle({ sessionId: TARGET_SESSION, userProfile: profile }, bundle, { mode: 'replace' });
+
+    assert.deepStrictEqual(report.removed, { fasts: 1, bodyLog: 1, schedules: 0, scheduleDraft: 0 });
+    assert.strictEqual(report.conflicts.length, 0);
+    const fasts = await db.getAllFastsByUserProfile(7);
+    assert.strictEqual(fasts.length, 1);
+    assert.strictEqual(fasts[0].start_time, bundle.fasts[0].start_time);
+    assert.strictEqual((await db.getBodyLogEntriesByUser(7)).length, 2);
+    assert.strictEqual((await db.getUserProfileById(7)).weight, 210);
+    assert.strictEqual((await db.getAllFastsByUserProfile(40)).length, 1, 'Other profiles are untouched');
+  });
+
+  await record('a replace that fails part way leaves the existing data in place', async () => {
+    const bundle = await buildSourceBundle();
+    const { repository, close } = await createMigratedRepository();
+    try {
+      await repository.createUserProfile({ session_id: TARGET_SESSION, weight: 190, weight_unit: 'lb' });
+      const profile = await repository.getUserProfileBySessionId(TARGET_SESSION);
+      await repository.createFast({
+        user_profile_id: profile.id,
+        start_time: '2024-02-01T00:00:00.000Z',
+        end_time: '2024-02-02T00:00:00.000Z'
+      });
+      // The overrides are the last rows written before the draft
+      repository.createOverride = async () => {
+        throw new Error('disk full');
+      };
+      const service = new DataImportService(repository, new BodyLogService(repository, { logger: silentLogger }));
+
+      await assert.rejects(
+        () => service.importBundle({ sessionId: TARGET_SESSION, userProfile: profile }, bundle, { mode: 'replace' }),
+        /disk full/
+      );
+
+      const fasts = await repository.getAllFastsByUserProfile(profile.id);
+      assert.deepStrictEqual(fasts.map((fast) => fast.start_time), ['2024-02-01T00:00:00.000Z']);
+      assert.strictEqual((await repository.getBodyLogEntriesByUser(profile.id)).length, 0);
+      assert.strictEqual(await repository.getScheduleByUserProfile(profile.id), null);
+      assert.strictEqual((await repository.getUserProfileById(profile.id)).weight, 190);
+    } finally {
+      await close();
+    }
+  });
+
+  await record('POST /api/import restores a bundle into a brand-new session', async () => {
+    const bundle = await buildSourceBundle();
+    const { repository, close } = await createMigratedRepository();
+    // The server shares one database module; point it at the in-memory database
+    const serverDb = require('../database/index');
+    const previousAdapter = serverDb.adapter;
+    serverDb.adapter = repository.adapter;
+    const { app } = require('../server');
+    const server = app.listen(0);
+
+    try {
+      const sessionId = 'fs_1700000000000_restored';
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-session-id': sessionId },
+        body: JSON.stringify({ bundle })
+      });
+      const report = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(report.profileCreated, true);
+      assert.strictEqual(report.counts.fasts.imported, 1);
+
+      const profile = await repository.getUserProfileBySessionId(sessionId);
+      assert.strictEqual(profile.id, report.userProfileId);
+      assert.strictEqual(Number(profile.weight), 210);
+      assert.strictEqual((await repository.getFastsByUserProfile(profile.id)).length, 1);
+      assert.strictEqual((await repository.getBodyLogEntriesByUser(profile.id)).length, 2);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+      serverDb.adapter = previousAdapter;
+      await close();
+    }
+  });
+
+  await record('importBundle rejects invalid bundles and modes', async () => {
+    const bundle = await buildSourceBundle();
+    const service = createService(new InMemoryBodyLogDatabase());
+    const target = { sessionId: TARGET_SESSION, userProfile: null };
+
+    await assert.rejects(
+      () => service.importBundle(target, { ...bundle, version: 99 }),
+      (error) => error.code === 'INVALID_BUNDLE' && error.details[0].includes('version')
+    );
+    await assert.rejects(
+      () => service.importBundle(target, { ...bundle, format: 'something-else' }),
+      (error) => error.code === 'INVALID_BUNDLE'
+    );
+    await assert.rejects(
+      () => service.importBundle(target, { ...bundle, bodyLog: [{ logged_at: 'nope', weight: 180 }] }),
+      (error) => error.code === 'INVALID_BUNDLE' && error.details[0].startsWith('bodyLog[0]')
+    );
+    await assert.rejects(
+      () => service.importBundle(target, bundle, { mode: 'overwrite' }),
+      (error) => error.code === 'INVALID_IMPORT_MODE'
+    );
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runDataImportTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Data import tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Data import tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Data import test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runDataImportTests;
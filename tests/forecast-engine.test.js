@@ -0,0 +1,338 @@
+const assert = require('assert');
+const ForecastEngine = require('../services/ForecastEngine');
+
+const { PHASES } = ForecastEngine;
+
+function approx(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || 'value'}: expected ${expected}, got ${actual}`);
+}
+
+async function runForecastEngineTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  const engine = new ForecastEngine();
+
+  await record('ketosis timing adjusts for insulin sensitivity, experience and body fat', async () => {
+    assert.strictEqual(engine.getKetosisTimingAdjustment({ bodyFat: 20 }), 6, 'Defaults to a normal-sensitivity beginner');
+    assert.strictEqual(engine.getKetosisTimingAdjustment({ insulinSensitivity: 'low', fastingExperience: 'beginner', bodyFat: 30 }), 8);
+    assert.strictEqual(engine.getKetosisTimingAdjustment({ insulinSensitivity: 'high', fastingExperience: 'advanced', bodyFat: 12 }), -8);
+    assert.strictEqual(
+      engine.getKetosisTimingAdjustment({ fastingExperience: 'intermediate', bodyFat: 12, bodyFatPercentage: 28 }),
+      0,
+      'The profile body fat percentage wins over the simulated one'
+    );
+
+    assert.deepStrictEqual(engine.getPhaseStartHours(-8), {
+      glycogenDepletion: 8,
+      earlyKetosis: 16,
+      fullKetosis: 40,
+      optimalKetosis: 64
+    });
+    assert.deepStrictEqual(engine.getPhaseStartHours(-30), {
+      glycogenDepletion: 8,
+      earlyKetosis: 16,
+      fullKetosis: 32,
+      optimalKetosis: 56
+    }, 'Phase starts are floored');
+  });
+
+  await record('phases change at the adjusted start hours', async () => {
+    const phaseAt = (hours, adjustment) => engine.getPhaseParameters(hours, adjustment).phase;
+
+    assert.deepStrictEqual(
+      [23, 24, 47, 48, 71, 72].map((hours) => phaseAt(hours, 0)),
+      ['glycogenDepletion', 'earlyKetosis', 'earlyKetosis', 'fullKetosis', 'fullKetosis', 'optimalKetosis']
+    );
+    assert.deepStrictEqual(
+      [29, 30, 53, 54, 77, 78].map((hours) => phaseAt(hours, 6)),
+      ['glycogenDepletion', 'earlyKetosis', 'earlyKetosis', 'fullKetosis', 'fullKetosis', 'optimalKetosis'],
+      'A beginner reaches each phase six hours later'
+    );
+
+    const glycogen = engine.getPhaseParameters(10);
+    assert.strictEqual(glycogen.proteinMaintenanceKcal, 160);
+    assert.strictEqual(glycogen.ffmPreservationFactor, 1);
+    const optimal = engine.getPhaseParameters(96);
+    assert.strictEqual(optimal.proteinMaintenanceKcal, 40);
+    approx(optimal.ffmPreservationFactor, 0.6, 'Optimal ketosis spares 40%');
+  });
+
+  await record('blocks that start in ketosis jump straight to full ketosis', async () => {
+    const week = (ketosisStates) => engine.simulateWeek({
+      fastingBlocks: [24, 24],
+      ketosisStates,
+      ketosisAdjustment: 0,
+      hourlyTDEE: 100,
+      bodyFat: 25,
+      fatMass: 20
+    });
+
+    const fresh = week([false, false]);
+    assert.deepStrictEqual(fresh.phaseHours, { glycogenDepletion: 46, earlyKetosis: 2, fullKetosis: 0, optimalKetosis: 0 });
+    assert.strictEqual(fresh.dominantPhase, 'glycogenDepletion');
+
+    const carried = week([false, true]);
+    assert.deepStrictEqual(carried.phaseHours, { glycogenDepletion: 23, earlyKetosis: 1, fullKetosis: 24, optimalKetosis: 0 });
+    assert.strictEqual(carried.dominantPhase, 'fullKetosis');
+    assert.ok(carried.weeklyFFMLoss < fresh.weeklyFFMLoss, 'Ketosis preserves fat-free mass');
+
+    const eatingOnly = engine.simulateWeek({
+      fastingBlocks: [],
+      ketosisStates: [],
+      ketosisAdjustment: 0,
+      hourlyTDEE: 100,
+      bodyFat: 25,
+      fatMass: 20
+    });
+    assert.strictEqual(eatingOnly.weeklyFatLoss + eatingOnly.weeklyFFMLoss, 0, 'Eating hours are at maintenance');
+    assert.strictEqual(eatingOnly.dominantPhase, PHASES[0]);
+  });
+
+  await record('fat oxidation is capped at low body fat', async () => {
+    const lean = engine.partitionFastingHour({
+      hourlyTDEE: 100,
+      proteinMaintenanceKcal: 48,
+      ffmPreservationFactor: 1,
+      bodyFat: 8,
+      fatMass: 5
+    });
+    approx(lean.fatLoss, (69 / 24) * 5 / 7700, 'Fat supplies only the capped energy');
+    approx(lean.ffmLoss, 0.002 + (100 - 2 - (69 / 24) * 5) / 1000, 'The shortfall comes from fat-free mass');
+
+    const typical = engine.partitionFastingHour({
+      hourlyTDEE: 100,
+      proteinMaintenanceKcal: 48,
+      ffmPreservationFactor: 1,
+      bodyFat: 20,
+      fatMass: 5
+    });
+    approx(typical.fatLoss, 98 / 7700);
+    approx(typical.ffmLoss, 0.002);
+  });
+
+  await record('simulate returns weekly results and a consistent summary', async () => {
+    const forecast = engine.simulate(
+      { weight: 200, weightUnit: 'lb', bodyFat: 30, activityLevel: 1.2 },
+      { fastingBlocks: [72, 24], ketosisStates: [false, true] },
+      { weeks: 2, startDate: '2024-12-23' }
+    );
+
+    approx(forecast.initialStats.weight, 200 * 0.453592, 'Pounds are converted to kg');
+    approx(forecast.initialStats.dailyTDEE, (370 + 21.6 * forecast.initialStats.fatFreeMass) * 1.2, 'Katch-McArdle TDEE');
+    assert.deepStrictEqual(forecast.weeklyResults.map((week) => week.date), ['2024-12-23', '2024-12-30', '2025-01-06']);
+    assert.strictEqual(forecast.weeklyResults[0].ketosisPhase, 'baseline');
+
+    const [, first, second] = forecast.weeklyResults;
+    approx(first.fatMass + first.fatFreeMass, first.weight, 'Week 1 mass adds up');
+    assert.ok(second.weight < first.weight && second.bodyFat < first.bodyFat);
+    approx(forecast.summary.totalWeightLost, forecast.summary.totalFatLost + forecast.summary.totalFFMLost);
+    approx(forecast.summary.totalWeightLost, first.totalWeightLoss + second.totalWeightLoss);
+
+    const overridden = engine.simulate(
+      { weight: 90, bodyFat: 30, activityLevel: 1.2, tdeeOverride: 2500 },
+      { fastingBlocks: [24] },
+      { startDate: '2024-01-01' }
+    );
+    assert.strictEqual(overridden.initialStats.dailyTDEE, 2500);
+    assert.strictEqual(overridden.summary.totalWeeks, 12, 'Twelve weeks by default');
+
+    assert.throws(
+      () => engine.simulate({ weight: 90, bodyFat: 30, activityLevel: 1.2 }, { fastingBlocks: [24] }, { startDate: 'next week' }),
+      { code: 'INVALID_START_DATE' }
+    );
+    [0, 105, 2.5, '12'].forEach((weeks) => {
+      assert.throws(
+        () => engine.simulate({ weight: 90, bodyFat: 30, activityLevel: 1.2 }, { fastingBlocks: [24] }, { weeks, startDate: '2024-01-01' }),
+        (error) => error.code === 'INVALID_WEEKS' && typeof error.details === 'string',
+        String(weeks)
+      );
+    });
+    [{}, [24, -1], [24, '12'], [24, Infinity], new Array(22).fill(1), [100, 69]].forEach((fastingBlocks) => {
+      assert.throws(
+        () => engine.simulate({ weight: 90, bodyFat: 30, activityLevel: 1.2 }, { fastingBlocks }, { startDate: '2024-01-01' }),
+        (error) => error.code === 'INVALID_FASTING_BLOCKS' && typeof error.details === 'string',
+        JSON.stringify(fastingBlocks)
+      );
+    });
+    assert.strictEqual(
+      engine.simulate({ weight: 90, bodyFat: 30, activityLevel: 1.2 }, { fastingBlocks: [100, 68] }, { weeks: 1, startDate: '2024-01-01' }).summary.totalWeeks,
+      1
+    );
+  });
+
+  await record('eating-day intake feeds the weekly fat and fat-free mass change', async () => {
+    const profile = { weight: 90, bodyFat: 25, activityLevel: 1.2, tdeeOverride: 2400 };
+    const options = { weeks: 2, startDate: '2024-01-01' };
+    const forecast = (eatingIntake) => engine.simulate(profile, { fastingBlocks: [24], eatingIntake }, options);
+
+    const maintenance = forecast(null);
+    assert.strictEqual(maintenance.summary.feedingImpact, null, 'No comparison without an intake');
+    assert.strictEqual(maintenance.weeklyResults[1].eatingBalanceKcal, 0);
+
+    const atTdee = forecast({ kcalPerDay: 2400 });
+    approx(atTdee.summary.finalWeight, maintenance.summary.finalWeight, 'Eating at TDEE matches maintenance');
+    approx(atTdee.summary.feedingImpact.extraWeightLost, 0);
+
+    // Six eating days at 10% under 2400 kcal
+    const deficit = forecast({ adjustmentPercent: -10 });
+    const [, week] = deficit.weeklyResults;
+    approx(week.eatingBalanceKcal, -240 * 6, 'Weekly eating-day balance');
+    approx(week.weeklyFatLoss - maintenance.weeklyResults[1].weeklyFatLoss, 1440 / 7700, 'The deficit comes from fat');
+    approx(week.weeklyFFMLoss, maintenance.weeklyResults[1].weeklyFFMLoss, 'Food covers protein needs');
+    approx(deficit.summary.feedingImpact.extraWeightLost, 2 * 1440 / 7700);
+    approx(deficit.summary.feedingImpact.averageDailyIntakeKcal, 2160 * 6 / 7, 'Nothing is eaten on the fasting day');
+    approx(deficit.summary.feedingImpact.maintenanceFinalWeight, maintenance.summary.finalWeight);
+
+    const surplus = engine.simulate(profile, { fastingBlocks: [], eatingIntake: { adjustmentPercent: 20 } }, options);
+    assert.ok(surplus.weeklyResults[1].weeklyFatLoss < 0, 'A surplus is stored as fat');
+    assert.ok(surplus.summary.finalWeight > surplus.initialStats.weight);
+    approx(surplus.summary.totalFatLost, -2 * 480 * 7 / 7700);
+
+    // A 12-hour fast: the first day's 2400 kcal are eaten in its other 12 hours
+    const halfDay = engine.simulate(profile, { fastingBlocks: [12], eatingIntake: { kcalPerDay: 2400 } }, options);
+    approx(halfDay.weeklyResults[1].eatingBalanceKcal, 1200, 'The fasting hours are made up in the eating hours');
+    approx(halfDay.summary.feedingImpact.averageDailyIntakeKcal, 2400);
+  });
+
+  await record('block starts leave eating hours between the fasts', async () => {
+    const profile = { weight: 90, bodyFat: 25, activityLevel: 1.2, tdeeOverride: 2400 };
+    const options = { weeks: 1, startDate: '2024-01-01' };
+    const fastingBlocks = new Array(7).fill(16);
+    const blockStarts = [0, 24, 48, 72, 96, 120, 144];
+
+    assert.deepStrictEqual(engine.getEatingHoursByDay(fastingBlocks), [0, 0, 0, 0, 8, 24, 24], 'End to end by default');
+    assert.deepStrictEqual(engine.getEatingHoursByDay(fastingBlocks, blockStarts), [8, 8, 8, 8, 8, 8, 8]);
+
+    // Each day's 2400 kcal is eaten in its own window instead of on the last days of the week
+    const daily = engine.simulate(profile, { fastingBlocks, blockStarts, eatingIntake: { kcalPerDay: 2400 } }, options);
+    approx(daily.weeklyResults[1].eatingBalanceKcal, 1600 * 7);
+    approx(daily.summary.feedingImpact.averageDailyIntakeKcal, 2400);
+    const endToEnd = engine.simulate(profile, { fastingBlocks, eatingIntake: { kcalPerDay: 2400 } }, options);
+    approx(endToEnd.summary.feedingImpact.averageDailyIntakeKcal, 2400 * 3 / 7, 'Four days without food');
+
+    [[0, 24], [0, 10, 48, 72, 96, 120, 144], [0, 24, 48, 72, 96, 120, 160], [0, 24, 48, 72, 96, 120, '144']].forEach((starts) => {
+      assert.throws(
+        () => engine.simulate(profile, { fastingBlocks, blockStarts: starts }, options),
+        (error) => error.code === 'INVALID_FASTING_BLOCKS' && typeof error.details === 'string',
+        JSON.stringify(starts)
+      );
+    });
+  });
+
+  await record('per-weekday intake lines up with the start date', async () => {
+    assert.strictEqual(engine.getDailyIntakes(null, { tdee: 2000 }), null);
+    assert.deepStrictEqual(
+      engine.getDailyIntakes({ kcalByWeekday: [1000, 1100, 1200, 1300, 1400, 1500, null] }, { tdee: 2000, startWeekday: 3 }),
+      [1300, 1400, 1500, null, 1000, 1100, 1200],
+      'Day 0 is Wednesday and an empty Saturday eats at maintenance'
+    );
+
+    // 2024-01-06 is a Saturday: only the first simulated day is a feast day
+    const feast = engine.simulate(
+      { weight: 90, bodyFat: 25, activityLevel: 1.2, tdeeOverride: 2400 },
+      { fastingBlocks: [], eatingIntake: { kcalByWeekday: [null, null, null, null, null, null, 3400] } },
+      { weeks: 1, startDate: '2024-01-06' }
+    );
+    approx(feast.weeklyResults[1].eatingBalanceKcal, 1000);
+
+    const invalid = [
+      { kcalPerDay: 2000, adjustmentPercent: -10 },
+      { kcalByWeekday: [2000, 2000, 2000] },
+      { kcalPerDay: -5 },
+      { adjustmentPercent: -90 },
+      [2000]
+    ];
+    invalid.forEach((eatingIntake) => {
+      assert.throws(
+        () => engine.simulate({ weight: 90, bodyFat: 25, activityLevel: 1.2 }, { fastingBlocks: [], eatingIntake }, { startDate: '2024-01-01' }),
+        (error) => error.code === 'INVALID_EATING_INTAKE' && typeof error.details === 'string',
+        JSON.stringify(eatingIntake)
+      );
+    });
+  });
+
+  await record('uncertainty bands bracket the forecast and repeat for the same seed', async () => {
+    const profile = { weight: 200, weightUnit: 'lb', bodyFat: 30, activityLevel: 1.4 };
+    const protocol = { fastingBlocks: [36, 36], ketosisStates: [false, true] };
+    const forecast = (uncertainty) => engine.simulate(profile, protocol, { weeks: 6, startDate: '2024-03-04', uncertainty });
+
+    assert.strictEqual(forecast(undefined).uncertainty, undefined, 'Bands are opt-in');
+
+    const banded = forecast(true);
+    assert.strictEqual(banded.uncertainty.samples, 100);
+    assert.strictEqual(banded.uncertainty.weeks.length, banded.weeklyResults.length);
+    assert.deepStrictEqual(banded.uncertainty.weeks[0].weight, {
+      p10: banded.initialStats.weight,
+      p50: banded.initialStats.weight,
+      p90: banded.initialStats.weight
+    }, 'Week 0 is known');
+
+    banded.uncertainty.weeks.slice(1).forEach((week) => {
+      const expected = banded.weeklyResults[week.week];
+      ['weight', 'bodyFat', 'fatMass'].forEach((metric) => {
+        const { p10, p50, p90 } = week[metric];
+        assert.ok(p10 < p50 && p50 < p90, `Week ${week.week} ${metric} percentiles are ordered`);
+        assert.ok(p10 < expected[metric] && expected[metric] < p90, `Week ${week.week} ${metric} line is inside the band`);
+      });
+    });
+
+    // A sample that burns 10% more still eats the 2400 kcal the user was shown as maintenance
+    const sampled = engine.project(
+      { ...profile, tdeeOverride: 2400 },
+      { fastingBlocks: [], eatingIntake: { adjustmentPercent: 0 } },
+      { weeks: 1, startDate: '2024-03-04' },
+      { tdeeMultiplier: 1.1, ketosisOffsetHours: 0, ffmPreservationScale: 1 }
+    );
+    approx(sampled.weeklyResults[1].eatingBalanceKcal, -240 * 7, 'Intake follows the nominal TDEE');
+
+    assert.deepStrictEqual(forecast(true).uncertainty, banded.uncertainty, 'The default seed is fixed');
+    assert.notDeepStrictEqual(forecast({ seed: 7 }).uncertainty.weeks, banded.uncertainty.weeks);
+
+    [{ samples: 5 }, { samples: 201 }, { samples: 50.5 }, { seed: 'abc' }, 'yes', [200]].forEach((uncertainty) => {
+      assert.throws(
+        () => forecast(uncertainty),
+        (error) => error.code === 'INVALID_UNCERTAINTY' && typeof error.details === 'string',
+        JSON.stringify(uncertainty)
+      );
+    });
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runForecastEngineTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Forecast engine tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Forecast engine tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Forecast engine test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runForecastEngineTests;
@@ -0,0 +1,220 @@
+const assert = require('assert');
+const ForecastEngine = require('../services/ForecastEngine');
+const ForecastReconciliationService = require('../services/ForecastReconciliationService');
+const createMigratedRepository = require('./helpers/createMigratedRepository');
+
+const engine = new ForecastEngine();
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const PROFILE = { weight: 200, weightUnit: 'lb', bodyFat: 30, activityLevel: 1.2, insulinSensitivity: 'normal', fastingExperience: 'intermediate' };
+const PROTOCOL = { fastingBlocks: [36, 24, 0], ketosisStates: [false, false, false] };
+const START_DATE = '2024-06-03';
+
+// What the forecaster page saves on the profile
+function savedForecast() {
+  return {
+    weeks: 8,
+    fastingBlocks: PROTOCOL.fastingBlocks,
+    ketosisStates: PROTOCOL.ketosisStates,
+    fastingExperience: PROFILE.fastingExperience,
+    insulinSensitivity: PROFILE.insulinSensitivity,
+    startDate: START_DATE,
+    currentProtocol: { duration: 36, ketosis: false, frequency: 2 },
+    results: engine.simulate(PROFILE, PROTOCOL, { weeks: 8, startDate: START_DATE })
+  };
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+async function createFixture({ now = '2024-06-18T09:00:00.000Z', forecast = savedForecast() } = {}) {
+  const { repository, close } = await createMigratedRepository();
+
+  const profile = await repository.createUserProfile({
+    session_id: 'fs_1700000000000_plan',
+    weight: PROFILE.weight,
+    weight_unit: 'lb',
+    body_fat: PROFILE.bodyFat,
+    activity_level: PROFILE.activityLevel,
+    forecast_data: forecast ? JSON.stringify(forecast) : null
+  });
+
+  return {
+    repository,
+    profile: await repository.getUserProfileBySessionId(profile.session_id),
+    service: new ForecastReconciliationService(repository, { forecastEngine: engine, clock: () => new Date(now) }),
+    close
+  };
+}
+
+/**
+ * Two weeks of the saved protocol, fasted as planned, by someone whose real
+ * TDEE is actualTdee: a morning weigh-in every day on the line the engine
+ * predicts for them.
+ */
+async function seedActuals(repository, profileId, { actualTdee, days = 14 }) {
+  const truth = engine.simulate({ ...PROFILE, tdeeOverride: actualTdee }, PROTOCOL, { weeks: 2, startDate: START_DATE });
+  const weeklyLossKg = truth.weeklyResults[1].totalWeightLoss;
+
+  for (let day = 0; day <= days; day++) {
+    const date = addDays(START_DATE, day);
+    await repository.createBodyLogEntry({
+      user_profile_id: profileId,
+      logged_at: `${date}T07:00:00.000Z`,
+      local_date: date,
+      timezone_offset_minutes: 0,
+      weight: (truth.initialStats.weight - (weeklyLossKg * day) / 7) / ForecastEngine.KG_PER_LB,
+      entry_tag: 'morning',
+      is_canonical: true,
+      canonical_status: 'auto'
+    });
+  }
+
+  for (const weekStart of [START_DATE, addDays(START_DATE, 7)]) {
+    await repository.createFast({
+      user_profile_id: profileId,
+      start_time: `${weekStart}T00:00:00.000Z`,
+      end_time: `${addDays(weekStart, 1)}T12:00:00.000Z`
+    });
+    await repository.createFast({
+      user_profile_id: profileId,
+      start_time: `${addDays(weekStart, 2)}T12:00:00.000Z`,
+      end_time: `${addDays(weekStart, 3)}T12:00:00.000Z`
+    });
+  }
+
+  return truth;
+}
+
+async function runForecastReconciliationTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('overlays canonical weigh-ins on the saved forecast week by week', async () => {
+    const fixture = await createFixture();
+    try {
+      const { repository, profile, service } = fixture;
+      await seedActuals(repository, profile.id, { actualTdee: 1800 });
+
+      const reconciliation = await service.reconcile(profile);
+      assert.strictEqual(reconciliation.status, 'ok');
+      assert.strictEqual(reconciliation.unit, 'lb');
+      assert.strictEqual(reconciliation.weeks.length, 9);
+
+      const [start, week1, week2, week3] = reconciliation.weeks;
+      assert.strictEqual(start.forecastWeight, 200, 'Forecast weights come back in the profile unit');
+      assert.strictEqual(week1.date, '2024-06-10');
+      assert.strictEqual(week1.weighIns, 7, 'Three days either side of the forecast date');
+      assert.ok(week1.difference > 0, 'Eating more than planned leaves the trend above the forecast');
+      assert.strictEqual(week1.difference, Math.round((week1.trendWeight - week1.forecastWeight) * 10) / 10);
+      assert.deepStrictEqual(
+        [week3.isFuture, week3.actualWeight, week3.trendWeight],
+        [true, null, null],
+        'Weeks after today have no actuals'
+      );
+
+      assert.strictEqual(reconciliation.latest.week, week2.week);
+      assert.ok(['on-track', 'behind'].includes(reconciliation.latest.status));
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('back-solves the TDEE behind the actual loss and re-runs the forecast with it', async () => {
+    const fixture = await createFixture();
+    try {
+      const { repository, profile, service } = fixture;
+      const truth = await seedActuals(repository, profile.id, { actualTdee: 1800 });
+
+      const { tdee } = await service.reconcile(profile);
+      assert.strictEqual(tdee.status, 'ok');
+      assert.ok(Math.abs(tdee.kcalPerDay - 1800) <= 1, `Expected about 1800 kcal, got ${tdee.kcalPerDay}`);
+      assert.strictEqual(tdee.modelKcalPerDay, Math.round(savedForecast().results.initialStats.dailyTDEE));
+      assert.strictEqual(tdee.fastingHours, 120);
+      assert.deepStrictEqual(tdee.window, { start: '2024-06-03', end: '2024-06-17', days: 14 });
+      assert.deepStrictEqual(tdee.suggestion, { tdeeOverride: 1800 });
+
+      const applied = await service.applyTdeeOverride(profile);
+      const stored = await repository.getUserProfileBySessionId(profile.session_id);
+      assert.strictEqual(stored.tdee_override, 1800);
+      const storedForecast = JSON.parse(stored.forecast_data);
+      assert.strictEqual(storedForecast.results.initialStats.dailyTDEE, 1800);
+      assert.strictEqual(storedForecast.startDate, START_DATE, 'Re-run from the same start');
+      assert.strictEqual(storedForecast.currentProtocol.duration, 36, 'Other saved fields are kept');
+
+      const week1 = applied.weeks[1];
+      const truthWeek1 = Math.round((truth.weeklyResults[1].weight / ForecastEngine.KG_PER_LB) * 10) / 10;
+      assert.strictEqual(week1.forecastWeight, truthWeek1, 'The corrected forecast follows the actual line');
+      assert.ok(Math.abs(week1.actualWeight - week1.forecastWeight) <= 0.1);
+      assert.strictEqual(applied.tdee.suggestion, null, 'Nothing left to correct');
+
+      await service.applyTdeeOverride(stored, { tdeeOverride: 2050 });
+      assert.strictEqual((await repository.getUserProfileBySessionId(profile.session_id)).tdee_override, 2050);
+      await assert.rejects(() => service.applyTdeeOverride(stored, { tdeeOverride: 100 }), { code: 'INVALID_TDEE_OVERRIDE' });
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('explains what is missing before it can estimate', async () => {
+    const early = await createFixture({ now: '2024-06-06T09:00:00.000Z' });
+    try {
+      await seedActuals(early.repository, early.profile.id, { actualTdee: 1800 });
+      const { tdee } = await early.service.reconcile(early.profile);
+      assert.strictEqual(tdee.status, 'insufficient-data', 'Only three days of weigh-ins so far');
+      assert.ok(tdee.message);
+      assert.strictEqual(tdee.suggestion, undefined);
+      await assert.rejects(() => early.service.applyTdeeOverride(early.profile), { code: 'NO_TDEE_ESTIMATE' });
+    } finally {
+      await early.close();
+    }
+
+    const unsaved = await createFixture({ forecast: null });
+    try {
+      assert.strictEqual((await unsaved.service.reconcile(unsaved.profile)).status, 'no-forecast');
+      await assert.rejects(() => unsaved.service.applyTdeeOverride(unsaved.profile, { tdeeOverride: 2000 }), { code: 'NO_FORECAST' });
+      assert.strictEqual(unsaved.service.parseForecast('{not json'), null);
+    } finally {
+      await unsaved.close();
+    }
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runForecastReconciliationTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Forecast reconciliation tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Forecast reconciliation tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Forecast reconciliation test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runForecastReconciliationTests;
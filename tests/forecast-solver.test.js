@@ -0,0 +1,130 @@
+const assert = require('assert');
+const ForecastSolverService = require('../services/ForecastSolverService');
+
+const { CANDIDATE_PROTOCOLS } = ForecastSolverService;
+
+const PROFILE = { weight: 200, weightUnit: 'lb', bodyFat: 30, activityLevel: 1.375 };
+const START_DATE = '2025-01-06';
+
+async function runForecastSolverTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  const solver = new ForecastSolverService();
+  const solve = (goal, profile = PROFILE) => solver.solve(profile, goal, { startDate: START_DATE });
+
+  await record('returns the gentlest protocols that reach the goal safely', async () => {
+    assert.deepStrictEqual(
+      CANDIDATE_PROTOCOLS.slice(0, 5).map((protocol) => protocol.id),
+      ['5:2', '4:3', '16:8', '18:6', '20:4'],
+      'Candidates are ordered gentlest first'
+    );
+    assert.ok(CANDIDATE_PROTOCOLS.every((protocol) => protocol.weeklyFastingHours < 168), 'Every layout fits in a week');
+
+    const solution = solve({ targetBodyFat: 25, goalDate: '2025-04-07' });
+    assert.strictEqual(solution.status, 'ok');
+    assert.strictEqual(solution.goal.weeks, 13);
+    assert.deepStrictEqual(solution.warnings, []);
+    assert.strictEqual(solution.earliestSafe, null);
+    assert.strictEqual(solution.protocols.length, 3);
+
+    const [gentlest] = solution.protocols;
+    assert.strictEqual(gentlest.id, '5:2');
+    assert.ok(gentlest.reachesGoal && gentlest.weekReached <= 13);
+    assert.ok(gentlest.atGoalDate.bodyFat <= 25);
+    assert.ok(solution.protocols.every((protocol) => protocol.warnings.length === 0));
+    assert.ok(!solution.protocols.some((protocol) => protocol.id === '16:8'), '16:8 gets there, but too fast');
+
+    const extended = solution.protocols.find((protocol) => protocol.layout === 'extended-fast');
+    assert.deepStrictEqual(extended.currentProtocol, { duration: 24, frequency: 2, ketosis: false }, 'Loadable in the forecaster');
+  });
+
+  await record('daily eating windows leave the eating hours between the fasts', async () => {
+    const sixteenEight = CANDIDATE_PROTOCOLS.find((protocol) => protocol.id === '16:8');
+    assert.deepStrictEqual(sixteenEight.blockStarts, [0, 24, 48, 72, 96, 120, 144]);
+    assert.deepStrictEqual(
+      solver.forecastEngine.getEatingHoursByDay(sixteenEight.fastingBlocks, sixteenEight.blockStarts),
+      [8, 8, 8, 8, 8, 8, 8],
+      'Eight eating hours every day, not 112 fasting hours in a row'
+    );
+
+    const evaluated = solver.evaluateCandidate(PROFILE, sixteenEight, { targetBodyFat: 25, goalWeeks: 13, startDate: START_DATE });
+    assert.ok(evaluated.reachesGoal);
+    assert.deepStrictEqual(evaluated.warnings.map((warning) => warning.code), ['RAPID_LOSS'], 'Excluded only for losing too fast');
+  });
+
+  await record('warns when the goal is only reachable unsafely or not at all', async () => {
+    const rushed = solve({ targetBodyFat: 20, goalDate: '2025-04-07' });
+    assert.strictEqual(rushed.status, 'caution');
+    assert.deepStrictEqual(rushed.warnings.map((warning) => warning.code), ['NO_SAFE_PROTOCOL']);
+    assert.ok(rushed.protocols.length > 0 && rushed.protocols.every((protocol) => protocol.reachesGoal));
+    assert.ok(rushed.protocols.every((protocol) => protocol.warnings.some((warning) => warning.code === 'RAPID_LOSS')));
+    assert.ok(rushed.earliestSafe.dateReached > '2025-04-07', 'A later date works without warnings');
+
+    const impossible = solve({ targetBodyFat: 12, goalDate: '2025-03-03' });
+    assert.strictEqual(impossible.status, 'infeasible');
+    assert.deepStrictEqual(impossible.warnings.map((warning) => warning.code), ['GOAL_NOT_REACHABLE']);
+    assert.ok(impossible.protocols.every((protocol) => !protocol.reachesGoal));
+    const closest = impossible.protocols.map((protocol) => protocol.atGoalDate.bodyFat);
+    assert.deepStrictEqual(closest, [...closest].sort((a, b) => a - b), 'Closest first');
+    assert.ok(impossible.protocols[0].warnings.some((warning) => warning.code === 'SUPERVISION_RECOMMENDED'));
+
+    const lean = solve({ targetBodyFat: 8, goalDate: '2026-06-01' }, { ...PROFILE, bodyFat: 14 });
+    assert.strictEqual(lean.warnings[0].code, 'LOW_TARGET');
+  });
+
+  await record('rejects goals it cannot solve for', async () => {
+    [
+      [{ targetBodyFat: 25, goalDate: '2025-01-09' }, 'INVALID_GOAL_DATE'],
+      [{ targetBodyFat: 25, goalDate: '2030-01-01' }, 'INVALID_GOAL_DATE'],
+      [{ targetBodyFat: 25, goalDate: 'spring' }, 'INVALID_GOAL_DATE'],
+      [{ targetBodyFat: 30, goalDate: '2025-04-07' }, 'INVALID_TARGET_BODY_FAT'],
+      [{ targetBodyFat: '20', goalDate: '2025-04-07' }, 'INVALID_TARGET_BODY_FAT']
+    ].forEach(([goal, code]) => {
+      assert.throws(() => solve(goal), (error) => error.code === code && typeof error.details === 'string', JSON.stringify(goal));
+    });
+
+    assert.throws(
+      () => solver.solve(PROFILE, { targetBodyFat: 25, goalDate: '2025-04-07' }, { startDate: 'today' }),
+      { code: 'INVALID_START_DATE' }
+    );
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runForecastSolverTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Forecast solver tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Forecast solver tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Forecast solver test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runForecastSolverTests;
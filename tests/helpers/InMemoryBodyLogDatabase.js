@@ -5,6 +5,20 @@ class InMemoryBodyLogDatabase {
     this.entrySequence = 1;
     this.nowProvider = options.nowProvider || (() => new Date().toISOString());
     this.userProfiles = new Map();
+    this.fastSequence = 1;
+    this.milestones = new Map();
+    this.milestoneSequence = 1;
+    this.schedules = new Map();
+    this.scheduleSequence = 1;
+    this.blocks = new Map();
+    this.blockSequence = 1;
+    this.overrides = new Map();
+    this.overrideSequence = 1;
+    this.drafts = new Map();
+    this.accounts = new Map();
+    this.accountSequence = 1;
+    this.authSessions = new Map();
+    this.syncChanges = [];
   }
 
   async initialize() {
@@ -15,6 +29,11 @@ class InMemoryBodyLogDatabase {
     return;
   }
 
+  // No rollback in memory; writes go straight to the maps
+  async withTransaction(fn) {
+    return fn(this);
+  }
+
   setNowProvider(fn) {
     this.nowProvider = fn;
   }
@@ -52,6 +71,139 @@ class InMemoryBodyLogDatabase {
     return this._clone(profile);
   }
 
+  async createUserProfile(profileData) {
+    const id = this.userProfiles.size === 0 ? 1 : Math.max(...this.userProfiles.keys()) + 1;
+    return this.addUserProfile({ ...profileData, id, created_at: this._now(), updated_at: this._now() });
+  }
+
+  async getUserProfileBySessionId(sessionId) {
+    const profile = Array.from(this.userProfiles.values()).find((item) => item.session_id === sessionId) || null;
+    return this._clone(profile);
+  }
+
+  async updateUserProfile(sessionId, updateData) {
+    const profile = Array.from(this.userProfiles.values()).find((item) => item.session_id === sessionId);
+    if (!profile) {
+      return { session_id: sessionId, changes: 0 };
+    }
+    Object.entries(updateData).forEach(([key, value]) => {
+      if (value !== undefined && key !== 'id' && key !== 'session_id') {
+        profile[key] = value;
+      }
+    });
+    profile.updated_at = this._now();
+    return { session_id: sessionId, changes: 1 };
+  }
+
+  async getUserProfileByAccountId(accountId) {
+    const profile = Array.from(this.userProfiles.values()).find((item) => item.account_id === accountId) || null;
+    return this._clone(profile);
+  }
+
+  async attachUserProfileToAccount(profileId, accountId) {
+    const profile = this.userProfiles.get(Number(profileId));
+    if (!profile || profile.account_id) {
+      return { id: profileId, changes: 0 };
+    }
+    profile.account_id = accountId;
+    profile.updated_at = this._now();
+    return { id: profileId, changes: 1 };
+  }
+
+  async createAccount({ email, password_hash }) {
+    if (Array.from(this.accounts.values()).some((account) => account.email === email)) {
+      throw new Error('UNIQUE constraint failed: accounts.email');
+    }
+    const id = this.accountSequence++;
+    this.accounts.set(id, { id, email, password_hash, created_at: this._now(), updated_at: this._now() });
+    return { id, email };
+  }
+
+  async getAccountByEmail(email) {
+    const account = Array.from(this.accounts.values()).find((item) => item.email === email) || null;
+    return this._clone(account);
+  }
+
+  async getAccountById(id) {
+    return this._clone(this.accounts.get(Number(id)) || null);
+  }
+
+  async createAuthSession(session) {
+    const stored = { ...session, created_at: this._now() };
+    this.authSessions.set(session.token_hash, stored);
+    return this._clone(stored);
+  }
+
+  async getAuthSessionByTokenHash(tokenHash) {
+    return this._clone(this.authSessions.get(tokenHash) || null);
+  }
+
+  async deleteAuthSession(tokenHash) {
+    return { deleted: this.authSessions.delete(tokenHash) };
+  }
+
+  async createSyncChange({ user_profile_id, entity_type, entity_id = null, operation, fields = [] }) {
+    const version = this.syncChanges.length + 1;
+    this.syncChanges.push({
+      id: version,
+      user_profile_id,
+      entity_type,
+      entity_id,
+      operation,
+      fields: JSON.stringify(fields),
+      created_at: this._now()
+    });
+    return { version };
+  }
+
+  async getSyncChanges(userProfileId, sinceVersion = 0, limit = 200) {
+    return this._clone(this.syncChanges
+      .filter((change) => change.user_profile_id === userProfileId && change.id > sinceVersion)
+      .slice(0, limit));
+  }
+
+  async getEntitySyncChanges(userProfileId, entityType, entityId, sinceVersion = 0) {
+    return this._clone(this.syncChanges.filter((change) => change.user_profile_id === userProfileId
+      && change.entity_type === entityType
+      && change.entity_id === entityId
+      && change.id > sinceVersion));
+  }
+
+  async getLatestSyncVersion(userProfileId) {
+    const own = this.syncChanges.filter((change) => change.user_profile_id === userProfileId);
+    return own.length > 0 ? own[own.length - 1].id : 0;
+  }
+
+  async deleteUserData(userProfileId) {
+    const fastIds = new Set(Array.from(this.fasts.values())
+      .filter((fast) => fast.user_profile_id === userProfileId)
+      .map((fast) => Number(fast.id)));
+    const scheduleIds = new Set(Array.from(this.schedules.values())
+      .filter((schedule) => schedule.user_profile_id === userProfileId)
+      .map((schedule) => schedule.id));
+    const blockIds = new Set(Array.from(this.blocks.values())
+      .filter((block) => scheduleIds.has(Number(block.schedule_id)))
+      .map((block) => block.id));
+
+    const prune = (map, predicate) => {
+      for (const [key, value] of map.entries()) {
+        if (predicate(value)) {
+          map.delete(key);
+        }
+      }
+    };
+
+    prune(this.entries, (entry) => entry.user_profile_id === userProfileId);
+    prune(this.milestones, (milestone) => fastIds.has(Number(milestone.fast_id)));
+    prune(this.fasts, (fast) => fastIds.has(Number(fast.id)));
+    prune(this.overrides, (override) => blockIds.has(Number(override.block_id)));
+    prune(this.blocks, (block) => blockIds.has(block.id));
+    prune(this.schedules, (schedule) => scheduleIds.has(schedule.id));
+    this.drafts.delete(Number(userProfileId));
+
+    return { user_profile_id: userProfileId, deleted: true };
+  }
+
   addFast(fast) {
     if (!fast || fast.id === undefined || fast.id === null) {
       throw new Error('Fast must have an id');
@@ -65,6 +217,175 @@ class InMemoryBodyLogDatabase {
     return this._clone(stored);
   }
 
+  async createFast(fastData) {
+    const id = fastData.id !== undefined ? Number(fastData.id) : this.fastSequence;
+    this.fastSequence = Math.max(this.fastSequence, id + 1);
+    return this.addFast({ ...fastData, id });
+  }
+
+  async updateFast(id, fastData) {
+    const fast = this.fasts.get(Number(id));
+    if (!fast) {
+      return { id, changes: 0 };
+    }
+    Object.entries(fastData).forEach(([key, value]) => {
+      if (value !== undefined && key !== 'id') {
+        fast[key] = value;
+      }
+    });
+    return { id, changes: 1 };
+  }
+
+  async getAllFastsByUserProfile(userProfileId) {
+    return Array.from(this.fasts.values())
+      .filter((fast) => fast.user_profile_id === userProfileId)
+      .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))
+      .map((fast) => this._clone(fast));
+  }
+
+  async deleteFast(id) {
+    const deleted = this.fasts.delete(Number(id));
+    for (const [milestoneId, milestone] of this.milestones.entries()) {
+      if (Number(milestone.fast_id) === Number(id)) {
+        this.milestones.delete(milestoneId);
+      }
+    }
+    for (const entry of this.entries.values()) {
+      if (Number(entry.fast_id) === Number(id)) {
+        entry.fast_id = null;
+      }
+    }
+    return { deleted };
+  }
+
+  async createMilestone(milestoneData) {
+    const id = this.milestoneSequence++;
+    const stored = { id, created_at: this._now(), ...milestoneData };
+    this.milestones.set(id, stored);
+    return this._clone(stored);
+  }
+
+  async getFastMilestones(fastId) {
+    return Array.from(this.milestones.values())
+      .filter((milestone) => Number(milestone.fast_id) === Number(fastId))
+      .sort((a, b) => a.hours_elapsed - b.hours_elapsed)
+      .map((milestone) => this._clone(milestone));
+  }
+
+  async createSchedule(scheduleData) {
+    const id = this.scheduleSequence++;
+    const timestamp = this._now();
+    const stored = {
+      id,
+      week_anchor: 1,
+      is_paused: false,
+      created_at: timestamp,
+      updated_at: timestamp,
+      ...scheduleData
+    };
+    this.schedules.set(id, stored);
+    return this._clone(stored);
+  }
+
+  async getScheduleById(scheduleId) {
+    return this._clone(this.schedules.get(Number(scheduleId)) || null);
+  }
+
+  async getSchedulesByUserProfile(userProfileId) {
+    return Array.from(this.schedules.values())
+      .filter((schedule) => schedule.user_profile_id === userProfileId)
+      .sort((a, b) => a.id - b.id)
+      .map((schedule) => this._clone(schedule));
+  }
+
+  async getScheduleByUserProfile(userProfileId) {
+    const schedules = Array.from(this.schedules.values())
+      .filter((schedule) => schedule.user_profile_id === userProfileId && !schedule.is_paused)
+      .sort((a, b) => b.id - a.id);
+    return this._clone(schedules[0] || null);
+  }
+
+  async createFastingBlock(blockData) {
+    const id = this.blockSequence++;
+    const timestamp = this._now();
+    const stored = {
+      id,
+      tz_mode: 'local',
+      anchor_tz: null,
+      notifications: null,
+      is_active: true,
+      created_at: timestamp,
+      updated_at: timestamp,
+      ...blockData
+    };
+    this.blocks.set(id, stored);
+    return this._clone(stored);
+  }
+
+  async getFastingBlockById(blockId) {
+    return this._clone(this.blocks.get(Number(blockId)) || null);
+  }
+
+  async getFastingBlocksBySchedule(scheduleId, { includeInactive = false } = {}) {
+    return Array.from(this.blocks.values())
+      .filter((block) => Number(block.schedule_id) === Number(scheduleId) && (includeInactive || block.is_active))
+      .sort((a, b) => (a.start_dow - b.start_dow) || a.start_time.localeCompare(b.start_time))
+      .map((block) => this._clone(block));
+  }
+
+  async createOverride(overrideData) {
+    const id = this.overrideSequence++;
+    const stored = { id, payload: null, reason: null, created_at: this._now(), ...overrideData };
+    this.overrides.set(id, stored);
+    return this._clone(stored);
+  }
+
+  async getOverridesByBlock(blockId) {
+    return Array.from(this.overrides.values())
+      .filter((override) => Number(override.block_id) === Number(blockId))
+      .sort((a, b) => a.occurrence_date.localeCompare(b.occurrence_date))
+      .map((override) => this._clone(override));
+  }
+
+  async getOverrideByBlockAndDate(blockId, occurrenceDate) {
+    const override = Array.from(this.overrides.values()).find(
+      (item) => Number(item.block_id) === Number(blockId) && item.occurrence_date === occurrenceDate
+    ) || null;
+    return this._clone(override);
+  }
+
+  async getScheduleDraftByUserProfile(userProfileId, { includeDismissed = false } = {}) {
+    const draft = this.drafts.get(Number(userProfileId)) || null;
+    if (!draft || (!includeDismissed && draft.dismissed_at)) {
+      return null;
+    }
+    return this._clone(draft);
+  }
+
+  async upsertScheduleDraft(userProfileId, payload) {
+    const existing = this.drafts.get(Number(userProfileId));
+    const timestamp = this._now();
+    const stored = {
+      id: existing ? existing.id : this.drafts.size + 1,
+      user_profile_id: userProfileId,
+      payload,
+      created_at: existing ? existing.created_at : timestamp,
+      updated_at: timestamp,
+      dismissed_at: null
+    };
+    this.drafts.set(Number(userProfileId), stored);
+    return { id: stored.id, user_profile_id: userProfileId };
+  }
+
+  async markScheduleDraftDismissed(userProfileId) {
+    const draft = this.drafts.get(Number(userProfileId));
+    if (!draft) {
+      return { dismissed: false };
+    }
+    draft.dismissed_at = this._now();
+    return { dismissed: true };
+  }
+
   async getFastById(id) {
     const fast = this.fasts.get(Number(id)) || null;
     return this._clone(fast);
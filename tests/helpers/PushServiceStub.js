@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const http = require('http');
+
+const TAG_LENGTH = 16;
+
+function fromBase64Url(value) {
+  return Buffer.from(value, 'base64url');
+}
+
+/**
+ * A local stand-in for a browser push service (FCM, Mozilla autopush, ...).
+ * Subscriptions it creates hold real P-256 keys, so every request is checked
+ * the way a browser would: the VAPID JWT is verified and the aes128gcm body
+ * (RFC 8188/8291) is decrypted back to the JSON payload.
+ */
+class PushServiceStub {
+  constructor() {
+    this.server = null;
+    this.baseUrl = null;
+    this.clients = new Map();
+    this.statuses = new Map();
+    this.requests = [];
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  /**
+   * Returns a PushSubscription as the browser would serialize it.
+   */
+  createSubscription(name = crypto.randomBytes(6).toString('hex')) {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    const auth = crypto.randomBytes(16);
+    const endpoint = `${this.baseUrl}/push/${name}`;
+
+    this.clients.set(endpoint, { ecdh, auth });
+    return {
+      endpoint,
+      keys: {
+        p256dh: ecdh.getPublicKey().toString('base64url'),
+        auth: auth.toString('base64url')
+      }
+    };
+  }
+
+  // Makes the endpoint answer with this status from now on, e.g. 410 for an expired subscription
+  setStatus(endpoint, status) {
+    this.statuses.set(endpoint, status);
+  }
+
+  messagesFor(endpoint) {
+    return this.requests
+      .filter((request) => request.endpoint === endpoint && request.status === 201)
+      .map((request) => request.payload);
+  }
+
+  reset() {
+    this.requests = [];
+  }
+
+  _handle(req, res) {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const endpoint = `${this.baseUrl}${req.url}`;
+      const client = this.clients.get(endpoint);
+      const record = { endpoint, headers: req.headers, status: 404, payload: null, vapid: null, error: null };
+
+      try {
+        if (client) {
+          record.vapid = this._verifyVapid(req.headers.authorization, endpoint);
+          record.payload = JSON.parse(this._decrypt(Buffer.concat(chunks), client).toString('utf8'));
+          record.status = this.statuses.get(endpoint) || 201;
+        }
+      } catch (error) {
+        record.status = 400;
+        record.error = error.message;
+      }
+
+      this.requests.push(record);
+      res.writeHead(record.status);
+      res.end();
+    });
+  }
+
+  _verifyVapid(header, endpoint) {
+    const match = /^vapid t=([^,\s]+),\s*k=([^,\s]+)$/.exec(header || '');
+    if (!match) {
+      throw new Error('Missing VAPID authorization');
+    }
+
+    const [token, publicKey] = [match[1], match[2]];
+    const [encodedHeader, encodedClaims, signature] = token.split('.');
+    const point = fromBase64Url(publicKey);
+    const key = crypto.createPublicKey({
+      key: {
+        kty: 'EC',
+        crv: 'P-256',
+        x: point.subarray(1, 33).toString('base64url'),
+        y: point.subarray(33, 65).toString('base64url')
+      },
+      format: 'jwk'
+    });
+    const valid = crypto.verify(
+      'sha256',
+      Buffer.from(`${encodedHeader}.${encodedClaims}`),
+      { key, dsaEncoding: 'ieee-p1363' },
+      fromBase64Url(signature)
+    );
+    const claims = JSON.parse(fromBase64Url(encodedClaims).toString('utf8'));
+
+    if (!valid || claims.aud !== new URL(endpoint).origin) {
+      throw new Error('Invalid VAPID signature');
+    }
+    return { publicKey, claims };
+  }
+
+  _decrypt(body, { ecdh, auth }) {
+    const salt = body.subarray(0, 16);
+    const idLength = body.readUInt8(20);
+    const serverPublicKey = body.subarray(21, 21 + idLength);
+    const record = body.subarray(21 + idLength);
+
+    const sharedSecret = ecdh.computeSecret(serverPublicKey);
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverPublicKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, auth, keyInfo, 32));
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+    decipher.setAuthTag(record.subarray(record.length - TAG_LENGTH));
+    const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - TAG_LENGTH)), decipher.final()]);
+
+    // The last record ends with a 0x02 delimiter followed by zero padding
+    let end = padded.length - 1;
+    while (end >= 0 && padded[end] === 0) {
+      end -= 1;
+    }
+    return padded.subarray(0, end);
+  }
+}
+
+module.exports = PushServiceStub;
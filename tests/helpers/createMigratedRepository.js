@@ -0,0 +1,26 @@
+const sqlite3 = require('sqlite3');
+const Repository = require('../../database/repository');
+const { createSqliteAdapter } = require('../../database/adapters');
+
+const silentLogger = { log: () => {} };
+
+/**
+ * A fresh in-memory SQLite database with every migration applied, behind the
+ * shared Repository. Suites add their own services and seed data on top.
+ */
+async function createMigratedRepository() {
+  const database = await new Promise((resolve, reject) => {
+    const handle = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(handle)));
+  });
+  const adapter = createSqliteAdapter(database);
+  const repository = new Repository(adapter);
+  await repository.createMigrator({ logger: silentLogger }).up();
+
+  return {
+    adapter,
+    repository,
+    close: () => new Promise((resolve) => database.close(resolve))
+  };
+}
+
+module.exports = createMigratedRepository;
@@ -0,0 +1,151 @@
+const assert = require('assert');
+const IdempotencyService = require('../services/IdempotencyService');
+const createMigratedRepository = require('./helpers/createMigratedRepository');
+
+const START = { method: 'POST', path: '/api/fasts/start', body: { start_time: '2024-06-11T00:00:00.000Z' } };
+
+async function createFixture() {
+  const { adapter, repository, close } = await createMigratedRepository();
+
+  const clock = { now: new Date() };
+  const service = new IdempotencyService(repository, { clock: () => new Date(clock.now) });
+  const profile = await repository.createUserProfile({ session_id: 'fs_1700000000000_idem' });
+
+  return {
+    adapter,
+    repository,
+    service,
+    clock,
+    profile,
+    close
+  };
+}
+
+async function runIdempotencyTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('returns the stored response for a repeated request', async () => {
+    const fixture = await createFixture();
+    try {
+      const first = await fixture.service.begin(fixture.profile.id, 'start-key-1', START);
+      assert.strictEqual(first.replay, false);
+      await fixture.service.complete(first.record, 201, { id: 12, is_active: true });
+
+      const repeat = await fixture.service.begin(fixture.profile.id, 'start-key-1', START);
+      assert.deepStrictEqual(repeat, { replay: true, status: 201, body: { id: 12, is_active: true } });
+
+      // Client errors are the answer too; the retry does not get to try again
+      const rejected = await fixture.service.begin(fixture.profile.id, 'start-key-2', START);
+      await fixture.service.complete(rejected.record, 400, { error: 'There is already an active fast' });
+      assert.strictEqual((await fixture.service.begin(fixture.profile.id, 'start-key-2', START)).status, 400);
+
+      const other = await fixture.repository.createUserProfile({ session_id: 'fs_1700000000000_idm2' });
+      assert.strictEqual((await fixture.service.begin(other.id, 'start-key-1', START)).replay, false, 'Keys are per profile');
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('rejects reused, concurrent and malformed keys', async () => {
+    const fixture = await createFixture();
+    try {
+      const { service, profile } = fixture;
+      await assert.rejects(() => service.begin(profile.id, 'short', START), { code: 'INVALID_IDEMPOTENCY_KEY' });
+      await assert.rejects(() => service.begin(profile.id, 'has spaces in it', START), { code: 'INVALID_IDEMPOTENCY_KEY' });
+      await assert.rejects(() => service.begin(profile.id, undefined, START), { code: 'INVALID_IDEMPOTENCY_KEY' });
+
+      await service.begin(profile.id, 'b2b1a4f0-0c4e-4d0e-9d8a-3f1c2a6b7e90', START);
+      await assert.rejects(
+        () => service.begin(profile.id, 'b2b1a4f0-0c4e-4d0e-9d8a-3f1c2a6b7e90', START),
+        { code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS' }
+      );
+      await assert.rejects(
+        () => service.begin(profile.id, 'b2b1a4f0-0c4e-4d0e-9d8a-3f1c2a6b7e90', { ...START, body: { start_time: '2024-06-12T00:00:00.000Z' } }),
+        { code: 'IDEMPOTENCY_KEY_REUSED' }
+      );
+      await assert.rejects(
+        () => service.begin(profile.id, 'b2b1a4f0-0c4e-4d0e-9d8a-3f1c2a6b7e90', { ...START, path: '/api/body-log' }),
+        { code: 'IDEMPOTENCY_KEY_REUSED' }
+      );
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('lets a retry run again after a server error', async () => {
+    const fixture = await createFixture();
+    try {
+      const first = await fixture.service.begin(fixture.profile.id, 'end-key-0001', START);
+      await fixture.service.complete(first.record, 500, { error: 'Failed to start fast' });
+      assert.strictEqual((await fixture.service.begin(fixture.profile.id, 'end-key-0001', START)).replay, false);
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('forgets keys once the window has passed', async () => {
+    const fixture = await createFixture();
+    try {
+      const { service, profile, repository, adapter, clock } = fixture;
+      const first = await service.begin(profile.id, 'old-key-0001', START);
+      await service.complete(first.record, 201, { id: 1 });
+      await adapter.run('UPDATE idempotency_keys SET created_at = ? WHERE id = ?', ['2024-06-10 08:00:00', first.record.id]);
+
+      clock.now = new Date('2024-06-10T20:00:00.000Z');
+      service.lastPrunedAt = clock.now.getTime();
+      assert.strictEqual((await service.begin(profile.id, 'old-key-0001', START)).replay, true, 'Still inside 24 hours');
+
+      clock.now = new Date('2024-06-11T09:00:00.000Z');
+      service.lastPrunedAt = clock.now.getTime();
+      const expired = await service.begin(profile.id, 'old-key-0001', { ...START, body: { start_time: 'later' } });
+      assert.strictEqual(expired.replay, false, 'An expired key may be used for a new request');
+
+      await adapter.run('UPDATE idempotency_keys SET created_at = ? WHERE id = ?', ['2024-06-10 08:00:00', expired.record.id]);
+      clock.now = new Date('2024-06-11T10:00:00.000Z');
+      service.lastPrunedAt = 0;
+      await service.begin(profile.id, 'new-key-0001', START);
+      assert.strictEqual(await repository.getIdempotencyKey(profile.id, 'old-key-0001'), null, 'Pruned with the next request');
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runIdempotencyTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Idempotency tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Idempotency tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Idempotency test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runIdempotencyTests;
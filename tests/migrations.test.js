@@ -0,0 +1,217 @@
+const assert = require('assert');
+const sqlite3 = require('sqlite3');
+const Migrator = require('../database/migrator');
+const { createSqliteAdapter } = require('../database/adapters');
+
+const { loadMigrations } = Migrator;
+const silentLogger = { log: () => {} };
+
+function openMemoryDatabase() {
+  return new Promise((resolve, reject) => {
+    const database = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(database)));
+  });
+}
+
+function createMigrator(adapter, options = {}) {
+  return new Migrator(adapter, { logger: silentLogger, ...options });
+}
+
+async function listTables(adapter) {
+  const rows = await adapter.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+  return rows.map((row) => row.name).sort();
+}
+
+/**
+ * Records statements instead of running them, so the Postgres flavour can be checked without a server.
+ */
+function createRecordingAdapter(dialect) {
+  const statements = [];
+  const adapter = {
+    dialect,
+    statements,
+    run: async (sql) => {
+      statements.push(sql);
+      return { changes: 0 };
+    },
+    all: async () => [],
+    columnExists: async () => false,
+    transaction: (fn) => fn(adapter)
+  };
+  return adapter;
+}
+
+async function runMigrationTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('migration files load in version order with up and down', async () => {
+    const migrations = loadMigrations();
+    assert.ok(migrations.length >= 3);
+    migrations.forEach((migration, index) => {
+      assert.strictEqual(typeof migration.up, 'function');
+      assert.strictEqual(typeof migration.down, 'function');
+      if (index > 0) {
+        assert.ok(migration.version > migrations[index - 1].version);
+      }
+    });
+    assert.deepStrictEqual(migrations.slice(0, 3).map((migration) => migration.name), ['initial_schema', 'accounts', 'sync_changes']);
+  });
+
+  await record('up builds a fresh database and records every version once', async () => {
+    const database = await openMemoryDatabase();
+    const adapter = createSqliteAdapter(database);
+    const migrator = createMigrator(adapter);
+
+    const applied = await migrator.up();
+    const again = await migrator.up();
+
+    assert.strictEqual(applied.length, loadMigrations().length);
+    assert.strictEqual(again.length, 0, 'Applied migrations are not re-run');
+    const tables = await listTables(adapter);
+    ['accounts', 'auth_sessions', 'body_log_entries', 'fasts', 'planned_instances', 'schema_migrations', 'sync_changes', 'user_profiles']
+      .forEach((table) => assert.ok(tables.includes(table), `${table} should exist`));
+    assert.ok(await adapter.columnExists('user_profiles', 'account_id'));
+    assert.ok(await adapter.columnExists('planned_instances', 'fast_id'));
+    assert.ok(await adapter.columnExists('schedules', 'materialized_through'));
+
+    const status = await migrator.status();
+    assert.ok(status.every((row) => row.applied));
+    database.close();
+  });
+
+  await record('up adopts a database created by the old inline schema and fills missing columns', async () => {
+    const database = await openMemoryDatabase();
+    const adapter = createSqliteAdapter(database);
+    await adapter.run(`CREATE TABLE user_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT UNIQUE,
+      weight REAL
+    )`);
+    await adapter.run(`CREATE TABLE fasts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      start_time DATETIME NOT NULL,
+      user_profile_id INTEGER
+    )`);
+    await adapter.run("INSERT INTO user_profiles (session_id, weight) VALUES ('fs_1700000000000_old', 182)");
+    await adapter.run("INSERT INTO fasts (start_time, user_profile_id) VALUES ('2024-01-01T08:00:00.000Z', 1)");
+
+    await createMigrator(adapter).up();
+
+    for (const column of ['keto_adapted', 'time_zone', 'account_id']) {
+      assert.ok(await adapter.columnExists('user_profiles', column), `user_profiles.${column} should be added`);
+    }
+    const [profile] = await adapter.all('SELECT session_id, weight, keto_adapted FROM user_profiles');
+    assert.deepStrictEqual(profile, { session_id: 'fs_1700000000000_old', weight: 182, keto_adapted: 'none' });
+    const [fast] = await adapter.all('SELECT carb_status, start_in_ketosis FROM fasts');
+    assert.deepStrictEqual(fast, { carb_status: 'normal', start_in_ketosis: 0 });
+    database.close();
+  });
+
+  await record('down rolls back the newest migrations and up re-applies them', async () => {
+    const database = await openMemoryDatabase();
+    const adapter = createSqliteAdapter(database);
+    const migrator = createMigrator(adapter, { migrations: loadMigrations().slice(0, 3) });
+    await migrator.up();
+
+    const rolledBack = await migrator.down({ steps: 2 });
+
+    assert.deepStrictEqual(rolledBack.map((migration) => migration.name), ['sync_changes', 'accounts']);
+    const tables = await listTables(adapter);
+    assert.ok(!tables.includes('sync_changes'));
+    assert.ok(!tables.includes('accounts'));
+    assert.ok(!(await adapter.columnExists('user_profiles', 'account_id')));
+    assert.deepStrictEqual((await migrator.status()).map((row) => row.applied), [true, false, false]);
+
+    await migrator.up({ to: 2 });
+    assert.deepStrictEqual((await migrator.status()).map((row) => row.applied), [true, true, false]);
+    database.close();
+  });
+
+  await record('a failing migration is rolled back and left pending', async () => {
+    const database = await openMemoryDatabase();
+    const adapter = createSqliteAdapter(database);
+    const migrator = createMigrator(adapter, {
+      migrations: [
+        {
+          version: 1,
+          name: 'broken',
+          up: async (schema) => {
+            await schema.createTable('half_done', { id: 'id' });
+            await schema.raw('ALTER TABLE missing_table ADD COLUMN nope TEXT');
+          },
+          down: async () => {}
+        }
+      ]
+    });
+
+    await assert.rejects(() => migrator.up());
+
+    assert.ok(!(await listTables(adapter)).includes('half_done'), 'Partial schema changes are undone');
+    assert.deepStrictEqual(await migrator.getAppliedVersions(), []);
+    database.close();
+  });
+
+  await record('both dialects build the same tables from one definition', async () => {
+    const sqlite = createRecordingAdapter('sqlite');
+    const postgres = createRecordingAdapter('postgres');
+    for (const migration of loadMigrations()) {
+      await createMigrator(sqlite, { migrations: [migration] }).up();
+      await createMigrator(postgres, { migrations: [migration] }).up();
+    }
+
+    const tableNames = (statements) => statements
+      .map((sql) => /^CREATE TABLE IF NOT EXISTS (\w+)/.exec(sql))
+      .filter(Boolean)
+      .map((match) => match[1]);
+    assert.deepStrictEqual(tableNames(postgres.statements), tableNames(sqlite.statements));
+
+    const pgFasts = postgres.statements.find((sql) => sql.includes('CREATE TABLE IF NOT EXISTS fasts'));
+    assert.ok(pgFasts.includes('id SERIAL PRIMARY KEY'));
+    assert.ok(pgFasts.includes('start_time TIMESTAMP WITH TIME ZONE NOT NULL'));
+    assert.ok(pgFasts.includes('start_in_ketosis BOOLEAN DEFAULT FALSE'));
+    const sqliteFasts = sqlite.statements.find((sql) => sql.includes('CREATE TABLE IF NOT EXISTS fasts'));
+    assert.ok(sqliteFasts.includes('id INTEGER PRIMARY KEY AUTOINCREMENT'));
+    assert.ok(sqliteFasts.includes('start_time DATETIME NOT NULL'));
+    assert.ok(postgres.statements.includes(
+      'ALTER TABLE user_profiles ADD COLUMN account_id INTEGER REFERENCES accounts (id)'
+    ));
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runMigrationTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Migration tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Migration tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Migration test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runMigrationTests;
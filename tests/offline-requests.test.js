@@ -0,0 +1,119 @@
+const assert = require('assert');
+const OfflineRequests = require('../public/js/offline-requests');
+
+const START_PLACEHOLDER = OfflineRequests.createPlaceholderId('0f8fad5b-d9cb-469f-a165-70867728950e');
+const LOG_PLACEHOLDER = OfflineRequests.createPlaceholderId('7c9e6679-7425-40de-944b-e07fc1f90ae7');
+
+async function runOfflineRequestTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('queues only fast, body log and settings writes', async () => {
+    assert.ok(OfflineRequests.isQueueable('POST', '/api/fasts/start'));
+    assert.ok(OfflineRequests.isQueueable('post', '/api/fasts/12/end'));
+    assert.ok(OfflineRequests.isQueueable('PUT', '/api/fasts/12'));
+    assert.ok(OfflineRequests.isQueueable('POST', '/api/body-log'));
+    assert.ok(OfflineRequests.isQueueable('PUT', `/api/body-log/${LOG_PLACEHOLDER}`));
+    assert.ok(OfflineRequests.isQueueable('PUT', '/api/user/settings'));
+    assert.ok(OfflineRequests.isQueueable('PUT', '/api/user/fs_1700000000000_abcd/hunger-settings'));
+
+    assert.ok(!OfflineRequests.isQueueable('GET', '/api/fasts/start'));
+    assert.ok(!OfflineRequests.isQueueable('POST', '/api/body-log/import'), 'Imports are too large to hold on the device');
+    assert.ok(!OfflineRequests.isQueueable('DELETE', '/api/body-log/4'));
+    assert.ok(!OfflineRequests.isQueueable('POST', '/api/fasts/12/end/extra'));
+
+    assert.ok(OfflineRequests.createsRecord('POST', '/api/fasts/start'));
+    assert.ok(OfflineRequests.createsRecord('POST', '/api/body-log'));
+    assert.ok(!OfflineRequests.createsRecord('POST', '/api/fasts/12/end'));
+  });
+
+  await record('points queued follow-ups at the records the server created', async () => {
+    const resolved = { [START_PLACEHOLDER]: 41 };
+
+    assert.ok(OfflineRequests.hasPlaceholder(`/api/fasts/${START_PLACEHOLDER}/end`));
+    assert.ok(!OfflineRequests.hasPlaceholder('/api/fasts/41/end'));
+    assert.strictEqual(OfflineRequests.resolvePlaceholders(`/api/fasts/${START_PLACEHOLDER}/end`, resolved), '/api/fasts/41/end');
+
+    const body = JSON.stringify({ fast_id: START_PLACEHOLDER, weight: 180, notes: `after ${START_PLACEHOLDER}` });
+    assert.deepStrictEqual(JSON.parse(OfflineRequests.resolvePlaceholders(body, resolved)), {
+      fast_id: 41, weight: 180, notes: 'after 41'
+    });
+
+    const unresolved = JSON.stringify({ id: LOG_PLACEHOLDER });
+    assert.strictEqual(OfflineRequests.resolvePlaceholders(unresolved, resolved), unresolved);
+    assert.strictEqual(
+      OfflineRequests.resolvePlaceholders(JSON.stringify({ fast_id: START_PLACEHOLDER }), { [START_PLACEHOLDER]: 'abc' }),
+      '{"fast_id":"abc"}'
+    );
+  });
+
+  await record('retries transient failures and drops requests the server refuses', async () => {
+    assert.strictEqual(OfflineRequests.replayOutcome(200), 'done');
+    assert.strictEqual(OfflineRequests.replayOutcome(201), 'done');
+    assert.strictEqual(OfflineRequests.replayOutcome(409), 'done', 'Already ended on another device');
+    assert.strictEqual(OfflineRequests.replayOutcome(409, '1'), 'retry', 'An earlier replay is still being processed');
+    assert.strictEqual(OfflineRequests.replayOutcome(500), 'retry');
+    assert.strictEqual(OfflineRequests.replayOutcome(503), 'retry');
+    assert.strictEqual(OfflineRequests.replayOutcome(429), 'retry');
+    assert.strictEqual(OfflineRequests.replayOutcome(400), 'rejected');
+    assert.strictEqual(OfflineRequests.replayOutcome(404), 'rejected');
+  });
+
+  await record('answers queued requests with what was submitted and a placeholder id', async () => {
+    const start = OfflineRequests.queuedResponseBody({
+      body: JSON.stringify({ start_time: '2024-06-11T00:00:00.000Z', sessionId: 'fs_1700000000000_abcd' }),
+      idempotencyKey: 'key-1',
+      placeholderId: START_PLACEHOLDER
+    });
+    assert.deepStrictEqual(start, {
+      start_time: '2024-06-11T00:00:00.000Z',
+      sessionId: 'fs_1700000000000_abcd',
+      id: START_PLACEHOLDER,
+      success: true,
+      queued: true,
+      idempotency_key: 'key-1'
+    });
+
+    const settings = OfflineRequests.queuedResponseBody({ body: '[1, 2]', idempotencyKey: 'key-2', placeholderId: null });
+    assert.deepStrictEqual(settings, { success: true, queued: true, idempotency_key: 'key-2' });
+    assert.strictEqual(OfflineRequests.queuedResponseBody({ body: 'not json', idempotencyKey: 'key-3' }).queued, true);
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runOfflineRequestTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Offline request tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Offline request tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Offline request test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runOfflineRequestTests;
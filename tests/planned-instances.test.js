@@ -0,0 +1,263 @@
+const assert = require('assert');
+const PlannedInstanceService = require('../services/PlannedInstanceService');
+const createMigratedRepository = require('./helpers/createMigratedRepository');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function createFixture(startAt = '2024-06-05T12:00:00.000Z') {
+  const { repository, close } = await createMigratedRepository();
+
+  const clock = { now: new Date(startAt) };
+  const service = new PlannedInstanceService(repository, { clock: () => new Date(clock.now) });
+
+  const profile = await repository.createUserProfile({ session_id: 'fs_1700000000000_plan' });
+  const schedule = await repository.createSchedule({ user_profile_id: profile.id });
+  // Monday 20:00 to Tuesday 12:00 UTC
+  const block = await repository.createFastingBlock({
+    schedule_id: schedule.id,
+    name: 'Monday 16',
+    start_dow: 1,
+    start_time: '20:00',
+    end_dow: 2,
+    end_time: '12:00',
+    anchor_tz: 'UTC'
+  });
+
+  return {
+    repository,
+    service,
+    clock,
+    profile,
+    schedule,
+    block,
+    close
+  };
+}
+
+async function runPlannedInstanceTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('materializes four weeks of occurrences once', async () => {
+    const fixture = await createFixture();
+    try {
+      const first = await fixture.service.materializeSchedule(fixture.schedule);
+      const second = await fixture.service.materializeSchedule(fixture.schedule);
+
+      assert.strictEqual(first.created, 4);
+      assert.deepStrictEqual(second, { created: 0, updated: 0, removed: 0, resolved: 0 });
+
+      const instances = await fixture.service.listInstances(fixture.schedule);
+      assert.deepStrictEqual(instances.map((instance) => instance.occurrence_date), ['2024-06-10', '2024-06-17', '2024-06-24', '2024-07-01']);
+      instances.forEach((instance) => {
+        assert.strictEqual(new Date(instance.start_at_utc).getUTCDay(), 1, 'Occurrences land on the block weekday');
+        assert.strictEqual(instance.duration_hours, 16);
+        assert.strictEqual(instance.status, 'upcoming');
+        assert.strictEqual(instance.block_name, 'Monday 16');
+      });
+
+      const schedule = await fixture.repository.getScheduleById(fixture.schedule.id);
+      assert.strictEqual(schedule.materialized_through, '2024-07-03T12:00:00.000Z');
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('block edits, deletions and skip overrides rewrite future occurrences only', async () => {
+    const fixture = await createFixture();
+    try {
+      await fixture.service.materializeSchedule(fixture.schedule);
+      await fixture.repository.createOverride({ block_id: fixture.block.id, occurrence_date: '2024-06-17', type: 'skip' });
+      await fixture.repository.updateFastingBlock(fixture.block.id, { start_time: '18:00' });
+
+      const edited = await fixture.service.materializeSchedule(fixture.schedule);
+      assert.strictEqual(edited.updated, 4);
+      const instances = await fixture.service.listInstances(fixture.schedule, { withOverrides: true });
+      assert.strictEqual(instances[0].start_at_utc, '2024-06-10T18:00:00.000Z');
+      assert.strictEqual(instances[1].status, 'skipped');
+      assert.strictEqual(instances[1].override.type, 'skip');
+
+      fixture.clock.now = new Date('2024-06-11T13:00:00.000Z');
+      await fixture.repository.deleteFastingBlock(fixture.block.id);
+      const deleted = await fixture.service.materializeSchedule(fixture.schedule);
+
+      assert.strictEqual(deleted.removed, 3, 'Future occurrences of a deleted block are removed');
+      const remaining = await fixture.service.listInstances(fixture.schedule);
+      assert.deepStrictEqual(remaining.map((instance) => [instance.occurrence_date, instance.status]), [['2024-06-10', 'missed']]);
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('past occurrences resolve to completed, active or missed from linked fasts', async () => {
+    const fixture = await createFixture();
+    try {
+      await fixture.service.materializeSchedule(fixture.schedule);
+      const [first, second, third] = await fixture.service.listInstances(fixture.schedule);
+
+      await fixture.repository.createFast({
+        start_time: '2024-06-10T20:00:00.000Z',
+        end_time: '2024-06-11T12:00:00.000Z',
+        user_profile_id: fixture.profile.id,
+        planned_instance_id: String(first.id)
+      });
+      await fixture.repository.createFast({
+        start_time: '2024-06-24T20:00:00.000Z',
+        is_active: true,
+        user_profile_id: fixture.profile.id,
+        planned_instance_id: String(third.id)
+      });
+
+      fixture.clock.now = new Date('2024-06-25T08:00:00.000Z');
+      const resolved = await fixture.service.reconcileSchedule(fixture.schedule, fixture.clock.now);
+
+      assert.strictEqual(resolved, 3);
+      const byId = new Map((await fixture.service.listInstances(fixture.schedule)).map((instance) => [instance.id, instance]));
+      assert.strictEqual(byId.get(first.id).status, 'completed');
+      assert.ok(byId.get(first.id).fast_id);
+      assert.strictEqual(byId.get(second.id).status, 'missed');
+      assert.strictEqual(byId.get(third.id).status, 'active');
+      assert.deepStrictEqual(
+        (await fixture.service.listInstances(fixture.schedule, { statuses: ['missed'] })).map((instance) => instance.id),
+        [second.id]
+      );
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('an occurrence claimed early is kept when the block changes', async () => {
+    const fixture = await createFixture();
+    try {
+      await fixture.service.materializeSchedule(fixture.schedule);
+      fixture.clock.now = new Date('2024-06-10T08:00:00.000Z');
+      const instance = await fixture.service.getInstance(
+        (await fixture.service.listInstances(fixture.schedule))[0].id,
+        fixture.schedule
+      );
+      const fast = await fixture.repository.createFast({
+        start_time: fixture.clock.now.toISOString(),
+        is_active: true,
+        user_profile_id: fixture.profile.id,
+        planned_instance_id: String(instance.id)
+      });
+      await fixture.service.claimInstance(instance, fast);
+
+      await fixture.repository.updateFastingBlock(fixture.block.id, { start_time: '22:00' });
+      await fixture.service.materializeSchedule(fixture.schedule);
+
+      const claimed = await fixture.service.getInstance(instance.id, fixture.schedule);
+      assert.strictEqual(claimed.status, 'active');
+      assert.strictEqual(claimed.fast_id, fast.id);
+      assert.strictEqual(claimed.start_at_utc, '2024-06-10T20:00:00.000Z');
+
+      const otherSchedule = await fixture.repository.createSchedule({ user_profile_id: fixture.profile.id });
+      assert.strictEqual(await fixture.service.getInstance(instance.id, otherSchedule), null, 'Lookups are scoped to the schedule');
+      assert.strictEqual(await fixture.service.getInstance('abc', fixture.schedule), null);
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('the read path only rolls forward near the end of the horizon', async () => {
+    const fixture = await createFixture();
+    try {
+      const initial = await fixture.service.ensureMaterialized(fixture.schedule);
+      assert.strictEqual(initial.created, 4);
+
+      let schedule = await fixture.repository.getScheduleById(fixture.schedule.id);
+      fixture.clock.now = new Date(fixture.clock.now.getTime() + 3 * 24 * HOUR_MS);
+      const early = await fixture.service.ensureMaterialized(schedule);
+      assert.strictEqual(early.created, 0);
+
+      fixture.clock.now = new Date(fixture.clock.now.getTime() + 5 * 24 * HOUR_MS);
+      const rolled = await fixture.service.ensureMaterialized(schedule);
+      assert.strictEqual(rolled.created, 1);
+      schedule = await fixture.repository.getScheduleById(fixture.schedule.id);
+      assert.strictEqual(schedule.materialized_through, '2024-07-11T12:00:00.000Z');
+
+      const summary = await fixture.service.materializeAll();
+      assert.strictEqual(summary.schedules, 1);
+      assert.strictEqual(summary.failed, 0);
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('a block ending later on its start weekday is a same-day window', async () => {
+    const fixture = await createFixture();
+    try {
+      const { repository, service, schedule } = fixture;
+      // Wednesday 08:00 to 20:00, and Thursday 20:00 to the following Thursday 12:00
+      const sameDay = await repository.createFastingBlock({
+        schedule_id: schedule.id,
+        name: 'Wednesday 12',
+        start_dow: 3,
+        start_time: '08:00',
+        end_dow: 3,
+        end_time: '20:00',
+        anchor_tz: 'UTC'
+      });
+      const fullWeek = await repository.createFastingBlock({
+        schedule_id: schedule.id,
+        name: 'Thursday week',
+        start_dow: 4,
+        start_time: '20:00',
+        end_dow: 4,
+        end_time: '12:00',
+        anchor_tz: 'UTC'
+      });
+
+      await service.materializeSchedule(schedule);
+      const instances = await service.listInstances(schedule);
+      const forBlock = (block) => instances.filter((instance) => instance.block_id === block.id);
+
+      const [wednesday] = forBlock(sameDay);
+      assert.strictEqual(wednesday.start_at_utc, '2024-06-05T08:00:00.000Z');
+      assert.strictEqual(wednesday.end_at_utc, '2024-06-05T20:00:00.000Z');
+      assert.strictEqual(wednesday.duration_hours, 12);
+
+      assert.ok(forBlock(fullWeek).every((instance) => instance.duration_hours === 160), 'An earlier end wraps to the next week');
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runPlannedInstanceTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Planned instance tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Planned instance tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Planned instance test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runPlannedInstanceTests;
@@ -0,0 +1,192 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const createPhotoStorage = require('../services/PhotoStorage');
+const ProgressPhotoService = require('../services/ProgressPhotoService');
+const createMigratedRepository = require('./helpers/createMigratedRepository');
+
+async function createFixture() {
+  const { repository, close: closeDatabase } = await createMigratedRepository();
+
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'progress-photos-'));
+  const storage = createPhotoStorage({ driver: 'local', root });
+  const service = new ProgressPhotoService(repository, { storage, clock: () => new Date('2024-06-11T07:00:00.000Z') });
+  const profile = await repository.createUserProfile({ session_id: 'fs_1700000000000_pics' });
+
+  return {
+    repository,
+    storage,
+    service,
+    profile,
+    root,
+    close: async () => {
+      fs.rmSync(root, { recursive: true, force: true });
+      await closeDatabase();
+    }
+  };
+}
+
+// A landscape JPEG tagged as rotated 90 degrees, with camera and GPS-style EXIF fields
+function cameraPhoto() {
+  return sharp({ create: { width: 600, height: 400, channels: 3, background: { r: 200, g: 120, b: 90 } } })
+    .withMetadata({
+      orientation: 6,
+      exif: { IFD0: { Make: 'PhoneCam', Model: 'Model 9', Copyright: 'secret-location' } }
+    })
+    .jpeg()
+    .toBuffer();
+}
+
+async function runProgressPhotoTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('stores an upright copy without EXIF and a square thumbnail', async () => {
+    const fixture = await createFixture();
+    try {
+      const { service, storage, profile } = fixture;
+      const original = await cameraPhoto();
+      assert.ok((await sharp(original).metadata()).exif, 'The fixture carries EXIF');
+
+      const photo = await service.upload(profile.id, { buffer: original, mimetype: 'image/jpeg' }, { caption: '  Day one  ' });
+      assert.strictEqual(photo.content_type, 'image/jpeg');
+      assert.deepStrictEqual([photo.width, photo.height], [400, 600], 'Rotated by its orientation tag');
+      assert.strictEqual(photo.caption, 'Day one');
+      assert.strictEqual(photo.taken_at, '2024-06-11T07:00:00.000Z');
+
+      const stored = await storage.get(photo.storage_key);
+      const metadata = await sharp(stored).metadata();
+      assert.strictEqual(metadata.exif, undefined, 'No EXIF block is written');
+      assert.strictEqual(metadata.orientation, undefined);
+      assert.ok(!stored.includes(Buffer.from('secret-location')), 'Tag values are gone from the file');
+      assert.strictEqual(photo.byte_size, stored.length);
+
+      const thumbnail = await service.read(profile.id, photo.id, 'thumbnail');
+      const thumbnailMetadata = await sharp(thumbnail.buffer).metadata();
+      assert.deepStrictEqual(
+        [thumbnailMetadata.width, thumbnailMetadata.height],
+        [ProgressPhotoService.THUMBNAIL_SIZE, ProgressPhotoService.THUMBNAIL_SIZE]
+      );
+
+      const serialized = service.serialize(photo);
+      assert.strictEqual(serialized.storage_key, undefined, 'Storage keys stay server-side');
+      assert.strictEqual(serialized.thumbnail_url, `/api/photos/${photo.id}/image?variant=thumbnail`);
+
+      await assert.rejects(
+        () => service.upload(profile.id, { buffer: Buffer.from('not an image'), mimetype: 'image/png' }),
+        { code: 'INVALID_IMAGE' }
+      );
+      await assert.rejects(() => service.upload(profile.id, undefined), { code: 'INVALID_IMAGE' });
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('attaches photos to the profile\'s own fasts and body log entries', async () => {
+    const fixture = await createFixture();
+    try {
+      const { service, repository, profile } = fixture;
+      const other = await repository.createUserProfile({ session_id: 'fs_1700000000000_othr' });
+      const fast = await repository.createFast({ start_time: '2024-06-01T18:00:00.000Z', user_profile_id: profile.id });
+      const entry = await repository.createBodyLogEntry({
+        user_profile_id: profile.id,
+        logged_at: '2024-06-02T07:30:00.000Z',
+        local_date: '2024-06-02',
+        weight: 180
+      });
+      const foreignFast = await repository.createFast({ start_time: '2024-06-01T18:00:00.000Z', user_profile_id: other.id });
+      const file = { buffer: await cameraPhoto(), mimetype: 'image/jpeg' };
+
+      const withEntry = await service.upload(profile.id, file, { bodyLogEntryId: String(entry.id) });
+      assert.strictEqual(withEntry.body_log_entry_id, entry.id);
+      assert.strictEqual(withEntry.taken_at, '2024-06-02T07:30:00.000Z', 'Defaults to the weigh-in time');
+
+      const withFast = await service.upload(profile.id, file, { fastId: fast.id, takenAt: '2024-06-01T17:00:00.000Z' });
+      assert.deepStrictEqual((await service.list(profile.id)).map((photo) => photo.id), [withFast.id, withEntry.id]);
+      assert.deepStrictEqual((await service.list(profile.id, { fastId: fast.id })).map((photo) => photo.id), [withFast.id]);
+
+      await assert.rejects(() => service.upload(profile.id, file, { fastId: foreignFast.id }), { code: 'FAST_NOT_FOUND' });
+      await assert.rejects(() => service.upload(profile.id, file, { bodyLogEntryId: 9999 }), { code: 'BODY_LOG_ENTRY_NOT_FOUND' });
+      await assert.rejects(() => service.upload(profile.id, file, { takenAt: 'yesterday-ish' }), { code: 'INVALID_TAKEN_AT' });
+      await assert.rejects(() => service.get(other.id, withFast.id), { code: 'PHOTO_NOT_FOUND' }, 'Other profiles cannot see it');
+
+      const moved = await service.update(profile.id, withFast.id, { fastId: null, bodyLogEntryId: entry.id, caption: 'After' });
+      assert.deepStrictEqual([moved.fast_id, moved.body_log_entry_id, moved.caption], [null, entry.id, 'After']);
+      await assert.rejects(() => service.update(profile.id, withFast.id, { fastId: foreignFast.id }), { code: 'FAST_NOT_FOUND' });
+      assert.strictEqual((await service.update(profile.id, withFast.id, {})).body_log_entry_id, entry.id, 'Undefined fields are kept');
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('deleting a photo removes both files', async () => {
+    const fixture = await createFixture();
+    try {
+      const { service, storage, profile } = fixture;
+      const photo = await service.upload(profile.id, { buffer: await cameraPhoto(), mimetype: 'image/jpeg' });
+
+      assert.deepStrictEqual(await service.delete(profile.id, photo.id), { deleted: true });
+      assert.strictEqual(await storage.get(photo.storage_key), null);
+      assert.strictEqual(await storage.get(photo.thumbnail_key), null);
+      await assert.rejects(() => service.read(profile.id, photo.id), { code: 'PHOTO_NOT_FOUND' });
+
+      assert.throws(() => storage._resolve('../../etc/passwd'), /Invalid photo storage key/);
+      assert.throws(() => createPhotoStorage({ driver: 'ftp' }), /Unsupported photo storage driver/);
+
+      const nodeEnv = process.env.NODE_ENV;
+      try {
+        process.env.NODE_ENV = 'production';
+        assert.strictEqual(createPhotoStorage.getDefaultRoot(), '/data/photos', 'On the persistent disk with the database');
+      } finally {
+        if (nodeEnv === undefined) {
+          delete process.env.NODE_ENV;
+        } else {
+          process.env.NODE_ENV = nodeEnv;
+        }
+      }
+      assert.strictEqual(createPhotoStorage.getDefaultRoot(), path.join(__dirname, '..', 'uploads', 'photos'));
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runProgressPhotoTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Progress photo tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Progress photo tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Progress photo test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runProgressPhotoTests;
@@ -0,0 +1,145 @@
+const assert = require('assert');
+const QuietHours = require('../public/js/quiet-hours');
+const { evaluateInstanceNotifications } = require('../services/notificationRules');
+
+const NEW_YORK = 'America/New_York';
+const NIGHTS = { start: '22:00', end: '07:00' };
+const WEEKEND_MORNINGS = { start: '07:00', end: '11:00', days: [0, 6] };
+
+function endOf(iso, windows, timeZone = NEW_YORK) {
+  const end = QuietHours.endOfQuietHours(new Date(iso), windows, timeZone);
+  return end && end.toISOString();
+}
+
+async function runQuietHoursTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('validates and normalizes quiet hours windows', async () => {
+    assert.strictEqual(QuietHours.validate(null), null);
+    assert.strictEqual(QuietHours.validate([]), null);
+    assert.strictEqual(QuietHours.validate([NIGHTS, WEEKEND_MORNINGS]), null);
+
+    assert.strictEqual(QuietHours.validate(NIGHTS), 'quiet_hours must be a list of windows');
+    assert.strictEqual(QuietHours.validate(new Array(8).fill(NIGHTS)), 'quiet_hours allows at most 7 windows');
+    assert.ok(QuietHours.validate([{ start: '22:00' }]).startsWith('Each quiet hours window'));
+    assert.ok(QuietHours.validate([{ start: '7:00', end: '09:00' }]).startsWith('Each quiet hours window'));
+    assert.ok(QuietHours.validate([{ start: '07:00', end: '07:00' }]).startsWith('Each quiet hours window'));
+    assert.ok(QuietHours.validate([{ ...NIGHTS, days: [] }]).startsWith('Each quiet hours window'));
+    assert.ok(QuietHours.validate([{ ...NIGHTS, days: [7] }]).startsWith('Each quiet hours window'));
+
+    assert.deepStrictEqual(QuietHours.normalize(JSON.stringify([{ ...NIGHTS, days: [6, 0, 6] }])), [
+      { start: '22:00', end: '07:00', days: [0, 6] }
+    ]);
+    assert.deepStrictEqual(QuietHours.normalize([NIGHTS])[0].days, [0, 1, 2, 3, 4, 5, 6]);
+    assert.deepStrictEqual(QuietHours.normalize('not json'), []);
+    assert.deepStrictEqual(QuietHours.normalize(null), []);
+    assert.strictEqual(QuietHours.normalize([{ start: 'late' }, NIGHTS]).length, 1);
+  });
+
+  await record('finds the end of quiet hours in the profile time zone', async () => {
+    // Wednesday 2024-06-12, New York is UTC-4
+    assert.strictEqual(endOf('2024-06-12T02:30:00.000Z', [NIGHTS]), '2024-06-12T11:00:00.000Z', 'Tuesday 22:30 ends Wednesday 07:00');
+    assert.strictEqual(endOf('2024-06-12T10:59:00.000Z', [NIGHTS]), '2024-06-12T11:00:00.000Z');
+    assert.strictEqual(endOf('2024-06-12T11:00:00.000Z', [NIGHTS]), null, 'The end time itself is no longer quiet');
+    assert.strictEqual(endOf('2024-06-12T16:00:00.000Z', [NIGHTS]), null);
+    assert.strictEqual(endOf('2024-06-12T01:00:00.000Z', [NIGHTS]), null, 'Tuesday 21:00 in New York');
+    assert.strictEqual(endOf('2024-06-12T01:00:00.000Z', [NIGHTS], 'UTC'), '2024-06-12T07:00:00.000Z', 'but already 01:00 in UTC');
+
+    // Days are the weekday a window starts on, so Friday night's window runs into Saturday
+    const fridayNights = [{ ...NIGHTS, days: [5] }];
+    assert.strictEqual(endOf('2024-06-15T06:00:00.000Z', fridayNights), '2024-06-15T11:00:00.000Z');
+    assert.strictEqual(endOf('2024-06-16T06:00:00.000Z', fridayNights), null, 'Not on Saturday night');
+
+    // Clocks spring forward at 02:00 on 2024-03-10; 07:00 that morning is EDT
+    assert.strictEqual(endOf('2024-03-10T05:00:00.000Z', [NIGHTS]), '2024-03-10T11:00:00.000Z');
+    assert.strictEqual(endOf('2024-11-03T05:00:00.000Z', [NIGHTS]), '2024-11-03T12:00:00.000Z');
+  });
+
+  await record('keeps weekend mornings quiet until the last back-to-back window ends', async () => {
+    const windows = [NIGHTS, WEEKEND_MORNINGS];
+    // Saturday 2024-06-15 07:00 New York: the weekday night window has ended, the weekend one has not
+    assert.ok(QuietHours.isQuiet(new Date('2024-06-15T11:00:00.000Z'), windows, NEW_YORK));
+    assert.strictEqual(endOf('2024-06-15T06:00:00.000Z', windows), '2024-06-15T15:00:00.000Z');
+    assert.strictEqual(endOf('2024-06-14T11:00:00.000Z', windows), null, 'Friday 07:00 is not a weekend morning');
+    assert.ok(!QuietHours.isQuiet(new Date('2024-06-15T15:00:00.000Z'), windows, NEW_YORK));
+  });
+
+  await record('combines profile quiet hours with a block\'s own window', async () => {
+    // Saturday 22:00 -> Sunday 16:00 New York
+    const instance = {
+      id: 9,
+      block_id: 4,
+      block_name: 'Weekend 18',
+      start_at_utc: '2024-06-16T02:00:00.000Z',
+      end_at_utc: '2024-06-16T20:00:00.000Z',
+      status: 'upcoming'
+    };
+    const rules = { pre_start: ['1h'], final_hour: true, milestones: true };
+
+    const describe = (timeline) => timeline.map((entry) => `${entry.type}@${entry.at.toISOString()}`);
+    assert.deepStrictEqual(describe(evaluateInstanceNotifications(instance, rules, { timeZone: NEW_YORK })), [
+      'pre_start@2024-06-16T01:00:00.000Z',
+      'start@2024-06-16T02:00:00.000Z',
+      'milestone@2024-06-16T14:00:00.000Z',
+      'final_hour@2024-06-16T19:00:00.000Z',
+      'end@2024-06-16T20:00:00.000Z'
+    ]);
+
+    const quiet = evaluateInstanceNotifications(instance, rules, {
+      timeZone: NEW_YORK,
+      quietHours: JSON.stringify([NIGHTS, WEEKEND_MORNINGS])
+    });
+    assert.deepStrictEqual(describe(quiet), [
+      'pre_start@2024-06-16T01:00:00.000Z',
+      'final_hour@2024-06-16T19:00:00.000Z',
+      'end@2024-06-16T20:00:00.000Z'
+    ], 'The 22:00 start and the 10:00 milestone fall in quiet hours');
+
+    const blockToo = evaluateInstanceNotifications(instance, { ...rules, quiet_hours: { start: '15:00', end: '17:00' } }, {
+      timeZone: NEW_YORK,
+      quietHours: [NIGHTS]
+    });
+    const end = blockToo.find((entry) => entry.type === 'end');
+    assert.strictEqual(end.at.toISOString(), '2024-06-16T21:00:00.000Z', 'Deferred to the end of the block window');
+    assert.ok(!blockToo.some((entry) => entry.type === 'start'));
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runQuietHoursTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Quiet hours tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Quiet hours tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Quiet hours test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runQuietHoursTests;
@@ -0,0 +1,681 @@
+const assert = require('assert');
+const { newDb } = require('pg-mem');
+const Repository = require('../database/repository');
+const { createPostgresAdapter } = require('../database/adapters');
+const createMigratedRepository = require('./helpers/createMigratedRepository');
+
+const silentLogger = { log: () => {} };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Infrastructure rather than data access; exercised by the migration tests
+const NON_DATA_METHODS = ['constructor', 'createMigrator', 'runMigrations'];
+
+/**
+ * Each backend gets a freshly migrated database behind the shared Repository.
+ */
+const BACKENDS = {
+  sqlite: createMigratedRepository,
+  postgres: async () => {
+    const { Pool } = newDb().adapters.createPg();
+    const pool = new Pool();
+    const repository = new Repository(createPostgresAdapter(pool));
+    await repository.createMigrator({ logger: silentLogger }).up();
+    return { repository, close: () => pool.end() };
+  }
+};
+
+/**
+ * Wraps a repository so the suite can prove every public method was called directly.
+ * Calls are forwarded to the real instance, so internal this.method() calls are not counted.
+ */
+function trackCalls(repository, called) {
+  return new Proxy(repository, {
+    get(target, property) {
+      const value = target[property];
+      if (typeof value !== 'function') {
+        return value;
+      }
+      return (...args) => {
+        called.add(property);
+        return value.apply(target, args);
+      };
+    }
+  });
+}
+
+function publicMethods() {
+  return Object.getOwnPropertyNames(Repository.prototype)
+    .filter((name) => !name.startsWith('_') && !NON_DATA_METHODS.includes(name));
+}
+
+function iso(value) {
+  return value === null || value === undefined ? value : new Date(value).toISOString();
+}
+
+const scenarios = [
+  ['profiles, accounts and auth sessions', async (repo) => {
+    const profile = await repo.createUserProfile({ session_id: 'fs_1700000000000_conf', weight: 180, weight_unit: 'lb' });
+    assert.strictEqual(profile.session_id, 'fs_1700000000000_conf');
+    assert.strictEqual(profile.hunger_coach_enabled, true);
+    assert.strictEqual(profile.benefits_onboarded, false);
+    assert.strictEqual(profile.keto_adapted, 'none');
+
+    assert.strictEqual((await repo.getUserProfileBySessionId('fs_1700000000000_conf')).id, profile.id);
+    assert.strictEqual((await repo.getUserProfileById(profile.id)).weight, 180);
+    assert.strictEqual(await repo.getUserProfileById(9999), null);
+    assert.deepStrictEqual((await repo.listUserProfiles()).map((row) => row.id), [profile.id]);
+
+    assert.deepStrictEqual(
+      await repo.updateUserProfile('fs_1700000000000_conf', { weight: 178, session_id: 'ignored', time_zone: 'UTC' }),
+      { session_id: 'fs_1700000000000_conf', changes: 1 }
+    );
+    assert.strictEqual((await repo.updateUserProfile('fs_missing', { weight: 1 })).changes, 0);
+    assert.strictEqual((await repo.markUserOnboarded('fs_1700000000000_conf')).changes, 1);
+    const updated = await repo.getUserProfileById(profile.id);
+    assert.strictEqual(updated.weight, 178);
+    assert.ok(updated.onboarded_at);
+
+    const account = await repo.createAccount({ email: 'pat@example.com', password_hash: 'scrypt$hash' });
+    assert.deepStrictEqual(account, { id: account.id, email: 'pat@example.com' });
+    assert.strictEqual((await repo.getAccountByEmail('pat@example.com')).password_hash, 'scrypt$hash');
+    assert.strictEqual((await repo.getAccountById(account.id)).email, 'pat@example.com');
+    await assert.rejects(() => repo.createAccount({ email: 'pat@example.com', password_hash: 'x' }));
+
+    const other = await repo.createAccount({ email: 'sam@example.com', password_hash: 'scrypt$other' });
+    assert.strictEqual((await repo.attachUserProfileToAccount(profile.id, account.id)).changes, 1);
+    assert.strictEqual((await repo.attachUserProfileToAccount(profile.id, other.id)).changes, 0, 'Claimed profiles stay claimed');
+    assert.strictEqual((await repo.getUserProfileByAccountId(account.id)).id, profile.id);
+    assert.strictEqual(await repo.getUserProfileByAccountId(other.id), null);
+
+    const expiresAt = new Date(Date.UTC(2030, 0, 1)).toISOString();
+    const session = await repo.createAuthSession({ account_id: account.id, token_hash: 'abc123', expires_at: expiresAt });
+    assert.strictEqual(session.token_hash, 'abc123');
+    assert.strictEqual(session.user_agent, null);
+    assert.strictEqual(iso((await repo.getAuthSessionByTokenHash('abc123')).expires_at), expiresAt);
+    assert.deepStrictEqual(await repo.deleteAuthSession('abc123'), { deleted: true });
+    assert.deepStrictEqual(await repo.deleteAuthSession('abc123'), { deleted: false });
+    assert.strictEqual(await repo.getAuthSessionByTokenHash('abc123'), null);
+  }],
+
+  ['fasts and milestones', async (repo) => {
+    const profile = await repo.createUserProfile({ session_id: 'fs_1700000000000_fasts' });
+    const start = '2024-06-01T18:00:00.000Z';
+
+    const fast = await repo.createFast({ start_time: start, is_active: true, user_profile_id: profile.id, weight: 200 });
+    assert.strictEqual(fast.is_active, true);
+    assert.strictEqual(fast.is_manual, false);
+    assert.strictEqual(fast.start_in_ketosis, false);
+    assert.strictEqual(fast.carb_status, 'normal');
+    assert.strictEqual(iso(fast.start_time), start);
+
+    const manual = await repo.createFastEntry({
+      start_time: '2024-05-01T18:00:00.000Z',
+      end_time: '2024-05-02T18:00:00.000Z',
+      is_manual: true,
+      user_profile_id: profile.id,
+      start_in_ketosis: true,
+      carb_status: 'low'
+    });
+    assert.strictEqual(manual.start_in_ketosis, true, 'Ketosis flags are stored on every backend');
+    assert.strictEqual(manual.carb_status, 'low');
+    const orphan = await repo.createFast({ start_time: '2024-04-01T18:00:00.000Z' });
+
+    assert.deepStrictEqual((await repo.getFasts()).map((row) => row.id), [fast.id, manual.id, orphan.id]);
+    assert.deepStrictEqual((await repo.getFasts(1, 1)).map((row) => row.id), [manual.id]);
+    assert.deepStrictEqual((await repo.getFastsWithWeights()).map((row) => row.id), [fast.id]);
+    assert.deepStrictEqual((await repo.getOrphanedFasts()).map((row) => row.id), [orphan.id]);
+    assert.deepStrictEqual((await repo.getFastsByUserProfile(profile.id)).map((row) => row.id), [fast.id, manual.id]);
+    assert.deepStrictEqual((await repo.getAllFastsByUserProfile(profile.id)).map((row) => row.id), [manual.id, fast.id]);
+    assert.deepStrictEqual(
+      (await repo.getFastsByUserAndDateRange(profile.id, '2024-05-02T00:00:00.000Z', '2024-05-03T00:00:00.000Z')).map((row) => row.id),
+      [manual.id]
+    );
+    assert.strictEqual((await repo.getFastById(fast.id)).weight, 200);
+
+    assert.deepStrictEqual(await repo.updateFast(fast.id, { notes: 'Felt great', id: 77 }), { id: fast.id, changes: 1 });
+    assert.deepStrictEqual(await repo.updateFast(fast.id, {}), { id: fast.id });
+    assert.strictEqual((await repo.getActiveFast()).id, fast.id);
+    assert.strictEqual((await repo.getActiveFastByUserId(profile.id)).notes, 'Felt great');
+
+    const ended = await repo.endFast(fast.id, '2024-06-02T18:00:00.000Z');
+    assert.strictEqual(ended.is_active, false);
+    assert.strictEqual(ended.duration_hours, 24);
+    assert.strictEqual(await repo.getActiveFastByUserId(profile.id), null);
+    await assert.rejects(() => repo.endFast(9999, '2024-06-02T18:00:00.000Z'), /Fast not found/);
+
+    assert.strictEqual((await repo.getFastEndingNearTimestamp(profile.id, '2024-06-02T19:00:00.000Z')).id, fast.id);
+    assert.strictEqual(await repo.getFastEndingNearTimestamp(profile.id, '2024-06-02T21:00:00.000Z', 60), null);
+    await assert.rejects(() => repo.getFastEndingNearTimestamp(profile.id, 'not a date'));
+
+    const milestone = await repo.createMilestone({
+      fast_id: fast.id,
+      milestone_type: 'ketosis',
+      achieved_at: '2024-06-02T06:00:00.000Z',
+      hours_elapsed: 12
+    });
+    assert.strictEqual(milestone.milestone_type, 'ketosis');
+    await repo.createMilestone({ fast_id: fast.id, milestone_type: 'autophagy', achieved_at: '2024-06-02T18:00:00.000Z', hours_elapsed: 24 });
+    assert.deepStrictEqual((await repo.getFastMilestones(fast.id)).map((row) => row.hours_elapsed), [12, 24]);
+
+    assert.deepStrictEqual(await repo.deleteFast(orphan.id), { deleted: true });
+    assert.deepStrictEqual(await repo.deleteFast(orphan.id), { deleted: false });
+  }],
+
+  ['body log entries and canonical selection', async (repo) => {
+    const profile = await repo.createUserProfile({ session_id: 'fs_1700000000000_body' });
+    const fast = await repo.createFast({ start_time: '2024-06-01T18:00:00.000Z', user_profile_id: profile.id });
+    const base = { user_profile_id: profile.id, local_date: '2024-06-02', time_zone: 'UTC' };
+
+    const morning = await repo.createBodyLogEntry({
+      ...base,
+      logged_at: '2024-06-02T07:00:00.000Z',
+      weight: 180,
+      entry_tag: 'morning',
+      is_canonical: true,
+      fast_id: fast.id
+    });
+    assert.strictEqual(morning.is_canonical, true);
+    assert.strictEqual(morning.canonical_override_at, null);
+    assert.strictEqual(morning.source, 'manual');
+    const evening = await repo.createBodyLogEntry({ ...base, logged_at: '2024-06-02T20:00:00.000Z', weight: 182 });
+    assert.strictEqual(evening.is_canonical, false);
+    const nextDay = await repo.createBodyLogEntry({
+      ...base,
+      local_date: '2024-06-03',
+      logged_at: '2024-06-03T07:00:00.000Z',
+      weight: 179,
+      is_canonical: true,
+      canonical_status: 'manual'
+    });
+    assert.ok(nextDay.canonical_override_at, 'Manual canonical entries get an override timestamp');
+    await assert.rejects(() => repo.createBodyLogEntry({ ...base, logged_at: '2024-06-02T08:00:00.000Z' }), /Missing required fields/);
+    await assert.rejects(
+      () => repo.createBodyLogEntry({ ...base, logged_at: '2024-06-02T09:00:00.000Z', weight: 181, is_canonical: true }),
+      'Only one canonical entry per day'
+    );
+
+    assert.strictEqual((await repo.getBodyLogEntryById(morning.id)).weight, 180);
+    assert.strictEqual(await repo.getBodyLogEntryById(9999), null);
+    assert.deepStrictEqual((await repo.getBodyLogEntriesByUser(profile.id)).map((row) => row.id), [nextDay.id, evening.id, morning.id]);
+    assert.deepStrictEqual(
+      (await repo.getBodyLogEntriesByUser(profile.id, { startDate: '2024-06-02', endDate: '2024-06-02', includeSecondary: false })).map((row) => row.id),
+      [morning.id]
+    );
+    assert.deepStrictEqual((await repo.getBodyLogEntriesByUser(profile.id, { limit: 1, offset: 1 })).map((row) => row.id), [evening.id]);
+    assert.deepStrictEqual(await repo.getBodyLogUserIds(), [profile.id]);
+    assert.deepStrictEqual((await repo.getBodyLogEntriesForDate(profile.id, '2024-06-02')).map((row) => row.id), [morning.id, evening.id]);
+    assert.deepStrictEqual((await repo.getBodyLogEntriesByFastId(fast.id)).map((row) => row.id), [morning.id]);
+
+    assert.deepStrictEqual(await repo.updateBodyLogEntry(evening.id, { notes: 'after dinner', body_fat: 20 }), { id: evening.id, changes: 1 });
+    assert.strictEqual((await repo.getBodyLogEntryById(evening.id)).notes, 'after dinner');
+
+    const switched = await repo.markCanonicalEntry(evening.id, { canonicalStatus: 'manual', canonicalReason: 'user_choice' });
+    assert.strictEqual(switched.is_canonical, true);
+    assert.strictEqual(switched.canonical_status, 'manual');
+    assert.ok(switched.canonical_override_at);
+    assert.strictEqual((await repo.getBodyLogEntryById(morning.id)).is_canonical, false);
+    assert.strictEqual((await repo.getCanonicalEntryForDate(profile.id, '2024-06-02')).id, evening.id);
+    await assert.rejects(() => repo.markCanonicalEntry(9999), /Body log entry not found/);
+
+    assert.deepStrictEqual(
+      (await repo.getCanonicalEntriesByRange(profile.id, '2024-06-01', '2024-06-30')).map((row) => row.id),
+      [evening.id, nextDay.id]
+    );
+    assert.deepStrictEqual((await repo.getCanonicalEntriesByRange(profile.id, '2024-06-03')).map((row) => row.id), [nextDay.id]);
+
+    assert.deepStrictEqual(await repo.clearCanonicalForDate(profile.id, '2024-06-02', evening.id), { changes: 0 });
+    assert.deepStrictEqual(await repo.clearCanonicalForDate(profile.id, '2024-06-02'), { changes: 1 });
+    assert.strictEqual(await repo.getCanonicalEntryForDate(profile.id, '2024-06-02'), null);
+    assert.strictEqual((await repo.updateBodyLogEntry(morning.id, { is_canonical: 1 })).changes, 1);
+    assert.strictEqual((await repo.getBodyLogEntryById(morning.id)).is_canonical, true);
+
+    assert.deepStrictEqual(await repo.deleteBodyLogEntry(evening.id), { deleted: true });
+    assert.deepStrictEqual(await repo.deleteBodyLogEntry(evening.id), { deleted: false });
+  }],
+
+  ['schedules, drafts, blocks, overrides and planned instances', async (repo) => {
+    const profile = await repo.createUserProfile({ session_id: 'fs_1700000000000_plan' });
+
+    const schedule = await repo.createSchedule({ user_profile_id: profile.id });
+    assert.strictEqual(schedule.week_anchor, 1);
+    assert.strictEqual(schedule.is_paused, false);
+    assert.strictEqual((await repo.getScheduleById(schedule.id)).user_profile_id, profile.id);
+    assert.strictEqual((await repo.getScheduleByUserProfile(profile.id)).id, schedule.id);
+    assert.deepStrictEqual((await repo.getSchedulesByUserProfile(profile.id)).map((row) => row.id), [schedule.id]);
+    assert.deepStrictEqual(await repo.updateSchedule(schedule.id, { week_anchor: 0 }), { id: schedule.id, changes: 1 });
+    assert.strictEqual((await repo.getScheduleById(schedule.id)).week_anchor, 0);
+
+    const draft = await repo.upsertScheduleDraft(profile.id, { blocks: 1 });
+    assert.deepStrictEqual(draft.payload, { blocks: 1 });
+    assert.deepStrictEqual(await repo.markScheduleDraftDismissed(profile.id), { dismissed: true });
+    assert.strictEqual(await repo.getScheduleDraftByUserProfile(profile.id), null);
+    assert.ok((await repo.getScheduleDraftByUserProfile(profile.id, { includeDismissed: true })).dismissed_at);
+    const replaced = await repo.upsertScheduleDraft(profile.id, { blocks: 2 });
+    assert.deepStrictEqual(replaced.payload, { blocks: 2 });
+    assert.strictEqual(replaced.dismissed_at, null, 'Upserting un-dismisses the draft');
+    assert.strictEqual(replaced.id, draft.id);
+    assert.deepStrictEqual(await repo.deleteScheduleDraft(profile.id), { deleted: true });
+    assert.deepStrictEqual(await repo.deleteScheduleDraft(profile.id), { deleted: false });
+
+    const block = await repo.createFastingBlock({
+      schedule_id: schedule.id,
+      name: 'Weekly 36',
+      start_dow: 0,
+      start_time: '20:00',
+      end_dow: 2,
+      end_time: '08:00',
+      anchor_tz: 'UTC',
+      notifications: { start: true }
+    });
+    assert.strictEqual(block.is_active, true);
+    assert.strictEqual(block.tz_mode, 'local');
+    assert.deepStrictEqual(block.notifications, { start: true });
+    const spare = await repo.createFastingBlock({ schedule_id: schedule.id, start_dow: 3, start_time: '20:00', end_dow: 4, end_time: '12:00' });
+    assert.strictEqual(spare.notifications, null);
+
+    assert.deepStrictEqual(await repo.updateFastingBlock(spare.id, { name: 'Midweek', notifications: { end: true } }), { id: spare.id, changes: 1 });
+    assert.deepStrictEqual((await repo.getFastingBlockById(spare.id)).notifications, { end: true });
+    assert.deepStrictEqual(await repo.deleteFastingBlock(spare.id), { deleted: true });
+    assert.deepStrictEqual((await repo.getFastingBlocksBySchedule(schedule.id)).map((row) => row.id), [block.id]);
+    assert.deepStrictEqual(
+      (await repo.getFastingBlocksBySchedule(schedule.id, { includeInactive: true })).map((row) => row.id),
+      [block.id, spare.id]
+    );
+    assert.deepStrictEqual((await repo.getFastingBlocksBySchedule(schedule.id))[0].notifications, { start: true });
+
+    const now = new Date();
+    const instances = await repo.generatePlannedInstances(schedule.id, 3);
+    assert.ok(instances.length >= 2);
+    instances.forEach((instance, index) => {
+      assert.strictEqual(instance.status, 'upcoming');
+      assert.strictEqual(instance.duration_hours, 36);
+      assert.strictEqual(instance.block_name, 'Weekly 36');
+      if (index > 0) {
+        assert.ok(instance.start_at_utc > instances[index - 1].start_at_utc);
+      }
+    });
+
+    const skipped = instances[0].occurrence_date;
+    const override = await repo.createOverride({ block_id: block.id, occurrence_date: skipped, type: 'skip', payload: { by: 'user' } });
+    assert.deepStrictEqual(override.payload, { by: 'user' });
+    assert.strictEqual(override.reason, null);
+    await repo.createOverride({ block_id: block.id, occurrence_date: instances[1].occurrence_date, type: 'extend', payload: { hours: 12 } });
+    assert.deepStrictEqual((await repo.getOverridesByBlock(block.id)).map((row) => row.type), ['skip', 'extend']);
+    assert.strictEqual((await repo.getOverrideByBlockAndDate(block.id, skipped)).type, 'skip');
+    assert.strictEqual(await repo.getOverrideByBlockAndDate(block.id, '1999-01-01'), null);
+
+    const withOverrides = await repo.generateInstancesForBlock(block, schedule, now, new Date(now.getTime() + 21 * DAY_MS));
+    assert.strictEqual(withOverrides[0].status, 'skipped');
+    assert.strictEqual(withOverrides[1].duration_hours, 48);
+    assert.strictEqual(await repo.generatePlannedInstances(9999).then((rows) => rows.length), 0);
+
+    assert.deepStrictEqual(await repo.deleteSchedulesByUserProfile(profile.id), { deleted: true });
+    assert.strictEqual(await repo.getScheduleByUserProfile(profile.id), null);
+  }],
+
+  ['materialized planned instances', async (repo) => {
+    const profile = await repo.createUserProfile({ session_id: 'fs_1700000000000_inst' });
+    const schedule = await repo.createSchedule({ user_profile_id: profile.id });
+    const paused = await repo.createSchedule({ user_profile_id: profile.id, is_paused: true });
+    assert.deepStrictEqual((await repo.listActiveSchedules()).map((row) => row.id), [schedule.id]);
+    assert.ok(paused.is_paused);
+
+    const block = await repo.createFastingBlock({
+      schedule_id: schedule.id,
+      name: 'Monday 16',
+      start_dow: 1,
+      start_time: '20:00',
+      end_dow: 2,
+      end_time: '12:00'
+    });
+
+    const past = await repo.createPlannedInstance({
+      block_id: block.id,
+      start_at_utc: '2024-06-03T20:00:00.000Z',
+      end_at_utc: '2024-06-04T12:00:00.000Z',
+      occurrence_date: '2024-06-03'
+    });
+    assert.strictEqual(past.status, 'upcoming');
+    assert.strictEqual(past.block_name, 'Monday 16');
+    assert.strictEqual(past.schedule_id, schedule.id);
+    assert.strictEqual(past.fast_id, null);
+    assert.strictEqual(iso(past.start_at_utc), '2024-06-03T20:00:00.000Z');
+    const future = await repo.createPlannedInstance({
+      block_id: block.id,
+      start_at_utc: '2024-06-10T20:00:00.000Z',
+      end_at_utc: '2024-06-11T12:00:00.000Z',
+      occurrence_date: '2024-06-10',
+      status: 'skipped'
+    });
+    await assert.rejects(
+      () => repo.createPlannedInstance({
+        block_id: block.id,
+        start_at_utc: '2024-06-10T21:00:00.000Z',
+        end_at_utc: '2024-06-11T12:00:00.000Z',
+        occurrence_date: '2024-06-10'
+      }),
+      'One row per block occurrence'
+    );
+
+    assert.strictEqual((await repo.getPlannedInstanceById(future.id)).status, 'skipped');
+    assert.strictEqual(await repo.getPlannedInstanceById(9999), null);
+    assert.deepStrictEqual((await repo.getPlannedInstancesBySchedule(schedule.id)).map((row) => row.id), [past.id, future.id]);
+    assert.deepStrictEqual(
+      (await repo.getPlannedInstancesBySchedule(schedule.id, { from: '2024-06-05T00:00:00.000Z' })).map((row) => row.id),
+      [future.id]
+    );
+    assert.deepStrictEqual(
+      (await repo.getPlannedInstancesBySchedule(schedule.id, { to: '2024-06-05T00:00:00.000Z', statuses: ['upcoming', 'missed'] })).map((row) => row.id),
+      [past.id]
+    );
+    assert.deepStrictEqual((await repo.getOpenPlannedInstances(schedule.id, '2024-06-05T00:00:00.000Z')).map((row) => row.id), [past.id]);
+
+    const fast = await repo.createFast({
+      start_time: '2024-06-03T20:05:00.000Z',
+      end_time: '2024-06-04T12:00:00.000Z',
+      user_profile_id: profile.id,
+      planned_instance_id: String(past.id)
+    });
+    assert.deepStrictEqual((await repo.getFastsByPlannedInstanceIds([past.id, future.id])).map((row) => row.id), [fast.id]);
+    assert.deepStrictEqual(await repo.getFastsByPlannedInstanceIds([]), []);
+
+    assert.deepStrictEqual(await repo.updatePlannedInstance(past.id, { status: 'completed', fast_id: fast.id }), { id: past.id, changes: 1 });
+    const completed = await repo.getPlannedInstanceById(past.id);
+    assert.strictEqual(completed.status, 'completed');
+    assert.strictEqual(completed.fast_id, fast.id);
+    assert.deepStrictEqual(await repo.getOpenPlannedInstances(schedule.id, '2024-06-05T00:00:00.000Z'), []);
+
+    assert.deepStrictEqual(await repo.deletePlannedInstance(future.id), { deleted: true });
+    assert.deepStrictEqual(await repo.deletePlannedInstance(future.id), { deleted: false });
+  }],
+
+  ['calendar feeds', async (repo) => {
+    const profile = await repo.createUserProfile({ session_id: 'fs_1700000000000_feed' });
+    const other = await repo.createUserProfile({ session_id: 'fs_1700000000000_cal2' });
+
+    const feed = await repo.upsertCalendarFeed(profile.id, 'hash-one');
+    assert.strictEqual(feed.token_hash, 'hash-one');
+    assert.strictEqual(feed.last_accessed_at, null);
+    assert.ok(feed.created_at);
+    await assert.rejects(() => repo.upsertCalendarFeed(other.id, 'hash-one'), 'Token hashes are unique');
+
+    assert.deepStrictEqual(await repo.markCalendarFeedAccessed(feed.id), { id: feed.id, changes: 1 });
+    assert.ok((await repo.getCalendarFeedByTokenHash('hash-one')).last_accessed_at);
+
+    const rotated = await repo.upsertCalendarFeed(profile.id, 'hash-two');
+    assert.strictEqual(rotated.id, feed.id, 'One feed per profile');
+    assert.strictEqual(rotated.last_accessed_at, null);
+    assert.strictEqual(await repo.getCalendarFeedByTokenHash('hash-one'), null);
+    assert.strictEqual((await repo.getCalendarFeedByUserProfile(profile.id)).token_hash, 'hash-two');
+    assert.strictEqual(await repo.getCalendarFeedByUserProfile(other.id), null);
+
+    assert.deepStrictEqual(await repo.deleteCalendarFeed(profile.id), { deleted: true });
+    assert.deepStrictEqual(await repo.deleteCalendarFeed(profile.id), { deleted: false });
+    assert.strictEqual(await repo.getCalendarFeedByTokenHash('hash-two'), null);
+  }],
+
+  ['push subscriptions, deliveries and VAPID keys', async (repo) => {
+    const profile = await repo.createUserProfile({ session_id: 'fs_1700000000000_push' });
+    const other = await repo.createUserProfile({ session_id: 'fs_1700000000000_psh2' });
+    const endpoint = 'https://push.example.com/send/abc';
+
+    const subscription = await repo.upsertPushSubscription({
+      user_profile_id: profile.id, endpoint, p256dh: 'key-one', auth: 'auth-one', user_agent: 'Firefox'
+    });
+    assert.strictEqual(subscription.p256dh, 'key-one');
+    assert.strictEqual(subscription.failure_count, 0);
+    assert.strictEqual(subscription.last_success_at, null);
+
+    assert.deepStrictEqual(
+      await repo.updatePushSubscription(subscription.id, { failure_count: 3 }),
+      { id: subscription.id, changes: 1 }
+    );
+    const moved = await repo.upsertPushSubscription({ user_profile_id: other.id, endpoint, p256dh: 'key-two', auth: 'auth-two' });
+    assert.strictEqual(moved.id, subscription.id, 'One row per endpoint');
+    assert.strictEqual(moved.user_profile_id, other.id);
+    assert.strictEqual(moved.failure_count, 0, 'Re-subscribing resets failures');
+    assert.strictEqual((await repo.getPushSubscriptionByEndpoint(endpoint)).auth, 'auth-two');
+    assert.deepStrictEqual(await repo.getPushSubscriptionsByUserProfile(profile.id), []);
+    assert.deepStrictEqual((await repo.listPushSubscriberProfiles()).map((row) => row.id), [other.id]);
+
+    assert.deepStrictEqual(
+      await repo.claimPushDelivery({ user_profile_id: other.id, dedupe_key: 'schedule:start:1', kind: 'schedule_start' }),
+      { claimed: true }
+    );
+    assert.deepStrictEqual(
+      await repo.claimPushDelivery({ user_profile_id: other.id, dedupe_key: 'schedule:start:1', kind: 'schedule_start' }),
+      { claimed: false }
+    );
+    assert.deepStrictEqual(await repo.deletePushDeliveriesBefore(new Date(Date.now() - 60 * 60 * 1000)), { deleted: 0 });
+    assert.deepStrictEqual(await repo.deletePushDeliveriesBefore(new Date(Date.now() + 60 * 60 * 1000)), { deleted: 1 });
+
+    assert.deepStrictEqual(await repo.deletePushSubscription(endpoint), { deleted: true });
+    assert.deepStrictEqual(await repo.deletePushSubscription(endpoint), { deleted: false });
+
+    assert.strictEqual(await repo.getVapidKeys(), null);
+    await repo.saveVapidKeys({ public_key: 'public-one', private_key: 'private-one' });
+    const saved = await repo.saveVapidKeys({ public_key: 'public-two', private_key: 'private-two' });
+    assert.strictEqual(saved.public_key, 'public-two');
+    assert.strictEqual((await repo.getVapidKeys()).private_key, 'private-two', 'Latest pair wins');
+  }],
+
+  ['idempotency keys', async (repo) => {
+    const profile = await repo.createUserProfile({ session_id: 'fs_1700000000000_idem' });
+    const other = await repo.createUserProfile({ session_id: 'fs_1700000000000_idm2' });
+    const request = {
+      user_profile_id: profile.id,
+      idempotency_key: 'key-00000001',
+      request_method: 'POST',
+      request_path: '/api/fasts/start',
+      request_hash: 'hash-one'
+    };
+
+    assert.deepStrictEqual(await repo.claimIdempotencyKey(request), { claimed: true });
+    assert.deepStrictEqual(await repo.claimIdempotencyKey(request), { claimed: false });
+    assert.deepStrictEqual(await repo.claimIdempotencyKey({ ...request, user_profile_id: other.id }), { claimed: true }, 'Keys are per profile');
+
+    const claimed = await repo.getIdempotencyKey(profile.id, 'key-00000001');
+    assert.strictEqual(claimed.request_hash, 'hash-one');
+    assert.strictEqual(claimed.response_status, null);
+    assert.strictEqual(await repo.getIdempotencyKey(profile.id, 'key-missing'), null);
+
+    assert.deepStrictEqual(
+      await repo.completeIdempotencyKey(claimed.id, { response_status: 201, response_body: '{"id":5}' }),
+      { id: claimed.id, changes: 1 }
+    );
+    const completed = await repo.getIdempotencyKey(profile.id, 'key-00000001');
+    assert.strictEqual(Number(completed.response_status), 201);
+    assert.strictEqual(completed.response_body, '{"id":5}');
+
+    assert.deepStrictEqual(await repo.deleteIdempotencyKey(claimed.id), { deleted: 1 });
+    assert.deepStrictEqual(await repo.deleteIdempotencyKeysBefore(new Date(Date.now() - 60 * 60 * 1000)), { deleted: 0 });
+    assert.deepStrictEqual(await repo.deleteIdempotencyKeysBefore(new Date(Date.now() + 60 * 60 * 1000)), { deleted: 1 });
+  }],
+
+  ['progress photos', async (repo) => {
+    const profile = await repo.createUserProfile({ session_id: 'fs_1700000000000_pics' });
+    const fast = await repo.createFast({ start_time: '2024-06-01T18:00:00.000Z', user_profile_id: profile.id });
+    const entry = await repo.createBodyLogEntry({ user_profile_id: profile.id, logged_at: '2024-06-02T07:00:00.000Z', local_date: '2024-06-02', weight: 180 });
+    const photo = {
+      user_profile_id: profile.id,
+      storage_key: '1/after.jpg',
+      thumbnail_key: '1/after-thumb.jpg',
+      content_type: 'image/jpeg'
+    };
+
+    const after = await repo.createProgressPhoto({ ...photo, fast_id: fast.id, width: 800, height: 1200, byte_size: 4096, taken_at: '2024-06-03T07:00:00.000Z' });
+    const before = await repo.createProgressPhoto({
+      ...photo,
+      storage_key: '1/before.jpg',
+      thumbnail_key: '1/before-thumb.jpg',
+      body_log_entry_id: entry.id,
+      taken_at: '2024-06-01T07:00:00.000Z'
+    });
+    assert.strictEqual(after.fast_id, fast.id);
+    assert.strictEqual(after.width, 800);
+    assert.strictEqual(before.caption, null);
+    assert.strictEqual((await repo.getProgressPhotoById(before.id)).storage_key, '1/before.jpg');
+
+    assert.deepStrictEqual((await repo.getProgressPhotosByUser(profile.id)).map((row) => row.id), [before.id, after.id], 'Oldest first');
+    assert.deepStrictEqual((await repo.getProgressPhotosByUser(profile.id, { fastId: fast.id })).map((row) => row.id), [after.id]);
+    assert.deepStrictEqual((await repo.getProgressPhotosByUser(profile.id, { bodyLogEntryId: entry.id })).map((row) => row.id), [before.id]);
+
+    assert.deepStrictEqual(await repo.updateProgressPhoto(after.id, { caption: 'Week 4' }), { id: after.id, changes: 1 });
+    assert.strictEqual((await repo.getProgressPhotoById(after.id)).caption, 'Week 4');
+
+    await repo.deleteFast(fast.id);
+    await repo.deleteBodyLogEntry(entry.id);
+    const detached = await repo.getProgressPhotosByUser(profile.id);
+    assert.deepStrictEqual(detached.map((row) => [row.fast_id, row.body_log_entry_id]), [[null, null], [null, null]], 'Photos outlive what they were attached to');
+
+    assert.deepStrictEqual(await repo.deleteProgressPhoto(after.id), { deleted: true });
+    assert.deepStrictEqual(await repo.deleteProgressPhoto(after.id), { deleted: false });
+    assert.strictEqual(await repo.getProgressPhotoById(after.id), null);
+  }],
+
+  ['transactions', async (repo) => {
+    const profile = await repo.createUserProfile({ session_id: 'fs_1700000000000_txns' });
+
+    const committed = await repo.withTransaction(async (tx) => {
+      const fast = await tx.createFast({ start_time: '2024-06-01T18:00:00.000Z', user_profile_id: profile.id });
+      await tx.updateUserProfile('fs_1700000000000_txns', { weight: 175 });
+      return fast;
+    });
+    assert.ok(await repo.getFastById(committed.id));
+    assert.strictEqual((await repo.getUserProfileById(profile.id)).weight, 175);
+
+    await assert.rejects(() => repo.withTransaction(async (tx) => {
+      await tx.createFast({ start_time: '2024-06-08T18:00:00.000Z', user_profile_id: profile.id });
+      await tx.deleteUserData(profile.id);
+      throw new Error('abort');
+    }), /abort/);
+    // pg-mem keeps writes made before a ROLLBACK, so only SQLite can show the rollback here
+    if (repo.adapter.dialect === 'sqlite') {
+      assert.deepStrictEqual(
+        (await repo.getAllFastsByUserProfile(profile.id)).map((fast) => fast.id),
+        [committed.id],
+        'Everything written in a failed transaction is rolled back'
+      );
+    }
+  }],
+
+  ['sync changes and deleting a profile\'s data', async (repo) => {
+    const profile = await repo.createUserProfile({ session_id: 'fs_1700000000000_sync' });
+    const other = await repo.createUserProfile({ session_id: 'fs_1700000000000_peer' });
+
+    assert.strictEqual(await repo.getLatestSyncVersion(profile.id), 0);
+    const first = await repo.createSyncChange({ user_profile_id: profile.id, entity_type: 'fast', entity_id: 1, operation: 'create' });
+    await repo.createSyncChange({ user_profile_id: other.id, entity_type: 'fast', entity_id: 2, operation: 'create' });
+    const second = await repo.createSyncChange({
+      user_profile_id: profile.id,
+      entity_type: 'fast',
+      entity_id: 1,
+      operation: 'update',
+      fields: ['notes']
+    });
+    assert.strictEqual(typeof first.version, 'number');
+    assert.ok(second.version > first.version);
+
+    const changes = await repo.getSyncChanges(profile.id, 0);
+    assert.deepStrictEqual(changes.map((row) => row.operation), ['create', 'update']);
+    assert.deepStrictEqual(JSON.parse(changes[1].fields), ['notes']);
+    assert.strictEqual((await repo.getSyncChanges(profile.id, 0, 1)).length, 1);
+    assert.deepStrictEqual(
+      (await repo.getEntitySyncChanges(profile.id, 'fast', 1, first.version)).map((row) => Number(row.id)),
+      [second.version]
+    );
+    assert.strictEqual(await repo.getLatestSyncVersion(profile.id), second.version);
+
+    const fast = await repo.createFast({ start_time: '2024-06-01T18:00:00.000Z', user_profile_id: profile.id });
+    await repo.createMilestone({ fast_id: fast.id, milestone_type: 'ketosis', achieved_at: '2024-06-02T06:00:00.000Z', hours_elapsed: 12 });
+    await repo.createBodyLogEntry({ user_profile_id: profile.id, logged_at: '2024-06-02T07:00:00.000Z', local_date: '2024-06-02', weight: 180 });
+    const schedule = await repo.createSchedule({ user_profile_id: profile.id });
+    const block = await repo.createFastingBlock({ schedule_id: schedule.id, start_dow: 1, start_time: '20:00', end_dow: 2, end_time: '12:00' });
+    await repo.createOverride({ block_id: block.id, occurrence_date: '2024-06-03', type: 'skip' });
+    await repo.upsertScheduleDraft(profile.id, { blocks: 1 });
+    const photo = await repo.createProgressPhoto({
+      user_profile_id: profile.id,
+      fast_id: fast.id,
+      storage_key: 'sync/photo.jpg',
+      thumbnail_key: 'sync/photo-thumb.jpg',
+      content_type: 'image/jpeg',
+      taken_at: '2024-06-02T07:00:00.000Z'
+    });
+    const kept = await repo.createFast({ start_time: '2024-06-01T18:00:00.000Z', user_profile_id: other.id });
+
+    assert.deepStrictEqual(await repo.deleteUserData(profile.id), { user_profile_id: profile.id, deleted: true });
+
+    assert.deepStrictEqual(await repo.getAllFastsByUserProfile(profile.id), []);
+    assert.deepStrictEqual(await repo.getFastMilestones(fast.id), []);
+    assert.deepStrictEqual(await repo.getBodyLogEntriesByUser(profile.id), []);
+    assert.deepStrictEqual(await repo.getSchedulesByUserProfile(profile.id), []);
+    assert.deepStrictEqual(await repo.getOverridesByBlock(block.id), []);
+    assert.strictEqual(await repo.getScheduleDraftByUserProfile(profile.id, { includeDismissed: true }), null);
+    assert.strictEqual((await repo.getProgressPhotoById(photo.id)).fast_id, null, 'Photos are kept, detached');
+    assert.ok(await repo.getUserProfileById(profile.id), 'The profile row itself is kept');
+    assert.ok(await repo.getFastById(kept.id), 'Other profiles are untouched');
+  }]
+];
+
+async function runRepositoryConformanceTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  for (const [backendName, openBackend] of Object.entries(BACKENDS)) {
+    const called = new Set();
+
+    for (const [scenarioName, scenario] of scenarios) {
+      await record(`[${backendName}] ${scenarioName}`, async () => {
+        const { repository, close } = await openBackend();
+        try {
+          await scenario(trackCalls(repository, called));
+        } finally {
+          await close();
+        }
+      });
+    }
+
+    await record(`[${backendName}] every repository method is covered`, async () => {
+      const missing = publicMethods().filter((name) => !called.has(name));
+      assert.deepStrictEqual(missing, [], `Untested repository methods: ${missing.join(', ')}`);
+    });
+  }
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runRepositoryConformanceTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Repository conformance tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Repository conformance tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Repository conformance test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runRepositoryConformanceTests;
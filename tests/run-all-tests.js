@@ -11,6 +11,27 @@ const runDashboardTests = require('./dashboard.test.js');
 const runSettingsTests = require('./settings.test.js');
 const runScheduleTests = require('./schedule.test.js');
 const runBenefitsExpansionTests = require('./benefits-expansion.test.js');
+const runDataExportTests = require('./data-export.test.js');
+const runDataImportTests = require('./data-import.test.js');
+const runScaleImportTests = require('./scale-import.test.js');
+const runAuthTests = require('./auth.test.js');
+const runSyncTests = require('./sync.test.js');
+const runMigrationTests = require('./migrations.test.js');
+const runRepositoryConformanceTests = require('./repository-conformance.test.js');
+const runPlannedInstanceTests = require('./planned-instances.test.js');
+const runScheduleAdherenceTests = require('./schedule-adherence.test.js');
+const runCalendarFeedTests = require('./calendar-feed.test.js');
+const runScheduleImportTests = require('./schedule-import.test.js');
+const runPushNotificationTests = require('./push-notifications.test.js');
+const runScheduleNotificationTests = require('./schedule-notifications.test.js');
+const runQuietHoursTests = require('./quiet-hours.test.js');
+const runOfflineRequestTests = require('./offline-requests.test.js');
+const runIdempotencyTests = require('./idempotency.test.js');
+const runBodyFatEstimatorTests = require('./body-fat-estimator.test.js');
+const runProgressPhotoTests = require('./progress-photos.test.js');
+const runForecastEngineTests = require('./forecast-engine.test.js');
+const runForecastReconciliationTests = require('./forecast-reconciliation.test.js');
+const runForecastSolverTests = require('./forecast-solver.test.js');
 
 async function runAllTests() {
     console.log('🚀 FASTING FORECAST - COMPREHENSIVE TEST SUITE');
@@ -103,6 +124,194 @@ async function runAllTests() {
             totalTests += results.benefits.total;
         }
 
+        // Run Data Export unit tests
+        console.log('9️⃣  DATA EXPORT TESTS');
+        console.log('-'.repeat(30));
+        results.dataExport = await runDataExportTests();
+        totalPassed += results.dataExport.passed;
+        totalFailed += results.dataExport.failed;
+        totalTests += results.dataExport.total;
+        console.log('');
+
+        // Run data import tests
+        console.log('🔟 DATA IMPORT TESTS');
+        console.log('-'.repeat(30));
+        results.dataImport = await runDataImportTests();
+        totalPassed += results.dataImport.passed;
+        totalFailed += results.dataImport.failed;
+        totalTests += results.dataImport.total;
+        console.log('');
+
+        // Run scale import tests
+        console.log('1️⃣1️⃣ SCALE IMPORT TESTS');
+        console.log('-'.repeat(30));
+        results.scaleImport = await runScaleImportTests();
+        totalPassed += results.scaleImport.passed;
+        totalFailed += results.scaleImport.failed;
+        totalTests += results.scaleImport.total;
+        console.log('');
+
+        // Run account auth tests
+        console.log('1️⃣2️⃣ AUTH TESTS');
+        console.log('-'.repeat(30));
+        results.auth = await runAuthTests();
+        totalPassed += results.auth.passed;
+        totalFailed += results.auth.failed;
+        totalTests += results.auth.total;
+        console.log('');
+
+        // Run multi-device sync tests
+        console.log('1️⃣3️⃣ SYNC TESTS');
+        console.log('-'.repeat(30));
+        results.sync = await runSyncTests();
+        totalPassed += results.sync.passed;
+        totalFailed += results.sync.failed;
+        totalTests += results.sync.total;
+        console.log('');
+
+        console.log('1️⃣4️⃣ MIGRATION TESTS');
+        console.log('-'.repeat(30));
+        results.migrations = await runMigrationTests();
+        totalPassed += results.migrations.passed;
+        totalFailed += results.migrations.failed;
+        totalTests += results.migrations.total;
+        console.log('');
+
+        // Run the shared repository against both SQLite and pg-mem
+        console.log('1️⃣5️⃣ REPOSITORY CONFORMANCE TESTS');
+        console.log('-'.repeat(30));
+        results.repository = await runRepositoryConformanceTests();
+        totalPassed += results.repository.passed;
+        totalFailed += results.repository.failed;
+        totalTests += results.repository.total;
+        console.log('');
+
+        // Run schedule materialization tests
+        console.log('1️⃣6️⃣ PLANNED INSTANCE TESTS');
+        console.log('-'.repeat(30));
+        results.plannedInstances = await runPlannedInstanceTests();
+        totalPassed += results.plannedInstances.passed;
+        totalFailed += results.plannedInstances.failed;
+        totalTests += results.plannedInstances.total;
+        console.log('');
+
+        // Run schedule adherence report tests
+        console.log('1️⃣7️⃣ SCHEDULE ADHERENCE TESTS');
+        console.log('-'.repeat(30));
+        results.scheduleAdherence = await runScheduleAdherenceTests();
+        totalPassed += results.scheduleAdherence.passed;
+        totalFailed += results.scheduleAdherence.failed;
+        totalTests += results.scheduleAdherence.total;
+        console.log('');
+
+        // Run iCalendar feed tests
+        console.log('1️⃣8️⃣ CALENDAR FEED TESTS');
+        console.log('-'.repeat(30));
+        results.calendarFeed = await runCalendarFeedTests();
+        totalPassed += results.calendarFeed.passed;
+        totalFailed += results.calendarFeed.failed;
+        totalTests += results.calendarFeed.total;
+        console.log('');
+
+        // Run iCalendar schedule import tests
+        console.log('1️⃣9️⃣ SCHEDULE IMPORT TESTS');
+        console.log('-'.repeat(30));
+        results.scheduleImport = await runScheduleImportTests();
+        totalPassed += results.scheduleImport.passed;
+        totalFailed += results.scheduleImport.failed;
+        totalTests += results.scheduleImport.total;
+        console.log('');
+
+        // Run server-side Web Push tests
+        console.log('2️⃣0️⃣ PUSH NOTIFICATION TESTS');
+        console.log('-'.repeat(30));
+        results.pushNotifications = await runPushNotificationTests();
+        totalPassed += results.pushNotifications.passed;
+        totalFailed += results.pushNotifications.failed;
+        totalTests += results.pushNotifications.total;
+        console.log('');
+
+        // Run notification rule and timeline tests
+        console.log('2️⃣1️⃣ SCHEDULE NOTIFICATION TESTS');
+        console.log('-'.repeat(30));
+        results.scheduleNotifications = await runScheduleNotificationTests();
+        totalPassed += results.scheduleNotifications.passed;
+        totalFailed += results.scheduleNotifications.failed;
+        totalTests += results.scheduleNotifications.total;
+        console.log('');
+
+        // Run quiet hours tests
+        console.log('2️⃣2️⃣ QUIET HOURS TESTS');
+        console.log('-'.repeat(30));
+        results.quietHours = await runQuietHoursTests();
+        totalPassed += results.quietHours.passed;
+        totalFailed += results.quietHours.failed;
+        totalTests += results.quietHours.total;
+        console.log('');
+
+        // Run offline write queue tests
+        console.log('2️⃣3️⃣ OFFLINE REQUEST TESTS');
+        console.log('-'.repeat(30));
+        results.offlineRequests = await runOfflineRequestTests();
+        totalPassed += results.offlineRequests.passed;
+        totalFailed += results.offlineRequests.failed;
+        totalTests += results.offlineRequests.total;
+        console.log('');
+
+        // Run Idempotency-Key tests
+        console.log('2️⃣4️⃣ IDEMPOTENCY TESTS');
+        console.log('-'.repeat(30));
+        results.idempotency = await runIdempotencyTests();
+        totalPassed += results.idempotency.passed;
+        totalFailed += results.idempotency.failed;
+        totalTests += results.idempotency.total;
+        console.log('');
+
+        // Run body-fat estimator tests
+        console.log('2️⃣5️⃣ BODY FAT ESTIMATOR TESTS');
+        console.log('-'.repeat(30));
+        results.bodyFatEstimator = await runBodyFatEstimatorTests();
+        totalPassed += results.bodyFatEstimator.passed;
+        totalFailed += results.bodyFatEstimator.failed;
+        totalTests += results.bodyFatEstimator.total;
+        console.log('');
+
+        // Run progress photo tests
+        console.log('2️⃣6️⃣ PROGRESS PHOTO TESTS');
+        console.log('-'.repeat(30));
+        results.progressPhotos = await runProgressPhotoTests();
+        totalPassed += results.progressPhotos.passed;
+        totalFailed += results.progressPhotos.failed;
+        totalTests += results.progressPhotos.total;
+        console.log('');
+
+        // Run forecast engine tests
+        console.log('2️⃣7️⃣ FORECAST ENGINE TESTS');
+        console.log('-'.repeat(30));
+        results.forecastEngine = await runForecastEngineTests();
+        totalPassed += results.forecastEngine.passed;
+        totalFailed += results.forecastEngine.failed;
+        totalTests += results.forecastEngine.total;
+        console.log('');
+
+        // Run forecast reconciliation tests
+        console.log('2️⃣8️⃣ FORECAST RECONCILIATION TESTS');
+        console.log('-'.repeat(30));
+        results.forecastReconciliation = await runForecastReconciliationTests();
+        totalPassed += results.forecastReconciliation.passed;
+        totalFailed += results.forecastReconciliation.failed;
+        totalTests += results.forecastReconciliation.total;
+        console.log('');
+
+        // Run forecast solver tests
+        console.log('2️⃣9️⃣ FORECAST SOLVER TESTS');
+        console.log('-'.repeat(30));
+        results.forecastSolver = await runForecastSolverTests();
+        totalPassed += results.forecastSolver.passed;
+        totalFailed += results.forecastSolver.failed;
+        totalTests += results.forecastSolver.total;
+        console.log('');
+
     } catch (error) {
         console.error('❌ Test suite execution failed:', error);
         process.exit(1);
@@ -114,7 +323,7 @@ async function runAllTests() {
     // Generate comprehensive report
     console.log('📊 COMPREHENSIVE TEST REPORT');
     console.log('='.repeat(60));
-    console.log(`Total Test Suites: 8`);
+    console.log(`Total Test Suites: ${Object.keys(results).length}`);
     console.log(`Total Tests: ${totalTests}`);
     console.log(`Passed: ${totalPassed} ✅`);
     console.log(`Failed: ${totalFailed} ❌`);
@@ -152,7 +361,7 @@ async function runAllTests() {
     // Export detailed results for CI/CD
     const detailedResults = {
         summary: {
-            totalSuites: 8,
+            totalSuites: Object.keys(results).length,
             totalTests,
             passed: totalPassed,
             failed: totalFailed,
@@ -0,0 +1,210 @@
+const assert = require('assert');
+const BodyLogService = require('../services/BodyLogService');
+const ScaleImportService = require('../services/ScaleImportService');
+const InMemoryBodyLogDatabase = require('./helpers/InMemoryBodyLogDatabase');
+
+const WITHINGS_CSV = [
+  'Date,"Weight (kg)","Fat mass (kg)","Bone mass (kg)","Muscle mass (kg)","Hydration (kg)",Comments',
+  '"2024-03-02 07:15:10",90.0,22.5,3.1,64.0,48.0,',
+  '"2024-03-01 19:40:00",91.2,,,,,"Evening, after dinner"',
+  '"not a date",90.5,,,,,'
+].join('\n');
+
+const RENPHO_CSV = [
+  'Time of Measurement,Weight(lb),BMI,Body Fat(%),Fat-free Body Weight(lb)',
+  '"03/05/2024, 6:30 AM",198.4lb,27.1,29.5%,139.9lb',
+  '03/05/2024 9:45 PM,199.0lb,27.2,--,--'
+].join('\r\n');
+
+const APPLE_HEALTH_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<HealthData locale="en_US">
+ <Record type="HKQuantityTypeIdentifierBodyMass" sourceName="Renpho" unit="lb" creationDate="2024-03-06 07:01:00 -0500" startDate="2024-03-06 07:00:00 -0500" endDate="2024-03-06 07:00:00 -0500" value="197.6"/>
+ <Record type="HKQuantityTypeIdentifierBodyFatPercentage" sourceName="Renpho" unit="%" creationDate="2024-03-06 07:01:00 -0500" startDate="2024-03-06 07:00:00 -0500" endDate="2024-03-06 07:00:00 -0500" value="0.291"/>
+ <Record type="HKQuantityTypeIdentifierStepCount" sourceName="iPhone" unit="count" startDate="2024-03-06 08:00:00 -0500" endDate="2024-03-06 08:10:00 -0500" value="900"/>
+ <Record type="HKQuantityTypeIdentifierBodyMass" sourceName="Health" unit="kg" creationDate="2024-03-07 07:05:00 -0500" startDate="2024-03-07 07:05:00 -0500" endDate="2024-03-07 07:05:00 -0500" value="89.5">
+  <MetadataEntry key="HKWasUserEntered" value="1"/>
+ </Record>
+</HealthData>`;
+
+function createService(profileOverrides = {}) {
+  const db = new InMemoryBodyLogDatabase();
+  const profile = db.addUserProfile({
+    id: 3,
+    session_id: 'fs_1700000000000_scale',
+    weight_unit: 'lb',
+    time_zone: 'America/New_York',
+    ...profileOverrides
+  });
+  const service = new ScaleImportService(db, new BodyLogService(db));
+  return { db, profile, service };
+}
+
+async function runScaleImportTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('detectVendor recognizes Withings, Renpho and Apple Health exports', async () => {
+    const { service } = createService();
+    assert.strictEqual(service.detectVendor(WITHINGS_CSV), 'withings');
+    assert.strictEqual(service.detectVendor(`\uFEFF${RENPHO_CSV}`), 'renpho');
+    assert.strictEqual(service.detectVendor(APPLE_HEALTH_XML), 'apple_health');
+    assert.strictEqual(service.detectVendor('foo,bar\n1,2'), null);
+  });
+
+  await record('Withings CSV is read in the profile time zone with body fat from fat mass', async () => {
+    const { service } = createService();
+    const { readings, errors } = service.parse(WITHINGS_CSV, { timeZone: 'America/New_York' });
+
+    assert.strictEqual(readings.length, 2);
+    assert.strictEqual(readings[0].loggedAt, '2024-03-02T12:15:10.000Z');
+    assert.strictEqual(readings[0].unit, 'kg');
+    assert.strictEqual(readings[0].bodyFat, 25);
+    assert.strictEqual(readings[1].bodyFat, null);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].line, 4);
+  });
+
+  await record('Renpho CSV handles US dates, AM/PM and unit suffixes', async () => {
+    const { service } = createService();
+    const { vendor, readings } = service.parse(RENPHO_CSV, { timeZone: 'UTC' });
+
+    assert.strictEqual(vendor, 'renpho');
+    assert.strictEqual(readings.length, 2);
+    assert.strictEqual(readings[0].loggedAt, '2024-03-05T06:30:00.000Z');
+    assert.strictEqual(readings[0].weight, 198.4);
+    assert.strictEqual(readings[0].unit, 'lb');
+    assert.strictEqual(readings[0].bodyFat, 29.5);
+    assert.strictEqual(readings[1].loggedAt, '2024-03-05T21:45:00.000Z');
+    assert.strictEqual(readings[1].bodyFat, null);
+  });
+
+  await record('Apple Health XML pairs body fat with body mass and keeps the recorded offset', async () => {
+    const { service } = createService();
+    const { readings } = service.parse(APPLE_HEALTH_XML);
+
+    assert.strictEqual(readings.length, 2);
+    assert.strictEqual(readings[0].loggedAt, '2024-03-06T12:00:00.000Z');
+    assert.strictEqual(readings[0].timezoneOffsetMinutes, -300);
+    assert.strictEqual(readings[0].bodyFat, 29.1);
+    assert.strictEqual(readings[1].unit, 'kg');
+    assert.strictEqual(readings[1].weight, 89.5);
+  });
+
+  await record('importReadings converts units, tags entries and tags the vendor as source', async () => {
+    const { db, profile, service } = createService();
+
+    const report = await service.importReadings(profile, WITHINGS_CSV);
+
+    assert.strictEqual(report.vendor, 'withings');
+    assert.strictEqual(report.imported, 2);
+    assert.strictEqual(report.weightUnit, 'lb');
+
+    const entries = await db.getBodyLogEntriesByUser(profile.id);
+    const morning = entries.find((entry) => entry.local_date === '2024-03-02');
+    assert.strictEqual(morning.source, 'withings');
+    assert.strictEqual(morning.entry_tag, 'morning');
+    assert.strictEqual(morning.is_canonical, true);
+    assert.strictEqual(morning.weight, 198.42);
+    const evening = entries.find((entry) => entry.local_date === '2024-03-01');
+    assert.strictEqual(evening.entry_tag, 'ad_hoc');
+  });
+
+  await record('importReadings skips readings that match existing entries by timestamp and weight', async () => {
+    const { db, profile, service } = createService();
+    await service.importReadings(profile, RENPHO_CSV, { timeZone: 'UTC' });
+
+    const preview = await service.importReadings(profile, RENPHO_CSV, { timeZone: 'UTC', dryRun: true });
+    assert.strictEqual(preview.imported, 0);
+    assert.strictEqual(preview.duplicates, 2);
+
+    const report = await service.importReadings(profile, RENPHO_CSV, { timeZone: 'UTC' });
+    assert.strictEqual(report.imported, 0);
+    assert.strictEqual((await db.getBodyLogEntriesByUser(profile.id)).length, 2);
+  });
+
+  await record('importReadings tags post-fast weigh-ins and respects dry runs', async () => {
+    const { db, profile, service } = createService({ time_zone: 'UTC' });
+    db.addFast({
+      id: 12,
+      user_profile_id: profile.id,
+      start_time: '2024-03-04T06:00:00.000Z',
+      end_time: '2024-03-05T20:30:00.000Z'
+    });
+
+    const preview = await service.importReadings(profile, RENPHO_CSV, { dryRun: true });
+    assert.strictEqual(preview.imported, 2);
+    assert.strictEqual(db.entries.size, 0, 'Dry run should not create entries');
+
+    await service.importReadings(profile, RENPHO_CSV);
+    const entries = await db.getBodyLogEntriesForDate(profile.id, '2024-03-05');
+    assert.deepStrictEqual(entries.map((entry) => entry.entry_tag), ['morning', 'post_fast']);
+    assert.strictEqual(entries.find((entry) => entry.is_canonical).entry_tag, 'morning');
+  });
+
+  await record('decimal commas are read as decimals and implausible weights are rejected', async () => {
+    const { service } = createService();
+    const csv = [
+      'Date,"Weight (kg)","Fat mass (kg)"',
+      '"2024-03-02 07:15:10","72,5","18,1"',
+      '"2024-03-03 07:15:10","1,072.5",',
+      '"2024-03-04 07:15:10",725,',
+      '"2024-03-05 07:15:10",7.2,'
+    ].join('\n');
+    const { readings, errors } = service.parse(csv, { timeZone: 'UTC' });
+
+    assert.strictEqual(readings.length, 1);
+    assert.strictEqual(readings[0].weight, 72.5);
+    assert.strictEqual(readings[0].bodyFat, 25);
+    assert.deepStrictEqual(errors.map((error) => error.line), [3, 4, 5]);
+    assert.strictEqual(errors[1].message, 'Implausible weight "725"');
+
+    const xml = APPLE_HEALTH_XML.replace('value="89.5"', 'value="1200"');
+    const apple = service.parse(xml);
+    assert.strictEqual(apple.readings.length, 1);
+    assert.strictEqual(apple.errors.length, 1);
+  });
+
+  await record('parse rejects empty and unrecognized files', async () => {
+    const { service } = createService();
+    assert.throws(() => service.parse('   '), (error) => error.code === 'EMPTY_IMPORT');
+    assert.throws(() => service.parse('foo,bar\n1,2'), (error) => error.code === 'UNSUPPORTED_FORMAT');
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runScaleImportTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Scale import tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Scale import tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Scale import test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runScaleImportTests;
@@ -0,0 +1,219 @@
+const assert = require('assert');
+const PlannedInstanceService = require('../services/PlannedInstanceService');
+const ScheduleAdherenceService = require('../services/ScheduleAdherenceService');
+const createMigratedRepository = require('./helpers/createMigratedRepository');
+
+/**
+ * Two weekly blocks materialized on Wednesday 2024-06-05:
+ *   A: Monday 20:00 -> Tuesday 12:00 UTC (16h)
+ *   B: Thursday 18:00 -> Friday 10:00 UTC (16h)
+ */
+async function createFixture({ scheduleCreatedAt = '2024-06-05 08:00:00' } = {}) {
+  const { adapter, repository, close } = await createMigratedRepository();
+
+  const clock = { now: new Date('2024-06-05T12:00:00.000Z') };
+  const options = { clock: () => new Date(clock.now) };
+  const plannedInstanceService = new PlannedInstanceService(repository, options);
+  const service = new ScheduleAdherenceService(repository, plannedInstanceService, options);
+
+  const profile = await repository.createUserProfile({ session_id: 'fs_1700000000000_adhere' });
+  const schedule = await repository.createSchedule({ user_profile_id: profile.id });
+  await adapter.run('UPDATE schedules SET created_at = ? WHERE id = ?', [scheduleCreatedAt, schedule.id]);
+  const blockA = await repository.createFastingBlock({
+    schedule_id: schedule.id, name: 'Monday 16', start_dow: 1, start_time: '20:00', end_dow: 2, end_time: '12:00', anchor_tz: 'UTC'
+  });
+  const blockB = await repository.createFastingBlock({
+    schedule_id: schedule.id, name: 'Thursday 16', start_dow: 4, start_time: '18:00', end_dow: 5, end_time: '10:00', anchor_tz: 'UTC'
+  });
+  await plannedInstanceService.materializeSchedule(await repository.getScheduleById(schedule.id));
+
+  const instanceFor = async (blockId, occurrenceDate) => {
+    const rows = await repository.getPlannedInstancesBySchedule(schedule.id);
+    return rows.find((row) => row.block_id === blockId && row.occurrence_date === occurrenceDate);
+  };
+
+  return {
+    repository,
+    service,
+    clock,
+    profile,
+    blockA,
+    blockB,
+    instanceFor,
+    close
+  };
+}
+
+async function runScheduleAdherenceTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('classifies starts, durations, skips and misses per block and week', async () => {
+    const fixture = await createFixture();
+    try {
+      const { repository, profile, blockA, blockB } = fixture;
+      const linkedA = await fixture.instanceFor(blockA.id, '2024-06-10');
+      const earlyB = await fixture.instanceFor(blockB.id, '2024-06-06');
+
+      await repository.createFast({
+        start_time: '2024-06-06T15:00:00.000Z',
+        end_time: '2024-06-07T05:00:00.000Z',
+        duration_hours: 14,
+        user_profile_id: profile.id,
+        source: 'scheduled_early',
+        planned_instance_id: String(earlyB.id)
+      });
+      await repository.createFast({
+        start_time: '2024-06-10T20:10:00.000Z',
+        end_time: '2024-06-11T12:00:00.000Z',
+        user_profile_id: profile.id,
+        planned_instance_id: String(linkedA.id)
+      });
+      await repository.createOverride({ block_id: blockA.id, occurrence_date: '2024-06-17', type: 'skip' });
+      // Not linked, so matched by overlapping the planned window
+      await repository.createFast({
+        start_time: '2024-06-20T18:00:00.000Z',
+        end_time: '2024-06-21T10:30:00.000Z',
+        user_profile_id: profile.id
+      });
+      await repository.createFast({
+        start_time: '2024-06-24T21:30:00.000Z',
+        end_time: '2024-06-25T16:00:00.000Z',
+        user_profile_id: profile.id
+      });
+      // A fast outside every window is ignored
+      await repository.createFast({
+        start_time: '2024-06-15T08:00:00.000Z',
+        end_time: '2024-06-15T20:00:00.000Z',
+        user_profile_id: profile.id
+      });
+
+      fixture.clock.now = new Date('2024-06-26T12:00:00.000Z');
+      const report = await fixture.service.getReport(profile.id, { from: '2024-06-03', to: '2024-07-02' });
+
+      assert.strictEqual(report.range.from, '2024-06-03T00:00:00.000Z');
+      assert.strictEqual(report.range.to, '2024-07-02T23:59:59.999Z');
+      const { summary } = report;
+      assert.deepStrictEqual(
+        [summary.planned, summary.followed, summary.skipped, summary.missed, summary.pending],
+        [8, 4, 1, 1, 2]
+      );
+      assert.deepStrictEqual([summary.onTime, summary.early, summary.late], [2, 1, 1]);
+      assert.deepStrictEqual([summary.asPlanned, summary.shortened, summary.extended], [2, 1, 1]);
+      assert.strictEqual(summary.adherenceRate, 0.8);
+      assert.strictEqual(summary.onTimeRate, 0.5);
+
+      const byDate = new Map(report.instances.map((row) => [`${row.blockId}:${row.occurrenceDate}`, row]));
+      const late = byDate.get(`${blockA.id}:2024-06-24`);
+      assert.strictEqual(late.startTiming, 'late');
+      assert.strictEqual(late.startOffsetMinutes, 90);
+      assert.strictEqual(late.durationOutcome, 'extended');
+      assert.strictEqual(late.durationDeltaHours, 2.5);
+      const early = byDate.get(`${blockB.id}:2024-06-06`);
+      assert.strictEqual(early.startTiming, 'early');
+      assert.strictEqual(early.durationOutcome, 'shortened');
+      assert.strictEqual(byDate.get(`${blockA.id}:2024-06-17`).outcome, 'skipped');
+      assert.strictEqual(byDate.get(`${blockB.id}:2024-06-13`).outcome, 'missed');
+      assert.strictEqual(byDate.get(`${blockB.id}:2024-06-27`).outcome, 'pending');
+      assert.ok(report.instances.every((row) => row.source === 'persisted'));
+
+      const blockSummary = report.blocks.find((block) => block.blockId === blockA.id);
+      assert.deepStrictEqual([blockSummary.planned, blockSummary.followed, blockSummary.skipped], [4, 2, 1]);
+      assert.deepStrictEqual(report.weeks.map((week) => week.weekStart), ['2024-06-03', '2024-06-10', '2024-06-17', '2024-06-24', '2024-07-01']);
+      const secondWeek = report.weeks[1];
+      assert.deepStrictEqual([secondWeek.planned, secondWeek.followed, secondWeek.missed], [2, 1, 1]);
+      assert.deepStrictEqual(secondWeek.blocks.map((block) => block.blockName), ['Monday 16', 'Thursday 16']);
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('generates instances for history from before materialization', async () => {
+    const fixture = await createFixture({ scheduleCreatedAt: '2024-05-22 09:00:00' });
+    try {
+      await fixture.repository.createFast({
+        start_time: '2024-05-27T19:45:00.000Z',
+        end_time: '2024-05-28T12:15:00.000Z',
+        user_profile_id: fixture.profile.id
+      });
+
+      const report = await fixture.service.getReport(fixture.profile.id, { from: '2024-05-20', to: '2024-06-05' });
+
+      assert.deepStrictEqual(
+        report.instances.map((row) => [row.occurrenceDate, row.source, row.outcome]),
+        [
+          ['2024-05-23', 'generated', 'missed'],
+          ['2024-05-27', 'generated', 'followed'],
+          ['2024-05-30', 'generated', 'missed'],
+          ['2024-06-03', 'generated', 'missed']
+        ],
+        'Nothing is generated before the schedule existed'
+      );
+      assert.strictEqual(report.instances[1].instanceId, null);
+      assert.strictEqual(report.instances[1].startTiming, 'on_time');
+
+      const later = await fixture.service.getReport(fixture.profile.id, { from: '2024-06-06', to: '2024-06-20' });
+      assert.ok(later.instances.every((row) => row.source === 'persisted'));
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('rejects bad ranges and reports an empty schedule', async () => {
+    const fixture = await createFixture();
+    try {
+      await assert.rejects(() => fixture.service.getReport(fixture.profile.id, { from: '2024-06-10', to: '2024-06-01' }), /INVALID_DATE_RANGE/);
+      await assert.rejects(() => fixture.service.getReport(fixture.profile.id, { from: 'last week' }), /INVALID_DATE_RANGE/);
+      await assert.rejects(() => fixture.service.getReport(fixture.profile.id, { from: '2022-01-01', to: '2024-01-01' }), /DATE_RANGE_TOO_LARGE/);
+
+      const stranger = await fixture.repository.createUserProfile({ session_id: 'fs_1700000000000_other' });
+      const report = await fixture.service.getReport(stranger.id);
+      assert.strictEqual(report.scheduleId, null);
+      assert.strictEqual(report.summary.planned, 0);
+      assert.strictEqual(report.summary.adherenceRate, null);
+      assert.deepStrictEqual(report.weeks, []);
+      assert.strictEqual(report.range.to, '2024-06-05T12:00:00.000Z');
+      assert.strictEqual(report.range.from, '2024-05-08T12:00:00.000Z');
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runScheduleAdherenceTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Schedule adherence tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Schedule adherence tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Schedule adherence test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runScheduleAdherenceTests;
@@ -0,0 +1,238 @@
+const assert = require('assert');
+const ScheduleImportService = require('../services/ScheduleImportService');
+const CalendarFeedService = require('../services/CalendarFeedService');
+const { validateBlockInput } = require('../services/blockValidation');
+const createMigratedRepository = require('./helpers/createMigratedRepository');
+
+async function createFixture() {
+  const { adapter, repository, close } = await createMigratedRepository();
+
+  // Wednesday
+  const clock = () => new Date('2024-06-05T12:00:00.000Z');
+  const service = new ScheduleImportService(repository, { clock });
+  const profile = await repository.createUserProfile({ session_id: 'fs_1700000000000_imps', time_zone: 'America/New_York' });
+
+  return {
+    adapter,
+    repository,
+    service,
+    clock,
+    profile,
+    close
+  };
+}
+
+function calendar(...events) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Test//EN', ...events.flat(), 'END:VCALENDAR', ''].join('\r\n');
+}
+
+function event(properties) {
+  return ['BEGIN:VEVENT', ...properties, 'END:VEVENT'];
+}
+
+const BERLIN_WEEKDAYS = event([
+  'UID:weekday-fast',
+  'SUMMARY:Weekday fast',
+  'DTSTART;TZID=Europe/Berlin:20240603T200000',
+  'DTEND;TZID=Europe/Berlin:20240604T120000',
+  'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+  'EXDATE;TZID=Europe/Berlin:20240612T200000,20240527T200000',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'SUMMARY:Ignored alarm fast',
+  'TRIGGER:-PT30M',
+  'END:VALARM'
+]);
+
+async function runScheduleImportTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('converts recurring fast events into blocks and skips the rest', async () => {
+    const fixture = await createFixture();
+    try {
+      const content = calendar(
+        BERLIN_WEEKDAYS,
+        event(['UID:daily', 'CATEGORIES:Health,Fasting', 'SUMMARY:16:8 window', 'DTSTART:20240601T200000', 'DURATION:PT16H', 'RRULE:FREQ=DAILY']),
+        event(['UID:utc', 'SUMMARY:Long fas', ' t', 'DTSTART:20240608T000000Z', 'DTEND:20240609T120000Z', 'RRULE:FREQ=WEEKLY']),
+        event(['UID:meeting', 'SUMMARY:Team sync', 'DTSTART:20240603T090000', 'DTEND:20240603T100000', 'RRULE:FREQ=WEEKLY']),
+        event(['UID:breakfast', 'SUMMARY:Breakfast', 'DTSTART:20240603T080000', 'DTEND:20240603T083000', 'RRULE:FREQ=DAILY']),
+        event(['UID:once', 'SUMMARY:Single fast', 'DTSTART:20240610T200000', 'DTEND:20240611T200000']),
+        event(['UID:monthly', 'SUMMARY:Monthly fast', 'DTSTART:20240601T200000', 'DTEND:20240603T200000', 'RRULE:FREQ=MONTHLY']),
+        event(['UID:allday', 'SUMMARY:Fast day', 'DTSTART;VALUE=DATE:20240604', 'RRULE:FREQ=WEEKLY']),
+        event(['UID:ended', 'SUMMARY:Old fast', 'DTSTART:20230102T200000', 'DTEND:20230103T120000', 'RRULE:FREQ=WEEKLY;UNTIL=20231231T000000Z'])
+      );
+
+      const { blocks, skipped, warnings } = fixture.service.convert(content, { timeZone: 'America/New_York' });
+
+      assert.deepStrictEqual(
+        blocks.filter((block) => block.name === 'Weekday fast').map((block) => [block.start_dow, block.start_time, block.end_dow, block.end_time, block.tz_mode, block.anchor_tz]),
+        [[1, '20:00', 2, '12:00', 'fixed', 'Europe/Berlin'], [3, '20:00', 4, '12:00', 'fixed', 'Europe/Berlin']]
+      );
+      const daily = blocks.filter((block) => block.name === '16:8 window');
+      assert.deepStrictEqual(daily.map((block) => block.start_dow), [0, 1, 2, 3, 4, 5, 6]);
+      assert.deepStrictEqual([daily[6].end_dow, daily[6].end_time, daily[6].tz_mode, daily[6].anchor_tz], [0, '12:00', 'local', 'America/New_York']);
+      const utc = blocks.find((block) => block.name === 'Long fast');
+      assert.deepStrictEqual([utc.start_dow, utc.end_dow, utc.end_time, utc.anchor_tz], [6, 0, '12:00', 'UTC']);
+      assert.strictEqual(blocks.length, 10);
+      blocks.forEach((block) => assert.strictEqual(validateBlockInput(block), null));
+
+      assert.deepStrictEqual(skipped.map((entry) => [entry.uid, entry.reason]), [
+        ['once', 'Not a recurring event'],
+        ['monthly', 'Only events repeating every day or every week can become fasting blocks'],
+        ['allday', 'All-day events have no fasting window'],
+        ['ended', 'The recurrence has already ended']
+      ]);
+      assert.deepStrictEqual(warnings, []);
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('exceptions become overrides keyed like generated occurrences', async () => {
+    const fixture = await createFixture();
+    try {
+      const content = calendar(
+        BERLIN_WEEKDAYS,
+        // Moved two hours later on 06-17, stretched on 06-19, cancelled on 06-24
+        event(['UID:weekday-fast', 'RECURRENCE-ID;TZID=Europe/Berlin:20240617T200000', 'SUMMARY:Weekday fast', 'DTSTART;TZID=Europe/Berlin:20240617T220000', 'DTEND;TZID=Europe/Berlin:20240618T140000']),
+        event(['UID:weekday-fast', 'RECURRENCE-ID;TZID=Europe/Berlin:20240619T200000', 'SUMMARY:Dinner out', 'DTSTART;TZID=Europe/Berlin:20240619T200000', 'DTEND;TZID=Europe/Berlin:20240620T150000']),
+        event(['UID:weekday-fast', 'RECURRENCE-ID;TZID=Europe/Berlin:20240624T200000', 'STATUS:CANCELLED', 'DTSTART;TZID=Europe/Berlin:20240624T200000']),
+        event(['UID:weekday-fast', 'RECURRENCE-ID;TZID=Europe/Berlin:20240626T200000', 'DTSTART;TZID=Europe/Berlin:20240626T203000']),
+        event(['UID:weekday-fast', 'RECURRENCE-ID;TZID=Europe/Berlin:20240628T200000', 'DTSTART;TZID=Europe/Berlin:20240628T220000'])
+      );
+
+      const preview = await fixture.service.previewImport(fixture.profile, content);
+      assert.strictEqual(preview.preview, true);
+      assert.deepStrictEqual(
+        preview.overrides.map((override) => [override.block_index, override.occurrence_date, override.type, override.payload ? override.payload.hours : null]),
+        [
+          [1, '2024-06-12', 'skip', null],
+          [0, '2024-06-17', 'shift', 2],
+          [1, '2024-06-19', 'extend', 3],
+          [0, '2024-06-24', 'skip', null]
+        ],
+        'The past EXDATE is dropped'
+      );
+      assert.strictEqual(preview.overrides[2].reason, 'Dinner out');
+      assert.deepStrictEqual(preview.warnings.map((warning) => warning.message), [
+        'The change on 2024-06-26 is not a whole number of hours',
+        '2024-06-28 is not an occurrence of this event'
+      ]);
+
+      const byDate = new Map(preview.nextInstances.map((instance) => [`${instance.block_id}:${instance.occurrence_date}`, instance]));
+      assert.strictEqual(byDate.get('preview-1:2024-06-12').status, 'skipped');
+      assert.strictEqual(byDate.get('preview-0:2024-06-17').start_at_utc, '2024-06-17T20:00:00.000Z');
+      assert.strictEqual(byDate.get('preview-1:2024-06-19').end_at_utc, '2024-06-20T13:00:00.000Z');
+      assert.strictEqual(byDate.get('preview-0:2024-06-10').start_at_utc, '2024-06-10T18:00:00.000Z');
+      assert.strictEqual(await fixture.repository.getScheduleByUserProfile(fixture.profile.id), null, 'Previews save nothing');
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('imports what the calendar feed exports', async () => {
+    const fixture = await createFixture();
+    try {
+      const schedule = await fixture.repository.createSchedule({ user_profile_id: fixture.profile.id });
+      const block = await fixture.repository.createFastingBlock({
+        schedule_id: schedule.id, name: 'Monday 16', start_dow: 1, start_time: '20:00', end_dow: 2, end_time: '12:00'
+      });
+      await fixture.adapter.run('UPDATE fasting_blocks SET created_at = ? WHERE id = ?', ['2024-06-05 08:00:00', block.id]);
+      await fixture.repository.createOverride({ block_id: block.id, occurrence_date: '2024-06-18', type: 'skip' });
+      await fixture.repository.createOverride({ block_id: block.id, occurrence_date: '2024-06-25', type: 'shorten', payload: { hours: 2 } });
+
+      const feed = new CalendarFeedService(fixture.repository, { clock: fixture.clock });
+      const { token } = await feed.createFeed(fixture.profile.id);
+      const { blocks, overrides } = fixture.service.convert(await feed.renderFeed(token), { timeZone: 'America/New_York' });
+
+      assert.deepStrictEqual(blocks, [{
+        name: 'Monday 16', start_dow: 1, start_time: '20:00', end_dow: 2, end_time: '12:00', tz_mode: 'local', anchor_tz: 'America/New_York'
+      }]);
+      assert.deepStrictEqual(
+        overrides.map((override) => [override.occurrence_date, override.type, override.payload ? override.payload.hours : null]),
+        [['2024-06-18', 'skip', null], ['2024-06-25', 'shorten', 2]]
+      );
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('saving merges or replaces blocks and rejects unusable files', async () => {
+    const fixture = await createFixture();
+    try {
+      const { service, repository, profile } = fixture;
+      const existingSchedule = await repository.createSchedule({ user_profile_id: profile.id });
+      const existing = await repository.createFastingBlock({
+        schedule_id: existingSchedule.id, name: 'Friday', start_dow: 5, start_time: '18:00', end_dow: 6, end_time: '10:00'
+      });
+
+      const merged = await service.importSchedule(profile, calendar(BERLIN_WEEKDAYS));
+      assert.strictEqual(merged.schedule.id, existingSchedule.id);
+      assert.strictEqual(merged.blocks.length, 2);
+      assert.deepStrictEqual(merged.overrides.map((override) => [override.block_id, override.occurrence_date, override.type]), [[merged.blocks[1].id, '2024-06-12', 'skip']]);
+      assert.strictEqual((await repository.getFastingBlocksBySchedule(existingSchedule.id)).length, 3);
+
+      const replaced = await service.importSchedule(profile, calendar(BERLIN_WEEKDAYS), { mode: 'replace' });
+      const active = await repository.getFastingBlocksBySchedule(existingSchedule.id);
+      assert.deepStrictEqual(active.map((block) => block.id).sort(), replaced.blocks.map((block) => block.id).sort());
+      assert.strictEqual((await repository.getFastingBlockById(existing.id)).is_active, false);
+
+      await assert.rejects(() => service.importSchedule(profile, calendar(BERLIN_WEEKDAYS), { mode: 'overwrite' }), /INVALID_IMPORT_MODE/);
+      await assert.rejects(() => service.importSchedule(profile, '  '), /EMPTY_IMPORT/);
+      await assert.rejects(() => service.importSchedule(profile, 'Date,Weight\n2024-06-01,80'), /UNSUPPORTED_FORMAT/);
+      await assert.rejects(() => service.importSchedule(profile, calendar(event(['UID:x', 'SUMMARY:Lunch', 'DTSTART:20240603T120000', 'RRULE:FREQ=DAILY']))), /NO_FAST_EVENTS/);
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  await record('block validation matches POST /api/schedule/blocks', async () => {
+    const valid = { start_dow: 1, start_time: '20:00', end_dow: 2, end_time: '12:00' };
+    assert.strictEqual(validateBlockInput(valid), null);
+    assert.strictEqual(validateBlockInput({ ...valid, start_dow: '3', tz_mode: 'fixed', anchor_tz: 'Asia/Tokyo' }), null);
+    assert.strictEqual(validateBlockInput({ ...valid, end_time: undefined }), 'Missing required fields');
+    assert.match(validateBlockInput({ ...valid, start_dow: 7 }), /start_dow and end_dow/);
+    assert.match(validateBlockInput({ ...valid, start_time: '24:00' }), /HH:MM/);
+    assert.match(validateBlockInput({ ...valid, tz_mode: 'floating' }), /tz_mode/);
+    assert.match(validateBlockInput({ ...valid, anchor_tz: 'Mars/Olympus' }), /anchor_tz/);
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runScheduleImportTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Schedule import tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Schedule import tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Schedule import test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runScheduleImportTests;
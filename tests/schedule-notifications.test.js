@@ -0,0 +1,220 @@
+const assert = require('assert');
+const PlannedInstanceService = require('../services/PlannedInstanceService');
+const ScheduleNotificationService = require('../services/ScheduleNotificationService');
+const {
+  validateNotificationRules,
+  normalizeNotificationRules,
+  evaluateInstanceNotifications
+} = require('../services/notificationRules');
+const createMigratedRepository = require('./helpers/createMigratedRepository');
+
+// Monday 20:00 -> Tuesday 12:00 in New York (EDT, UTC-4)
+const INSTANCE = {
+  id: 7,
+  block_id: 3,
+  block_name: 'Monday 16',
+  start_at_utc: '2024-06-11T00:00:00.000Z',
+  end_at_utc: '2024-06-11T16:00:00.000Z',
+  status: 'upcoming'
+};
+
+function describe(timeline) {
+  return timeline.map((entry) => `${entry.type}@${entry.at.toISOString()}`);
+}
+
+async function createFixture(notifications) {
+  const { adapter, repository, close } = await createMigratedRepository();
+
+  const clock = { now: new Date('2024-06-10T12:00:00.000Z') };
+  const plannedInstanceService = new PlannedInstanceService(repository, { clock: () => new Date(clock.now) });
+  const service = new ScheduleNotificationService(repository, plannedInstanceService, { clock: () => new Date(clock.now) });
+
+  const profile = await repository.createUserProfile({ session_id: 'fs_1700000000000_note', time_zone: 'America/New_York' });
+  const schedule = await repository.createSchedule({ user_profile_id: profile.id });
+  const block = await repository.createFastingBlock({
+    schedule_id: schedule.id, name: 'Monday 16', start_dow: 1, start_time: '20:00', end_dow: 2, end_time: '12:00', notifications
+  });
+  await adapter.run('UPDATE fasting_blocks SET created_at = ? WHERE id = ?', ['2024-06-05 08:00:00', block.id]);
+
+  return {
+    repository,
+    service,
+    clock,
+    profile,
+    block,
+    close
+  };
+}
+
+async function runScheduleNotificationTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('validates the rule schema', async () => {
+    assert.strictEqual(validateNotificationRules(null), null);
+    assert.strictEqual(validateNotificationRules({ pre_start: ['3h', '30m'], start_grace_mins: 60, milestones: true }), null);
+    assert.strictEqual(validateNotificationRules({ pre_start: [180, 30], start: true, completion: true }), null);
+    assert.strictEqual(validateNotificationRules({
+      halfway: true, final_hour: true, end: true, weigh_in: true, quiet_hours: { start: '22:00', end: '07:00' }
+    }), null);
+
+    assert.strictEqual(validateNotificationRules(['3h']), 'notifications must be an object');
+    assert.strictEqual(validateNotificationRules({ pre_starts: [30] }), 'Unknown notification rule: pre_starts');
+    assert.ok(validateNotificationRules({ pre_start: ['soon'] }).startsWith('pre_start must list lead times'));
+    assert.ok(validateNotificationRules({ pre_start: ['25h'] }).startsWith('pre_start must list lead times'));
+    assert.ok(validateNotificationRules({ pre_start: '3h' }).startsWith('pre_start must list lead times'));
+    assert.strictEqual(validateNotificationRules({ halfway: 'yes' }), 'halfway must be true or false');
+    assert.ok(validateNotificationRules({ start_grace_mins: -5 }).startsWith('start_grace_mins'));
+    assert.ok(validateNotificationRules({ quiet_hours: { start: '22:00' } }).startsWith('quiet_hours'));
+    assert.ok(validateNotificationRules({ quiet_hours: { start: '07:00', end: '07:00' } }).startsWith('quiet_hours'));
+  });
+
+  await record('normalizes both stored shapes and fills in defaults', async () => {
+    assert.deepStrictEqual(normalizeNotificationRules({ pre_start: ['30m', '3h'], start_grace_mins: 60, milestones: true }), {
+      pre_start: [180, 30], start: true, halfway: false, final_hour: false, end: true, weigh_in: false,
+      milestones: true, start_grace_mins: 60, quiet_hours: null
+    });
+
+    const draft = normalizeNotificationRules({ pre_start: [180, 30, 180, 'soon'], start: true, completion: false });
+    assert.deepStrictEqual(draft.pre_start, [180, 30]);
+    assert.strictEqual(draft.end, false, 'completion is the legacy name for end');
+
+    assert.strictEqual(normalizeNotificationRules({ completion: false, end: true }).end, true, 'end wins over its alias');
+    assert.deepStrictEqual(normalizeNotificationRules(null).pre_start, []);
+    assert.strictEqual(normalizeNotificationRules({ quiet_hours: { start: 'late' } }).quiet_hours, null);
+  });
+
+  await record('turns an instance and its rules into a timeline', async () => {
+    const timeline = evaluateInstanceNotifications(INSTANCE, {
+      pre_start: ['3h', '30m'], halfway: true, final_hour: true, weigh_in: true
+    });
+
+    assert.deepStrictEqual(describe(timeline), [
+      'pre_start@2024-06-10T21:00:00.000Z',
+      'pre_start@2024-06-10T23:30:00.000Z',
+      'start@2024-06-11T00:00:00.000Z',
+      'halfway@2024-06-11T08:00:00.000Z',
+      'milestone@2024-06-11T12:00:00.000Z',
+      'final_hour@2024-06-11T15:00:00.000Z',
+      'end@2024-06-11T16:00:00.000Z',
+      'weigh_in@2024-06-11T16:00:00.000Z'
+    ]);
+    assert.deepStrictEqual(timeline.map((entry) => entry.key).slice(0, 3), [
+      'schedule:pre_start:7:180', 'schedule:pre_start:7:30', 'schedule:start:7'
+    ]);
+    assert.strictEqual(timeline[0].title, 'Monday 16 starts in 3 hours');
+    assert.strictEqual(timeline[0].minutes_before, 180);
+    assert.strictEqual(timeline[4].hours, 12, 'Only milestones reached before the planned end');
+    assert.strictEqual(timeline[4].title, '⚡ Glycogen Depletion Begins');
+
+    assert.deepStrictEqual(evaluateInstanceNotifications({ ...INSTANCE, status: 'skipped' }, null), []);
+    assert.deepStrictEqual(
+      describe(evaluateInstanceNotifications({ ...INSTANCE, status: 'missed' }, { pre_start: [30] })),
+      ['pre_start@2024-06-10T23:30:00.000Z'],
+      'A missed fast gets nothing after its start'
+    );
+    assert.deepStrictEqual(
+      describe(evaluateInstanceNotifications(INSTANCE, { start: false, end: false, milestones: false })),
+      []
+    );
+  });
+
+  await record('drops pings in quiet hours and defers the end-of-fast prompts', async () => {
+    // 22:00-07:00 New York: the 17:00 reminder and 20:00 start are outside, halfway at 04:00 is dropped
+    const rules = { pre_start: ['3h'], halfway: true, weigh_in: true, milestones: false, quiet_hours: { start: '22:00', end: '07:00' } };
+    assert.deepStrictEqual(describe(evaluateInstanceNotifications(INSTANCE, rules, { timeZone: 'America/New_York' })), [
+      'pre_start@2024-06-10T21:00:00.000Z',
+      'start@2024-06-11T00:00:00.000Z',
+      'end@2024-06-11T16:00:00.000Z',
+      'weigh_in@2024-06-11T16:00:00.000Z'
+    ]);
+
+    // A fast ending at 23:00 local is announced when quiet hours end the next morning
+    const late = { ...INSTANCE, start_at_utc: '2024-06-10T03:00:00.000Z', end_at_utc: '2024-06-11T03:00:00.000Z' };
+    const timeline = evaluateInstanceNotifications(late, rules, { timeZone: 'America/New_York' });
+    const end = timeline.find((entry) => entry.type === 'end');
+    assert.strictEqual(end.at.toISOString(), '2024-06-11T11:00:00.000Z');
+    assert.strictEqual(end.deferred_from.toISOString(), '2024-06-11T03:00:00.000Z');
+    assert.strictEqual(timeline.find((entry) => entry.type === 'weigh_in').at.toISOString(), '2024-06-11T11:00:00.000Z');
+    assert.ok(!timeline.some((entry) => entry.type === 'start'), 'The 23:00 start falls in quiet hours');
+
+    // A window that does not wrap midnight
+    const daytime = evaluateInstanceNotifications(INSTANCE, { quiet_hours: { start: '11:00', end: '13:00' }, milestones: false }, {
+      timeZone: 'America/New_York'
+    });
+    assert.strictEqual(daytime.find((entry) => entry.type === 'end').at.toISOString(), '2024-06-11T17:00:00.000Z');
+  });
+
+  await record('lists upcoming notifications for the profile\'s schedule', async () => {
+    const fixture = await createFixture({ pre_start: ['3h', '30m'], final_hour: true, start_grace_mins: 60 });
+    try {
+      const upcoming = await fixture.service.getUpcoming(fixture.profile, { hours: '24' });
+      assert.strictEqual(upcoming.from, '2024-06-10T12:00:00.000Z');
+      assert.strictEqual(upcoming.to, '2024-06-11T12:00:00.000Z');
+      assert.strictEqual(upcoming.timeZone, 'America/New_York');
+      assert.deepStrictEqual(upcoming.notifications.map((entry) => `${entry.type}@${entry.at}`), [
+        'pre_start@2024-06-10T21:00:00.000Z',
+        'pre_start@2024-06-10T23:30:00.000Z',
+        'start@2024-06-11T00:00:00.000Z',
+        'milestone@2024-06-11T12:00:00.000Z'
+      ]);
+      assert.strictEqual(upcoming.notifications[0].block_id, fixture.block.id);
+      assert.strictEqual(upcoming.notifications[0].block_name, 'Monday 16');
+
+      // Mid-fast, the rest of the running instance is still upcoming
+      fixture.clock.now = new Date('2024-06-11T13:00:00.000Z');
+      const later = await fixture.service.getUpcoming(fixture.profile);
+      assert.deepStrictEqual(later.notifications.slice(0, 2).map((entry) => `${entry.type}@${entry.at}`), [
+        'final_hour@2024-06-11T15:00:00.000Z',
+        'end@2024-06-11T16:00:00.000Z'
+      ]);
+
+      await assert.rejects(() => fixture.service.getUpcoming(fixture.profile, { hours: '0' }), { code: 'INVALID_WINDOW' });
+      await assert.rejects(() => fixture.service.getUpcoming(fixture.profile, { hours: 'soon' }), { code: 'INVALID_WINDOW' });
+      await assert.rejects(() => fixture.service.getUpcoming(fixture.profile, { hours: 24 * 15 }), { code: 'INVALID_WINDOW' });
+
+      const other = await fixture.repository.createUserProfile({ session_id: 'fs_1700000000000_none' });
+      assert.deepStrictEqual((await fixture.service.getUpcoming(other)).notifications, []);
+    } finally {
+      await fixture.close();
+    }
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runScheduleNotificationTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Schedule notification tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Schedule notification tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Schedule notification test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runScheduleNotificationTests;
@@ -0,0 +1,161 @@
+const assert = require('assert');
+const BodyLogService = require('../services/BodyLogService');
+const SyncService = require('../services/SyncService');
+const InMemoryBodyLogDatabase = require('./helpers/InMemoryBodyLogDatabase');
+
+const PROFILE_ID = 4;
+const OTHER_PROFILE_ID = 9;
+
+function createService() {
+  const db = new InMemoryBodyLogDatabase();
+  db.addUserProfile({ id: PROFILE_ID, session_id: 'fs_1700000000000_sync', time_zone: 'UTC' });
+  db.addUserProfile({ id: OTHER_PROFILE_ID, session_id: 'fs_1700000000000_other', time_zone: 'UTC' });
+  const service = new SyncService(db, new BodyLogService(db));
+  return { db, service };
+}
+
+async function runSyncTests() {
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  async function record(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: 'PASS' });
+      passed += 1;
+    } catch (error) {
+      failed += 1;
+      results.push({ name, status: 'FAIL', error: error.message });
+    }
+  }
+
+  await record('getChanges without since only reports the current version', async () => {
+    const { service } = createService();
+    await service.recordChange(PROFILE_ID, 'fast', 1, 'create');
+    await service.recordChange(PROFILE_ID, 'fast', 1, 'update', ['notes']);
+
+    const feed = await service.getChanges(PROFILE_ID);
+
+    assert.strictEqual(feed.version, 2);
+    assert.deepStrictEqual(feed.changes, []);
+  });
+
+  await record('getChanges collapses changes per entity and carries current rows', async () => {
+    const { db, service } = createService();
+    const fast = await db.createFast({ user_profile_id: PROFILE_ID, start_time: '2024-06-01T18:00:00.000Z', is_active: true });
+    const entry = await db.createBodyLogEntry({
+      user_profile_id: PROFILE_ID,
+      logged_at: '2024-06-01T07:00:00.000Z',
+      local_date: '2024-06-01',
+      weight: 180
+    });
+
+    await service.recordChange(PROFILE_ID, 'fast', fast.id, 'create');
+    const since = await service.recordChange(PROFILE_ID, 'body_log', entry.id, 'create');
+    await db.updateFast(fast.id, { end_time: '2024-06-02T18:00:00.000Z', is_active: false });
+    await service.recordChange(PROFILE_ID, 'fast', fast.id, 'update', ['end_time', 'is_active']);
+    await service.recordChange(PROFILE_ID, 'fast', fast.id, 'update', ['notes']);
+    await service.recordChange(PROFILE_ID, 'body_log', entry.id, 'delete');
+    await db.deleteBodyLogEntry(entry.id);
+
+    const all = await service.getChanges(PROFILE_ID, { since: 0 });
+    assert.strictEqual(all.version, 5);
+    assert.strictEqual(all.changes.length, 2);
+    const fastChange = all.changes.find((change) => change.entityType === 'fast');
+    assert.strictEqual(fastChange.operation, 'create', 'Create followed by updates still reads as a create');
+    assert.strictEqual(fastChange.version, 4);
+    assert.deepStrictEqual(fastChange.fields.sort(), ['end_time', 'is_active', 'notes']);
+    assert.strictEqual(fastChange.data.is_active, false);
+
+    const recent = await service.getChanges(PROFILE_ID, { since });
+    const entryChange = recent.changes.find((change) => change.entityType === 'body_log');
+    assert.strictEqual(entryChange.operation, 'delete');
+    assert.strictEqual(entryChange.data, null);
+    assert.strictEqual(recent.changes.find((change) => change.entityType === 'fast').operation, 'update');
+  });
+
+  await record('getChanges pages with hasMore and never returns other profiles', async () => {
+    const { service } = createService();
+    for (let index = 1; index <= 5; index += 1) {
+      await service.recordChange(PROFILE_ID, 'body_log', null, 'create');
+      await service.recordChange(OTHER_PROFILE_ID, 'body_log', null, 'create');
+    }
+
+    const first = await service.getChanges(PROFILE_ID, { since: 0, limit: 3 });
+    assert.strictEqual(first.hasMore, true);
+    assert.strictEqual(first.version, 5);
+
+    const second = await service.getChanges(PROFILE_ID, { since: first.version, limit: 3 });
+    assert.strictEqual(second.hasMore, false);
+    assert.strictEqual(second.version, 9);
+
+    const caughtUp = await service.getChanges(PROFILE_ID, { since: second.version });
+    assert.strictEqual(caughtUp.version, 9);
+    assert.strictEqual(caughtUp.changes.length, 0);
+
+    await assert.rejects(
+      () => service.getChanges(PROFILE_ID, { since: 'yesterday' }),
+      (error) => error.code === 'INVALID_SYNC_VERSION'
+    );
+  });
+
+  await record('resolveUpdate keeps the end time of a fast ended on another device', async () => {
+    const { service } = createService();
+    const base = await service.recordChange(PROFILE_ID, 'fast', 7, 'create');
+    await service.recordChange(PROFILE_ID, 'fast', 7, 'update', ['end_time', 'is_active', 'duration_hours']);
+    const current = { id: 7, end_time: '2024-06-02T18:00:00.000Z', is_active: false };
+
+    const resolution = await service.resolveUpdate(PROFILE_ID, 'fast', 7, base, {
+      end_time: '2024-06-02T20:00:00.000Z',
+      notes: 'Felt great'
+    }, current);
+
+    assert.deepStrictEqual(resolution.updates, { notes: 'Felt great' });
+    assert.deepStrictEqual(resolution.conflicts, [
+      { field: 'end_time', resolution: 'server', value: '2024-06-02T18:00:00.000Z' }
+    ]);
+  });
+
+  await record('resolveUpdate is last-writer-wins for body log fields and skips checks without a base', async () => {
+    const { service } = createService();
+    const base = await service.recordChange(PROFILE_ID, 'body_log', 3, 'create');
+    await service.recordChange(PROFILE_ID, 'body_log', 3, 'update', ['weight']);
+
+    const stale = await service.resolveUpdate(PROFILE_ID, 'body_log', 3, base, { weight: 181, notes: 'after run' });
+    assert.deepStrictEqual(stale.updates, { weight: 181, notes: 'after run' });
+    assert.deepStrictEqual(stale.conflicts, [{ field: 'weight', resolution: 'client', value: 181 }]);
+
+    const current = await service.resolveUpdate(PROFILE_ID, 'body_log', 3, 2, { weight: 182 });
+    assert.deepStrictEqual(current.conflicts, []);
+
+    const unversioned = await service.resolveUpdate(PROFILE_ID, 'body_log', 3, undefined, { weight: 183 });
+    assert.deepStrictEqual(unversioned, { updates: { weight: 183 }, conflicts: [] });
+  });
+
+  return {
+    passed,
+    failed,
+    total: passed + failed,
+    details: results
+  };
+}
+
+if (require.main === module) {
+  runSyncTests().then((report) => {
+    if (report.failed > 0) {
+      console.error('❌ Sync tests failed');
+      report.details
+        .filter((test) => test.status === 'FAIL')
+        .forEach((test) => console.error(`   - ${test.name}: ${test.error}`));
+      process.exit(1);
+    }
+    console.log('✅ Sync tests passed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Sync test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = runSyncTests;